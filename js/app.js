@@ -1,2276 +1,4043 @@
-'use strict';
-
 /**
- * Aktuella Brott - Professional Police Events Map Application
+ * Aktuella Brott - Police Events Map Application
  *
- * A sophisticated, production-ready web application for visualizing
- * real-time police events across Sweden with enhanced data persistence,
- * professional UX, and comprehensive error handling.
+ * Browser entry point for the static page. Models, storage, severity and
+ * filtering come from the shared core in js/core, which the Next.js app
+ * imports as well.
  *
- * @version 2.0.0
+ * @version 3.0.0
  * @author Aktuella Brott Team
  */
 
-// ===== CONFIGURATION & CONSTANTS =====
-const CONFIG = {
-  API: {
-    EVENTS: 'https://polisen.se/api/events',
-    STATIONS: 'https://polisen.se/api/policestations',
-    RSS_SOURCES: [
-      'https://polisen.se/aktuellt/rss/',
-      'https://api.allorigins.win/get?url=' + encodeURIComponent('https://polisen.se/aktuellt/rss/'),
-      'https://polisen.se/aktuellt/handelser/rss/'
-    ]
-  },
-  STORAGE: {
-    DB_NAME: 'AktuellaBrottDB',
-    DB_VERSION: 2,
-    EVENTS_STORE: 'events',
-    STATIONS_STORE: 'stations',
-    SETTINGS_STORE: 'settings',
-    CACHE_DURATION: {
-      EVENTS: 2 * 60 * 60 * 1000,      // 2 hours
-      STATIONS: 24 * 60 * 60 * 1000,   // 24 hours
-      RSS: 30 * 60 * 1000              // 30 minutes
-    }
-  },
-  MAP: {
-    CENTER: [62.0, 15.0],
-    ZOOM: 5,
-    MIN_ZOOM: 4,
-    MAX_ZOOM: 18,
-    CLUSTER_RADIUS: 25,
-    DISABLE_CLUSTERING_AT_ZOOM: 11
-  },
-  UI: {
-    TOAST_DURATION: 3000,
-    ANIMATION_DURATION: 300,
-    DEBOUNCE_DELAY: 300,
-    THROTTLE_DELAY: 150
-  }
-};
-
-// ===== UTILITY FUNCTIONS =====
-class Utils {
-  /**
-   * Show toast notification with enhanced styling and animations
-   */
-  static showToast(message, duration = CONFIG.UI.TOAST_DURATION, type = 'info') {
-    const toast = document.getElementById('toast');
-    const existingTimer = toast._timer;
+import {
+  CONFIG,
+  Utils,
+  CrimeSeveritySystem,
+  PoliceEvent,
+  PoliceStation,
+  DataStorage,
+  EventFilters,
+  EventStats,
+  EventExport,
+  AreaStats,
+  Geometry,
+  OverlayImport,
+  AreaDrawing,
+  WatchZones,
+  TimelinePlayback,
+  GifEncoder,
+  Gazetteer,
+  MapLayers,
+  MarkerRegistry,
+  SpatialIndex,
+  PlaybackRecorder,
+  UrlState,
+  RssFeed,
+  RssEventMatcher,
+  SeverityRules,
+  DEFAULT_SEVERITY_RULES
+} from './core/index.js';
+import { DataSyncManager } from './data-sync-manager.js';
+import { EventPipelineClient } from './event-pipeline-client.js';
+
+// ===== MAIN APPLICATION =====
+class PoliceEventsApp {
+  constructor() {
+    this.state = {
+      events: [],
+      allEvents: [],
+      filteredEvents: [],
+      // Ids of filteredEvents, kept in step with the pipeline
+      filteredIds: new Set(),
+      // Filter requests sent to the pipeline, only the latest one is drawn
+      filterRequest: 0,
+      stations: [],
+      // Filtered events and stations by position, for the map view counters
+      eventIndex: new SpatialIndex(),
+      stationIndex: new SpatialIndex(),
+      currentView: 'markers', // 'markers' | 'heatmap' | 'choropleth'
+      maxEvents: CONFIG.FILTERS.MAX_EVENTS,
+      filters: EventFilters.create(),
+      selectedEventId: null,
+      restoringUrlState: false,
+      map: null,
+      layers: {
+        eventCluster: null,
+        stationCluster: null,
+        heatLayer: null,
+        areaLayer: null,
+        locationCircle: null,
+        locationAreas: null,
+        // Imported overlays by id
+        overlays: new Map(),
+        // Event markers in eventCluster by event id
+        markerRegistry: null,
+        // Events of the current timeline frame and its trail
+        playbackLayer: null,
+        playbackMarkers: new Map()
+      },
+      ui: {
+        loading: false,
+        legendVisible: true,
+        statsVisible: false,
+        severityRulesVisible: false,
+        archiveVisible: false,
+        overlaysVisible: false,
+        timelineVisible: false,
+        favoritesVisible: false,
+        favoritesActiveTab: 'events',
+        timeline: {
+          playing: false,
+          currentHour: 0,
+          timer: null,
+          // 'time' plays through the dates, 'hour' filters on the hour of day
+          mode: 'time',
+          step: CONFIG.TIMELINE.DEFAULT_STEP,
+          speed: 1,
+          trailSteps: CONFIG.TIMELINE.DEFAULT_TRAIL_STEPS,
+          // Start of each frame, see TimelinePlayback.getFrames
+          frames: [],
+          frameIndex: 0,
+          sortedEvents: [],
+          histogram: null,
+          // { stopped } while a recording runs
+          recording: null
+        }
+      },
+      favorites: {
+        events: [],
+        locations: []
+      },
+      // Places that raise a notification when a matching event arrives
+      watchZones: [],
+      // Whether the server has the zones and sends their alerts as push
+      pushSubscribed: false,
+      userLocation: null,
+      charts: {
+        timeline: null,
+        types: null
+      },
+      missingLocationCount: 0,
+      archive: {
+        enabled: CONFIG.STORAGE.ARCHIVE.ENABLED,
+        maxEvents: CONFIG.STORAGE.ARCHIVE.MAX_EVENTS,
+        // Past period shown instead of the latest events, e.g. 'month:2026-03'
+        period: null,
+        events: null
+      },
+      choropleth: {
+        level: CONFIG.CHOROPLETH.LEVEL,
+        metric: CONFIG.CHOROPLETH.METRIC,
+        window: CONFIG.CHOROPLETH.WINDOW,
+        weighted: CONFIG.CHOROPLETH.WEIGHTED,
+        breaks: []
+      },
+      // The user's imported GeoJSON/CSV layers, as stored
+      overlays: [],
+      // AreaDrawing session while an area is being sketched
+      drawing: null,
+      rssItems: [],
+      rssLinks: {
+        byItem: new Map(),
+        byEvent: new Map()
+      }
+    };
 
-    if (existingTimer) {
-      clearTimeout(existingTimer);
-    }
+    // Parsing and filtering run in a worker, see js/event-worker.js
+    this.pipeline = new EventPipelineClient();
+    this.filtering = Promise.resolve();
 
-    // Add emoji icons based on type
-    const icons = {
-      success: '✅',
-      error: '❌',
-      warning: '⚠️',
-      info: 'ℹ️'
-    };
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      // Initialize storage, upgrading the local database if it's old
+      await DataStorage.initialize({
+        onProgress: ({ description, step, steps, processed }) => {
+          const count = processed > 0 ? ` (${processed} händelser)` : '';
+          Utils.showLoading(`Uppdaterar lokal databas ${step}/${steps}: ${description}${count}`);
+        }
+      });
+      Utils.hideLoading();
 
-    toast.textContent = `${icons[type] || icons.info} ${message}`;
-    toast.className = `toast ${type}`;
-    toast.style.display = 'block';
+      // The user's severity rules classify events from the start
+      await this.loadSeverityRules();
 
-    toast._timer = setTimeout(() => {
-      toast.style.display = 'none';
-      toast._timer = null;
-    }, duration);
+      // Load stored favorites before rendering UI
+      await this.initializeFavorites();
+      await this.loadWatchZones();
+      await this.loadChoroplethOptions();
+      await this.loadArchiveSettings();
 
-    // Accessibility: Announce to screen readers
-    toast.setAttribute('aria-live', type === 'error' ? 'assertive' : 'polite');
-  }
+      // Initialize map first
+      this.initializeMap();
 
-  /**
-   * Enhanced loading state management
-   */
-  static showLoading(text = 'Laddar...') {
-    const loading = document.getElementById('loading');
-    const loadingText = document.getElementById('loading-text');
+      // Bind event listeners
+      this.bindEventListeners();
+      this.populateAreaFilters();
+      await this.loadOverlays();
 
-    loadingText.textContent = text;
-    loading.style.display = 'block';
+      // Ensure legend visibility controls are in sync with state
+      this.setLegendVisibility(this.state.ui.legendVisible);
 
-    // Prevent scrolling while loading
-    document.body.style.overflow = 'hidden';
+      // Restore filters and viewport from a shared link before data arrives
+      const urlState = UrlState.parse();
+      this.applyUrlState(urlState);
+      UrlState.onChange(state => this.applyUrlState(state, { focusEvent: true }));
 
-    // Accessibility
-    loading.setAttribute('aria-busy', 'true');
-    loading.setAttribute('aria-live', 'polite');
-  }
+      // Load initial data and show immediately
+      await this.loadInitialData();
+      this.applyArchiveRetention();
 
-  static hideLoading() {
-    const loading = document.getElementById('loading');
-    loading.style.display = 'none';
+      // Force immediate map update
+      this.renderEvents();
+      this.updateUI();
 
-    // Restore scrolling
-    document.body.style.overflow = '';
+      if (urlState.eventId) {
+        await this.focusEvent(urlState.eventId);
+      }
 
-    // Accessibility
-    loading.setAttribute('aria-busy', 'false');
+      Utils.showToast('Kartan har laddats framgångsrikt', 3000, 'success');
+    } catch (error) {
+      console.error('Initialization error:', error);
+      Utils.showToast('Fel vid initialisering av kartan', 5000, 'error');
+    }
   }
 
-  /**
-   * Performance-optimized debounce function
-   */
-  static debounce(func, delay = CONFIG.UI.DEBOUNCE_DELAY) {
-    let timeoutId;
-    return (...args) => {
-      clearTimeout(timeoutId);
-      timeoutId = setTimeout(() => func.apply(null, args), delay);
-    };
+  async initializeFavorites() {
+    try {
+      const [eventFavorites, locationFavorites] = await Promise.all([
+        DataStorage.getFavorites('event'),
+        DataStorage.getFavorites('location')
+      ]);
+
+      const sortBySavedAt = (a, b) => {
+        const aTime = a?.savedAt ? new Date(a.savedAt).getTime() : 0;
+        const bTime = b?.savedAt ? new Date(b.savedAt).getTime() : 0;
+        return bTime - aTime;
+      };
+
+      this.state.favorites.events = (eventFavorites || []).sort(sortBySavedAt);
+      this.state.favorites.locations = (locationFavorites || []).sort(sortBySavedAt);
+
+      this.refreshFavoritesUI();
+    } catch (error) {
+      console.error('Failed to load favorites:', error);
+    }
   }
 
-  /**
-   * Performance-optimized throttle function
-   */
-  static throttle(func, delay = CONFIG.UI.THROTTLE_DELAY) {
-    let lastCall = 0;
-    return (...args) => {
-      const now = Date.now();
-      if (now - lastCall >= delay) {
-        lastCall = now;
-        func.apply(null, args);
+  refreshFavoritesUI() {
+    const eventsContainer = document.getElementById('favorites-events-content');
+    const eventsEmpty = document.getElementById('favorites-events-empty');
+    const locationsContainer = document.getElementById('favorites-locations-content');
+    const locationsEmpty = document.getElementById('favorites-locations-empty');
+
+    if (!eventsContainer || !locationsContainer) {
+      return;
+    }
+
+    const ensureListContainer = (container, listId) => {
+      let listEl = container.querySelector(`#${listId}`);
+      if (!listEl) {
+        listEl = document.createElement('div');
+        listEl.id = listId;
+        listEl.style.display = 'flex';
+        listEl.style.flexDirection = 'column';
+        listEl.style.gap = 'var(--spacing-sm)';
+        container.appendChild(listEl);
       }
+      return listEl;
     };
-  }
 
-  /**
-   * Enhanced fetch with comprehensive retry logic and error handling
-   */
-  static async fetchWithRetry(url, options = {}, maxRetries = 3) {
-    let lastError;
+    const renderFavorites = (listEl, emptyEl, favorites) => {
+      if (!listEl || !emptyEl) return;
 
-    for (let i = 0; i < maxRetries; i++) {
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
+      listEl.innerHTML = '';
 
-        const response = await fetch(url, {
-          ...options,
-          signal: controller.signal
-        });
+      if (!favorites || favorites.length === 0) {
+        emptyEl.style.display = 'block';
+        listEl.style.display = 'none';
+        return;
+      }
 
-        clearTimeout(timeoutId);
+      emptyEl.style.display = 'none';
+      listEl.style.display = 'flex';
 
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      favorites.forEach(favorite => {
+        const itemEl = this.createFavoriteItemElement(favorite);
+        if (itemEl) {
+          listEl.appendChild(itemEl);
         }
+      });
+    };
 
-        return response;
-      } catch (error) {
-        lastError = error;
+    const sortedEvents = [...(this.state.favorites.events || [])].sort((a, b) => {
+      const aTime = a?.savedAt ? new Date(a.savedAt).getTime() : 0;
+      const bTime = b?.savedAt ? new Date(b.savedAt).getTime() : 0;
+      return bTime - aTime;
+    });
 
-        if (i < maxRetries - 1) {
-          // Exponential backoff with jitter
-          const delay = Math.min(1000 * Math.pow(2, i) + Math.random() * 1000, 10000);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      }
-    }
+    const sortedLocations = [...(this.state.favorites.locations || [])].sort((a, b) => {
+      const aTime = a?.savedAt ? new Date(a.savedAt).getTime() : 0;
+      const bTime = b?.savedAt ? new Date(b.savedAt).getTime() : 0;
+      return bTime - aTime;
+    });
 
-    throw lastError;
-  }
+    const eventsList = ensureListContainer(eventsContainer, 'favorites-events-list');
+    const locationsList = ensureListContainer(locationsContainer, 'favorites-locations-list');
 
-  /**
-   * Safe JSON parsing with detailed error information
-   */
-  static async safeJsonParse(response) {
-    const text = await response.text();
-    try {
-      return JSON.parse(text);
-    } catch (error) {
-      console.error('JSON Parse Error:', {
-        error: error.message,
-        text: text.substring(0, 200),
-        url: response.url
-      });
-      throw new Error(`Invalid JSON response from ${response.url}: ${error.message}`);
-    }
-  }
+    renderFavorites(eventsList, eventsEmpty, sortedEvents);
+    renderFavorites(locationsList, locationsEmpty, sortedLocations);
 
-  /**
-   * Enhanced HTML sanitization for XSS protection
-   */
-  static sanitizeHTML(str) {
-    if (!str) return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML.replace(/[<>]/g, '');
+    this.updateFavoritesCounts();
   }
 
-  /**
-   * Swedish locale date formatting
-   */
-  static formatDate(date, options = {}) {
-    const defaultOptions = {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      timeZone: 'Europe/Stockholm'
-    };
+  updateFavoritesCounts() {
+    const eventsCount = document.getElementById('favorites-count-events');
+    const locationsCount = document.getElementById('favorites-count-locations');
 
-    return new Intl.DateTimeFormat('sv-SE', {
-      ...defaultOptions,
-      ...options
-    }).format(new Date(date));
-  }
+    if (eventsCount) {
+      eventsCount.textContent = `(${this.state.favorites.events.length})`;
+    }
 
-  /**
-   * Generate stable, unique ID from object content
-   */
-  static generateStableId(obj) {
-    const str = JSON.stringify(obj, Object.keys(obj).sort());
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+    if (locationsCount) {
+      locationsCount.textContent = `(${this.state.favorites.locations.length})`;
     }
-    return `id_${Math.abs(hash).toString(36)}_${Date.now()}`;
   }
 
-  /**
-   * Check if coordinates are within Sweden's bounds
-   */
-  static isWithinSweden(lat, lng) {
-    return lat >= 55.0 && lat <= 69.3 && lng >= 10.5 && lng <= 24.5;
-  }
+  createFavoriteItemElement(favorite) {
+    if (!favorite || !favorite.data) {
+      return null;
+    }
 
-  /**
-   * Calculate distance between two coordinates (Haversine formula)
-   */
-  static calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLng = (lng2 - lng1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLng/2) * Math.sin(dLng/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
-  }
-}
+    const data = favorite.data;
+    const itemEl = document.createElement('div');
+    itemEl.className = 'favorite-item';
+    itemEl.dataset.favoriteId = favorite.id;
+
+    const actionsEl = document.createElement('div');
+    actionsEl.className = 'favorite-item-actions';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'favorite-action-btn';
+    removeBtn.setAttribute('aria-label', 'Ta bort favorit');
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.removeFavorite(favorite.id);
+    });
 
-// ===== ENHANCED CRIME SEVERITY SYSTEM =====
-class CrimeSeveritySystem {
-  static SEVERITY_MAPPING = {
-    // Level 1 - Minor offenses (Green tones)
-    'Trafikbrott': { level: 1, color: '#059669', description: 'Trafikbrott', priority: 'low' },
-    'Fortkörning': { level: 1, color: '#059669', description: 'Fortkörning', priority: 'low' },
-    'Parkering': { level: 1, color: '#22c55e', description: 'Parkeringsbrott', priority: 'low' },
-    'Ordningslagen': { level: 1, color: '#22c55e', description: 'Ordningslagen', priority: 'low' },
-
-    // Level 2 - Property crimes (Yellow-Orange tones)
-    'Skadegörelse': { level: 2, color: '#f59e0b', description: 'Skadegörelse', priority: 'medium' },
-    'Stöld': { level: 2, color: '#f97316', description: 'Stöld', priority: 'medium' },
-    'Snatteri': { level: 2, color: '#f97316', description: 'Snatteri', priority: 'medium' },
-    'Bedrägeri': { level: 2, color: '#ea580c', description: 'Bedrägeri', priority: 'medium' },
-    'Inbrott': { level: 3, color: '#dc2626', description: 'Inbrott', priority: 'high' },
-
-    // Level 3 - Drug crimes and serious property crimes (Orange-Red tones)
-    'Narkotikabrott': { level: 3, color: '#dc2626', description: 'Narkotikabrott', priority: 'high' },
-    'Rattfylleri': { level: 3, color: '#dc2626', description: 'Rattfylleri', priority: 'high' },
-    'Rattonykterhet': { level: 3, color: '#dc2626', description: 'Rattonykterhet', priority: 'high' },
-    'Rån': { level: 4, color: '#991b1b', description: 'Rån', priority: 'critical' },
-
-    // Level 4 - Violent crimes (Red tones)
-    'Misshandel': { level: 4, color: '#991b1b', description: 'Misshandel', priority: 'critical' },
-    'Våldtäkt': { level: 5, color: '#7f1d1d', description: 'Våldtäkt', priority: 'critical' },
-    'Våld mot tjänsteman': { level: 4, color: '#991b1b', description: 'Våld mot tjänsteman', priority: 'critical' },
-    'Olaga hot': { level: 3, color: '#dc2626', description: 'Olaga hot', priority: 'high' },
-
-    // Level 5 - Most serious crimes (Dark Red tones)
-    'Mord': { level: 5, color: '#7f1d1d', description: 'Mord', priority: 'critical' },
-    'Dråp': { level: 5, color: '#7f1d1d', description: 'Dråp', priority: 'critical' },
-    'Mordbrand': { level: 5, color: '#7f1d1d', description: 'Mordbrand', priority: 'critical' },
-    'Brand': { level: 4, color: '#991b1b', description: 'Brand', priority: 'critical' },
-
-    // Default fallback
-    'Övrigt': { level: 2, color: '#6b7280', description: 'Övrigt', priority: 'medium' }
-  };
+    actionsEl.appendChild(removeBtn);
+    itemEl.appendChild(actionsEl);
 
-  /**
-   * Get severity information with fuzzy matching
-   */
-  static getSeverityInfo(crimeType) {
-    if (!crimeType) return this.SEVERITY_MAPPING['Övrigt'];
+    const header = document.createElement('div');
+    header.className = 'favorite-item-header';
 
-    // Direct match
-    if (this.SEVERITY_MAPPING[crimeType]) {
-      return this.SEVERITY_MAPPING[crimeType];
-    }
+    const typeSpan = document.createElement('span');
+    typeSpan.className = 'favorite-item-type';
+    typeSpan.textContent = favorite.type === 'event'
+      ? (data.eventType || 'Händelse')
+      : (data.label || data.title || 'Plats');
+    header.appendChild(typeSpan);
 
-    // Fuzzy matching for similar crime types
-    const lowerType = crimeType.toLowerCase();
+    const dateSpan = document.createElement('span');
+    dateSpan.className = 'favorite-item-date';
+    dateSpan.textContent = this.formatFavoriteDate(favorite);
+    header.appendChild(dateSpan);
 
-    for (const [key, value] of Object.entries(this.SEVERITY_MAPPING)) {
-      const lowerKey = key.toLowerCase();
-      if (lowerType.includes(lowerKey) || lowerKey.includes(lowerType)) {
-        return { ...value, matchType: 'fuzzy' };
-      }
-    }
+    itemEl.appendChild(header);
 
-    // Keyword-based matching
-    const crimeKeywords = {
-      'stöld': this.SEVERITY_MAPPING['Stöld'],
-      'stol': this.SEVERITY_MAPPING['Stöld'],
-      'inbrott': this.SEVERITY_MAPPING['Inbrott'],
-      'rån': this.SEVERITY_MAPPING['Rån'],
-      'misshandel': this.SEVERITY_MAPPING['Misshandel'],
-      'våld': this.SEVERITY_MAPPING['Misshandel'],
-      'narkotika': this.SEVERITY_MAPPING['Narkotikabrott'],
-      'trafik': this.SEVERITY_MAPPING['Trafikbrott'],
-      'brand': this.SEVERITY_MAPPING['Brand'],
-      'fylleri': this.SEVERITY_MAPPING['Rattfylleri']
-    };
+    const titleEl = document.createElement('div');
+    titleEl.className = 'favorite-item-title';
+    titleEl.textContent = data.title || data.name || 'Favorit';
+    itemEl.appendChild(titleEl);
 
-    for (const [keyword, severity] of Object.entries(crimeKeywords)) {
-      if (lowerType.includes(keyword)) {
-        return { ...severity, matchType: 'keyword' };
-      }
+    const locationText = favorite.type === 'event'
+      ? (data.address || data.city || '')
+      : (data.address || data.city || data.description || '');
+
+    if (locationText) {
+      const locationEl = document.createElement('div');
+      locationEl.className = 'favorite-item-location';
+      locationEl.textContent = locationText;
+      itemEl.appendChild(locationEl);
     }
 
-    // Default fallback
-    return { ...this.SEVERITY_MAPPING['Övrigt'], matchType: 'default' };
-  }
+    if (favorite.type === 'event' && data.lat && data.lng) {
+      itemEl.addEventListener('click', () => {
+        if (this.state.map) {
+          this.state.map.setView([data.lat, data.lng], Math.max(this.state.map.getZoom(), 12));
+        }
+      });
+    } else if (favorite.type === 'location' && Geometry.isPolygon(data.geometry)) {
+      itemEl.addEventListener('click', () => {
+        this.addLocationArea({ id: favorite.id, name: data.title, geometry: data.geometry }, { fit: true });
+      });
+    }
 
-  static getSeverityColor(crimeType) {
-    return this.getSeverityInfo(crimeType).color;
+    return itemEl;
   }
 
-  static getSeverityLevel(crimeType) {
-    return this.getSeverityInfo(crimeType).level;
-  }
+  formatFavoriteDate(favorite) {
+    if (!favorite) return '';
 
-  static getPriorityLevel(crimeType) {
-    return this.getSeverityInfo(crimeType).priority;
-  }
+    const data = favorite.data || {};
 
-  /**
-   * Get all crime types grouped by severity level
-   */
-  static getSeverityLevels() {
-    const levels = {};
-    Object.entries(this.SEVERITY_MAPPING).forEach(([type, info]) => {
-      if (!levels[info.level]) {
-        levels[info.level] = [];
-      }
-      levels[info.level].push({ type, ...info });
-    });
-    return levels;
-  }
+    const fromTimeMs = data.timeMs ? new Date(data.timeMs) : null;
+    if (fromTimeMs && !isNaN(fromTimeMs)) {
+      return Utils.formatDate(fromTimeMs);
+    }
 
-  /**
-   * Get severity distribution statistics
-   */
-  static getSeverityStats(events) {
-    const stats = {
-      total: events.length,
-      byLevel: {},
-      byPriority: { low: 0, medium: 0, high: 0, critical: 0 }
-    };
+    const fromTimestamp = data.timestamp
+      ? (data.timestamp instanceof Date ? data.timestamp : new Date(data.timestamp))
+      : null;
+    if (fromTimestamp && !isNaN(fromTimestamp)) {
+      return Utils.formatDate(fromTimestamp);
+    }
 
-    events.forEach(event => {
-      const info = this.getSeverityInfo(event.type);
+    const fromSavedAt = favorite.savedAt ? new Date(favorite.savedAt) : null;
+    if (fromSavedAt && !isNaN(fromSavedAt)) {
+      return Utils.formatDate(fromSavedAt);
+    }
 
-      stats.byLevel[info.level] = (stats.byLevel[info.level] || 0) + 1;
-      stats.byPriority[info.priority] = (stats.byPriority[info.priority] || 0) + 1;
-    });
+    return 'Okänd tid';
+  }
 
-    return stats;
+  isEventFavorited(eventId) {
+    return this.state.favorites.events.some(fav => fav.id === `event_${eventId}`);
   }
-}
 
-// ===== ENHANCED DATA STORAGE =====
-class DataStorage {
-  static db = null;
+  async toggleFavoriteEvent(eventData) {
+    if (!eventData || !eventData.id) {
+      return;
+    }
 
-  /**
-   * Initialize enhanced IndexedDB with multiple stores and indexes
-   */
-  static async initialize() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(CONFIG.STORAGE.DB_NAME, CONFIG.STORAGE.DB_VERSION);
+    const favoriteId = `event_${eventData.id}`;
 
-      request.onerror = () => {
-        console.error('Failed to open IndexedDB:', request.error);
-        reject(request.error);
-      };
+    try {
+      if (this.isEventFavorited(eventData.id)) {
+        await DataStorage.removeFavorite(favoriteId);
+        this.state.favorites.events = this.state.favorites.events.filter(fav => fav.id !== favoriteId);
+        this.refreshFavoritesUI();
+        Utils.showToast('Händelsen togs bort från favoriter', 2000, 'info');
+        this.updateOpenPopupFavoriteState(eventData.id);
+        return false;
+      }
 
-      request.onsuccess = () => {
-        this.db = request.result;
-        console.log('IndexedDB initialized successfully');
-        resolve();
+      const favoritePayload = {
+        type: 'event',
+        id: eventData.id,
+        title: eventData.title,
+        eventType: eventData.type,
+        city: eventData.city,
+        address: eventData.address,
+        description: eventData.description,
+        url: eventData.url,
+        timeMs: eventData.timeMs,
+        timestamp: eventData.timestamp instanceof Date ? eventData.timestamp.toISOString() : eventData.timestamp,
+        severityInfo: eventData.severityInfo,
+        exactLocation: eventData.exactLocation,
+        lat: eventData.lat,
+        lng: eventData.lng
       };
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        // Events store with comprehensive indexing
-        if (!db.objectStoreNames.contains(CONFIG.STORAGE.EVENTS_STORE)) {
-          const eventsStore = db.createObjectStore(CONFIG.STORAGE.EVENTS_STORE, { keyPath: 'id' });
-          eventsStore.createIndex('timestamp', 'timeMs');
-          eventsStore.createIndex('type', 'type');
-          eventsStore.createIndex('city', 'city');
-          eventsStore.createIndex('severity', 'severityLevel');
-          eventsStore.createIndex('coordinates', ['lat', 'lng']);
-          eventsStore.createIndex('exactLocation', 'exactLocation');
-        }
+      const savedFavorite = await DataStorage.saveFavorite(favoritePayload);
 
-        // Stations store
-        if (!db.objectStoreNames.contains(CONFIG.STORAGE.STATIONS_STORE)) {
-          const stationsStore = db.createObjectStore(CONFIG.STORAGE.STATIONS_STORE, { keyPath: 'id' });
-          stationsStore.createIndex('name', 'name');
-          stationsStore.createIndex('coordinates', ['lat', 'lng']);
-        }
+      this.state.favorites.events = [
+        savedFavorite,
+        ...this.state.favorites.events.filter(fav => fav.id !== savedFavorite.id)
+      ];
 
-        // Settings store for user preferences
-        if (!db.objectStoreNames.contains(CONFIG.STORAGE.SETTINGS_STORE)) {
-          const settingsStore = db.createObjectStore(CONFIG.STORAGE.SETTINGS_STORE, { keyPath: 'key' });
-        }
-      };
-    });
+      this.refreshFavoritesUI();
+      Utils.showToast('Händelsen sparades bland favoriter', 2000, 'success');
+      this.updateOpenPopupFavoriteState(eventData.id);
+      return true;
+    } catch (error) {
+      console.error('Failed to toggle favorite event:', error);
+      Utils.showToast('Kunde inte uppdatera favoriter', 3000, 'error');
+      return this.isEventFavorited(eventData.id);
+    }
   }
 
-  /**
-   * Save events with enhanced metadata
-   */
-  static async saveEvents(events) {
-    if (!this.db) await this.initialize();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([CONFIG.STORAGE.EVENTS_STORE], 'readwrite');
-      const store = transaction.objectStore(CONFIG.STORAGE.EVENTS_STORE);
-
-      transaction.onerror = () => reject(transaction.error);
-      transaction.oncomplete = () => resolve();
-
-      events.forEach(event => {
-        const eventData = {
-          id: event.id,
-          timeMs: event.timeMs,
-          timestamp: event.timestamp,
-          type: event.type,
-          title: event.title,
-          description: event.description,
-          city: event.city,
-          address: event.address,
-          lat: event.lat,
-          lng: event.lng,
-          exactLocation: event.exactLocation,
-          severityInfo: event.severityInfo,
-          severityLevel: event.severityInfo.level,
-          url: event.url,
-          cached: Date.now()
-        };
-        store.put(eventData);
-      });
-    });
-  }
+  async removeFavorite(id) {
+    if (!id) return;
 
-  /**
-   * Get events with advanced filtering options
-   */
-  static async getEvents(options = {}) {
-    if (!this.db) await this.initialize();
-
-    const {
-      maxAge = CONFIG.STORAGE.CACHE_DURATION.EVENTS,
-      limit = 1000,
-      severityLevel = null,
-      city = null,
-      exactLocation = null
-    } = options;
-
-    const cutoff = Date.now() - maxAge;
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([CONFIG.STORAGE.EVENTS_STORE], 'readonly');
-      const store = transaction.objectStore(CONFIG.STORAGE.EVENTS_STORE);
-
-      const request = store.getAll();
-
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        let events = request.result || [];
-
-        // Apply filters
-        events = events.filter(event => {
-          if (event.cached < cutoff) return false;
-          if (severityLevel && event.severityLevel !== severityLevel) return false;
-          if (city && !event.city.toLowerCase().includes(city.toLowerCase())) return false;
-          if (exactLocation !== null && event.exactLocation !== exactLocation) return false;
-          return true;
-        });
+    try {
+      await DataStorage.removeFavorite(id);
 
-        // Sort by timestamp and limit
-        events = events
-          .sort((a, b) => b.timeMs - a.timeMs)
-          .slice(0, limit);
+      this.state.favorites.events = this.state.favorites.events.filter(fav => fav.id !== id);
+      this.state.favorites.locations = this.state.favorites.locations.filter(fav => fav.id !== id);
 
-        resolve(events);
-      };
-    });
+      this.refreshFavoritesUI();
+      this.updateLocationAreas();
+      Utils.showToast('Favoriten togs bort', 2000, 'info');
+
+      if (id.startsWith('event_')) {
+        this.updateOpenPopupFavoriteState(id.replace('event_', ''));
+      }
+    } catch (error) {
+      console.error('Failed to remove favorite:', error);
+      Utils.showToast('Kunde inte ta bort favoriten', 3000, 'error');
+    }
   }
 
-  /**
-   * Save stations with metadata
-   */
-  static async saveStations(stations) {
-    if (!this.db) await this.initialize();
+  updateOpenPopupFavoriteState(eventId) {
+    if (!eventId) return;
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([CONFIG.STORAGE.STATIONS_STORE], 'readwrite');
-      const store = transaction.objectStore(CONFIG.STORAGE.STATIONS_STORE);
+    const popupContent = document.querySelector('.leaflet-popup-content');
+    if (!popupContent) return;
 
-      transaction.onerror = () => reject(transaction.error);
-      transaction.oncomplete = () => resolve();
+    const selectorId = typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(eventId) : eventId;
+    const starButton = popupContent.querySelector(`.favorite-star-btn[data-event-id="${selectorId}"]`);
 
-      stations.forEach(station => {
-        const stationData = {
-          ...station,
-          cached: Date.now()
-        };
-        store.put(stationData);
-      });
-    });
+    if (!starButton) {
+      return;
+    }
+
+    const isFavorited = this.isEventFavorited(eventId);
+    starButton.classList.toggle('favorited', isFavorited);
+    starButton.setAttribute('aria-pressed', isFavorited ? 'true' : 'false');
+    starButton.setAttribute('aria-label', isFavorited ? 'Ta bort händelsen från favoriter' : 'Spara händelsen som favorit');
+    starButton.setAttribute('title', isFavorited ? 'Ta bort från favoriter' : 'Spara som favorit');
+    starButton.textContent = isFavorited ? '★' : '☆';
   }
 
-  /**
-   * Get cached stations
-   */
-  static async getStations(maxAge = CONFIG.STORAGE.CACHE_DURATION.STATIONS) {
-    if (!this.db) await this.initialize();
+  onPopupOpen(event) {
+    const popup = event?.popup;
+    const marker = popup?._source;
+    const eventData = marker?._policeEventData;
 
-    const cutoff = Date.now() - maxAge;
+    if (!popup || !eventData) {
+      return;
+    }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([CONFIG.STORAGE.STATIONS_STORE], 'readonly');
-      const store = transaction.objectStore(CONFIG.STORAGE.STATIONS_STORE);
-      const request = store.getAll();
+    if (this.state.selectedEventId !== eventData.id) {
+      this.state.selectedEventId = eventData.id;
+      this.syncUrlState();
+    }
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        const stations = (request.result || []).filter(station => station.cached >= cutoff);
-        resolve(stations);
-      };
-    });
-  }
+    const popupElement = popup.getElement();
+    if (!popupElement) {
+      return;
+    }
 
-  /**
-   * Save user settings/preferences
-   */
-  static async saveSetting(key, value) {
-    if (!this.db) await this.initialize();
+    this.renderPopupSections(popup, eventData);
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([CONFIG.STORAGE.SETTINGS_STORE], 'readwrite');
-      const store = transaction.objectStore(CONFIG.STORAGE.SETTINGS_STORE);
+    const starButton = popupElement.querySelector('.favorite-star-btn');
+    if (!starButton) {
+      return;
+    }
 
-      const request = store.put({ key, value, updated: Date.now() });
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve();
-    });
-  }
+    const eventId = eventData.id;
+    starButton.dataset.eventId = eventId;
 
-  /**
-   * Get user setting
-   */
-  static async getSetting(key, defaultValue = null) {
-    if (!this.db) await this.initialize();
-
-    return new Promise((resolve) => {
-      const transaction = this.db.transaction([CONFIG.STORAGE.SETTINGS_STORE], 'readonly');
-      const store = transaction.objectStore(CONFIG.STORAGE.SETTINGS_STORE);
-      const request = store.get(key);
-
-      request.onerror = () => resolve(defaultValue);
-      request.onsuccess = () => {
-        const result = request.result;
-        resolve(result ? result.value : defaultValue);
-      };
-    });
+    const updateStarState = () => {
+      const isFavorited = this.isEventFavorited(eventId);
+      starButton.classList.toggle('favorited', isFavorited);
+      starButton.setAttribute('aria-pressed', isFavorited ? 'true' : 'false');
+      starButton.setAttribute('aria-label', isFavorited ? 'Ta bort händelsen från favoriter' : 'Spara händelsen som favorit');
+      starButton.setAttribute('title', isFavorited ? 'Ta bort från favoriter' : 'Spara som favorit');
+      starButton.textContent = isFavorited ? '★' : '☆';
+    };
+
+    updateStarState();
+
+    starButton.onclick = async (clickEvent) => {
+      clickEvent.preventDefault();
+      clickEvent.stopPropagation();
+      await this.toggleFavoriteEvent(eventData);
+      updateStarState();
+    };
   }
 
   /**
-   * Clean up old cached data
+   * Sections added to an event popup once it is open, again when its
+   * content is replaced
    */
-  static async cleanup() {
-    if (!this.db) await this.initialize();
-
-    const stores = [CONFIG.STORAGE.EVENTS_STORE, CONFIG.STORAGE.STATIONS_STORE];
-    const cutoffTime = Date.now() - (7 * 24 * 60 * 60 * 1000); // 7 days
-
-    return Promise.all(stores.map(storeName => {
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([storeName], 'readwrite');
-        const store = transaction.objectStore(storeName);
-        const request = store.openCursor();
-
-        let deletedCount = 0;
-
-        request.onerror = () => reject(request.error);
-        request.onsuccess = (event) => {
-          const cursor = event.target.result;
-          if (cursor) {
-            const record = cursor.value;
-            if (record.cached && record.cached < cutoffTime) {
-              cursor.delete();
-              deletedCount++;
-            }
-            cursor.continue();
-          } else {
-            console.log(`Cleaned ${deletedCount} old records from ${storeName}`);
-            resolve(deletedCount);
-          }
-        };
-      });
-    }));
+  renderPopupSections(popup, event) {
+    this.renderPopupRssItems(popup, event.id);
+    this.renderPopupNearestStation(popup, event);
   }
 
   /**
-   * Get storage usage statistics
+   * Append the press releases linked to the event to its open popup
    */
-  static async getStorageStats() {
-    if (!this.db) await this.initialize();
-
-    const stats = {
-      events: 0,
-      stations: 0,
-      settings: 0,
-      totalSize: 0
-    };
-
-    const stores = [
-      CONFIG.STORAGE.EVENTS_STORE,
-      CONFIG.STORAGE.STATIONS_STORE,
-      CONFIG.STORAGE.SETTINGS_STORE
-    ];
-
-    await Promise.all(stores.map(storeName => {
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([storeName], 'readonly');
-        const store = transaction.objectStore(storeName);
-        const request = store.count();
-
-        request.onerror = () => reject(request.error);
-        request.onsuccess = () => {
-          const key = storeName.replace('Store', '').toLowerCase();
-          stats[key] = request.result;
-          resolve();
-        };
-      });
-    }));
+  renderPopupRssItems(popup, eventId) {
+    const content = popup.getElement()?.querySelector('.leaflet-popup-content');
+    const items = this.getLinkedRssItems(eventId);
 
-    // Estimate storage size (rough calculation)
-    if (navigator.storage && navigator.storage.estimate) {
-      try {
-        const estimate = await navigator.storage.estimate();
-        stats.totalSize = estimate.usage || 0;
-        stats.availableSize = estimate.quota || 0;
-      } catch (error) {
-        console.warn('Could not estimate storage usage:', error);
-      }
+    if (!content || items.length === 0 || content.querySelector('.popup-rss-items')) {
+      return;
     }
 
-    return stats;
-  }
-}
+    const section = document.createElement('div');
+    section.className = 'popup-rss-items';
+    section.style.cssText = 'margin-top: 10px; padding-top: 8px; border-top: 1px solid var(--border-light);';
+    section.innerHTML = `
+      <div style="font-size: 0.75rem; font-weight: 600; color: var(--text-secondary); margin-bottom: 4px;">
+        📰 Pressmeddelanden
+      </div>
+      ${items.map(item => `
+        <div style="font-size: 0.8rem; margin-bottom: 4px;">
+          <a href="${item.link}" target="_blank" rel="noopener" style="color: var(--color-primary); text-decoration: none;">${item.title}</a>
+          <span style="color: var(--text-muted); font-size: 0.7rem;">${item.formattedDate}</span>
+        </div>
+      `).join('')}
+    `;
 
-// ===== ENHANCED DATA MODELS =====
-class PoliceEvent {
-  constructor(rawData) {
-    this.id = Utils.generateStableId(rawData);
-    this.rawData = rawData;
-    this.parseData();
-    this.validateData();
+    content.appendChild(section);
+    popup.update();
   }
 
-  parseData() {
-    const raw = this.rawData;
-
-    // Parse coordinates with enhanced validation
-    this.parseCoordinates();
+  renderPopupNearestStation(popup, event) {
+    const content = popup.getElement()?.querySelector('.leaflet-popup-content');
+    const [nearest] = this.state.stationIndex.nearest(event.lat, event.lng, {
+      maxDistance: CONFIG.SPATIAL_INDEX.NEAREST_STATION_MAX_KM
+    });
 
-    // Parse date/time with timezone handling
-    this.parseDateTime();
+    if (!content || !nearest || content.querySelector('.popup-nearest-station')) {
+      return;
+    }
 
-    // Extract and enhance location information
-    this.parseLocation();
+    const distance = nearest.distance.toLocaleString('sv-SE', { maximumFractionDigits: 1 });
+    const section = document.createElement('div');
+    section.className = 'popup-nearest-station';
+    section.style.cssText = 'margin-top: 10px; padding-top: 8px; border-top: 1px solid var(--border-light);';
+    section.innerHTML = `
+      <div style="font-size: 0.75rem; font-weight: 600; color: var(--text-secondary); margin-bottom: 4px;">
+        🚓 Närmaste polisstation
+      </div>
+      <div style="font-size: 0.8rem;">
+        ${Utils.sanitizeHTML(nearest.item.name)}
+        <span style="color: var(--text-muted); font-size: 0.7rem;">${distance} km</span>
+      </div>
+    `;
 
-    // Parse event details with content analysis
-    this.type = this.normalizeEventType(raw.type || 'Okänd händelse');
-    this.title = Utils.sanitizeHTML(raw.name || raw.title || this.type);
-    this.description = Utils.sanitizeHTML(raw.summary || raw.description || '');
-    this.url = this.validateURL(raw.url || raw.externalSource);
+    content.appendChild(section);
+    popup.update();
+  }
 
-    // Determine location accuracy with enhanced logic
-    this.exactLocation = this.determineLocationAccuracy();
+  initializeMap() {
+    // Create map centered on Sweden
+    this.state.map = MapLayers.createMap('map');
 
-    // Get enhanced severity information
-    this.severityInfo = CrimeSeveritySystem.getSeverityInfo(this.type);
-    this.priority = this.severityInfo.priority;
+    // Initialize marker clusters
+    this.initializeMarkerClusters();
 
-    // Extract additional metadata
-    this.parseMetadata();
-  }
+    // Map event listeners
+    this.state.map.on('zoomend', Utils.throttle(() => {
+      this.updateMarkerSizes();
+    }, 150));
 
-  parseCoordinates() {
-    const raw = this.rawData;
-    let lat = null, lng = null;
+    this.state.map.on('moveend', Utils.throttle(() => {
+      this.updateVisibleStats();
+    }, 300));
 
-    // Handle various coordinate formats
-    if (raw.location && raw.location.gps) {
-      const gps = raw.location.gps;
+    this.state.map.on('popupopen', (event) => this.onPopupOpen(event));
 
-      if (typeof gps === 'string') {
-        const coords = gps.split(',').map(c => parseFloat(c.trim()));
-        if (coords.length === 2 && coords.every(c => !isNaN(c))) {
-          [lat, lng] = coords;
-        }
-      } else if (typeof gps === 'object') {
-        lat = parseFloat(gps.lat || gps.latitude || gps.y);
-        lng = parseFloat(gps.lng || gps.longitude || gps.lon || gps.x);
+    this.state.map.on('popupclose', (event) => {
+      const eventData = event?.popup?._source?._policeEventData;
+      if (eventData && this.state.selectedEventId === eventData.id) {
+        this.state.selectedEventId = null;
+        this.syncUrlState({ replace: true });
       }
-    }
+    });
 
-    // Validate coordinates are within reasonable bounds for Sweden
-    if (lat && lng && Utils.isWithinSweden(lat, lng)) {
-      this.lat = lat;
-      this.lng = lng;
-      this.coordinateSource = 'gps';
-    } else {
-      this.lat = null;
-      this.lng = null;
-      this.coordinateSource = 'none';
-    }
+    this.state.map.on('moveend', Utils.debounce(() => {
+      this.syncUrlState({ replace: true });
+    }, 500));
   }
 
-  parseDateTime() {
-    const raw = this.rawData;
-    const dateStr = raw.datetime || raw.pubDate || raw.date || raw.timestamp;
-
-    if (dateStr) {
-      // Handle various date formats
-      const possibleFormats = [
-        dateStr,
-        dateStr.replace(/\+\d{2}:\d{2}$/, ''),
-        dateStr.replace(/Z$/, ''),
-        dateStr + 'T00:00:00'
-      ];
-
-      for (const format of possibleFormats) {
-        const date = new Date(format);
-        if (!isNaN(date.getTime())) {
-          this.timestamp = date;
-          break;
-        }
+  initializeMarkerClusters() {
+    this.state.layers.eventCluster = MapLayers.createEventClusterGroup();
+    this.state.layers.markerRegistry = new MarkerRegistry(this.state.map, this.state.layers.eventCluster, {
+      onPopupOpen: (popup, event) => this.attachEnhancedPopup(popup, event),
+      // The map's popupopen handler adds the sections when a popup opens
+      onPopupUpdate: (popup, event) => {
+        this.attachEnhancedPopup(popup, event);
+        this.renderPopupSections(popup, event);
       }
-    }
+    });
+    this.state.layers.stationCluster = MapLayers.createStationClusterGroup();
 
-    if (!this.timestamp || isNaN(this.timestamp.getTime())) {
-      this.timestamp = new Date();
-      this.timestampSource = 'fallback';
-    } else {
-      this.timestampSource = 'parsed';
-    }
+    // Add station cluster to map (always visible)
+    this.state.layers.stationCluster.addTo(this.state.map);
+  }
 
-    this.timeMs = this.timestamp.getTime();
+  bindEventListeners() {
+    // Control event listeners
+    document.getElementById('max-events').addEventListener('change',
+      Utils.debounce(() => this.updateMaxEvents(), 300));
 
-    // Add time-based metadata
-    this.hour = this.timestamp.getHours();
-    this.dayOfWeek = this.timestamp.getDay();
-    this.isWeekend = this.dayOfWeek === 0 || this.dayOfWeek === 6;
-  }
+    document.getElementById('event-type').addEventListener('change',
+      () => this.updateTypeFilter());
 
-  parseLocation() {
-    const raw = this.rawData;
+    document.getElementById('search-query').addEventListener('input',
+      Utils.debounce(() => this.updateSearchFilter(), 300));
 
-    // Extract city/location with fallbacks
-    this.city = raw.location?.name || this.extractCityFromDescription() || 'Okänd plats';
+    document.getElementById('lan-filter').addEventListener('change',
+      () => this.updateAreaFilter('län'));
 
-    // Extract detailed address information
-    this.address = this.extractDetailedAddress() || this.city;
+    document.getElementById('kommun-filter').addEventListener('change',
+      () => this.updateAreaFilter('kommun'));
 
-    // Apply privacy-conscious random offset for non-exact locations
-    if (!this.exactLocation && this.lat && this.lng) {
-      this.applyPrivacyOffset();
-    }
+    // View mode buttons
+    document.getElementById('view-markers').addEventListener('click',
+      () => this.setViewMode('markers'));
 
-    // Validate location consistency
-    this.validateLocationConsistency();
-  }
+    document.getElementById('view-heatmap').addEventListener('click',
+      () => this.setViewMode('heatmap'));
 
-  parseMetadata() {
-    // Extract additional useful metadata from description
-    this.keywords = this.extractKeywords();
-    this.persons = this.extractPersonCount();
-    this.vehicles = this.extractVehicleInfo();
-    this.timeOfDay = this.categorizeTimeOfDay();
-  }
+    document.getElementById('view-choropleth').addEventListener('click',
+      () => this.setViewMode('choropleth'));
 
-  normalizeEventType(type) {
-    // Normalize and standardize event types
-    const typeMap = {
-      'Stöld/inbrott': 'Inbrott',
-      'Trafikolycka': 'Trafikbrott',
-      'Rån/stöld': 'Rån',
-      'Våld': 'Misshandel'
-    };
+    ['choropleth-level', 'choropleth-metric', 'choropleth-window', 'choropleth-weighted'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.updateChoroplethOptions());
+    });
 
-    return typeMap[type] || type;
-  }
+    // Function buttons
+    document.getElementById('locate-user').addEventListener('click',
+      () => this.locateUser());
 
-  validateURL(url) {
-    if (!url) return null;
+    document.getElementById('timeline-toggle').addEventListener('click',
+      () => this.toggleTimeline());
 
-    try {
-      const parsedURL = new URL(url);
-      return parsedURL.protocol === 'http:' || parsedURL.protocol === 'https:' ? url : null;
-    } catch {
-      return null;
-    }
-  }
+    // Severity rules panel
+    document.getElementById('severity-rules-toggle').addEventListener('click',
+      () => this.toggleSeverityRules());
 
-  extractCityFromDescription() {
-    const text = (this.description + ' ' + this.title).toLowerCase();
+    document.getElementById('severity-rules-close').addEventListener('click',
+      () => this.hideSeverityRules());
 
-    // Swedish city patterns
-    const cityPatterns = [
-      /(?:i|från|vid)\s+([A-ZÅÄÖ][a-zåäö]{2,})/g,
-      /([A-ZÅÄÖ][a-zåäö]+)(?:\s+kommun)?/g
-    ];
+    document.getElementById('severity-overrides').addEventListener('change',
+      (event) => this.onSeverityOverrideChange(event.target));
 
-    for (const pattern of cityPatterns) {
-      const match = text.match(pattern);
-      if (match && match[1] && match[1].length > 3) {
-        return match[1];
-      }
-    }
+    document.getElementById('severity-modifiers').addEventListener('change',
+      (event) => this.onSeverityModifierChange(event.target));
 
-    return null;
-  }
+    document.getElementById('severity-rules-save-json').addEventListener('click',
+      () => this.saveSeverityRulesJson());
 
-  extractDetailedAddress() {
-    const text = (this.description + ' ' + this.title);
+    document.getElementById('severity-rules-reset').addEventListener('click',
+      () => this.resetSeverityRules());
 
-    // Swedish address patterns
-    const addressPatterns = [
-      /(?:vid|på|i|från)\s+([A-ZÅÄÖ][a-zåäö]+(?:gatan|vägen|torget|platsen|parken|stigen)(?:\s+\d+)?)/i,
-      /(?:vid|på|i|från)\s+([A-ZÅÄÖ][a-zåäö]+\s+\d+[A-Za-z]?)/i,
-      /(\w+(?:gatan|vägen|torget|platsen)\s+\d+)/i
-    ];
+    document.getElementById('export-events').addEventListener('click',
+      () => this.exportEvents(document.getElementById('export-format').value));
 
-    for (const pattern of addressPatterns) {
-      const match = text.match(pattern);
-      if (match && match[1]) {
-        return Utils.sanitizeHTML(match[1]);
-      }
-    }
+    // Map overlays
+    document.getElementById('overlays-toggle').addEventListener('click',
+      () => this.toggleOverlaysPanel());
 
-    return null;
-  }
+    document.getElementById('overlays-close').addEventListener('click',
+      () => this.hideOverlaysPanel());
 
-  extractKeywords() {
-    const text = (this.description + ' ' + this.title).toLowerCase();
-    const keywords = [];
+    document.getElementById('overlay-stations').addEventListener('change',
+      (event) => this.setStationsVisible(event.target.checked));
 
-    // Crime-related keywords
-    const crimeKeywords = [
-      'vapen', 'kniv', 'pistol', 'bil', 'cykel', 'mobil', 'plånbok',
-      'butik', 'hem', 'skola', 'sjukhus', 'station', 'flykt', 'anhållen'
-    ];
+    document.getElementById('overlay-file').addEventListener('change', async (event) => {
+      await this.importOverlayFiles(event.target.files);
+      event.target.value = '';
+    });
 
-    crimeKeywords.forEach(keyword => {
-      if (text.includes(keyword)) {
-        keywords.push(keyword);
-      }
+    document.getElementById('overlays-list').addEventListener('change', (event) => {
+      const id = event.target.dataset.overlayToggle;
+      if (id) this.setOverlayVisible(id, event.target.checked);
     });
 
-    return keywords;
-  }
+    document.getElementById('overlays-list').addEventListener('click', (event) => {
+      const id = event.target.closest('[data-overlay-remove]')?.dataset.overlayRemove;
+      if (id) this.removeOverlay(id);
+    });
 
-  extractPersonCount() {
-    const text = (this.description + ' ' + this.title).toLowerCase();
+    document.getElementById('location-polygon').addEventListener('change', (event) => {
+      this.addLocationArea(this.getOverlayPolygon(event.target.value), { fit: true });
+      event.target.value = '';
+    });
 
-    // Look for person count indicators
-    const personPatterns = [
-      /(\d+)\s*person/g,
-      /(\d+)\s*individ/g,
-      /flera\s+person/g
-    ];
+    document.querySelectorAll('[data-draw-mode]').forEach(button => {
+      button.addEventListener('click', () => this.startAreaDrawing(button.dataset.drawMode));
+    });
 
-    for (const pattern of personPatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        return match[0].includes('flera') ? '3+' : match[1];
-      }
-    }
+    document.getElementById('location-areas').addEventListener('click', (event) => {
+      const saveId = event.target.closest('[data-area-save]')?.dataset.areaSave;
+      const removeId = event.target.closest('[data-area-remove]')?.dataset.areaRemove;
+      if (saveId) this.saveLocationArea(saveId);
+      if (removeId) this.removeLocationArea(removeId);
+    });
 
-    return null;
-  }
+    // Files dropped on the map are imported as overlays
+    const mapContainer = this.state.map.getContainer();
+    mapContainer.addEventListener('dragover', (event) => {
+      if (!event.dataTransfer?.types.includes('Files')) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+    });
+    mapContainer.addEventListener('drop', (event) => {
+      if (!event.dataTransfer?.files.length) return;
+      event.preventDefault();
+      this.importOverlayFiles(event.dataTransfer.files);
+    });
 
-  extractVehicleInfo() {
-    const text = (this.description + ' ' + this.title).toLowerCase();
-    const vehicles = [];
+    // Archive panel
+    document.getElementById('archive-toggle').addEventListener('click',
+      () => this.toggleArchivePanel());
 
-    const vehicleTypes = ['bil', 'lastbil', 'motorcykel', 'cykel', 'moped', 'buss'];
+    document.getElementById('archive-close').addEventListener('click',
+      () => this.hideArchivePanel());
 
-    vehicleTypes.forEach(vehicle => {
-      if (text.includes(vehicle)) {
-        vehicles.push(vehicle);
-      }
-    });
+    document.getElementById('archive-enabled').addEventListener('change',
+      () => this.updateArchiveSettings());
 
-    return vehicles.length > 0 ? vehicles : null;
-  }
+    document.getElementById('archive-quota').addEventListener('change',
+      () => this.updateArchiveSettings());
 
-  categorizeTimeOfDay() {
-    const hour = this.hour;
+    document.getElementById('archive-unit').addEventListener('change',
+      () => this.updateArchivePeriodInputs());
 
-    if (hour >= 6 && hour < 12) return 'morgon';
-    if (hour >= 12 && hour < 18) return 'dag';
-    if (hour >= 18 && hour < 22) return 'kväll';
-    return 'natt';
-  }
+    document.getElementById('archive-show').addEventListener('click', () => {
+      const range = this.getSelectedArchivePeriod();
+      if (range) this.loadArchivePeriod(range);
+    });
 
-  determineLocationAccuracy() {
-    const text = (this.description + ' ' + this.title).toLowerCase();
+    document.getElementById('archive-compare').addEventListener('click', () => {
+      const range = this.getSelectedArchivePeriod();
+      if (range) this.compareArchivePeriod(range);
+    });
 
-    // Indicators of exact location
-    const exactIndicators = [
-      'gatan', 'vägen', 'torget', 'platsen', 'nummer', 'adress',
-      /\d+[a-z]?\s*[,\.]/, // Street numbers
-    ];
+    document.getElementById('archive-live').addEventListener('click',
+      () => this.showLatestEvents());
 
-    // Indicators of approximate location
-    const approximateIndicators = [
-      'området', 'närheten', 'cirka', 'ungefär', 'runt', 'vid', 'nära'
-    ];
+    document.getElementById('refresh-data').addEventListener('click',
+      () => this.refreshData());
 
-    const hasExact = exactIndicators.some(indicator =>
-      typeof indicator === 'string' ? text.includes(indicator) : indicator.test(text)
+    // Floating action buttons
+    document.getElementById('fullscreen-toggle').addEventListener('click',
+      () => this.toggleFullscreen());
+
+    const legendToggle = document.getElementById('legend-toggle');
+    if (legendToggle) {
+      legendToggle.addEventListener('click', () => {
+        if (this.state.ui.legendVisible) {
+          this.hideLegend();
+        } else {
+          this.showLegend();
+        }
+      });
+    }
+
+    document.getElementById('stats-toggle').addEventListener('click',
+      () => this.toggleStats());
+
+    // Panel controls
+    document.getElementById('legend-close').addEventListener('click',
+      () => this.hideLegend());
+
+    document.getElementById('stats-close').addEventListener('click',
+      () => this.hideStats());
+
+    document.getElementById('favorites-toggle').addEventListener('click',
+      () => this.toggleFavorites());
+
+    document.getElementById('favorites-close').addEventListener('click',
+      () => this.hideFavorites());
+
+    document.getElementById('tab-events').addEventListener('click',
+      () => this.setFavoritesTab('events'));
+
+    document.getElementById('tab-locations').addEventListener('click',
+      () => this.setFavoritesTab('locations'));
+
+    document.getElementById('tab-watch').addEventListener('click',
+      () => this.setFavoritesTab('watch'));
+
+    // Watch zones
+    document.getElementById('watch-zone-add').addEventListener('click', () => this.addWatchZone());
+    document.getElementById('watch-zones-list').addEventListener('click', (event) => {
+      const button = event.target.closest('[data-watch-zone-remove]');
+      if (button) {
+        this.removeWatchZone(button.dataset.watchZoneRemove);
+      }
+    });
+
+    // Timeline controls
+    document.getElementById('timeline-play').addEventListener('click',
+      () => this.playTimeline());
+
+    document.getElementById('timeline-pause').addEventListener('click',
+      () => this.pauseTimeline());
+
+    document.getElementById('timeline-close').addEventListener('click',
+      () => this.hideTimeline());
+
+    document.getElementById('timeline-record').addEventListener('click',
+      () => this.recordTimeline(document.getElementById('timeline-record-format').value));
+
+    document.getElementById('timeline-slider').addEventListener('input', (e) => {
+      const value = parseInt(e.target.value, 10);
+      if (this.isTimePlayback()) {
+        this.showPlaybackFrame(value);
+      } else {
+        this.updateTimelineHour(value);
+      }
+    });
+
+    document.getElementById('timeline-mode').addEventListener('change',
+      (e) => this.setTimelineMode(e.target.value));
+
+    document.getElementById('timeline-step').addEventListener('change',
+      (e) => this.setTimelineStep(e.target.value));
+
+    document.getElementById('timeline-speed').addEventListener('change',
+      (e) => this.setTimelineSpeed(parseFloat(e.target.value)));
+
+    document.getElementById('timeline-trail').addEventListener('change', (e) => {
+      this.state.ui.timeline.trailSteps = parseInt(e.target.value, 10);
+      if (this.isTimePlayback()) this.renderPlaybackFrame();
+    });
+
+    this.bindTimelineHistogram();
+
+    // RSS filter
+    document.getElementById('rss-filter').addEventListener('input',
+      Utils.debounce(() => this.filterRSSItems(), 200));
+
+    // "On map" buttons of RSS items linked to events
+    document.getElementById('rss-items').addEventListener('click', (event) => {
+      const button = event.target.closest('[data-rss-event-id]');
+      if (button) {
+        this.focusEvent(button.dataset.rssEventId);
+      }
+    });
+
+    // Advanced filters
+    document.getElementById('date-from').addEventListener('change', () => this.updateDateFilter());
+    document.getElementById('date-to').addEventListener('change', () => this.updateDateFilter());
+    document.getElementById('location-search').addEventListener('input',
+      Utils.debounce(() => this.updateLocationFilter(), 500));
+    document.getElementById('distance-radius').addEventListener('change', () => this.updateLocationFilter());
+    document.getElementById('use-current-location').addEventListener('click', () => this.useCurrentLocation());
+
+    // Quick filters
+    document.getElementById('filter-today').addEventListener('click', () => this.applyQuickFilter('today'));
+    document.getElementById('filter-week').addEventListener('click', () => this.applyQuickFilter('week'));
+    document.getElementById('filter-high-priority').addEventListener('click', () => this.applyQuickFilter('high-priority'));
+    document.getElementById('filter-clear').addEventListener('click', () => this.clearAllFilters());
+
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
+  }
+
+  async loadInitialData() {
+    Utils.showLoading('Laddar polisdata...');
+
+    try {
+      // Load both events and stations in parallel
+      const [eventsData, stationsData] = await Promise.allSettled([
+        this.loadPoliceEvents(),
+        this.loadPoliceStations()
+      ]);
+
+      if (eventsData.status === 'rejected') {
+        console.error('Failed to load events:', eventsData.reason);
+        Utils.showToast('Kunde inte ladda polishändelser', 4000, 'error');
+      }
+
+      if (stationsData.status === 'rejected') {
+        console.error('Failed to load stations:', stationsData.reason);
+        Utils.showToast('Kunde inte ladda polisstationer', 4000, 'warning');
+      }
+
+      // Load RSS feed (non-critical)
+      this.loadRSSFeed().catch(error => {
+        console.warn('RSS feed failed:', error);
+      });
+
+    } finally {
+      Utils.hideLoading();
+    }
+  }
+
+  async loadPoliceEvents() {
+    try {
+      // Try to load cached events first
+      const cachedEvents = await DataStorage.getRecentEvents();
+
+      let rehydratedCachedEvents = [];
+
+      if (cachedEvents.length > 0) {
+        // Recreate event objects from cached data
+        rehydratedCachedEvents = cachedEvents.map(data => this.rehydrateEvent(data));
+
+        this.state.allEvents = rehydratedCachedEvents;
+        this.updateVisibleEvents();
+        this.linkRssItems();
+
+        // Immediately show cached events on map
+        this.applyFilters();
+        this.updateEventTypeSelect();
+        Utils.showToast(`Laddade ${this.state.events.length} cachade händelser`, 2000, 'success');
+      }
+
+      // Fetch fresh data from API, parsed in the worker
+      const response = await Utils.fetchWithFallback(CONFIG.API.PROXY.EVENTS, CONFIG.API.EVENTS);
+      const records = await this.pipeline.parse(await response.text());
+      const events = records.map(record => this.rehydrateEvent(record));
+
+      // Merge with cached events and deduplicate
+      const eventMap = new Map();
+
+      // Add cached events first
+      rehydratedCachedEvents.forEach(event => eventMap.set(event.id, event));
+
+      // Add fresh events (will overwrite cached events with same ID)
+      events.forEach(event => eventMap.set(event.id, event));
+
+      // Convert back to array and sort
+      this.state.allEvents = Array.from(eventMap.values())
+        .sort((a, b) => b.timeMs - a.timeMs);
+
+      this.updateVisibleEvents();
+      this.linkRssItems();
+
+      // Cache new events
+      await DataStorage.saveEvents(events);
+
+      // Update UI immediately
+      this.applyFilters();
+      this.updateEventTypeSelect();
+
+      Utils.showToast(`Uppdaterade med ${this.state.events.length} polishändelser`, 2000, 'success');
+
+    } catch (error) {
+      console.error('Error loading police events:', error);
+      throw error;
+    }
+  }
+
+  rehydrateEvent(data) {
+    return PoliceEvent.fromRecord(data);
+  }
+
+
+  /**
+   * Apply an incremental sync result from DataSyncManager. Only the ids
+   * listed in the update are touched, so unchanged events keep their state.
+   */
+  async handleDataUpdate(detail = {}) {
+    if (detail.type !== 'events') {
+      return;
+    }
+
+    const added = detail.added || [];
+    const changed = detail.changed || [];
+    const removed = detail.removed || [];
+
+    if (added.length === 0 && changed.length === 0 && removed.length === 0) {
+      return;
+    }
+
+    try {
+      const records = await DataStorage.getEventsByIds([...added, ...changed]);
+      const eventMap = new Map(this.state.allEvents.map(event => [event.id, event]));
+
+      removed.forEach(id => eventMap.delete(id));
+      records.forEach(record => eventMap.set(record.id, this.rehydrateEvent(record)));
+
+      this.state.allEvents = Array.from(eventMap.values())
+        .sort((a, b) => b.timeMs - a.timeMs);
+      this.updateVisibleEvents();
+      this.linkRssItems();
+
+      this.applyFilters();
+      this.updateEventTypeSelect();
+
+      await this.checkWatchZones(added.map(id => eventMap.get(id)).filter(Boolean));
+    } catch (error) {
+      console.error('Failed to apply data update:', error);
+    }
+  }
+
+  async loadPoliceStations() {
+    try {
+      // Try cached stations first
+      const cachedStations = await DataStorage.getAllStations();
+
+      if (cachedStations.length > 0) {
+        this.state.stations = cachedStations.map(data => PoliceStation.fromRecord(data));
+
+        this.renderStations();
+        Utils.showToast(`Laddade ${this.state.stations.length} cachade polisstationer`, 2000, 'success');
+      }
+
+      // Fetch fresh data
+      const response = await Utils.fetchWithFallback(CONFIG.API.PROXY.STATIONS, CONFIG.API.STATIONS);
+      const stations = PoliceStation.fromResponse(await Utils.safeJsonParse(response));
+
+      this.state.stations = stations;
+
+      // Cache stations
+      await DataStorage.saveStations(stations);
+
+      // Render stations
+      this.renderStations();
+
+      Utils.showToast(`Laddade ${stations.length} polisstationer`, 2000, 'success');
+
+    } catch (error) {
+      console.error('Error loading police stations:', error);
+      throw error;
+    }
+  }
+
+  async loadRSSFeed() {
+    try {
+      let items = [];
+
+      // Normalized items from our own API route, no third-party CORS proxy
+      try {
+        const response = await Utils.fetchWithRetry(CONFIG.API.PROXY.RSS, {}, 1);
+        const data = await Utils.safeJsonParse(response);
+        items = Array.isArray(data.items) ? data.items : [];
+      } catch (error) {
+        console.warn('RSS API unavailable, trying the feeds directly:', error);
+      }
+
+      for (const source of CONFIG.API.RSS_SOURCES) {
+        if (items.length > 0) break;
+
+        try {
+          const response = await Utils.fetchWithRetry(source);
+          items = RssFeed.parse(await response.text(), { source });
+        } catch (error) {
+          console.warn(`RSS source ${source} failed:`, error);
+        }
+      }
+
+      // Keep the latest items for offline use, or fall back to them
+      if (items.length > 0) {
+        DataStorage.saveRssItems(items).catch(error => {
+          console.warn('Failed to store RSS items:', error);
+        });
+      } else {
+        try {
+          items = await DataStorage.getRssItems();
+        } catch (error) {
+          console.warn('Failed to read stored RSS items:', error);
+        }
+      }
+
+      if (items.length === 0) {
+        // Use fallback data for demonstration
+        this.state.rssItems = [
+          {
+            title: 'Polisen informerar om trafiksäkerhet',
+            link: '#',
+            pubDate: new Date().toISOString(),
+            description: 'Viktiga säkerhetsåtgärder under vinterförhållanden',
+            location: 'Nationellt'
+          },
+          {
+            title: 'Större polisinsats i centrala Stockholm',
+            link: '#',
+            pubDate: new Date(Date.now() - 3600000).toISOString(),
+            description: 'Polisen genomför kontroller i city',
+            location: 'Stockholm'
+          },
+          {
+            title: 'Varning för telefonbedrägerier',
+            link: '#',
+            pubDate: new Date(Date.now() - 7200000).toISOString(),
+            description: 'Ökat antal anmälningar om falska poliser',
+            location: 'Nationellt'
+          }
+        ];
+      } else {
+        this.state.rssItems = items.slice(0, 30).map(item => ({
+          id: item.id,
+          title: Utils.sanitizeHTML(item.title),
+          link: /^https?:\/\//i.test(item.link || '') ? Utils.sanitizeHTML(item.link) : '#',
+          description: Utils.sanitizeHTML(item.description),
+          categories: (item.categories || []).map(category => Utils.sanitizeHTML(category)),
+          pubDate: item.pubDate || '',
+          timeMs: item.timeMs ?? null,
+          location: Utils.sanitizeHTML(item.location),
+          formattedDate: item.pubDate ? this.formatRSSDate(item.pubDate) : ''
+        }));
+      }
+
+      this.linkRssItems();
+
+    } catch (error) {
+      console.warn('RSS feed error:', error);
+    }
+  }
+
+  /**
+   * Link the RSS items to the events they describe and refresh the RSS
+   * panel. Called whenever either side changes.
+   */
+  linkRssItems() {
+    this.state.rssLinks = RssEventMatcher.link(this.state.rssItems, this.state.allEvents);
+    this.renderRSSItems();
+  }
+
+  /**
+   * Press releases linked to an event, for its popup
+   */
+  getLinkedRssItems(eventId) {
+    const links = this.state.rssLinks.byEvent.get(eventId) || [];
+
+    return links
+      .map(link => this.state.rssItems.find(item => item.id === link.itemId))
+      .filter(Boolean);
+  }
+
+  formatRSSDate(dateString) {
+    try {
+      const date = new Date(dateString);
+      return Utils.formatDate(date);
+    } catch {
+      return dateString;
+    }
+  }
+
+  updateMaxEvents() {
+    const input = document.getElementById('max-events');
+    const value = Math.max(50, Math.min(1000, parseInt(input.value) || 500));
+
+    input.value = value;
+    this.state.maxEvents = value;
+
+    // Re-slice events from full dataset
+    this.updateVisibleEvents();
+    this.applyFilters();
+  }
+
+  /**
+   * The events filters apply to: an archived period when one is shown,
+   * otherwise the newest events
+   */
+  updateVisibleEvents() {
+    this.state.events = this.state.archive.events || this.state.allEvents.slice(0, this.state.maxEvents);
+    this.syncPipelineEvents();
+  }
+
+  /**
+   * Send the events to the pipeline, for filtering
+   */
+  syncPipelineEvents() {
+    this.pipeline.setEvents(this.state.events.map(event => event.toJSON())).catch(error => {
+      console.error('Failed to send events to the pipeline:', error);
+    });
+  }
+
+  updateTypeFilter() {
+    const select = document.getElementById('event-type');
+    this.state.filters.types = Array.from(select.selectedOptions).map(option => option.value);
+    this.applyFilters();
+  }
+
+  updateSearchFilter() {
+    const input = document.getElementById('search-query');
+    this.state.filters.searchQuery = input.value.toLowerCase().trim();
+    this.applyFilters();
+  }
+
+  /**
+   * Fill the län select, and the kommun select with the kommuner of the
+   * selected län (all of them when none is selected)
+   */
+  populateAreaFilters() {
+    const lanSelect = document.getElementById('lan-filter');
+    const kommunSelect = document.getElementById('kommun-filter');
+    const { länskod, kommunkod } = this.state.filters;
+
+    if (lanSelect.options.length <= 1) {
+      Gazetteer.getLan().forEach(({ kod, namn }) => {
+        lanSelect.add(new Option(namn, kod));
+      });
+    }
+    lanSelect.value = länskod || '';
+
+    kommunSelect.length = 1;
+    Gazetteer.getKommuner()
+      .filter(kommun => !länskod || kommun.länskod === länskod)
+      .forEach(({ kod, namn }) => kommunSelect.add(new Option(namn, kod)));
+    kommunSelect.value = kommunkod || '';
+  }
+
+  updateAreaFilter(level) {
+    const filters = this.state.filters;
+
+    if (level === 'län') {
+      filters.länskod = document.getElementById('lan-filter').value || null;
+
+      // Keep the kommun only if it lies in the new län
+      if (filters.kommunkod && filters.länskod && !filters.kommunkod.startsWith(filters.länskod)) {
+        filters.kommunkod = null;
+      }
+    } else {
+      filters.kommunkod = document.getElementById('kommun-filter').value || null;
+      if (filters.kommunkod) filters.länskod = filters.kommunkod.slice(0, 2);
+    }
+
+    this.populateAreaFilters();
+    this.applyFilters();
+  }
+
+  updateTimelineHour(hour) {
+    this.state.filters.timelineHour = hour;
+    this.state.ui.timeline.currentHour = hour;
+
+    document.getElementById('timeline-time').textContent =
+      `${String(hour).padStart(2, '0')}:00`;
+
+    this.applyFilters();
+  }
+
+  /**
+   * Filter the events in the pipeline and draw the result. Results arrive in
+   * order; each one's changes are applied, but only the latest is drawn, so
+   * fast typing doesn't queue up redraws.
+   */
+  applyFilters() {
+    const request = ++this.state.filterRequest;
+    const syncUrl = !this.state.restoringUrlState;
+
+    this.filtering = this.pipeline.filter(this.state.filters)
+      .then(result => this.applyFilterResult(result, { request, syncUrl }))
+      .catch(error => {
+        console.error('Failed to filter events:', error);
+        Utils.showToast('Kunde inte filtrera händelserna', 3000, 'error');
+      });
+
+    return this.filtering;
+  }
+
+  applyFilterResult({ added, removed, count, missingLocationCount }, { request, syncUrl }) {
+    const { filteredIds } = this.state;
+    removed.forEach(id => filteredIds.delete(id));
+    added.forEach(id => filteredIds.add(id));
+
+    // Out of step with the pipeline, e.g. after it moved from the worker to the page
+    if (filteredIds.size !== count) {
+      this.state.filteredIds = new Set();
+      this.pipeline.reset();
+      if (request === this.state.filterRequest) {
+        return this.applyFilters();
+      }
+      return;
+    }
+
+    if (request !== this.state.filterRequest) return;
+
+    this.state.missingLocationCount = missingLocationCount;
+    this.state.filteredEvents = this.state.events.filter(event => filteredIds.has(event.id));
+    this.state.eventIndex = new SpatialIndex(this.state.filteredEvents);
+
+    this.renderEvents();
+    this.updateLegend();
+    this.updateCharts();
+    if (syncUrl) {
+      this.syncUrlState();
+    }
+  }
+
+  /**
+   * Snapshot of the shareable view: selected event, filters and viewport
+   */
+  getUrlState() {
+    const filters = this.state.filters;
+    const center = this.state.map ? this.state.map.getCenter() : null;
+
+    return {
+      eventId: this.state.selectedEventId,
+      filters: {
+        ...filters,
+        // Calendar presets are re-evaluated when the link is opened
+        dateFrom: filters.timeRange ? null : filters.dateFrom,
+        dateTo: filters.timeRange ? null : filters.dateTo
+      },
+      view: center ? { lat: center.lat, lng: center.lng, zoom: this.state.map.getZoom() } : null
+    };
+  }
+
+  syncUrlState({ replace = false } = {}) {
+    if (this.state.restoringUrlState || !this.state.map) {
+      return;
+    }
+
+    if (replace) {
+      UrlState.replace(this.getUrlState());
+    } else {
+      UrlState.push(this.getUrlState());
+    }
+  }
+
+  /**
+   * Apply a parsed URL state to filters, form controls and the map
+   */
+  applyUrlState(urlState, { focusEvent = false } = {}) {
+    const { filters: urlFilters = {}, view, eventId } = urlState || {};
+
+    this.state.restoringUrlState = true;
+
+    try {
+      this.state.filters = EventFilters.create({
+        ...urlFilters,
+        timelineHour: this.state.filters.timelineHour,
+        // Drawn and imported areas only exist in this browser, so they stay out of the URL
+        locationAreas: urlFilters.locationCenter ? [] : this.state.filters.locationAreas
+      });
+      this.state.selectedEventId = eventId || null;
+
+      if (!EventFilters.isValidTimeRange(this.state.filters.timeRange)) {
+        this.state.filters.timeRange = null;
+      }
+
+      // Relative ranges ("today") are re-evaluated against the current date
+      const rangeDates = EventFilters.getTimeRangeDates(this.state.filters.timeRange);
+      if (rangeDates) {
+        Object.assign(this.state.filters, rangeDates);
+      }
+
+      // Reflect the state in the form controls
+      const filters = this.state.filters;
+      document.getElementById('search-query').value = filters.searchQuery;
+      document.getElementById('date-from').value = filters.dateFrom ? UrlState.formatDate(filters.dateFrom) : '';
+      document.getElementById('date-to').value = filters.dateTo ? UrlState.formatDate(filters.dateTo) : '';
+      document.getElementById('distance-radius').value = String(filters.locationRadius);
+      document.getElementById('location-search').value = filters.locationCenter
+        ? `${filters.locationCenter.lat.toFixed(4)}, ${filters.locationCenter.lng.toFixed(4)}`
+        : '';
+
+      Array.from(document.getElementById('event-type').options).forEach(option => {
+        option.selected = filters.types.includes(option.value);
+      });
+      this.populateAreaFilters();
+
+      document.querySelectorAll('#filter-today, #filter-week, #filter-high-priority').forEach(btn => {
+        btn.classList.remove('active');
+      });
+      if (filters.timeRange) {
+        document.getElementById(`filter-${filters.timeRange}`)?.classList.add('active');
+      }
+      if (filters.priorityFilter) {
+        document.getElementById(`filter-${filters.priorityFilter}`)?.classList.add('active');
+      }
+
+      if (filters.locationCenter) {
+        this.updateLocationCircle(filters.locationCenter.lat, filters.locationCenter.lng, filters.locationRadius);
+      } else {
+        this.clearLocationCircle();
+      }
+      this.updateLocationAreas();
+
+      if (view && this.state.map) {
+        this.state.map.setView([view.lat, view.lng], view.zoom);
+      }
+
+      // Periods are read from the archive, other ranges from the latest events
+      const period = EventFilters.isPeriod(filters.timeRange) ? filters.timeRange : null;
+      if (period !== this.state.archive.period) {
+        if (period) {
+          this.loadArchivePeriod(period);
+        } else {
+          this.state.archive.period = null;
+          this.state.archive.events = null;
+          this.updateVisibleEvents();
+        }
+      }
+
+      if (this.state.events.length > 0) {
+        this.applyFilters();
+      }
+    } finally {
+      this.state.restoringUrlState = false;
+    }
+
+    if (focusEvent && eventId) {
+      this.focusEvent(eventId);
+    } else if (!eventId && this.state.map) {
+      this.state.map.closePopup();
+    }
+  }
+
+  /**
+   * Zoom to an event by id (also legacy ids) and open its popup
+   */
+  async focusEvent(eventId) {
+    const resolvedId = await DataStorage.resolveEventId(eventId);
+    // The event's marker exists once the pending filter result is drawn
+    await this.filtering;
+    const event = this.state.allEvents.find(item => item.id === resolvedId);
+
+    if (!event) {
+      Utils.showToast('Den delade händelsen finns inte längre', 3000, 'warning');
+      return;
+    }
+
+    this.state.selectedEventId = event.id;
+
+    const playbackMarker = this.isTimePlayback() && this.state.layers.playbackMarkers.get(event.id);
+    const marker = this.state.layers.markerRegistry.get(event.id);
+    if (playbackMarker) {
+      this.state.map.setView([event.lat, event.lng], Math.max(this.state.map.getZoom(), 13));
+      playbackMarker.openPopup();
+    } else if (marker && this.state.currentView === 'markers' && !this.isTimePlayback()) {
+      this.state.layers.eventCluster.zoomToShowLayer(marker, () => marker.openPopup());
+    } else {
+      this.state.map.setView([event.lat, event.lng], Math.max(this.state.map.getZoom(), 13));
+    }
+  }
+
+  setViewMode(mode) {
+    this.state.currentView = mode;
+
+    // Update button states
+    document.getElementById('view-markers').classList.toggle('active', mode === 'markers');
+    document.getElementById('view-heatmap').classList.toggle('active', mode === 'heatmap');
+    document.getElementById('view-choropleth').classList.toggle('active', mode === 'choropleth');
+    document.getElementById('choropleth-options').style.display = mode === 'choropleth' ? 'grid' : 'none';
+
+    this.renderEvents();
+    this.updateLegend();
+  }
+
+  renderEvents() {
+    // Markers stay in the registry while another view is shown
+    if (this.state.layers.eventCluster && (this.state.currentView !== 'markers' || this.isTimePlayback())) {
+      this.state.map.removeLayer(this.state.layers.eventCluster);
+    }
+
+    if (this.state.layers.heatLayer) {
+      this.state.map.removeLayer(this.state.layers.heatLayer);
+      this.state.layers.heatLayer = null;
+    }
+
+    if (this.state.layers.areaLayer) {
+      this.state.map.removeLayer(this.state.layers.areaLayer);
+      this.state.layers.areaLayer = null;
+    }
+
+    if (this.state.layers.playbackLayer) {
+      this.state.map.removeLayer(this.state.layers.playbackLayer);
+      this.state.layers.playbackLayer = null;
+    }
+
+    // Playback replaces every view with the events of the current frame
+    if (this.isTimePlayback()) {
+      this.preparePlayback();
+      this.renderPlaybackFrame();
+      return;
+    }
+
+    if (this.state.currentView === 'heatmap') {
+      this.renderHeatmap();
+    } else if (this.state.currentView === 'choropleth') {
+      this.renderChoropleth();
+    } else {
+      this.renderMarkers();
+    }
+  }
+
+  /**
+   * Add and remove only the markers that changed, so open popups and a
+   * spiderfied cluster survive filtering and syncs
+   */
+  renderMarkers() {
+    if (!this.state.map.hasLayer(this.state.layers.eventCluster)) {
+      this.state.layers.eventCluster.addTo(this.state.map);
+    }
+
+    this.state.layers.markerRegistry.sync(this.state.filteredEvents, this.state.map.getZoom());
+  }
+
+  attachPopupActions(marker, event) {
+    marker.on('popupopen', (popupEvent) => this.attachEnhancedPopup(popupEvent.popup, event));
+  }
+
+  attachEnhancedPopup(popup, event) {
+    if (window.EnhancedEventPopup && typeof EnhancedEventPopup.attachPopupActions === 'function') {
+      EnhancedEventPopup.attachPopupActions(popup, event);
+    }
+  }
+
+  renderHeatmap() {
+    const heatPoints = this.state.filteredEvents.map(event => [
+      event.lat,
+      event.lng,
+      Math.max(0.3, event.severityInfo.level / 5) // Intensity based on severity
+    ]);
+
+    const zoom = this.state.map.getZoom();
+    const radius = Math.max(15, Math.min(50, zoom * 3));
+
+    this.state.layers.heatLayer = L.heatLayer(heatPoints, {
+      radius: radius,
+      blur: 20,
+      maxZoom: 15,
+      minOpacity: 0.4,
+      gradient: {
+        0.0: '#22c55e',
+        0.2: '#f59e0b',
+        0.4: '#f97316',
+        0.6: '#dc2626',
+        0.8: '#991b1b',
+        1.0: '#7f1d1d'
+      }
+    });
+
+    this.state.layers.heatLayer.addTo(this.state.map);
+  }
+
+  /**
+   * Color kommuner or län by their filtered events inside the area view's
+   * own time window. Clicking an area shows its events by type.
+   */
+  renderChoropleth() {
+    const options = this.state.choropleth;
+    const areas = AreaStats.aggregate(this.state.filteredEvents, options);
+    const breaks = AreaStats.getBreaks(areas.map(area => AreaStats.getValue(area, options.metric)));
+    const layer = L.layerGroup();
+
+    options.breaks = breaks;
+
+    // Small areas on top of the large ones around them
+    areas
+      .sort((a, b) => b.population - a.population)
+      .forEach(area => {
+        const value = AreaStats.getValue(area, options.metric);
+        const marker = MapLayers.createAreaMarker(area, AreaStats.getColor(value, breaks), options.level);
+
+        marker.bindTooltip(`${Utils.sanitizeHTML(area.namn)}: ${this.formatAreaValue(value, options.metric)}`);
+        marker.bindPopup(() => this.getAreaPopupContent(area), { maxWidth: 280 });
+        layer.addLayer(marker);
+      });
+
+    this.state.layers.areaLayer = layer.addTo(this.state.map);
+  }
+
+  formatAreaValue(value, metric) {
+    return metric === 'rate'
+      ? `${value.toFixed(1).replace('.', ',')} per 10 000 inv.`
+      : `${Math.round(value * 10) / 10} händelser`.replace('.', ',');
+  }
+
+  getAreaPopupContent(area) {
+    const { metric, weighted } = this.state.choropleth;
+    const types = area.types.slice(0, 8).map(({ type, count }) => `
+      <li style="display: flex; align-items: center; gap: 6px;">
+        <span class="legend-dot" style="background: ${CrimeSeveritySystem.getSeverityColor(type)}"></span>
+        <span style="flex: 1;">${Utils.sanitizeHTML(type)}</span>
+        <strong>${count}</strong>
+      </li>
+    `).join('');
+    const moreTypes = area.types.length > 8 ? `<li style="color: var(--text-muted);">+ ${area.types.length - 8} typer till</li>` : '';
+
+    return `
+      <div style="font-size: 0.8rem;">
+        <h4 style="margin: 0 0 4px;">${Utils.sanitizeHTML(area.namn)}</h4>
+        <div style="color: var(--text-muted); margin-bottom: 8px;">
+          ${area.count} händelser · ${area.population.toLocaleString('sv-SE')} invånare<br>
+          ${this.formatAreaValue(AreaStats.getValue(area, metric), metric)}${weighted ? ' (viktat efter allvarlighetsgrad)' : ''}
+        </div>
+        ${area.types.length > 0
+          ? `<ul style="list-style: none; margin: 0; padding: 0; display: grid; gap: 2px;">${types}${moreTypes}</ul>`
+          : '<div>Inga händelser i valt tidsfönster</div>'}
+      </div>
+    `;
+  }
+
+  async loadChoroplethOptions() {
+    try {
+      const stored = await DataStorage.getSetting('choroplethOptions');
+      if (stored) {
+        const options = this.state.choropleth;
+        if (AreaStats.LEVELS.includes(stored.level)) options.level = stored.level;
+        if (AreaStats.METRICS.includes(stored.metric)) options.metric = stored.metric;
+        if (stored.window === 'all' || stored.window in EventFilters.ROLLING_TIME_RANGES) options.window = stored.window;
+        options.weighted = stored.weighted === true;
+      }
+    } catch (error) {
+      console.error('Failed to load area view options:', error);
+    }
+
+    const { level, metric, window, weighted } = this.state.choropleth;
+    document.getElementById('choropleth-level').value = level;
+    document.getElementById('choropleth-metric').value = metric;
+    document.getElementById('choropleth-window').value = window;
+    document.getElementById('choropleth-weighted').checked = weighted;
+  }
+
+  async updateChoroplethOptions() {
+    const options = this.state.choropleth;
+    options.level = document.getElementById('choropleth-level').value;
+    options.metric = document.getElementById('choropleth-metric').value;
+    options.window = document.getElementById('choropleth-window').value;
+    options.weighted = document.getElementById('choropleth-weighted').checked;
+
+    this.renderEvents();
+    this.updateLegend();
+
+    try {
+      const { level, metric, window, weighted } = options;
+      await DataStorage.saveSetting('choroplethOptions', { level, metric, window, weighted });
+    } catch (error) {
+      console.error('Failed to save area view options:', error);
+    }
+  }
+
+  renderStations() {
+    this.state.stationIndex = new SpatialIndex(this.state.stations);
+
+    // Clear existing station markers
+    this.state.layers.stationCluster.clearLayers();
+
+    this.state.stations.forEach(station => {
+      const marker = station.createMarker();
+      if (marker) {
+        this.state.layers.stationCluster.addLayer(marker);
+      }
+    });
+
+    this.updateVisibleStats();
+  }
+
+  updateEventTypeSelect() {
+    const select = document.getElementById('event-type');
+    const currentValues = this.state.filters.types;
+
+    // Get unique types and sort them
+    const types = [...new Set(this.state.events.map(event => event.type))].sort();
+
+    // Clear and rebuild options
+    select.innerHTML = '';
+
+    types.forEach(type => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = type;
+      option.selected = currentValues.includes(type);
+      select.appendChild(option);
+    });
+
+    // Set reasonable size
+    select.size = Math.min(6, Math.max(1, types.length));
+  }
+
+  updateLegend() {
+    const statsEl = document.getElementById('legend-stats');
+    const itemsEl = document.getElementById('legend-items');
+
+    const total = this.state.filteredEvents.length;
+    const visible = this.getVisibleArea();
+    const { exactCount, approxCount, topTypes } = EventStats.summarize(visible.events);
+    const missingLocationCount = this.state.missingLocationCount || 0;
+    const locationFilterActive = Boolean(
+      (this.state.filters.locationCenter && this.state.filters.locationRadius) ||
+      this.state.filters.locationAreas.length > 0
     );
+    const missingLocationNotice = (locationFilterActive && missingLocationCount > 0)
+      ? `<div style="margin-top: 8px; font-size: 0.7rem; color: var(--color-warning);">
+          ⚠️ ${missingLocationCount} händelse${missingLocationCount > 1 ? 'r' : ''} saknar position och
+          visas inte inom valt område
+        </div>`
+      : '';
+
+    statsEl.innerHTML = `
+      <div style="margin-bottom: 8px;">
+        <strong>${total}</strong> filtrerade händelser visas
+      </div>
+      <div style="margin-bottom: 4px; font-size: 0.75rem;">
+        I kartvyn: <strong>${visible.events.length}</strong> händelser,
+        ${visible.stations.length} polisstationer
+      </div>
+      <div style="font-size: 0.7rem; color: var(--text-muted);">
+        Exakt position: ${exactCount} | Ungefärlig: ${approxCount}
+      </div>
+      ${missingLocationNotice}
+    `;
+
+    if (this.state.currentView === 'choropleth') {
+      itemsEl.innerHTML = this.getChoroplethLegend();
+      return;
+    }
+
+    // Top 6 most common types in the map view
+    itemsEl.innerHTML = topTypes.map(({ type, count, color }) => `
+      <div class="legend-item">
+        <div class="legend-dot" style="background: ${color}"></div>
+        <span>${Utils.sanitizeHTML(type)} (${count})</span>
+      </div>
+    `).join('');
+  }
+
+  getChoroplethLegend() {
+    const { level, metric, weighted, breaks } = this.state.choropleth;
+    const unit = metric === 'rate' ? 'Händelser per 10 000 invånare' : 'Antal händelser';
+    const entries = AreaStats.getLegend(breaks, metric).map(({ label, color }) => `
+      <div class="legend-item">
+        <div class="legend-dot" style="background: ${color}"></div>
+        <span>${label}</span>
+      </div>
+    `).join('');
+
+    return `
+      <div style="margin-bottom: 6px; font-size: 0.75rem; font-weight: 600;">
+        ${unit} per ${level}${weighted ? ', viktat' : ''}
+      </div>
+      ${entries}
+      <div class="legend-item">
+        <div class="legend-dot" style="background: ${CONFIG.CHOROPLETH.EMPTY_COLOR}"></div>
+        <span>Inga händelser</span>
+      </div>
+    `;
+  }
+
+  updateMarkerSizes() {
+    if (this.isTimePlayback()) {
+      this.renderPlaybackFrame();
+    } else if (this.state.currentView === 'markers') {
+      this.state.layers.markerRegistry.restyle(this.state.map.getZoom());
+    }
+  }
+
+  /**
+   * Filtered events and stations inside the map view, from the spatial
+   * indexes rather than a scan of every marker
+   */
+  getVisibleArea() {
+    if (!this.state.map) {
+      return { events: this.state.filteredEvents, stations: this.state.stations };
+    }
+
+    const bounds = this.state.map.getBounds();
+    const box = {
+      south: bounds.getSouth(),
+      west: bounds.getWest(),
+      north: bounds.getNorth(),
+      east: bounds.getEast()
+    };
+
+    return {
+      events: this.state.eventIndex.search(box),
+      stations: this.state.stationIndex.search(box)
+    };
+  }
+
+  updateVisibleStats() {
+    // Update any statistics that depend on current map view
+    this.updateLegend();
+  }
+
+  updateCharts() {
+    if (this.state.ui.statsVisible) {
+      this.renderTimelineChart();
+      this.renderTypeChart();
+    }
+  }
+
+  renderTimelineChart() {
+    const canvas = document.getElementById('timeline-chart');
+    const ctx = canvas.getContext('2d');
+
+    // Destroy existing chart
+    if (this.state.charts.timeline) {
+      this.state.charts.timeline.destroy();
+    }
+
+    // Group events by hour
+    const hourCounts = new Array(24).fill(0);
+    this.state.filteredEvents.forEach(event => {
+      const hour = event.timestamp.getHours();
+      hourCounts[hour]++;
+    });
+
+    this.state.charts.timeline = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: Array.from({length: 24}, (_, i) => `${String(i).padStart(2, '0')}:00`),
+        datasets: [{
+          label: 'Antal händelser',
+          data: hourCounts,
+          borderColor: 'var(--color-primary)',
+          backgroundColor: 'rgba(30, 64, 175, 0.1)',
+          borderWidth: 2,
+          fill: true,
+          tension: 0.4
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            display: false
+          }
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            ticks: {
+              precision: 0
+            }
+          }
+        }
+      }
+    });
+  }
+
+  renderTypeChart() {
+    const canvas = document.getElementById('type-chart');
+    const ctx = canvas.getContext('2d');
+
+    // Destroy existing chart
+    if (this.state.charts.types) {
+      this.state.charts.types.destroy();
+    }
+
+    // Count by type
+    const typeCounts = {};
+    this.state.filteredEvents.forEach(event => {
+      typeCounts[event.type] = (typeCounts[event.type] || 0) + 1;
+    });
+
+    const sortedTypes = Object.entries(typeCounts)
+      .sort(([,a], [,b]) => b - a)
+      .slice(0, 8); // Top 8 types
+
+    const labels = sortedTypes.map(([type]) => type);
+    const data = sortedTypes.map(([,count]) => count);
+    const colors = labels.map(type => CrimeSeveritySystem.getSeverityColor(type));
+
+    this.state.charts.types = new Chart(ctx, {
+      type: 'doughnut',
+      data: {
+        labels: labels,
+        datasets: [{
+          data: data,
+          backgroundColor: colors,
+          borderWidth: 2,
+          borderColor: '#ffffff'
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            position: 'bottom',
+            labels: {
+              boxWidth: 12,
+              padding: 10,
+              font: {
+                size: 11
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  renderRSSItems() {
+    const container = document.getElementById('rss-items');
+    const filter = document.getElementById('rss-filter').value.toLowerCase();
+
+    const filteredItems = (this.state.rssItems || []).filter(item => {
+      if (!filter) return true;
+      return item.title.toLowerCase().includes(filter) ||
+             item.description.toLowerCase().includes(filter) ||
+             item.location.toLowerCase().includes(filter) ||
+             (item.categories || []).some(category => category.toLowerCase().includes(filter));
+    });
+
+    container.innerHTML = filteredItems.map(item => {
+      // Best matching event first
+      const links = this.state.rssLinks.byItem.get(item.id) || [];
+      const mapButton = links.length > 0 ? `
+        <button type="button" data-rss-event-id="${Utils.sanitizeHTML(links[0].eventId)}"
+                title="${links.length > 1 ? `Kopplad till ${links.length} händelser, visar den mest sannolika` : 'Visa den kopplade händelsen'}"
+                style="margin-top: 6px; padding: 4px 8px; font-size: 0.75rem; border: 1px solid var(--border-light); border-radius: 6px; background: var(--bg-tertiary); color: var(--color-primary); cursor: pointer;">
+          🗺️ Visa på kartan${links.length > 1 ? ` (${links.length})` : ''}
+        </button>` : '';
+
+      return `
+        <div style="border-bottom: 1px solid var(--border-light); padding: 12px 0;">
+          <h5 style="margin: 0 0 6px; font-size: 0.875rem;">
+            <a href="${item.link}" target="_blank" rel="noopener" style="color: var(--color-primary); text-decoration: none;">
+              ${item.title}
+            </a>
+          </h5>
+          <div style="font-size: 0.75rem; color: var(--text-muted); margin-bottom: 4px;">
+            📍 ${item.location} • 🕒 ${item.formattedDate}${item.categories?.length ? ` • 🏷️ ${item.categories.join(', ')}` : ''}
+          </div>
+          <div style="font-size: 0.8rem; color: var(--text-secondary);">
+            ${item.description}
+          </div>${mapButton}
+        </div>
+      `;
+    }).join('');
+
+    if (filteredItems.length === 0) {
+      container.innerHTML = '<div style="text-align: center; padding: 20px; color: var(--text-muted);">Inga nyheter matchar sökningen</div>';
+    }
+  }
+
+  filterRSSItems() {
+    this.renderRSSItems();
+  }
+
+  async locateUser() {
+    if (!navigator.geolocation) {
+      Utils.showToast('Geolokalisering stöds inte i denna webbläsare', 4000, 'error');
+      return;
+    }
+
+    Utils.showLoading('Lokaliserar din position...');
+
+    try {
+      const position = await new Promise((resolve, reject) => {
+        navigator.geolocation.getCurrentPosition(
+          resolve,
+          reject,
+          {
+            enableHighAccuracy: true,
+            timeout: 10000,
+            maximumAge: 300000 // 5 minutes
+          }
+        );
+      });
+
+      const { latitude, longitude } = position.coords;
+      this.state.userLocation = [latitude, longitude];
+
+      // Add user location marker
+      if (this.state.userLocationMarker) {
+        this.state.map.removeLayer(this.state.userLocationMarker);
+      }
+
+      this.state.userLocationMarker = L.marker([latitude, longitude], {
+        icon: L.divIcon({
+          className: 'user-location-marker',
+          html: '<div style="background: var(--color-primary); color: white; border: 3px solid white; border-radius: 50%; width: 20px; height: 20px; display: flex; align-items: center; justify-content: center; font-size: 12px; box-shadow: var(--shadow-md);">📍</div>',
+          iconSize: [20, 20],
+          iconAnchor: [10, 10]
+        })
+      });
+
+      this.state.userLocationMarker.addTo(this.state.map);
+      this.state.map.setView([latitude, longitude], 12);
+
+      Utils.showToast('Position hittad! Kartan centrerad på din plats', 3000, 'success');
+
+    } catch (error) {
+      console.error('Geolocation error:', error);
+      Utils.showToast('Kunde inte hämta din position. Kontrollera behörigheter', 4000, 'error');
+    } finally {
+      Utils.hideLoading();
+    }
+  }
+
+  toggleTimeline() {
+    this.state.ui.timelineVisible = !this.state.ui.timelineVisible;
+    const panel = document.getElementById('timeline-panel');
+    panel.style.display = this.state.ui.timelineVisible ? 'block' : 'none';
+
+    if (this.state.ui.timelineVisible) {
+      // Reset timeline state
+      this.state.filters.timelineHour = null;
+      this.state.ui.timeline.currentHour = 0;
+      this.state.ui.timeline.frames = [];
+      this.state.ui.timeline.frameIndex = 0;
+      this.updateTimelineControls();
+      this.applyFilters();
+    } else {
+      this.hideTimeline();
+    }
+  }
+
+  hideTimeline() {
+    this.state.ui.timelineVisible = false;
+    this.state.filters.timelineHour = null;
+
+    if (this.state.ui.timeline.playing) {
+      this.pauseTimeline();
+    }
+
+    document.getElementById('timeline-panel').style.display = 'none';
+    this.applyFilters();
+  }
+
+  /**
+   * Whether the timeline is open and playing through real time, which
+   * replaces the markers with the events of the current frame
+   */
+  isTimePlayback() {
+    return this.state.ui.timelineVisible && this.state.ui.timeline.mode === 'time';
+  }
+
+  setTimelineMode(mode) {
+    this.pauseTimeline();
+    this.state.ui.timeline.mode = mode;
+    this.state.ui.timeline.currentHour = 0;
+    this.state.filters.timelineHour = null;
+
+    this.updateTimelineControls();
+    this.applyFilters();
+  }
+
+  setTimelineStep(step) {
+    if (!TimelinePlayback.STEPS[step]) return;
+
+    // preparePlayback keeps the current time at the new step
+    this.state.ui.timeline.step = step;
+    if (this.isTimePlayback()) this.renderEvents();
+  }
+
+  setTimelineSpeed(speed) {
+    if (!(speed > 0)) return;
+
+    this.state.ui.timeline.speed = speed;
+    if (this.state.ui.timeline.playing) {
+      this.pauseTimeline();
+      this.playTimeline();
+    }
+  }
+
+  /**
+   * Show the controls of the current mode
+   */
+  updateTimelineControls() {
+    const timeline = this.state.ui.timeline;
+    const realTime = timeline.mode === 'time';
+    const slider = document.getElementById('timeline-slider');
+
+    document.getElementById('timeline-mode').value = timeline.mode;
+    ['timeline-step', 'timeline-trail', 'timeline-histogram'].forEach(id => {
+      document.getElementById(id).style.display = realTime ? '' : 'none';
+    });
+
+    slider.setAttribute('aria-label', realTime ? 'Tidpunkt i uppspelningen' : 'Tidslinje för timme på dagen');
+    if (!realTime) {
+      slider.max = 23;
+      slider.value = timeline.currentHour;
+      document.getElementById('timeline-time').textContent =
+        `${String(timeline.currentHour).padStart(2, '0')}:00`;
+    }
+  }
+
+  /**
+   * Frames, sorted events and histogram for the filtered events, staying at
+   * the time shown before when it is still in range
+   */
+  preparePlayback() {
+    const timeline = this.state.ui.timeline;
+    const stepMs = TimelinePlayback.STEPS[timeline.step];
+    const previous = timeline.frames[timeline.frameIndex];
+    const range = TimelinePlayback.getRange(this.state.filteredEvents, this.state.filters);
+
+    timeline.sortedEvents = TimelinePlayback.sortByTime(this.state.filteredEvents);
+    timeline.frames = TimelinePlayback.getFrames(range, stepMs);
+    timeline.histogram = TimelinePlayback.getHistogram(timeline.sortedEvents, timeline.frames, stepMs);
+    timeline.frameIndex = previous === undefined
+      ? 0
+      : Math.max(0, TimelinePlayback.getFrameIndex(timeline.frames, previous));
+
+    const slider = document.getElementById('timeline-slider');
+    slider.max = Math.max(timeline.frames.length - 1, 0);
+    slider.value = timeline.frameIndex;
+  }
+
+  showPlaybackFrame(index) {
+    const timeline = this.state.ui.timeline;
+    if (timeline.frames.length === 0) return null;
+
+    timeline.frameIndex = Math.max(0, Math.min(timeline.frames.length - 1, index));
+    document.getElementById('timeline-slider').value = timeline.frameIndex;
+    return this.renderPlaybackFrame();
+  }
+
+  /**
+   * Draw the events of the current frame, with the trail of the steps
+   * before it fading out
+   *
+   * @returns {{ frameEvents: Array<object>, label: string } | null} what was drawn
+   */
+  renderPlaybackFrame() {
+    const timeline = this.state.ui.timeline;
+    const frameStart = timeline.frames[timeline.frameIndex];
+    const label = document.getElementById('timeline-time');
+
+    if (!this.state.layers.playbackLayer) {
+      this.state.layers.playbackLayer = L.layerGroup().addTo(this.state.map);
+    }
+    this.state.layers.playbackLayer.clearLayers();
+    this.state.layers.playbackMarkers.clear();
+
+    if (frameStart === undefined) {
+      label.textContent = 'Inga händelser att spela upp';
+      this.drawTimelineHistogram();
+      return null;
+    }
+
+    const stepMs = TimelinePlayback.STEPS[timeline.step];
+    const zoom = this.state.map.getZoom();
+    const frameEvents = TimelinePlayback.getFrameEvents(timeline.sortedEvents, frameStart, {
+      stepMs,
+      trailMs: stepMs * timeline.trailSteps
+    });
+
+    // Oldest first, so the current step is drawn on top of its trail
+    frameEvents.forEach(({ event, opacity, current }) => {
+      const marker = MapLayers.createPlaybackMarker(event, zoom, opacity);
+      this.attachPopupActions(marker, event);
+      this.state.layers.playbackLayer.addLayer(marker);
+
+      if (current) {
+        this.state.layers.playbackMarkers.set(event.id, marker);
+      }
+    });
+
+    const count = frameEvents.filter(item => item.current).length;
+    label.textContent = `${this.formatPlaybackFrame(frameStart, stepMs)} · ${count} ${count === 1 ? 'händelse' : 'händelser'}`;
+    this.drawTimelineHistogram();
+
+    return { frameEvents, label: label.textContent };
+  }
+
+  formatPlaybackFrame(frameStart, stepMs) {
+    if (stepMs >= TimelinePlayback.STEPS['1day']) {
+      return Utils.formatDate(frameStart, { weekday: 'short', hour: undefined, minute: undefined });
+    }
+
+    const end = Utils.formatDate(frameStart + stepMs, { year: undefined, month: undefined, day: undefined });
+    return `${Utils.formatDate(frameStart, { weekday: 'short' })}–${end}`;
+  }
+
+  /**
+   * Events over the played range under the slider, colored by the most
+   * severe event, with the bins already played in full color
+   */
+  drawTimelineHistogram() {
+    const canvas = document.getElementById('timeline-histogram');
+    const { histogram, frames, frameIndex } = this.state.ui.timeline;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!width || !height) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    if (!histogram || histogram.bins.length === 0) return;
+
+    const barWidth = width / histogram.bins.length;
+    const currentBin = Math.floor(frameIndex / histogram.framesPerBin);
+
+    histogram.bins.forEach((bin, index) => {
+      if (bin.count === 0) return;
+
+      const barHeight = Math.max(2, (bin.count / histogram.max) * (height - 4));
+      ctx.globalAlpha = index <= currentBin ? 1 : 0.35;
+      ctx.fillStyle = bin.color || '#64748b';
+      ctx.fillRect(index * barWidth, height - barHeight, Math.max(barWidth - 1, 1), barHeight);
+    });
+
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = getComputedStyle(canvas).getPropertyValue('--color-primary').trim() || '#2563eb';
+    ctx.fillRect(((frameIndex + 0.5) / frames.length) * width - 1, 0, 2, height);
+  }
+
+  /**
+   * Click or drag on the histogram to move to that time
+   */
+  bindTimelineHistogram() {
+    const canvas = document.getElementById('timeline-histogram');
+
+    const scrub = (event) => {
+      const { frames } = this.state.ui.timeline;
+      if (!this.isTimePlayback() || frames.length === 0) return;
+
+      const rect = canvas.getBoundingClientRect();
+      const position = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+      this.showPlaybackFrame(Math.floor(position * frames.length));
+    };
+
+    canvas.addEventListener('pointerdown', (event) => {
+      this.pauseTimeline();
+      canvas.setPointerCapture(event.pointerId);
+      scrub(event);
+    });
+
+    canvas.addEventListener('pointermove', (event) => {
+      if (canvas.hasPointerCapture(event.pointerId)) {
+        scrub(event);
+      }
+    });
+  }
+
+  playTimeline() {
+    const timeline = this.state.ui.timeline;
+    if (timeline.playing || timeline.recording) return;
+
+    if (this.isTimePlayback()) {
+      if (timeline.frames.length === 0) {
+        Utils.showToast('Inga händelser att spela upp', 3000, 'warning');
+        return;
+      }
+      // Start over when the end has been reached
+      if (timeline.frameIndex >= timeline.frames.length - 1) {
+        this.showPlaybackFrame(0);
+      }
+    }
+
+    timeline.playing = true;
+    timeline.timer = setInterval(() => {
+      if (this.isTimePlayback()) {
+        this.showPlaybackFrame(timeline.frameIndex + 1);
+        if (timeline.frameIndex >= timeline.frames.length - 1) {
+          this.pauseTimeline();
+        }
+        return;
+      }
+
+      timeline.currentHour = (timeline.currentHour + 1) % 24;
+      document.getElementById('timeline-slider').value = timeline.currentHour;
+      this.updateTimelineHour(timeline.currentHour);
+
+      if (timeline.currentHour === 23) {
+        // Auto-pause at end of day
+        this.pauseTimeline();
+      }
+    }, CONFIG.TIMELINE.STEP_INTERVAL / timeline.speed);
+
+    document.getElementById('timeline-play').textContent = 'Spelar...';
+  }
+
+  pauseTimeline() {
+    if (this.state.ui.timeline.timer) {
+      clearInterval(this.state.ui.timeline.timer);
+      this.state.ui.timeline.timer = null;
+    }
+
+    this.state.ui.timeline.playing = false;
+    document.getElementById('timeline-play').textContent = 'Spela';
+  }
+
+  /**
+   * Record the playback from the current frame to the end, as WebM or, where
+   * the browser can't record video, as an animated GIF. Clicking again stops
+   * the recording and keeps what has been recorded.
+   */
+  async recordTimeline(format = 'webm') {
+    const timeline = this.state.ui.timeline;
+    if (timeline.recording) {
+      timeline.recording.stopped = true;
+      return;
+    }
+
+    if (!this.isTimePlayback() || timeline.frames.length === 0) {
+      Utils.showToast('Inga händelser att spela in', 3000, 'warning');
+      return;
+    }
+
+    const mimeType = PlaybackRecorder.getWebmMimeType();
+    const gif = format === 'gif' || !mimeType;
+    if (format === 'webm' && gif) {
+      Utils.showToast('Webbläsaren kan inte spela in video, sparar som GIF', 3000, 'info');
+    }
+
+    this.pauseTimeline();
+    const recording = { stopped: false };
+    timeline.recording = recording;
+    const button = document.getElementById('timeline-record');
+    button.textContent = '⏹ Stoppa';
+
+    try {
+      const container = this.state.map.getContainer();
+      const maxWidth = gif ? CONFIG.TIMELINE.RECORDING.GIF_MAX_WIDTH : CONFIG.TIMELINE.RECORDING.MAX_WIDTH;
+      const { width, height, scale } = PlaybackRecorder.getFrameSize(container.clientWidth, container.clientHeight, maxWidth);
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+
+      const first = timeline.frameIndex >= timeline.frames.length - 1 ? 0 : timeline.frameIndex;
+      const stepMs = TimelinePlayback.STEPS[timeline.step];
+      const frameMs = CONFIG.TIMELINE.STEP_INTERVAL / timeline.speed;
+      const recorded = timeline.sortedEvents.filter(event => event.timeMs >= timeline.frames[first] - stepMs * timeline.trailSteps);
+      const legend = PlaybackRecorder.getLegendEntries(recorded);
+
+      const drawFrame = (index) => {
+        const frame = this.showPlaybackFrame(index);
+        PlaybackRecorder.drawFrame(ctx, { map: this.state.map, scale, legend, ...frame });
+      };
+      const frameIndexes = timeline.frames.map((_, index) => index).slice(first);
+
+      let blob;
+      if (gif) {
+        const encoder = new GifEncoder(width, height);
+        for (const index of frameIndexes) {
+          if (recording.stopped || !this.isTimePlayback()) break;
+          drawFrame(index);
+          encoder.addFrame(ctx.getImageData(0, 0, width, height).data, frameMs);
+          // Let the page repaint between frames
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        blob = new Blob([encoder.finish()], { type: 'image/gif' });
+      } else {
+        drawFrame(frameIndexes[0]);
+        const chunks = [];
+        const recorder = new MediaRecorder(canvas.captureStream(CONFIG.TIMELINE.RECORDING.FPS), {
+          mimeType,
+          videoBitsPerSecond: CONFIG.TIMELINE.RECORDING.VIDEO_BITS_PER_SECOND
+        });
+        const finished = new Promise((resolve, reject) => {
+          recorder.addEventListener('dataavailable', (event) => chunks.push(event.data));
+          recorder.addEventListener('stop', resolve);
+          recorder.addEventListener('error', (event) => reject(event.error));
+        });
 
-    const hasApproximate = approximateIndicators.some(indicator => text.includes(indicator));
+        recorder.start();
+        for (const index of frameIndexes) {
+          if (recording.stopped || !this.isTimePlayback()) break;
+          drawFrame(index);
+          // MediaRecorder records in real time, so each frame is held for its duration
+          await new Promise(resolve => setTimeout(resolve, frameMs));
+        }
+        recorder.stop();
+        await finished;
+        blob = new Blob(chunks, { type: 'video/webm' });
+      }
 
-    return hasExact && !hasApproximate;
+      const extension = PlaybackRecorder.FORMATS[gif ? 'gif' : 'webm'].extension;
+      this.downloadBlob(blob, `aktuella-brott-tidslinje-${Utils.getStockholmDateTime(timeline.frames[first]).date}.${extension}`);
+      Utils.showToast(`Inspelningen sparades som ${PlaybackRecorder.FORMATS[gif ? 'gif' : 'webm'].label}`, 2000, 'success');
+    } catch (error) {
+      console.error('Failed to record timeline:', error);
+      Utils.showToast(error?.name === 'SecurityError'
+        ? 'Kartbilderna kunde inte spelas in, ladda om sidan och försök igen'
+        : 'Kunde inte spela in tidslinjen', 4000, 'error');
+    } finally {
+      timeline.recording = null;
+      button.textContent = '⏺ Spela in';
+    }
   }
 
-  applyPrivacyOffset() {
-    if (!this.lat || !this.lng) return;
+  toggleFavorites() {
+    const panel = document.getElementById('favorites-panel');
+    if (!panel) return;
+
+    this.state.ui.favoritesVisible = !this.state.ui.favoritesVisible;
+    panel.style.display = this.state.ui.favoritesVisible ? 'flex' : 'none';
+
+    if (this.state.ui.favoritesVisible) {
+      this.setFavoritesTab(this.state.ui.favoritesActiveTab);
+    }
+  }
 
-    // Add random offset up to ~300 meters for privacy
-    const offsetLat = (Math.random() - 0.5) * 0.006; // ~300m
-    const offsetLng = (Math.random() - 0.5) * 0.009; // ~300m
+  hideFavorites() {
+    const panel = document.getElementById('favorites-panel');
+    if (!panel) return;
 
-    this.lat += offsetLat;
-    this.lng += offsetLng;
-    this.coordinateSource = 'offset';
+    this.state.ui.favoritesVisible = false;
+    panel.style.display = 'none';
   }
 
-  validateLocationConsistency() {
-    // Check if extracted city matches coordinates (basic validation)
-    if (this.lat && this.lng && this.city) {
-      // This could be enhanced with a city-coordinate database
-      this.locationConsistency = 'unverified';
+  setFavoritesTab(tab) {
+    const tabs = ['events', 'locations', 'watch'];
+    if (!tabs.includes(tab)) {
+      return;
+    }
+
+    this.state.ui.favoritesActiveTab = tab;
+
+    tabs.forEach(name => {
+      document.getElementById(`tab-${name}`)?.classList.toggle('active', tab === name);
+
+      const content = document.getElementById(`favorites-${name}-content`);
+      if (content) {
+        content.style.display = tab === name ? 'block' : 'none';
+      }
+    });
+
+    if (tab === 'watch') {
+      this.populateWatchZoneForm();
     }
   }
 
-  validateData() {
-    this.isValid = Boolean(
-      this.lat &&
-      this.lng &&
-      this.timestamp &&
-      this.type &&
-      Utils.isWithinSweden(this.lat, this.lng)
-    );
+  async refreshData() {
+    Utils.showLoading('Uppdaterar data...');
+
+    try {
+      await this.loadPoliceEvents();
+      await this.loadPoliceStations();
+      await this.loadRSSFeed();
+
+      Utils.showToast('Data har uppdaterats framgångsrikt', 3000, 'success');
+
+    } catch (error) {
+      console.error('Refresh error:', error);
+      Utils.showToast('Ett fel uppstod vid uppdatering av data', 4000, 'error');
+    } finally {
+      Utils.hideLoading();
+    }
+  }
 
-    if (!this.isValid) {
-      console.warn('Invalid event data:', {
-        id: this.id,
-        hasCoordinates: Boolean(this.lat && this.lng),
-        hasTimestamp: Boolean(this.timestamp),
-        hasType: Boolean(this.type),
-        withinSweden: this.lat && this.lng ? Utils.isWithinSweden(this.lat, this.lng) : false
+  toggleFullscreen() {
+    if (!document.fullscreenElement) {
+      document.documentElement.requestFullscreen().then(() => {
+        Utils.showToast('Fullskärmsläge aktiverat', 2000, 'success');
+      }).catch(() => {
+        Utils.showToast('Kunde inte aktivera fullskärm', 3000, 'error');
+      });
+    } else {
+      document.exitFullscreen().then(() => {
+        Utils.showToast('Fullskärmsläge avaktiverat', 2000, 'info');
       });
     }
   }
 
-  getFormattedTime() {
-    return Utils.formatDate(this.timestamp);
+  toggleStats() {
+    this.state.ui.statsVisible = !this.state.ui.statsVisible;
+    const panel = document.getElementById('stats-panel');
+    panel.style.display = this.state.ui.statsVisible ? 'block' : 'none';
+
+    if (this.state.ui.statsVisible) {
+      // Render charts when panel is shown
+      setTimeout(() => {
+        this.renderTimelineChart();
+        this.renderTypeChart();
+        this.renderRSSItems();
+      }, 100);
+    }
+  }
+
+  hideStats() {
+    this.state.ui.statsVisible = false;
+    document.getElementById('stats-panel').style.display = 'none';
   }
 
-  getRelativeTime() {
-    const now = new Date();
-    const diffMs = now.getTime() - this.timeMs;
-    const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
-    const diffDays = Math.floor(diffHours / 24);
+  async loadSeverityRules() {
+    try {
+      const stored = await DataStorage.getSetting(SeverityRules.SETTINGS_KEY);
+      const ruleSet = SeverityRules.migrate(stored);
+
+      if (ruleSet) {
+        CrimeSeveritySystem.setRuleSet(ruleSet);
 
-    if (diffDays > 7) return Utils.formatDate(this.timestamp, { month: 'short', day: 'numeric' });
-    if (diffDays > 0) return `${diffDays} dag${diffDays > 1 ? 'ar' : ''} sedan`;
-    if (diffHours > 0) return `${diffHours} timm${diffHours > 1 ? 'ar' : 'e'} sedan`;
-    return 'Nyligen';
+        // Persist the upgraded rule set so the migration only runs once
+        if (stored.version !== ruleSet.version) {
+          await DataStorage.saveSetting(SeverityRules.SETTINGS_KEY, ruleSet);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load severity rules:', error);
+    }
   }
 
   /**
-   * Generate enhanced popup content using the new EnhancedEventPopup system
+   * Activate and persist a rule set, then reclassify all loaded events.
+   * Returns false (with a toast) when the rule set is invalid.
    */
-  getPopupContent() {
-    // Check if EnhancedEventPopup is available, fallback to basic popup if not
-    if (typeof EnhancedEventPopup !== 'undefined') {
-      return EnhancedEventPopup.generatePopupContent(this);
+  async applySeverityRules(ruleSet, message = 'Allvarlighetsreglerna har sparats') {
+    try {
+      CrimeSeveritySystem.setRuleSet(ruleSet);
+    } catch (error) {
+      console.warn('Rejected severity rules:', error);
+      Utils.showToast(error.message, 6000, 'error');
+      return false;
+    }
+
+    try {
+      await DataStorage.saveSetting(SeverityRules.SETTINGS_KEY, ruleSet);
+    } catch (error) {
+      console.error('Failed to save severity rules:', error);
+      Utils.showToast('Reglerna gäller men kunde inte sparas', 4000, 'warning');
     }
 
-    // Fallback to basic popup for backwards compatibility
-    return this.getBasicPopupContent();
+    this.state.allEvents.forEach(event => {
+      event.severityInfo = CrimeSeveritySystem.getSeverityInfo(event);
+      event.priority = event.severityInfo.priority;
+    });
+
+    // Priority and level filters run on the pipeline's copy of the events
+    this.syncPipelineEvents();
+    this.applyFilters();
+    this.renderSeverityRules();
+    Utils.showToast(message, 2000, 'success');
+    return true;
   }
 
   /**
-   * Basic popup content (fallback)
+   * Copy of the active rule set for editing
    */
-  getBasicPopupContent() {
-    const severityColor = this.severityInfo.color;
-    const priorityEmojis = {
-      low: '🟢',
-      medium: '🟡',
-      high: '🟠',
-      critical: '🔴'
-    };
+  cloneSeverityRules() {
+    return JSON.parse(JSON.stringify(CrimeSeveritySystem.getRuleSet()));
+  }
 
-    const locationAccuracy = this.exactLocation ?
-      '<span style="color: #059669; font-size: 0.75rem; font-weight: 500;">📍 Exakt position</span>' :
-      '<span style="color: #d97706; font-size: 0.75rem; font-weight: 500;">📍 Ungefärlig position</span>';
+  async loadArchiveSettings() {
+    try {
+      const stored = await DataStorage.getSetting('archive');
+      if (stored) {
+        this.state.archive.enabled = stored.enabled !== false;
+        if (Number.isFinite(stored.maxEvents) && stored.maxEvents > 0) {
+          this.state.archive.maxEvents = stored.maxEvents;
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load archive settings:', error);
+    }
 
-    const fullAddress = this.address !== this.city ? this.address : this.city;
-    const relativeTime = this.getRelativeTime();
+    document.getElementById('archive-enabled').checked = this.state.archive.enabled;
+    document.getElementById('archive-quota').value = String(this.state.archive.maxEvents);
+    document.getElementById('archive-month').value = EventFilters.getPeriodForDate('month').slice('month:'.length);
+    document.getElementById('archive-week').value = EventFilters.getPeriodForDate('week').slice('week:'.length);
+    this.updateArchivePeriodInputs();
+  }
 
-    return `
-      <div style="min-width: 280px; font-family: inherit; line-height: 1.6;">
-        <header style="margin: 0 0 12px; padding-bottom: 8px; border-bottom: 2px solid ${severityColor};">
-          <h3 style="margin: 0 0 4px; color: var(--text-primary); font-size: 1rem; font-weight: 600;">
-            ${Utils.sanitizeHTML(this.title)}
-          </h3>
-          <div style="font-size: 0.75rem; color: var(--text-muted);">
-            ${relativeTime} • ${this.getFormattedTime()}
-          </div>
-        </header>
-
-        <div style="margin: 12px 0; padding: 10px 12px; background: #f8fafc; border-left: 4px solid ${severityColor}; border-radius: 4px;">
-          <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 4px;">
-            ${priorityEmojis[this.priority]}
-            <strong style="color: var(--text-primary); font-size: 0.9rem;">
-              ${Utils.sanitizeHTML(this.severityInfo.description)}
-            </strong>
-          </div>
-          <div style="font-size: 0.75rem; color: var(--text-muted);">
-            Prioritet: ${this.priority} • Nivå ${this.severityInfo.level}/5
-          </div>
-        </div>
+  /**
+   * Delete and compact stored events according to the archive settings
+   */
+  async applyArchiveRetention() {
+    try {
+      const { enabled, maxEvents } = this.state.archive;
+      const { removed, compacted } = await DataStorage.applyRetention({ archive: enabled, maxEvents });
 
-        <section style="margin: 12px 0;">
-          <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
-            📍 Plats:
-          </strong>
-          <div style="margin: 4px 0 8px;">
-            <div style="color: var(--text-primary); font-size: 0.875rem; margin-bottom: 4px;">
-              ${Utils.sanitizeHTML(fullAddress)}
-            </div>
-            ${locationAccuracy}
-          </div>
-        </section>
-
-        ${this.description ? `
-          <section style="margin: 12px 0; padding-top: 8px; border-top: 1px solid var(--border-light);">
-            <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
-              📄 Beskrivning:
-            </strong>
-            <div style="color: var(--text-secondary); font-size: 0.8rem; margin-top: 4px; line-height: 1.5;">
-              ${Utils.sanitizeHTML(this.description)}
-            </div>
-          </section>
-        ` : ''}
-
-        ${this.keywords && this.keywords.length > 0 ? `
-          <section style="margin: 12px 0;">
-            <div style="display: flex; flex-wrap: wrap; gap: 4px;">
-              ${this.keywords.map(keyword => `
-                <span style="background: var(--bg-tertiary); color: var(--text-muted); padding: 2px 6px; border-radius: 12px; font-size: 0.7rem;">
-                  ${Utils.sanitizeHTML(keyword)}
-                </span>
-              `).join('')}
-            </div>
-          </section>
-        ` : ''}
-
-        ${this.url ? `
-          <footer style="margin: 12px 0 0; padding-top: 8px; border-top: 1px solid var(--border-light);">
-            <a href="${this.url}" target="_blank" rel="noopener noreferrer"
-               style="color: var(--color-primary); text-decoration: none; font-size: 0.875rem; font-weight: 500;">
-              🔗 Mer information →
-            </a>
-          </footer>
-        ` : ''}
-      </div>
-    `;
+      if (removed > 0 || compacted > 0) {
+        console.log(`🗄️ Archive retention: ${removed} removed, ${compacted} compacted`);
+      }
+      this.renderArchiveStatus();
+    } catch (error) {
+      console.error('Failed to apply archive retention:', error);
+    }
   }
-}
 
-class PoliceStation {
-  constructor(rawData) {
-    this.id = Utils.generateStableId(rawData);
-    this.rawData = rawData;
-    this.parseData();
-    this.validateData();
+  async updateArchiveSettings() {
+    const enabledInput = document.getElementById('archive-enabled');
+    const quotaInput = document.getElementById('archive-quota');
+    const archive = this.state.archive;
+
+    if (archive.enabled && !enabledInput.checked &&
+        !confirm('Händelser äldre än 7 dagar raderas från den här webbläsaren. Fortsätta?')) {
+      enabledInput.checked = true;
+      return;
+    }
+
+    archive.enabled = enabledInput.checked;
+    archive.maxEvents = Math.max(1000, parseInt(quotaInput.value, 10) || CONFIG.STORAGE.ARCHIVE.MAX_EVENTS);
+    quotaInput.value = String(archive.maxEvents);
+
+    try {
+      await DataStorage.saveSetting('archive', { enabled: archive.enabled, maxEvents: archive.maxEvents });
+
+      // Ask the browser not to evict the archive under storage pressure
+      if (archive.enabled && navigator.storage && navigator.storage.persist) {
+        await navigator.storage.persist();
+      }
+
+      Utils.showToast(archive.enabled ? 'Arkivläget är på' : 'Arkivläget är av', 2000, 'success');
+    } catch (error) {
+      console.error('Failed to save archive settings:', error);
+      Utils.showToast('Kunde inte spara arkivinställningar', 3000, 'error');
+    }
+
+    await this.applyArchiveRetention();
   }
 
-  parseData() {
-    const raw = this.rawData;
+  toggleArchivePanel() {
+    if (this.state.ui.archiveVisible) {
+      this.hideArchivePanel();
+      return;
+    }
+
+    this.state.ui.archiveVisible = true;
+    document.getElementById('archive-panel').style.display = 'block';
+    this.renderArchiveStatus();
+  }
 
-    this.name = Utils.sanitizeHTML(raw.name || 'Polisstation');
-    this.parseCoordinates();
-    this.parseContactInfo();
-    this.parseServices();
-    this.parseOperatingHours();
+  hideArchivePanel() {
+    this.state.ui.archiveVisible = false;
+    document.getElementById('archive-panel').style.display = 'none';
   }
 
-  parseCoordinates() {
-    const raw = this.rawData;
-    let lat = null, lng = null;
+  async renderArchiveStatus() {
+    if (!this.state.ui.archiveVisible) return;
 
-    const location = raw.location;
-    if (location) {
-      const gps = location.gps || location.position || location.coordinates;
+    const statusEl = document.getElementById('archive-status');
 
-      if (typeof gps === 'string') {
-        const coords = gps.split(',').map(c => parseFloat(c.trim()));
-        if (coords.length === 2 && coords.every(c => !isNaN(c))) {
-          [lat, lng] = coords;
-        }
-      } else if (gps && typeof gps === 'object') {
-        lat = parseFloat(gps.lat || gps.latitude || gps.y);
-        lng = parseFloat(gps.lng || gps.longitude || gps.lon || gps.x);
-      }
+    try {
+      const { count, oldestTimeMs } = await DataStorage.getArchiveInfo();
+      const oldest = oldestTimeMs ? `, äldsta från ${Utils.formatDate(new Date(oldestTimeMs), { hour: undefined, minute: undefined })}` : '';
+      const period = this.state.archive.period
+        ? `<br>Visar ${EventFilters.describePeriod(this.state.archive.period)}`
+        : '';
+
+      statusEl.innerHTML = `${count.toLocaleString('sv-SE')} händelser sparade${oldest}${period}`;
+    } catch (error) {
+      console.error('Failed to read archive info:', error);
+      statusEl.textContent = 'Kunde inte läsa arkivet';
     }
+  }
 
-    if (lat && lng && Utils.isWithinSweden(lat, lng)) {
-      this.lat = lat;
-      this.lng = lng;
-    } else {
-      this.lat = null;
-      this.lng = null;
+  updateArchivePeriodInputs() {
+    const unit = document.getElementById('archive-unit').value;
+    document.getElementById('archive-month').style.display = unit === 'month' ? '' : 'none';
+    document.getElementById('archive-week').style.display = unit === 'week' ? '' : 'none';
+  }
+
+  /**
+   * Period picked in the archive panel, as a time range ('week:2026-W11')
+   */
+  getSelectedArchivePeriod() {
+    const unit = document.getElementById('archive-unit').value;
+    const value = document.getElementById(unit === 'month' ? 'archive-month' : 'archive-week').value.trim().toUpperCase();
+    const range = `${unit}:${value}`;
+
+    if (!EventFilters.isPeriod(range)) {
+      Utils.showToast(unit === 'month' ? 'Ange en månad som 2026-03' : 'Ange en vecka som 2026-W11', 3000, 'warning');
+      return null;
     }
+
+    return range;
   }
 
-  parseContactInfo() {
-    const raw = this.rawData;
+  /**
+   * Show a past month or week from the archive instead of the latest events
+   */
+  async loadArchivePeriod(range) {
+    const bounds = EventFilters.getPeriodBounds(range);
+    if (!bounds) return;
 
-    this.address = Utils.sanitizeHTML(
-      raw.location?.name ||
-      raw.location?.address ||
-      raw.address ||
-      'Adress ej tillgänglig'
-    );
+    try {
+      const { events: records } = await DataStorage.queryEvents(bounds);
 
-    this.phone = this.normalizePhoneNumber(
-      raw.phone || raw.contact?.phone || raw.telephone || ''
-    );
+      this.state.archive.period = range;
+      this.state.archive.events = records.map(record => this.rehydrateEvent(record));
+      this.state.filters.timeRange = range;
+      Object.assign(this.state.filters, EventFilters.getTimeRangeDates(range));
 
-    this.email = this.validateEmail(
-      raw.email || raw.contact?.email || ''
-    );
+      document.getElementById('date-from').value = UrlState.formatDate(this.state.filters.dateFrom);
+      document.getElementById('date-to').value = UrlState.formatDate(this.state.filters.dateTo);
+      document.querySelectorAll('#filter-today, #filter-week, #filter-high-priority').forEach(btn => {
+        btn.classList.toggle('active', btn.id === 'filter-high-priority' && this.state.filters.priorityFilter === 'high-priority');
+      });
 
-    this.website = this.validateURL(
-      raw.url || raw.Url || raw.website || raw.location?.url
-    );
+      this.updateVisibleEvents();
+      this.applyFilters();
+      this.updateEventTypeSelect();
+      this.renderArchiveStatus();
+
+      Utils.showToast(`Visar ${records.length} händelser från ${EventFilters.describePeriod(range)}`, 3000, 'info');
+    } catch (error) {
+      console.error('Failed to load archived events:', error);
+      Utils.showToast('Kunde inte läsa arkivet', 3000, 'error');
+    }
   }
 
-  parseServices() {
-    const raw = this.rawData;
+  showLatestEvents() {
+    this.state.archive.period = null;
+    this.state.archive.events = null;
+    this.state.filters.timeRange = null;
+    this.state.filters.dateFrom = null;
+    this.state.filters.dateTo = null;
 
-    if (Array.isArray(raw.services)) {
-      this.services = raw.services.map(s => Utils.sanitizeHTML(s));
-    } else if (typeof raw.services === 'string') {
-      this.services = raw.services.split(',').map(s => Utils.sanitizeHTML(s.trim()));
-    } else {
-      this.services = [];
+    document.getElementById('date-from').value = '';
+    document.getElementById('date-to').value = '';
+    document.getElementById('archive-comparison').innerHTML = '';
+
+    this.updateVisibleEvents();
+    this.applyFilters();
+    this.updateEventTypeSelect();
+    this.renderArchiveStatus();
+  }
+
+  /**
+   * Events per type in a period and the same period one year earlier, with
+   * the type and area filters applied
+   */
+  async compareArchivePeriod(range) {
+    const previous = EventFilters.getPreviousYearPeriod(range);
+    const { types, länskod, kommunkod } = this.state.filters;
+    const container = document.getElementById('archive-comparison');
+
+    try {
+      const [{ events: current }, { events: earlier }] = await Promise.all([range, previous].map(period =>
+        DataStorage.queryEvents({ ...EventFilters.getPeriodBounds(period), types, länskod, kommunkod })
+      ));
+
+      const counts = new Map();
+      const count = (records, key) => records.forEach(({ type }) => {
+        const entry = counts.get(type) || { type, current: 0, earlier: 0 };
+        entry[key]++;
+        counts.set(type, entry);
+      });
+      count(current, 'current');
+      count(earlier, 'earlier');
+
+      const formatChange = (now, before) => {
+        if (before === 0) return now > 0 ? 'ny' : '–';
+        const change = Math.round((now - before) / before * 100);
+        return `${change > 0 ? '+' : ''}${change} %`;
+      };
+
+      const rows = [...counts.values()]
+        .sort((a, b) => b.current - a.current || b.earlier - a.earlier)
+        .map(({ type, current: now, earlier: before }) => `
+          <tr>
+            <td>${Utils.sanitizeHTML(type)}</td>
+            <td style="text-align: right;">${now}</td>
+            <td style="text-align: right;">${before}</td>
+            <td style="text-align: right;">${formatChange(now, before)}</td>
+          </tr>
+        `).join('');
+
+      container.innerHTML = `
+        <table style="width: 100%; font-size: 0.75rem; border-collapse: collapse;">
+          <thead>
+            <tr style="text-align: left; color: var(--text-muted);">
+              <th>Typ</th>
+              <th style="text-align: right;">${Utils.sanitizeHTML(EventFilters.describePeriod(range))}</th>
+              <th style="text-align: right;">${Utils.sanitizeHTML(EventFilters.describePeriod(previous))}</th>
+              <th style="text-align: right;">Förändring</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows || '<tr><td colspan="4">Inga händelser i arkivet för perioderna</td></tr>'}
+          </tbody>
+          <tfoot>
+            <tr style="font-weight: 600;">
+              <td>Totalt</td>
+              <td style="text-align: right;">${current.length}</td>
+              <td style="text-align: right;">${earlier.length}</td>
+              <td style="text-align: right;">${formatChange(current.length, earlier.length)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      `;
+    } catch (error) {
+      console.error('Failed to compare archived periods:', error);
+      Utils.showToast('Kunde inte jämföra perioderna', 3000, 'error');
+    }
+  }
+
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Download the events that pass the active filters
+   */
+  exportEvents(format) {
+    const events = this.state.filteredEvents;
+    if (events.length === 0) {
+      Utils.showToast('Inga händelser att exportera', 2000, 'warning');
+      return;
     }
 
-    this.servicesText = this.services.length > 0 ?
-      this.services.join(', ') :
-      'Allmänna polistjänster';
+    try {
+      const { content, filename, mimeType } = EventExport.export(events, format);
+      this.downloadBlob(new Blob([content], { type: mimeType }), filename);
 
-    // Categorize services
-    this.serviceCategories = this.categorizeServices();
+      Utils.showToast(`${events.length} händelser exporterade som ${EventExport.FORMATS[format].label}`, 2000, 'success');
+    } catch (error) {
+      console.error('Failed to export events:', error);
+      Utils.showToast('Kunde inte exportera händelserna', 3000, 'error');
+    }
   }
 
-  parseOperatingHours() {
-    const raw = this.rawData;
+  /**
+   * Draw the overlays saved in IndexedDB
+   */
+  async loadOverlays() {
+    try {
+      this.state.overlays = await DataStorage.getOverlays();
+      this.state.overlays.forEach(overlay => this.addOverlayLayer(overlay));
+    } catch (error) {
+      console.error('Failed to load overlays:', error);
+      Utils.showToast('Kunde inte läsa kartlagren', 3000, 'error');
+    }
+
+    this.renderOverlayList();
+    this.populatePolygonFilter();
+  }
 
-    this.openingHours = Utils.sanitizeHTML(
-      raw.openingHours ||
-      raw.hours ||
-      raw.operatingHours ||
-      ''
-    );
+  addOverlayLayer(overlay) {
+    const layer = MapLayers.createOverlayLayer(overlay);
+    this.state.layers.overlays.set(overlay.id, layer);
 
-    this.isAlwaysOpen = this.openingHours.toLowerCase().includes('dygnet') ||
-                      this.openingHours.toLowerCase().includes('24');
+    if (overlay.visible) {
+      layer.addTo(this.state.map);
+    }
+    return layer;
   }
 
-  normalizePhoneNumber(phone) {
-    if (!phone) return '';
+  /**
+   * Import GeoJSON or CSV files as overlays and zoom to the last one
+   */
+  async importOverlayFiles(files) {
+    const maxSize = CONFIG.OVERLAYS.MAX_FILE_SIZE;
+
+    for (const file of Array.from(files || [])) {
+      if (file.size > maxSize) {
+        Utils.showToast(`${file.name} är för stor (högst ${Math.round(maxSize / 1024 / 1024)} MB)`, 4000, 'error');
+        continue;
+      }
 
-    // Basic phone number normalization for Swedish numbers
-    const cleaned = phone.replace(/\D/g, '');
+      try {
+        const { name, geojson, featureCount, polygonCount } = OverlayImport.parse(await file.text(), file.name);
+        const colors = CONFIG.OVERLAYS.COLORS;
+        const overlay = {
+          id: `overlay_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+          name,
+          color: colors[this.state.overlays.length % colors.length],
+          visible: true,
+          geojson,
+          featureCount,
+          polygonCount,
+          createdAt: Date.now()
+        };
 
-    if (cleaned.length >= 8) {
-      // Format as Swedish phone number
-      if (cleaned.startsWith('46')) {
-        return `+${cleaned}`;
-      } else if (cleaned.startsWith('0')) {
-        return `+46${cleaned.substring(1)}`;
-      } else {
-        return `+46${cleaned}`;
+        await DataStorage.saveOverlay(overlay);
+        this.state.overlays.push(overlay);
+
+        const bounds = this.addOverlayLayer(overlay).getBounds();
+        if (bounds.isValid()) {
+          this.state.map.fitBounds(bounds, { padding: [20, 20], maxZoom: 14 });
+        }
+
+        Utils.showToast(`${name}: ${featureCount} objekt importerade`, 3000, 'success');
+      } catch (error) {
+        console.error(`Failed to import ${file.name}:`, error);
+        Utils.showToast(`Kunde inte importera ${file.name}: ${error.message}`, 5000, 'error');
       }
     }
 
-    return phone; // Return original if can't normalize
+    this.renderOverlayList();
+    this.populatePolygonFilter();
   }
 
-  validateEmail(email) {
-    if (!email) return '';
+  async setOverlayVisible(id, visible) {
+    const overlay = this.state.overlays.find(item => item.id === id);
+    const layer = this.state.layers.overlays.get(id);
+    if (!overlay || !layer) return;
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email) ? email : '';
+    overlay.visible = visible;
+    if (visible) {
+      layer.addTo(this.state.map);
+    } else {
+      this.state.map.removeLayer(layer);
+    }
+
+    try {
+      await DataStorage.saveOverlay(overlay);
+    } catch (error) {
+      console.error('Failed to save overlay:', error);
+    }
   }
 
-  validateURL(url) {
-    if (!url) return null;
+  async removeOverlay(id) {
+    const overlay = this.state.overlays.find(item => item.id === id);
+    if (!overlay || !confirm(`Ta bort lagret "${overlay.name}"?`)) return;
 
     try {
-      const parsedURL = new URL(url);
-      return parsedURL.protocol === 'http:' || parsedURL.protocol === 'https:' ? url : null;
-    } catch {
-      return null;
+      await DataStorage.removeOverlay(id);
+    } catch (error) {
+      console.error('Failed to remove overlay:', error);
+      Utils.showToast('Kunde inte ta bort lagret', 3000, 'error');
+      return;
+    }
+
+    const layer = this.state.layers.overlays.get(id);
+    if (layer) {
+      this.state.map.removeLayer(layer);
     }
+    this.state.layers.overlays.delete(id);
+    this.state.overlays = this.state.overlays.filter(item => item.id !== id);
+
+    const areas = this.state.filters.locationAreas;
+    if (areas.some(area => area.id.startsWith(`${id}:`))) {
+      this.state.filters.locationAreas = areas.filter(area => !area.id.startsWith(`${id}:`));
+      this.updateLocationAreas();
+      this.applyFilters();
+    }
+
+    this.renderOverlayList();
+    this.populatePolygonFilter();
   }
 
-  categorizeServices() {
-    const categories = {
-      emergency: [],
-      administrative: [],
-      specialized: [],
-      public: []
-    };
+  setStationsVisible(visible) {
+    const cluster = this.state.layers.stationCluster;
+    if (visible) {
+      cluster.addTo(this.state.map);
+    } else {
+      this.state.map.removeLayer(cluster);
+    }
+  }
 
-    const serviceMapping = {
-      emergency: ['akut', 'jourhavande', 'larmcentral', 'beredskap'],
-      administrative: ['pass', 'tillstånd', 'anmälan', 'administration'],
-      specialized: ['trafikpolis', 'kriminalpolis', 'narkotika', 'ekonomisk'],
-      public: ['reception', 'allmän', 'besök', 'information']
-    };
+  toggleOverlaysPanel() {
+    if (this.state.ui.overlaysVisible) {
+      this.hideOverlaysPanel();
+      return;
+    }
 
-    this.services.forEach(service => {
-      const lowerService = service.toLowerCase();
-      let categorized = false;
+    this.state.ui.overlaysVisible = true;
+    document.getElementById('overlays-panel').style.display = 'block';
+  }
 
-      for (const [category, keywords] of Object.entries(serviceMapping)) {
-        if (keywords.some(keyword => lowerService.includes(keyword))) {
-          categories[category].push(service);
-          categorized = true;
-          break;
-        }
-      }
+  hideOverlaysPanel() {
+    this.state.ui.overlaysVisible = false;
+    document.getElementById('overlays-panel').style.display = 'none';
+  }
 
-      if (!categorized) {
-        categories.public.push(service);
-      }
-    });
+  renderOverlayList() {
+    const listEl = document.getElementById('overlays-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = this.state.overlays.map(overlay => {
+      const name = Utils.sanitizeHTML(overlay.name);
 
-    return categories;
+      return `
+        <div style="display: flex; align-items: center; gap: 6px; margin-top: 8px; font-size: 0.875rem;">
+          <input type="checkbox" data-overlay-toggle="${overlay.id}" ${overlay.visible ? 'checked' : ''} aria-label="Visa ${name}">
+          <span style="width: 12px; height: 12px; border-radius: 3px; background: ${overlay.color}; flex-shrink: 0;"></span>
+          <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${name}">${name}</span>
+          <span style="font-size: 0.75rem; color: var(--text-muted);">${overlay.featureCount} st</span>
+          <button class="btn-close" data-overlay-remove="${overlay.id}" aria-label="Ta bort ${name}">×</button>
+        </div>
+      `;
+    }).join('');
   }
 
-  validateData() {
-    this.isValid = Boolean(
-      this.name &&
-      this.lat &&
-      this.lng &&
-      Utils.isWithinSweden(this.lat, this.lng)
-    );
+  /**
+   * List the overlays' polygons as location filter choices
+   */
+  populatePolygonFilter() {
+    const select = document.getElementById('location-polygon');
+    if (!select) return;
+
+    const groups = this.state.overlays
+      .filter(overlay => overlay.polygonCount > 0)
+      .map(overlay => {
+        const options = overlay.geojson.features
+          .map((feature, index) => Geometry.isPolygon(feature.geometry)
+            ? `<option value="${overlay.id}:${index}">${Utils.sanitizeHTML(OverlayImport.getFeatureLabel(feature, index))}</option>`
+            : '')
+          .join('');
+
+        return `<optgroup label="${Utils.sanitizeHTML(overlay.name)}">${options}</optgroup>`;
+      });
+
+    select.innerHTML = `<option value="">Lägg till område från ett lager…</option>${groups.join('')}`;
+    select.style.display = groups.length > 0 ? '' : 'none';
   }
 
-  createMarker() {
-    if (!this.isValid) return null;
-
-    const icon = L.divIcon({
-      className: 'police-station-icon',
-      html: `<div style="
-        background: #6b7280;
-        border: 2px solid white;
-        border-radius: 50%;
-        width: 12px;
-        height: 12px;
-        box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-        transition: all 0.15s ease;
-      "></div>`,
-      iconSize: [12, 12],
-      iconAnchor: [6, 6]
-    });
+  /**
+   * A polygon as a location filter, from its "overlayId:featureIndex" id
+   */
+  getOverlayPolygon(id) {
+    const [overlayId, index] = String(id).split(':');
+    const overlay = this.state.overlays.find(item => item.id === overlayId);
+    const feature = overlay?.geojson.features[Number(index)];
+    if (!feature || !Geometry.isPolygon(feature.geometry)) return null;
 
-    const marker = L.marker([this.lat, this.lng], {
-      icon: icon,
-      zIndexOffset: 100 // Below crime events
-    });
+    return {
+      id,
+      name: `${OverlayImport.getFeatureLabel(feature, Number(index))} (${overlay.name})`,
+      geometry: feature.geometry
+    };
+  }
 
-    marker.bindPopup(this.getPopupContent(), {
-      maxWidth: 350,
-      className: 'police-station-popup'
-    });
+  /**
+   * Sketch an area on the map and add it to the location filter
+   */
+  startAreaDrawing(mode) {
+    if (!this.state.map) return;
 
-    // Add hover effects
-    marker.on('mouseover', function() {
-      this.getElement().style.transform = 'scale(1.2)';
-    });
+    const previousMode = this.state.drawing?.mode;
+    this.state.drawing?.cancel();
+    if (previousMode === mode) return;
+
+    const hints = {
+      polygon: 'Klicka ut hörnen, dubbelklicka för att avsluta',
+      rectangle: 'Dra från ett hörn till det motsatta',
+      freehand: 'Dra runt området'
+    };
+
+    const done = () => {
+      this.state.drawing = null;
+      this.updateDrawingButtons();
+    };
+
+    this.state.drawing = new AreaDrawing(this.state.map, mode, {
+      onFinish: (geometry) => {
+        done();
+        const drawnCount = this.state.filters.locationAreas.filter(area => area.id.startsWith('drawn_')).length;
+        this.addLocationArea({
+          id: `drawn_${Date.now().toString(36)}`,
+          name: `Ritat område ${drawnCount + 1}`,
+          geometry
+        });
+      },
+      onCancel: done
+    }).start();
+
+    this.updateDrawingButtons();
+    Utils.showToast(`${hints[mode]}. Esc avbryter.`, 4000, 'info');
+  }
 
-    marker.on('mouseout', function() {
-      this.getElement().style.transform = 'scale(1)';
+  updateDrawingButtons() {
+    document.querySelectorAll('[data-draw-mode]').forEach(button => {
+      button.classList.toggle('active', button.dataset.drawMode === this.state.drawing?.mode);
     });
+  }
+
+  /**
+   * Show only events inside the location areas, in place of the radius
+   * filter. Areas combine: an event inside any of them is shown.
+   */
+  addLocationArea(area, { fit = false } = {}) {
+    if (!area || !Geometry.isPolygon(area.geometry)) return;
+
+    const filters = this.state.filters;
+    if (!filters.locationAreas.some(existing => existing.id === area.id)) {
+      filters.locationAreas = [...filters.locationAreas, area];
+    }
+
+    filters.locationCenter = null;
+    document.getElementById('location-search').value = '';
+    this.clearLocationCircle();
+    this.updateLocationAreas();
 
-    return marker;
+    if (fit) {
+      const bounds = L.geoJSON(area.geometry).getBounds();
+      if (bounds.isValid()) {
+        this.state.map.fitBounds(bounds, { padding: [20, 20] });
+      }
+    }
+
+    Utils.showToast(`Filtrerar inom ${area.name}`, 2000, 'success');
+    this.applyFilters();
   }
 
-  getPopupContent() {
-    const statusIndicator = this.isAlwaysOpen ?
-      '<span style="color: #22c55e; font-size: 0.75rem; font-weight: 500;">🟢 Öppet dygnet runt</span>' :
-      this.openingHours ?
-        `<span style="color: #f59e0b; font-size: 0.75rem; font-weight: 500;">🟡 Begränsade öppettider</span>` :
-        '<span style="color: #6b7280; font-size: 0.75rem; font-weight: 500;">⚪ Kontakta för öppettider</span>';
+  removeLocationArea(id) {
+    this.state.filters.locationAreas = this.state.filters.locationAreas.filter(area => area.id !== id);
+    this.updateLocationAreas();
+    this.applyFilters();
+  }
 
-    return `
-      <div style="min-width: 260px; font-family: inherit; line-height: 1.6;">
-        <header style="margin: 0 0 12px; padding-bottom: 8px; border-bottom: 2px solid var(--color-primary);">
-          <h3 style="margin: 0 0 4px; color: var(--text-primary); font-size: 1rem; font-weight: 600; display: flex; align-items: center; gap: 8px;">
-            🏢 ${Utils.sanitizeHTML(this.name)}
-          </h3>
-          ${statusIndicator}
-        </header>
-
-        <section style="margin: 12px 0;">
-          <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
-            📍 Adress:
-          </strong>
-          <div style="color: var(--text-primary); font-size: 0.875rem; margin-top: 4px;">
-            ${Utils.sanitizeHTML(this.address)}
-          </div>
-        </section>
-
-        <section style="margin: 12px 0;">
-          <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
-            🛡️ Tjänster:
-          </strong>
-          <div style="color: var(--text-primary); font-size: 0.875rem; margin-top: 4px;">
-            ${Utils.sanitizeHTML(this.servicesText)}
-          </div>
-        </section>
-
-        ${this.phone ? `
-          <section style="margin: 12px 0;">
-            <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
-              📞 Telefon:
-            </strong>
-            <div style="margin-top: 4px;">
-              <a href="tel:${this.phone}" style="color: var(--color-primary); text-decoration: none; font-size: 0.875rem; display: inline-flex; align-items: center; gap: 4px;">
-                📞 ${this.phone}
-              </a>
-            </div>
-          </section>
-        ` : ''}
-
-        ${this.email ? `
-          <section style="margin: 12px 0;">
-            <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
-              ✉️ E-post:
-            </strong>
-            <div style="margin-top: 4px;">
-              <a href="mailto:${this.email}" style="color: var(--color-primary); text-decoration: none; font-size: 0.875rem; display: inline-flex; align-items: center; gap: 4px;">
-                ✉️ ${this.email}
-              </a>
-            </div>
-          </section>
-        ` : ''}
-
-        ${this.openingHours ? `
-          <section style="margin: 12px 0;">
-            <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
-              🕒 Öppettider:
-            </strong>
-            <div style="color: var(--text-primary); font-size: 0.875rem; margin-top: 4px;">
-              ${Utils.sanitizeHTML(this.openingHours)}
-            </div>
-          </section>
-        ` : ''}
-
-        ${this.website ? `
-          <footer style="margin: 12px 0 0; padding-top: 8px; border-top: 1px solid var(--border-light);">
-            <a href="${this.website}" target="_blank" rel="noopener noreferrer"
-               style="color: var(--color-primary); text-decoration: none; font-size: 0.875rem; font-weight: 500; display: inline-flex; align-items: center; gap: 4px;">
-              🌐 Mer information →
-            </a>
-          </footer>
-        ` : ''}
-      </div>
-    `;
+  clearLocationAreas() {
+    this.state.filters.locationAreas = [];
+    this.updateLocationAreas();
   }
-}
 
-// ===== MAIN APPLICATION CLASS =====
-class PoliceEventsApp {
-  constructor() {
-    this.map = null;
-    this.eventCluster = null;
-    this.stationCluster = null;
-    this.allEvents = [];
-    this.allStations = [];
-    this.filteredEvents = [];
-    this.currentFilters = {
-      severity: 'all',
-      timeRange: '7days',
-      exactLocation: 'all',
-      city: ''
-    };
-    this.isLoading = false;
-    this.lastUpdateTime = null;
-    this.userLocation = null;
+  /**
+   * Outline the location areas on the map and list them under the filter
+   */
+  updateLocationAreas() {
+    const areas = this.state.filters.locationAreas;
+
+    if (this.state.layers.locationAreas && this.state.map) {
+      this.state.map.removeLayer(this.state.layers.locationAreas);
+    }
+    this.state.layers.locationAreas = null;
+
+    if (areas.length > 0 && this.state.map) {
+      this.state.layers.locationAreas = L.geoJSON(
+        { type: 'FeatureCollection', features: areas.map(area => ({ type: 'Feature', properties: {}, geometry: area.geometry })) },
+        { style: { color: '#2563eb', weight: 2, fillColor: '#2563eb', fillOpacity: 0.15 }, interactive: false }
+      ).addTo(this.state.map);
+    }
+
+    const listEl = document.getElementById('location-areas');
+    if (!listEl) return;
+
+    listEl.innerHTML = areas.map(area => {
+      const saved = this.state.favorites.locations.some(favorite => favorite.id === area.id);
+      const name = Utils.sanitizeHTML(area.name);
 
-    // Bind methods
-    this.handleFilterChange = Utils.debounce(this.handleFilterChange.bind(this), 300);
-    this.handleMapZoom = Utils.throttle(this.handleMapZoom.bind(this), 150);
+      return `
+        <div style="display: flex; align-items: center; gap: 4px; margin-top: 4px;">
+          <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${name}">▱ ${name}</span>
+          ${saved ? '' : `<button class="btn-close" data-area-save="${Utils.sanitizeHTML(area.id)}" aria-label="Spara ${name} som favoritplats" title="Spara som favoritplats">☆</button>`}
+          <button class="btn-close" data-area-remove="${Utils.sanitizeHTML(area.id)}" aria-label="Ta bort ${name} från filtret">×</button>
+        </div>
+      `;
+    }).join('');
   }
 
   /**
-   * Initialize the complete application
+   * Keep a location area among the favorite locations
    */
-  async initialize() {
-    try {
-      Utils.showLoading('Initialiserar applikationen...');
-
-      // Initialize data storage
-      await DataStorage.initialize();
+  async saveLocationArea(id) {
+    const area = this.state.filters.locationAreas.find(item => item.id === id);
+    if (!area) return;
 
-      // Initialize map
-      this.initializeMap();
-
-      // Set up UI event listeners
-      this.setupEventListeners();
+    const name = prompt('Namn på området', area.name);
+    if (name === null) return;
 
-      // Initialize geolocation if available
-      this.initializeGeolocation();
-
-      // Load initial data
-      await this.loadInitialData();
+    const bounds = Geometry.getBounds(area.geometry);
+    // Imported overlays may be MultiPolygons, whose first entry is a polygon
+    const description = area.geometry.type === 'MultiPolygon'
+      ? `${area.geometry.coordinates.length} delområden`
+      : `${area.geometry.coordinates[0].length - 1} hörn`;
 
-      // Set up automatic refresh
-      this.setupAutoRefresh();
+    try {
+      const favorite = await DataStorage.saveFavorite({
+        type: 'location',
+        title: name.trim() || area.name,
+        label: 'Område',
+        description,
+        geometry: area.geometry,
+        lat: (bounds.south + bounds.north) / 2,
+        lng: (bounds.west + bounds.east) / 2
+      });
 
-      // Clean up old cached data
-      await DataStorage.cleanup();
+      // The filter now refers to the saved area
+      Object.assign(area, { id: favorite.id, name: favorite.data.title });
+      this.state.favorites.locations = [favorite, ...this.state.favorites.locations];
+      this.refreshFavoritesUI();
+      this.updateLocationAreas();
+      Utils.showToast('Området sparades bland favoritplatser', 2000, 'success');
+    } catch (error) {
+      console.error('Failed to save area:', error);
+      Utils.showToast('Kunde inte spara området', 3000, 'error');
+    }
+  }
 
-      Utils.hideLoading();
-      Utils.showToast('Applikationen startad', 2000, 'success');
+  async loadWatchZones() {
+    try {
+      this.state.watchZones = await DataStorage.getSetting(WatchZones.SETTINGS_KEY, []);
+      this.renderWatchZones();
 
+      // Keeps the server's copy current, e.g. after it lost its subscriptions
+      if (this.state.watchZones.length > 0) {
+        this.updatePushSubscription();
+      }
     } catch (error) {
-      console.error('Failed to initialize application:', error);
-      Utils.hideLoading();
-      Utils.showToast('Kunde inte starta applikationen', 5000, 'error');
+      console.error('Failed to load watch zones:', error);
     }
   }
 
-  initializeMap() {
-    // Create map with professional styling
-    this.map = L.map('map', {
-      center: CONFIG.MAP.CENTER,
-      zoom: CONFIG.MAP.ZOOM,
-      minZoom: CONFIG.MAP.MIN_ZOOM,
-      maxZoom: CONFIG.MAP.MAX_ZOOM,
-      zoomControl: false,
-      attributionControl: true,
-      preferCanvas: true
-    });
+  /**
+   * Places a zone can watch: the active location filter and the favorite
+   * locations, by option value
+   */
+  getWatchZonePlaces() {
+    const places = new Map();
+    const { locationCenter, locationRadius, locationAreas } = this.state.filters;
+
+    if (locationAreas.length > 0) {
+      places.set('filter', {
+        name: locationAreas.map(area => area.name).join(', '),
+        locationAreas
+      });
+    } else if (locationCenter) {
+      places.set('filter', {
+        name: document.getElementById('location-search').value.trim() || 'Platsfiltret',
+        locationCenter,
+        locationRadius
+      });
+    }
 
-    // Add zoom control in custom position
-    L.control.zoom({
-      position: 'topright'
-    }).addTo(this.map);
-
-    // Custom attribution
-    this.map.attributionControl.setPrefix('');
-    this.map.attributionControl.addAttribution('© Aktuella Brott | Data från Polisen.se');
-
-    // Add tile layer with professional styling
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-      attribution: '© OpenStreetMap contributors',
-      maxZoom: CONFIG.MAP.MAX_ZOOM,
-      className: 'map-tiles'
-    }).addTo(this.map);
-
-    // Create marker clusters
-    this.eventCluster = L.markerClusterGroup({
-      showCoverageOnHover: false,
-      zoomToBoundsOnClick: true,
-      spiderfyOnMaxZoom: true,
-      removeOutsideVisibleBounds: true,
-      disableClusteringAtZoom: CONFIG.MAP.DISABLE_CLUSTERING_AT_ZOOM,
-      maxClusterRadius: CONFIG.MAP.CLUSTER_RADIUS,
-      iconCreateFunction: this.createEventClusterIcon.bind(this)
-    });
+    this.state.favorites.locations.forEach(favorite => {
+      const data = favorite.data || {};
+      const name = data.title || data.name || 'Plats';
 
-    this.stationCluster = L.markerClusterGroup({
-      showCoverageOnHover: false,
-      zoomToBoundsOnClick: false,
-      spiderfyOnMaxZoom: false,
-      removeOutsideVisibleBounds: true,
-      disableClusteringAtZoom: CONFIG.MAP.DISABLE_CLUSTERING_AT_ZOOM,
-      maxClusterRadius: 35,
-      iconCreateFunction: this.createStationClusterIcon.bind(this)
+      if (Geometry.isPolygon(data.geometry)) {
+        places.set(favorite.id, { name, locationAreas: [{ id: favorite.id, name, geometry: data.geometry }] });
+      } else if (Number.isFinite(data.lat) && Number.isFinite(data.lng)) {
+        places.set(favorite.id, { name, locationCenter: { lat: data.lat, lng: data.lng } });
+      }
     });
 
-    // Add clusters to map
-    this.map.addLayer(this.eventCluster);
-    this.map.addLayer(this.stationCluster);
+    return places;
+  }
 
-    // Map event listeners
-    this.map.on('zoomend', this.handleMapZoom);
-    this.map.on('moveend', this.updateVisibleCounts.bind(this));
+  populateWatchZoneForm() {
+    const placeSelect = document.getElementById('watch-zone-place');
+    const typeSelect = document.getElementById('watch-zone-types');
+    if (!placeSelect || !typeSelect) return;
+
+    const places = this.getWatchZonePlaces();
+    placeSelect.innerHTML = places.size > 0
+      ? [...places].map(([value, place]) => {
+        const label = value === 'filter' ? `Platsfiltret: ${place.name}` : place.name;
+        return `<option value="${Utils.sanitizeHTML(value)}">${Utils.sanitizeHTML(label)}</option>`;
+      }).join('')
+      : '<option value="">Välj en plats eller rita ett område i filtret först</option>';
+    placeSelect.disabled = places.size === 0;
+    document.getElementById('watch-zone-add').disabled = places.size === 0;
+
+    const selected = new Set(Array.from(typeSelect.selectedOptions, option => option.value));
+    const types = [...new Set(this.state.allEvents.map(event => event.type))].sort();
+    typeSelect.innerHTML = types.map(type => `
+      <option value="${Utils.sanitizeHTML(type)}"${selected.has(type) ? ' selected' : ''}>${Utils.sanitizeHTML(type)}</option>
+    `).join('');
   }
 
-  setupEventListeners() {
-    // Filter controls
-    const severityFilter = document.getElementById('severity-filter');
-    const timeRangeFilter = document.getElementById('time-range-filter');
-    const locationFilter = document.getElementById('location-filter');
-    const citySearch = document.getElementById('city-search');
-    const refreshBtn = document.getElementById('refresh-btn');
+  /**
+   * Create a zone from the form. Notification permission is asked for here,
+   * on the user's click, as browsers require.
+   */
+  async addWatchZone() {
+    const place = this.getWatchZonePlaces().get(document.getElementById('watch-zone-place').value);
+    if (!place) return;
 
-    if (severityFilter) {
-      severityFilter.addEventListener('change', this.handleFilterChange);
-    }
-    if (timeRangeFilter) {
-      timeRangeFilter.addEventListener('change', this.handleFilterChange);
-    }
-    if (locationFilter) {
-      locationFilter.addEventListener('change', this.handleFilterChange);
-    }
-    if (citySearch) {
-      citySearch.addEventListener('input', Utils.debounce(this.handleFilterChange.bind(this), 500));
-    }
-    if (refreshBtn) {
-      refreshBtn.addEventListener('click', this.refreshData.bind(this));
-    }
+    const name = prompt('Namn på bevakningen', place.name);
+    if (name === null) return;
 
-    // Settings and controls
-    const settingsBtn = document.getElementById('settings-btn');
-    const infoBtn = document.getElementById('info-btn');
-    const locationBtn = document.getElementById('location-btn');
+    try {
+      const zone = WatchZones.create({
+        ...place,
+        name: name.trim() || place.name,
+        types: Array.from(document.getElementById('watch-zone-types').selectedOptions, option => option.value),
+        minSeverity: document.getElementById('watch-zone-severity').value,
+        digest: document.getElementById('watch-zone-digest').checked
+      });
 
-    if (settingsBtn) {
-      settingsBtn.addEventListener('click', this.showSettings.bind(this));
-    }
-    if (infoBtn) {
-      infoBtn.addEventListener('click', this.showInfo.bind(this));
-    }
-    if (locationBtn) {
-      locationBtn.addEventListener('click', this.centerOnUserLocation.bind(this));
-    }
+      // Events already on the map are not news
+      const state = await DataStorage.getSetting(WatchZones.STATE_KEY);
+      await DataStorage.saveSetting(WatchZones.STATE_KEY, WatchZones.seed(state, zone, this.state.allEvents));
 
-    // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'r' && (e.ctrlKey || e.metaKey)) {
-        e.preventDefault();
-        this.refreshData();
-      }
-      if (e.key === 'f' && (e.ctrlKey || e.metaKey)) {
-        e.preventDefault();
-        if (citySearch) citySearch.focus();
+      this.state.watchZones = [...this.state.watchZones, zone];
+      await DataStorage.saveSetting(WatchZones.SETTINGS_KEY, this.state.watchZones);
+      this.renderWatchZones();
+
+      const permission = 'Notification' in window ? await Notification.requestPermission() : 'denied';
+      if (permission === 'granted') {
+        await this.updateWatchZoneSync();
+        await this.updatePushSubscription();
+        Utils.showToast(`Bevakar ${zone.name}`, 2000, 'success');
+      } else {
+        Utils.showToast('Bevakningen sparades, men notiser är blockerade i webbläsaren', 5000, 'warning');
       }
-    });
+    } catch (error) {
+      console.error('Failed to add watch zone:', error);
+      Utils.showToast('Kunde inte spara bevakningen', 3000, 'error');
+    }
   }
 
-  async loadInitialData() {
+  async removeWatchZone(id) {
     try {
-      Utils.showLoading('Laddar händelser och stationer...');
+      this.state.watchZones = this.state.watchZones.filter(zone => zone.id !== id);
+      await DataStorage.saveSetting(WatchZones.SETTINGS_KEY, this.state.watchZones);
+      this.renderWatchZones();
+      await this.updateWatchZoneSync();
+      await this.updatePushSubscription();
+    } catch (error) {
+      console.error('Failed to remove watch zone:', error);
+      Utils.showToast('Kunde inte ta bort bevakningen', 3000, 'error');
+    }
+  }
 
-      // Try to load cached data first for faster startup
-      const [cachedEvents, cachedStations] = await Promise.all([
-        DataStorage.getEvents({ maxAge: CONFIG.STORAGE.CACHE_DURATION.EVENTS }),
-        DataStorage.getStations()
-      ]);
+  renderWatchZones() {
+    const zones = this.state.watchZones;
+    const listEl = document.getElementById('watch-zones-list');
+    const emptyEl = document.getElementById('favorites-watch-empty');
+    const countEl = document.getElementById('favorites-count-watch');
 
-      if (cachedEvents.length > 0) {
-        this.processEvents(cachedEvents);
-        Utils.showToast(`${cachedEvents.length} cachade händelser laddade`, 2000, 'info');
-      }
+    if (countEl) {
+      countEl.textContent = `(${zones.length})`;
+    }
+    if (!listEl || !emptyEl) return;
+
+    emptyEl.style.display = zones.length === 0 ? 'block' : 'none';
+    listEl.innerHTML = zones.map(zone => `
+      <div class="favorite-item" style="cursor: default;">
+        <div class="favorite-item-actions">
+          <button type="button" class="favorite-action-btn" data-watch-zone-remove="${Utils.sanitizeHTML(zone.id)}"
+                  aria-label="Ta bort bevakningen ${Utils.sanitizeHTML(zone.name)}">×</button>
+        </div>
+        <div class="favorite-item-title">🔔 ${Utils.sanitizeHTML(zone.name)}</div>
+        <div class="favorite-item-location">${Utils.sanitizeHTML(WatchZones.describe(zone))}</div>
+      </div>
+    `).join('');
+  }
 
-      if (cachedStations.length > 0) {
-        this.processStations(cachedStations);
-        Utils.showToast(`${cachedStations.length} polisstationer laddade`, 2000, 'info');
-      }
+  /**
+   * Notify about synced events in the watch zones. The service worker does
+   * the same when no page is open; the shared state keeps them from
+   * announcing an event twice. With push the server does it for both.
+   */
+  async checkWatchZones(events) {
+    if (this.state.watchZones.length === 0 || events.length === 0 || this.state.pushSubscribed) return;
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
 
-      // Load fresh data in background
-      await this.loadFreshData();
+    try {
+      const state = await DataStorage.getSetting(WatchZones.STATE_KEY);
+      const result = WatchZones.check(this.state.watchZones, events, state);
+      await DataStorage.saveSetting(WatchZones.STATE_KEY, result.state);
 
+      await Promise.all(result.notifications.map(notification => this.showWatchNotification(notification)));
     } catch (error) {
-      console.error('Failed to load initial data:', error);
-      Utils.showToast('Kunde inte ladda initial data', 5000, 'error');
+      console.error('Failed to check watch zones:', error);
     }
   }
 
-  async loadFreshData() {
-    try {
-      const [eventsData, stationsData] = await Promise.all([
-        this.fetchPoliceEvents(),
-        this.fetchPoliceStations()
-      ]);
+  async showWatchNotification(notification) {
+    const options = WatchZones.getNotificationOptions(notification);
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
 
-      if (eventsData && eventsData.length > 0) {
-        await DataStorage.saveEvents(eventsData);
-        this.processEvents(eventsData);
-      }
+    // Through the service worker the click is handled even after a reload
+    if (registration) {
+      await registration.showNotification(notification.title, options);
+      return;
+    }
 
-      if (stationsData && stationsData.length > 0) {
-        await DataStorage.saveStations(stationsData);
-        this.processStations(stationsData);
+    // Buttons only work on service worker notifications
+    delete options.actions;
+    const shown = new Notification(notification.title, options);
+    shown.onclick = () => {
+      window.focus();
+      if (notification.eventIds.length === 1) {
+        this.focusEvent(notification.eventIds[0]);
       }
+      shown.close();
+    };
+  }
 
-      this.lastUpdateTime = new Date();
-      this.updateLastUpdateDisplay();
-
-    } catch (error) {
-      console.error('Failed to load fresh data:', error);
-      Utils.showToast('Kunde inte ladda färsk data', 3000, 'warning');
+  /**
+   * Hand the zones to the push server (src/app/api/push), which then alerts
+   * this browser even when it has no page open; background sync alone
+   * rarely wakes a device. Without a push server, as for the static page on
+   * its own, the page and the service worker keep checking themselves.
+   */
+  async updatePushSubscription() {
+    if (!('serviceWorker' in navigator) || !('PushManager' in window) || Notification.permission !== 'granted') {
+      return;
     }
-  }
 
-  async fetchPoliceEvents() {
     try {
-      Utils.showLoading('Hämtar polishändelser...');
-      const response = await Utils.fetchWithRetry(CONFIG.API.EVENTS);
-      const rawData = await Utils.safeJsonParse(response);
+      const registration = await navigator.serviceWorker.ready;
+      const existing = await registration.pushManager.getSubscription();
+      const request = (method, body) => fetch(CONFIG.API.PROXY.PUSH, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
 
-      if (!Array.isArray(rawData)) {
-        throw new Error('Invalid events data format');
+      if (this.state.watchZones.length === 0) {
+        if (existing) {
+          await request('DELETE', { endpoint: existing.endpoint });
+          await existing.unsubscribe();
+        }
+        this.state.pushSubscribed = false;
+        return;
       }
 
-      // Process events and take the 500 most recent
-      const events = rawData
-        .map(eventData => new PoliceEvent(eventData))
-        .filter(event => event.isValid)
-        .sort((a, b) => b.timeMs - a.timeMs)
-        .slice(0, 500);
+      const keyResponse = await fetch(CONFIG.API.PROXY.PUSH);
+      if (!keyResponse.ok) {
+        await existing?.unsubscribe();
+        this.state.pushSubscribed = false;
+        return;
+      }
 
-      console.log(`Processed ${events.length} valid events from ${rawData.length} raw events`);
-      return events;
+      const { publicKey } = await keyResponse.json();
+      const subscription = existing || await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: publicKey
+      });
 
+      const response = await request('POST', { subscription: subscription.toJSON(), zones: this.state.watchZones });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.state.pushSubscribed = true;
     } catch (error) {
-      console.error('Failed to fetch police events:', error);
-      throw error;
+      console.warn('Push subscription not available:', error.message);
     }
   }
 
-  async fetchPoliceStations() {
+  /**
+   * Ask the service worker to wake up periodically while there are zones.
+   * Periodic background sync only exists in Chromium, for installed apps.
+   */
+  async updateWatchZoneSync() {
+    if (!('serviceWorker' in navigator)) return;
+
     try {
-      Utils.showLoading('Hämtar polisstationer...');
-      const response = await Utils.fetchWithRetry(CONFIG.API.STATIONS);
-      const rawData = await Utils.safeJsonParse(response);
+      const registration = await navigator.serviceWorker.ready;
+      if (!('periodicSync' in registration)) return;
 
-      if (!Array.isArray(rawData)) {
-        throw new Error('Invalid stations data format');
+      if (this.state.watchZones.length > 0) {
+        await registration.periodicSync.register(WatchZones.SYNC_TAG, {
+          minInterval: CONFIG.WATCH_ZONES.PERIODIC_SYNC_INTERVAL
+        });
+      } else {
+        await registration.periodicSync.unregister(WatchZones.SYNC_TAG);
       }
-
-      const stations = rawData
-        .map(stationData => new PoliceStation(stationData))
-        .filter(station => station.isValid);
-
-      console.log(`Processed ${stations.length} valid stations from ${rawData.length} raw stations`);
-      return stations;
-
     } catch (error) {
-      console.error('Failed to fetch police stations:', error);
-      throw error;
+      console.warn('Periodic sync for watch zones not available:', error.message);
     }
   }
 
-  processEvents(events) {
-    this.allEvents = events;
-    this.applyFilters();
-    this.updateEventClusters();
-    this.updateStatistics();
-  }
+  toggleSeverityRules() {
+    if (this.state.ui.severityRulesVisible) {
+      this.hideSeverityRules();
+      return;
+    }
 
-  processStations(stations) {
-    this.allStations = stations;
-    this.updateStationClusters();
+    this.state.ui.severityRulesVisible = true;
+    this.renderSeverityRules();
+    document.getElementById('severity-rules-panel').style.display = 'block';
   }
 
-  applyFilters() {
-    let filtered = [...this.allEvents];
-
-    // Severity filter
-    if (this.currentFilters.severity !== 'all') {
-      const targetLevel = parseInt(this.currentFilters.severity);
-      filtered = filtered.filter(event => event.severityInfo.level === targetLevel);
-    }
-
-    // Time range filter
-    const now = Date.now();
-    const timeRanges = {
-      '1day': 24 * 60 * 60 * 1000,
-      '3days': 3 * 24 * 60 * 60 * 1000,
-      '7days': 7 * 24 * 60 * 60 * 1000,
-      '30days': 30 * 24 * 60 * 60 * 1000,
-      'all': Infinity
-    };
+  hideSeverityRules() {
+    this.state.ui.severityRulesVisible = false;
+    document.getElementById('severity-rules-panel').style.display = 'none';
+  }
 
-    const maxAge = timeRanges[this.currentFilters.timeRange] || timeRanges['7days'];
-    if (maxAge !== Infinity) {
-      const cutoff = now - maxAge;
-      filtered = filtered.filter(event => event.timeMs >= cutoff);
-    }
+  renderSeverityRules() {
+    if (!this.state.ui.severityRulesVisible) return;
 
-    // Location accuracy filter
-    if (this.currentFilters.exactLocation === 'exact') {
-      filtered = filtered.filter(event => event.exactLocation === true);
-    } else if (this.currentFilters.exactLocation === 'approximate') {
-      filtered = filtered.filter(event => event.exactLocation === false);
-    }
+    const ruleSet = CrimeSeveritySystem.getRuleSet();
 
-    // City search filter
-    if (this.currentFilters.city.trim()) {
-      const searchTerm = this.currentFilters.city.toLowerCase().trim();
-      filtered = filtered.filter(event =>
-        event.city.toLowerCase().includes(searchTerm) ||
-        event.address.toLowerCase().includes(searchTerm)
-      );
-    }
+    // Types with their own rule plus the types currently on the map
+    const types = new Set(ruleSet.rules.filter(rule => rule.match.type).map(rule => rule.match.type));
+    this.state.allEvents.forEach(event => types.add(event.type));
+    Object.keys(ruleSet.overrides || {}).forEach(type => types.add(type));
 
-    this.filteredEvents = filtered;
-  }
+    document.getElementById('severity-overrides').innerHTML = [...types]
+      .sort((a, b) => a.localeCompare(b, 'sv'))
+      .map(type => {
+        const info = CrimeSeveritySystem.getSeverityInfo(type);
+        const safeType = Utils.sanitizeHTML(type);
 
-  updateEventClusters() {
-    // Clear existing markers
-    this.eventCluster.clearLayers();
+        return `
+          <div style="display: flex; align-items: center; gap: 8px; padding: 4px 0; font-size: 0.8rem;">
+            <span style="flex: 1;${info.overridden ? ' font-weight: 600;' : ''}">${safeType}</span>
+            <select data-severity-type="${safeType}" data-field="level" aria-label="Nivå för ${safeType}" style="font-size: 0.75rem;">
+              ${[1, 2, 3, 4, 5].map(level => `<option value="${level}"${level === info.level ? ' selected' : ''}>Nivå ${level}</option>`).join('')}
+            </select>
+            <input type="color" data-severity-type="${safeType}" data-field="color" value="${info.color}" aria-label="Färg för ${safeType}">
+          </div>
+        `;
+      }).join('');
 
-    // Add filtered events to cluster
-    this.filteredEvents.forEach(event => {
-      if (!event.isValid) return;
+    document.getElementById('severity-modifiers').innerHTML = (ruleSet.modifiers || []).map(modifier => `
+      <label style="display: flex; gap: 8px; align-items: flex-start; padding: 4px 0; font-size: 0.8rem;">
+        <input type="checkbox" data-modifier-id="${Utils.sanitizeHTML(modifier.id)}"${modifier.enabled !== false ? ' checked' : ''}>
+        <span>${Utils.sanitizeHTML(modifier.description || modifier.id)}</span>
+      </label>
+    `).join('') || '<div style="font-size: 0.8rem; color: var(--text-muted);">Inga justeringar</div>';
 
-      const marker = this.createEventMarker(event);
-      if (marker) {
-        this.eventCluster.addLayer(marker);
-      }
-    });
+    document.getElementById('severity-rules-json').value = JSON.stringify(ruleSet, null, 2);
   }
 
-  updateStationClusters() {
-    // Clear existing station markers
-    this.stationCluster.clearLayers();
+  onSeverityOverrideChange(input) {
+    const type = input.dataset.severityType;
+    if (!type) return;
 
-    // Add all stations to cluster
-    this.allStations.forEach(station => {
-      const marker = station.createMarker();
-      if (marker) {
-        this.stationCluster.addLayer(marker);
-      }
-    });
-  }
+    const ruleSet = this.cloneSeverityRules();
+    const override = { ...(ruleSet.overrides?.[type] || {}) };
 
-  createEventMarker(event) {
-    const severityInfo = event.severityInfo;
-    const color = severityInfo.color;
-
-    const iconHtml = `
-      <div class="crime-marker" style="
-        background: ${color};
-        border: 2px solid rgba(255,255,255,0.9);
-        border-radius: 50%;
-        width: 16px;
-        height: 16px;
-        box-shadow: 0 2px 6px rgba(0,0,0,0.3);
-        transition: all 0.2s ease;
-        cursor: pointer;
-      "></div>
-    `;
+    if (input.dataset.field === 'level') {
+      override.level = parseInt(input.value, 10);
+    } else {
+      override.color = input.value;
+    }
 
-    const icon = L.divIcon({
-      className: 'crime-event-icon',
-      html: iconHtml,
-      iconSize: [16, 16],
-      iconAnchor: [8, 8]
-    });
+    ruleSet.overrides = { ...(ruleSet.overrides || {}), [type]: override };
+    this.applySeverityRules(ruleSet, `${type} ändrad`);
+  }
 
-    const marker = L.marker([event.lat, event.lng], {
-      icon: icon,
-      zIndexOffset: 1000 + severityInfo.level * 100
-    });
+  onSeverityModifierChange(input) {
+    const modifierId = input.dataset.modifierId;
+    if (!modifierId) return;
 
-    marker.bindPopup(event.getPopupContent(), {
-      maxWidth: 400,
-      className: 'crime-event-popup'
-    });
+    const ruleSet = this.cloneSeverityRules();
+    const modifier = (ruleSet.modifiers || []).find(item => item.id === modifierId);
+    if (!modifier) return;
 
-    // Add hover effects
-    marker.on('mouseover', function() {
-      const element = this.getElement();
-      if (element) {
-        element.querySelector('.crime-marker').style.transform = 'scale(1.3)';
-        element.querySelector('.crime-marker').style.zIndex = '2000';
-      }
-    });
+    modifier.enabled = input.checked;
+    this.applySeverityRules(ruleSet);
+  }
 
-    marker.on('mouseout', function() {
-      const element = this.getElement();
-      if (element) {
-        element.querySelector('.crime-marker').style.transform = 'scale(1)';
-        element.querySelector('.crime-marker').style.zIndex = '';
-      }
-    });
+  saveSeverityRulesJson() {
+    let ruleSet;
+    try {
+      ruleSet = JSON.parse(document.getElementById('severity-rules-json').value);
+    } catch (error) {
+      Utils.showToast(`Ogiltig JSON: ${error.message}`, 5000, 'error');
+      return;
+    }
 
-    return marker;
+    this.applySeverityRules(ruleSet);
   }
 
-  createEventClusterIcon(cluster) {
-    const markers = cluster.getAllChildMarkers();
-    const severityStats = CrimeSeveritySystem.getSeverityStats(
-      markers.map(m => m.options.event || { type: 'Övrigt' })
-    );
+  resetSeverityRules() {
+    if (!confirm('Återställa standardreglerna? Dina ändringar försvinner.')) return;
 
-    const criticalCount = severityStats.byPriority.critical || 0;
-    const highCount = severityStats.byPriority.high || 0;
-    const count = markers.length;
-
-    // Color based on highest severity in cluster
-    let color = '#6b7280';
-    if (criticalCount > 0) color = '#991b1b';
-    else if (highCount > 0) color = '#dc2626';
-    else if (count > 10) color = '#f97316';
-    else color = '#059669';
-
-    return L.divIcon({
-      className: 'event-cluster-icon',
-      html: `
-        <div style="
-          background: ${color};
-          border: 3px solid rgba(255,255,255,0.9);
-          border-radius: 50%;
-          color: white;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          font-size: 12px;
-          font-weight: bold;
-          width: 35px;
-          height: 35px;
-          box-shadow: 0 3px 8px rgba(0,0,0,0.3);
-          transition: all 0.2s ease;
-        ">${count}</div>
-      `,
-      iconSize: [35, 35],
-      iconAnchor: [17, 17]
-    });
+    this.applySeverityRules(JSON.parse(JSON.stringify(DEFAULT_SEVERITY_RULES)), 'Standardreglerna är återställda');
   }
 
-  createStationClusterIcon(cluster) {
-    const count = cluster.getChildCount();
-
-    return L.divIcon({
-      className: 'station-cluster-icon',
-      html: `
-        <div style="
-          background: #6b7280;
-          border: 2px solid rgba(255,255,255,0.9);
-          border-radius: 50%;
-          color: white;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          font-size: 11px;
-          font-weight: 600;
-          width: 25px;
-          height: 25px;
-          box-shadow: 0 2px 6px rgba(0,0,0,0.25);
-        ">${count}</div>
-      `,
-      iconSize: [25, 25],
-      iconAnchor: [12, 12]
-    });
-  }
+  setLegendVisibility(isVisible) {
+    const legendEl = document.getElementById('legend');
+    if (!legendEl) return;
 
-  handleFilterChange() {
-    // Get current filter values
-    const severityFilter = document.getElementById('severity-filter');
-    const timeRangeFilter = document.getElementById('time-range-filter');
-    const locationFilter = document.getElementById('location-filter');
-    const citySearch = document.getElementById('city-search');
+    this.state.ui.legendVisible = isVisible;
+    legendEl.style.display = isVisible ? 'block' : 'none';
+    legendEl.setAttribute('aria-hidden', isVisible ? 'false' : 'true');
 
-    this.currentFilters = {
-      severity: severityFilter?.value || 'all',
-      timeRange: timeRangeFilter?.value || '7days',
-      exactLocation: locationFilter?.value || 'all',
-      city: citySearch?.value || ''
-    };
+    const toggleButton = document.getElementById('legend-toggle');
+    if (toggleButton) {
+      toggleButton.setAttribute('aria-expanded', isVisible ? 'true' : 'false');
+      toggleButton.setAttribute('aria-label', isVisible ? 'Dölj legend' : 'Visa legend');
+      toggleButton.title = isVisible ? 'Dölj legend' : 'Visa legend';
+      toggleButton.classList.toggle('active', isVisible);
+    }
 
-    // Apply filters and update display
-    this.applyFilters();
-    this.updateEventClusters();
-    this.updateStatistics();
-    this.updateVisibleCounts();
+    const closeButton = document.getElementById('legend-close');
+    if (closeButton) {
+      closeButton.setAttribute('aria-expanded', isVisible ? 'true' : 'false');
+    }
   }
 
-  handleMapZoom() {
-    const zoom = this.map.getZoom();
+  showLegend() {
+    this.setLegendVisibility(true);
+    this.updateLegend();
+  }
 
-    // Adjust station visibility based on zoom level
-    if (zoom > CONFIG.MAP.DISABLE_CLUSTERING_AT_ZOOM) {
-      // High zoom - show individual stations with reduced opacity
-      this.stationCluster.eachLayer(marker => {
-        const element = marker.getElement();
-        if (element) {
-          element.style.opacity = '0.7';
-        }
-      });
-    } else {
-      // Lower zoom - normal opacity
-      this.stationCluster.eachLayer(marker => {
-        const element = marker.getElement();
-        if (element) {
-          element.style.opacity = '1';
-        }
-      });
-    }
+  hideLegend() {
+    this.setLegendVisibility(false);
   }
 
-  updateStatistics() {
-    const stats = CrimeSeveritySystem.getSeverityStats(this.filteredEvents);
+  handleKeyboardShortcuts(event) {
+    // Only handle shortcuts if no input is focused
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') {
+      return;
+    }
 
-    // Update statistics display
-    const statsElement = document.getElementById('statistics');
-    if (statsElement) {
-      statsElement.innerHTML = this.generateStatisticsHTML(stats);
+    switch (event.key) {
+      case 'r':
+      case 'R':
+        event.preventDefault();
+        this.refreshData();
+        break;
+
+      case 'f':
+      case 'F':
+        event.preventDefault();
+        this.toggleFullscreen();
+        break;
+
+      case 's':
+      case 'S':
+        event.preventDefault();
+        this.toggleStats();
+        break;
+
+      case 't':
+      case 'T':
+        event.preventDefault();
+        this.toggleTimeline();
+        break;
+
+      case 'l':
+      case 'L':
+        event.preventDefault();
+        this.locateUser();
+        break;
+
+      case 'm':
+      case 'M':
+        event.preventDefault();
+        this.setViewMode({ markers: 'heatmap', heatmap: 'choropleth' }[this.state.currentView] || 'markers');
+        break;
+
+      case 'Escape':
+        event.preventDefault();
+        if (this.state.ui.statsVisible) this.hideStats();
+        if (this.state.ui.timelineVisible) this.hideTimeline();
+        if (this.state.ui.archiveVisible) this.hideArchivePanel();
+        if (this.state.ui.overlaysVisible) this.hideOverlaysPanel();
+        break;
     }
+  }
+
+  updateUI() {
+    // Update any UI elements that need initial setup
+    this.updateLegend();
 
-    // Update filter counts
-    this.updateFilterCounts(stats);
+    // Set up service worker for offline functionality
+    this.registerServiceWorker();
+
+    // Add keyboard shortcut info to tooltips
+    this.updateTooltips();
   }
 
-  generateStatisticsHTML(stats) {
-    const priorityColors = {
-      critical: '#991b1b',
-      high: '#dc2626',
-      medium: '#f97316',
-      low: '#059669'
+  updateTooltips() {
+    const shortcuts = {
+      'refresh-data': 'Uppdatera (R)',
+      'fullscreen-toggle': 'Fullskärm (F)',
+      'stats-toggle': 'Statistik (S)',
+      'timeline-toggle': 'Tidslinje (T)',
+      'locate-user': 'Min position (L)',
+      'view-markers': 'Markörer (M)',
+      'view-heatmap': 'Värmekarta (M)',
+      'view-choropleth': 'Områden (M)'
     };
 
-    return `
-      <div class="stats-grid">
-        <div class="stat-item">
-          <div class="stat-value">${stats.total}</div>
-          <div class="stat-label">Totala händelser</div>
-        </div>
-        ${Object.entries(stats.byPriority).map(([priority, count]) => `
-          <div class="stat-item">
-            <div class="stat-value" style="color: ${priorityColors[priority]}">${count}</div>
-            <div class="stat-label">${this.getPriorityLabel(priority)}</div>
-          </div>
-        `).join('')}
-      </div>
-    `;
+    Object.entries(shortcuts).forEach(([id, tooltip]) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.title = tooltip;
+      }
+    });
   }
 
-  getPriorityLabel(priority) {
-    const labels = {
-      critical: 'Kritiska',
-      high: 'Allvarliga',
-      medium: 'Måttliga',
-      low: 'Lindriga'
-    };
-    return labels[priority] || priority;
-  }
-
-  updateFilterCounts(stats) {
-    // Update severity filter options with counts
-    const severityFilter = document.getElementById('severity-filter');
-    if (severityFilter) {
-      const options = severityFilter.querySelectorAll('option[value]');
-      options.forEach(option => {
-        const level = option.value;
-        if (level !== 'all') {
-          const count = stats.byLevel[level] || 0;
-          const originalText = option.textContent.split(' (')[0];
-          option.textContent = `${originalText} (${count})`;
-        }
-      });
+  async registerServiceWorker() {
+    if ('serviceWorker' in navigator) {
+      try {
+        // A module worker, so it can share the core with the page
+        await navigator.serviceWorker.register('/sw.js', { type: 'module' });
+        console.log('Service Worker registered successfully');
+
+        // Clicked watch zone notifications open their event here
+        navigator.serviceWorker.addEventListener('message', (event) => {
+          if (event.data?.type === 'SHOW_EVENT' && event.data.payload?.eventId) {
+            this.focusEvent(event.data.payload.eventId);
+          }
+        });
+      } catch (error) {
+        console.warn('Service Worker registration failed:', error);
+      }
     }
   }
 
-  updateVisibleCounts() {
-    // Update visible events counter
-    const visibleCount = this.filteredEvents.length;
-    const totalCount = this.allEvents.length;
+  // Advanced filter methods
+  updateDateFilter() {
+    const dateFrom = document.getElementById('date-from').value;
+    const dateTo = document.getElementById('date-to').value;
 
-    const countersElement = document.getElementById('event-counters');
-    if (countersElement) {
-      countersElement.textContent = `Visar ${visibleCount} av ${totalCount} händelser`;
-    }
+    this.state.filters.dateFrom = UrlState.parseDate(dateFrom);
+    this.state.filters.dateTo = UrlState.parseDate(dateTo);
+    this.state.filters.timeRange = null;
+
+    this.applyFilters();
   }
 
-  updateLastUpdateDisplay() {
-    const updateElement = document.getElementById('last-update');
-    if (updateElement && this.lastUpdateTime) {
-      updateElement.textContent = `Uppdaterat: ${Utils.formatDate(this.lastUpdateTime)}`;
-    }
+  getZoomLevelForRadius(radiusKm) {
+    const numericRadius = typeof radiusKm === 'number' ? radiusKm : parseFloat(radiusKm);
+    const radius = Number.isFinite(numericRadius) ? numericRadius : 10;
+    if (radius <= 5) return 12;
+    if (radius <= 10) return 11;
+    if (radius <= 25) return 10;
+    if (radius <= 50) return 9;
+    if (radius <= 100) return 8;
+    return 7;
   }
 
-  async refreshData() {
-    if (this.isLoading) return;
+  updateLocationCircle(lat, lng, radiusKm) {
+    if (!this.state.map) return;
 
-    try {
-      this.isLoading = true;
-      const refreshBtn = document.getElementById('refresh-btn');
-      if (refreshBtn) {
-        refreshBtn.disabled = true;
-        refreshBtn.textContent = 'Uppdaterar...';
-      }
+    const numericRadius = typeof radiusKm === 'number' ? radiusKm : parseFloat(radiusKm);
+    const safeRadiusKm = Number.isFinite(numericRadius) ? numericRadius : 0;
+    const radiusMeters = Math.max(0, safeRadiusKm) * 1000;
 
-      await this.loadFreshData();
-      Utils.showToast('Data uppdaterad', 2000, 'success');
+    if (this.state.layers.locationCircle) {
+      this.state.layers.locationCircle.setLatLng([lat, lng]);
+      this.state.layers.locationCircle.setRadius(radiusMeters);
+    } else {
+      this.state.layers.locationCircle = L.circle([lat, lng], {
+        radius: radiusMeters,
+        color: '#2563eb',
+        weight: 2,
+        fillColor: '#2563eb',
+        fillOpacity: 0.15
+      }).addTo(this.state.map);
+    }
+  }
 
-    } catch (error) {
-      console.error('Failed to refresh data:', error);
-      Utils.showToast('Kunde inte uppdatera data', 3000, 'error');
-    } finally {
-      this.isLoading = false;
-      const refreshBtn = document.getElementById('refresh-btn');
-      if (refreshBtn) {
-        refreshBtn.disabled = false;
-        refreshBtn.textContent = 'Uppdatera';
-      }
+  clearLocationCircle() {
+    if (this.state.layers.locationCircle && this.state.map) {
+      this.state.map.removeLayer(this.state.layers.locationCircle);
     }
+    this.state.layers.locationCircle = null;
   }
 
-  initializeGeolocation() {
-    if ('geolocation' in navigator) {
-      navigator.geolocation.getCurrentPosition(
-        (position) => {
-          this.userLocation = {
-            lat: position.coords.latitude,
-            lng: position.coords.longitude,
-            accuracy: position.coords.accuracy
-          };
+  updateLocationFilter() {
+    const locationQuery = document.getElementById('location-search').value.trim();
+    this.state.filters.locationRadius = parseInt(document.getElementById('distance-radius').value);
 
-          // Add user location marker if within Sweden
-          if (Utils.isWithinSweden(this.userLocation.lat, this.userLocation.lng)) {
-            this.addUserLocationMarker();
-          }
-        },
-        (error) => {
-          console.warn('Geolocation error:', error.message);
-        },
-        {
-          timeout: 10000,
-          enableHighAccuracy: false,
-          maximumAge: 300000 // 5 minutes
-        }
-      );
+    if (locationQuery) {
+      this.geocodeLocation(locationQuery);
+    } else {
+      this.state.filters.locationCenter = null;
+      this.clearLocationCircle();
+      this.applyFilters();
     }
   }
 
-  addUserLocationMarker() {
-    if (!this.userLocation) return;
-
-    const userIcon = L.divIcon({
-      className: 'user-location-icon',
-      html: `
-        <div style="
-          background: #3b82f6;
-          border: 3px solid white;
-          border-radius: 50%;
-          width: 20px;
-          height: 20px;
-          box-shadow: 0 2px 8px rgba(59, 130, 246, 0.4);
-          position: relative;
-        ">
-          <div style="
-            background: rgba(59, 130, 246, 0.2);
-            border: 2px solid #3b82f6;
-            border-radius: 50%;
-            width: 40px;
-            height: 40px;
-            position: absolute;
-            top: -13px;
-            left: -13px;
-            animation: pulse 2s infinite;
-          "></div>
-        </div>
-      `,
-      iconSize: [20, 20],
-      iconAnchor: [10, 10]
-    });
-
-    const userMarker = L.marker([this.userLocation.lat, this.userLocation.lng], {
-      icon: userIcon,
-      zIndexOffset: 2000
-    });
+  async geocodeLocation(query) {
+    try {
+      Utils.showToast('Söker efter plats...', 1500, 'info');
 
-    userMarker.bindPopup(`
-      <div style="text-align: center; font-family: inherit;">
-        <h4 style="margin: 0 0 8px; color: var(--text-primary);">📍 Din position</h4>
-        <p style="margin: 0; color: var(--text-secondary); font-size: 0.875rem;">
-          Noggrannhet: ±${Math.round(this.userLocation.accuracy)}m
-        </p>
-      </div>
-    `);
+      // Simple geocoding using Nominatim (OpenStreetMap)
+      const response = await fetch(
+        `https://nominatim.openstreetmap.org/search?format=json&country=sweden&q=${encodeURIComponent(query)}&limit=1`
+      );
+      const results = await response.json();
+
+      if (results.length > 0) {
+        const lat = parseFloat(results[0].lat);
+        const lng = parseFloat(results[0].lon);
+        this.state.filters.locationCenter = {
+          lat,
+          lng
+        };
+        this.clearLocationAreas();
 
-    userMarker.addTo(this.map);
+        if (this.state.map) {
+          const radiusKm = this.state.filters.locationRadius || 10;
+          const zoom = this.getZoomLevelForRadius(radiusKm);
+          this.state.map.setView([lat, lng], zoom);
+          this.updateLocationCircle(lat, lng, radiusKm);
+        }
+        Utils.showToast(`Filtrerar inom ${this.state.filters.locationRadius} km från ${results[0].display_name.split(',')[0]}`, 3000, 'success');
+        this.applyFilters();
+      } else {
+        Utils.showToast('Kunde inte hitta platsen', 3000, 'warning');
+      }
+    } catch (error) {
+      console.error('Geocoding failed:', error);
+      Utils.showToast('Fel vid platssökning', 3000, 'error');
+    }
   }
 
-  centerOnUserLocation() {
-    if (!this.userLocation) {
-      Utils.showToast('Position ej tillgänglig', 2000, 'warning');
+  useCurrentLocation() {
+    if (!navigator.geolocation) {
+      Utils.showToast('Geolokalisering stöds inte', 3000, 'error');
       return;
     }
 
-    this.map.setView([this.userLocation.lat, this.userLocation.lng], 12);
-    Utils.showToast('Centrerat på din position', 2000, 'info');
-  }
-
-  setupAutoRefresh() {
-    // Refresh data every 15 minutes
-    setInterval(() => {
-      if (!document.hidden) {
-        this.loadFreshData();
-      }
-    }, 15 * 60 * 1000);
+    Utils.showToast('Hämtar din position...', 2000, 'info');
 
-    // Refresh when page becomes visible
-    document.addEventListener('visibilitychange', () => {
-      if (!document.hidden && this.lastUpdateTime) {
-        const timeSinceUpdate = Date.now() - this.lastUpdateTime.getTime();
-        // Refresh if more than 10 minutes since last update
-        if (timeSinceUpdate > 10 * 60 * 1000) {
-          this.loadFreshData();
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        this.state.filters.locationCenter = {
+          lat: position.coords.latitude,
+          lng: position.coords.longitude
+        };
+        this.clearLocationAreas();
+
+        document.getElementById('location-search').value = `${position.coords.latitude.toFixed(4)}, ${position.coords.longitude.toFixed(4)}`;
+        if (this.state.map) {
+          const radiusKm = this.state.filters.locationRadius || 10;
+          const zoom = this.getZoomLevelForRadius(radiusKm);
+          this.state.map.setView([position.coords.latitude, position.coords.longitude], zoom);
+          this.updateLocationCircle(position.coords.latitude, position.coords.longitude, radiusKm);
         }
+        Utils.showToast(`Filtrerar inom ${this.state.filters.locationRadius} km från din position`, 3000, 'success');
+        this.applyFilters();
+      },
+      (error) => {
+        console.error('Geolocation error:', error);
+        Utils.showToast('Kunde inte hämta din position', 3000, 'error');
+      },
+      {
+        enableHighAccuracy: true,
+        timeout: 10000,
+        maximumAge: 300000
       }
-    });
+    );
   }
 
-  async showSettings() {
-    // Implementation for settings modal
-    Utils.showToast('Inställningar kommer snart', 2000, 'info');
-  }
+  applyQuickFilter(type) {
+    const range = EventFilters.getTimeRangeDates(type);
+
+    switch (type) {
+      case 'today':
+      case 'week':
+        this.state.filters.dateFrom = range.dateFrom;
+        this.state.filters.dateTo = range.dateTo;
+        document.getElementById('date-from').value = UrlState.formatDate(range.dateFrom);
+        document.getElementById('date-to').value = UrlState.formatDate(range.dateTo);
+        this.state.filters.timeRange = type;
+        Utils.showToast(type === 'today' ? 'Visar händelser från idag' : 'Visar händelser från senaste veckan', 2000, 'success');
+        break;
+
+      case 'high-priority':
+        this.state.filters.priorityFilter = 'high-priority';
+        Utils.showToast('Visar endast högprioriterade händelser', 2000, 'success');
+        break;
+    }
 
-  async showInfo() {
-    // Implementation for info modal
-    Utils.showToast('Information kommer snart', 2000, 'info');
-  }
+    // Update active button states
+    document.querySelectorAll('#filter-today, #filter-week, #filter-high-priority').forEach(btn => {
+      btn.classList.remove('active');
+    });
+    document.getElementById(`filter-${type}`).classList.add('active');
 
-  /**
-   * Get application statistics for debugging
-   */
-  getDebugInfo() {
-    return {
-      totalEvents: this.allEvents.length,
-      filteredEvents: this.filteredEvents.length,
-      totalStations: this.allStations.length,
-      currentFilters: this.currentFilters,
-      lastUpdate: this.lastUpdateTime,
-      userLocation: this.userLocation,
-      mapCenter: this.map?.getCenter(),
-      mapZoom: this.map?.getZoom()
-    };
+    this.applyFilters();
   }
-}
 
-// ===== APPLICATION INITIALIZATION =====
-let policeApp;
+  clearAllFilters() {
+    // Reset all filters
+    this.state.filters = EventFilters.create();
+    this.state.archive.period = null;
+    this.state.archive.events = null;
+    this.updateVisibleEvents();
+
+    // Reset form values
+    document.getElementById('search-query').value = '';
+    document.getElementById('date-from').value = '';
+    document.getElementById('date-to').value = '';
+    document.getElementById('location-search').value = '';
+    document.getElementById('distance-radius').value = String(CONFIG.FILTERS.DEFAULT_RADIUS);
+    document.getElementById('event-type').selectedIndex = -1;
+    this.populateAreaFilters();
+
+    // Reset button states
+    document.querySelectorAll('.btn-secondary.active').forEach(btn => {
+      btn.classList.remove('active');
+    });
 
-// Initialize application when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initializeApp);
-} else {
-  initializeApp();
+    Utils.showToast('Alla filter rensade', 2000, 'success');
+    this.clearLocationCircle();
+    this.clearLocationAreas();
+    this.applyFilters();
+  }
 }
 
-async function initializeApp() {
+// ===== APPLICATION INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', async () => {
   try {
-    console.log('🚓 Starting Aktuella Brott application...');
+    // Initialize data sync manager first
+    console.log('🚀 Initializing Advanced Data Sync Manager...');
+    window.dataSyncManager = new DataSyncManager();
+
+    // Initialize the main application
+    console.log('🚀 Initializing Police Events App...');
+    window.policeEventsApp = new PoliceEventsApp();
+
+    // Set up event listeners for data sync integration
+    document.addEventListener('dataReady', (event) => {
+      console.log('📊 Data ready event received:', event.detail);
+      if (window.policeEventsApp && window.policeEventsApp.refreshDisplay) {
+        window.policeEventsApp.refreshDisplay();
+      }
+    });
 
-    // Create and initialize the main application
-    policeApp = new PoliceEventsApp();
-    await policeApp.initialize();
+    document.addEventListener('dataUpdated', (event) => {
+      console.log('🔄 Data updated event received:', event.detail);
+      if (window.policeEventsApp && window.policeEventsApp.handleDataUpdate) {
+        window.policeEventsApp.handleDataUpdate(event.detail);
+      }
+    });
 
-    // Make app globally accessible for debugging
-    window.policeApp = policeApp;
+    // Add force sync button handler
+    document.getElementById('refresh-data').addEventListener('click', async () => {
+      if (window.dataSyncManager) {
+        await window.dataSyncManager.forceSync();
+      }
+    });
 
-    console.log('✅ Aktuella Brott application initialized successfully');
+    console.log('✅ Application initialized successfully with advanced data sync!');
 
   } catch (error) {
     console.error('❌ Failed to initialize application:', error);
-
-    // Show user-friendly error message
-    const errorMessage = document.createElement('div');
-    errorMessage.innerHTML = `
-      <div style="
-        position: fixed;
-        top: 50%;
-        left: 50%;
-        transform: translate(-50%, -50%);
-        background: white;
-        padding: 2rem;
-        border-radius: 8px;
-        box-shadow: 0 10px 25px rgba(0,0,0,0.1);
-        text-align: center;
-        z-index: 10000;
-        font-family: inherit;
-      ">
-        <h2 style="color: #dc2626; margin: 0 0 1rem;">Kunde inte starta applikationen</h2>
-        <p style="color: #6b7280; margin: 0 0 1rem;">
-          Ett fel inträffade vid start av Aktuella Brott.
-          Försök ladda om sidan eller kontakta support om problemet kvarstår.
-        </p>
-        <button onclick="window.location.reload()" style="
-          background: #1e40af;
-          color: white;
-          border: none;
-          padding: 0.75rem 1.5rem;
-          border-radius: 6px;
-          cursor: pointer;
-          font-size: 1rem;
-        ">
-          Ladda om sidan
-        </button>
-      </div>
-    `;
-    document.body.appendChild(errorMessage);
+    Utils.showToast('Kunde inte starta applikationen - ladda om sidan', 8000, 'error');
   }
-}
 
-// Service Worker registration
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js')
-      .then(registration => {
-        console.log('✅ Service Worker registered:', registration.scope);
-      })
-      .catch(error => {
-        console.warn('⚠️ Service Worker registration failed:', error);
-      });
+  // Global error handler
+  window.addEventListener('error', (event) => {
+    console.error('Global error:', event.error);
+    Utils.showToast('Ett oväntat fel uppstod', 4000, 'error');
   });
-}
 
-console.log('🚓 Aktuella Brott - Application modules loaded successfully');
\ No newline at end of file
+  // Handle unhandled promise rejections
+  window.addEventListener('unhandledrejection', (event) => {
+    console.error('Unhandled promise rejection:', event.reason);
+    Utils.showToast('Ett fel uppstod vid datahantering', 4000, 'error');
+    event.preventDefault(); // Prevent console spam
+  });
+
+  // Add sync status indicator
+  const addSyncStatusIndicator = () => {
+    const statusIndicator = document.querySelector('.status-indicator');
+    const syncStatusIndicator = document.getElementById('sync-status');
+
+    if (statusIndicator && syncStatusIndicator && window.dataSyncManager) {
+      const updateStatus = () => {
+        const stats = window.dataSyncManager.getSyncStats();
+        const statusText = statusIndicator.querySelector('span');
+        const statusDot = statusIndicator.querySelector('.status-dot');
+        const syncText = syncStatusIndicator.querySelector('span');
+        const syncDot = syncStatusIndicator.querySelector('.sync-dot');
+
+        // Update main connection status
+        if (stats.isOnline) {
+          statusText.textContent = `Ansluten • ${stats.mode} läge`;
+          statusDot.style.background = 'var(--color-success)';
+        } else {
+          statusText.textContent = 'Offline • Lokala data';
+          statusDot.style.background = 'var(--color-warning)';
+        }
+
+        // Update sync status
+        const lastSyncTimes = Object.values(stats.lastSyncTimestamps);
+        const mostRecentSync = Math.max(...lastSyncTimes.filter(t => t > 0));
+
+        if (mostRecentSync > 0) {
+          const minutesAgo = Math.floor((Date.now() - mostRecentSync) / 60000);
+          if (minutesAgo < 1) {
+            syncText.textContent = 'Precis synkad';
+            syncDot.style.background = 'var(--color-success)';
+            syncDot.style.animation = 'none';
+          } else if (minutesAgo < 5) {
+            syncText.textContent = `Synkad ${minutesAgo}m sedan`;
+            syncDot.style.background = 'var(--color-success)';
+            syncDot.style.animation = 'none';
+          } else if (minutesAgo < 30) {
+            syncText.textContent = `Synkad ${minutesAgo}m sedan`;
+            syncDot.style.background = 'var(--color-warning)';
+            syncDot.style.animation = 'pulse 2s infinite';
+          } else {
+            syncText.textContent = 'Gammal data';
+            syncDot.style.background = 'var(--color-error)';
+            syncDot.style.animation = 'pulse 1s infinite';
+          }
+        } else {
+          syncText.textContent = 'Synkroniserar...';
+          syncDot.style.background = 'var(--color-primary)';
+          syncDot.style.animation = 'pulse 1.5s infinite';
+        }
+      };
+
+      // Update immediately and then every 30 seconds
+      updateStatus();
+      const statusInterval = setInterval(updateStatus, 30000);
+
+      // Update on online/offline events
+      window.addEventListener('online', updateStatus);
+      window.addEventListener('offline', updateStatus);
+
+      // Update on data sync events
+      document.addEventListener('dataReady', updateStatus);
+      document.addEventListener('dataUpdated', updateStatus);
+
+      // Store interval for cleanup if needed
+      window.statusUpdateInterval = statusInterval;
+    }
+  };
+
+  // Add status indicator after a short delay to ensure DOM is ready
+  setTimeout(addSyncStatusIndicator, 1000);
+});
@@ -0,0 +1,229 @@
+/**
+ * Area drawing on the map for Aktuella Brott
+ *
+ * One drawing session per instance, in one of three modes:
+ * - polygon:   click the corners; double-click, or click the first corner,
+ *              to finish. Backspace removes the last corner.
+ * - rectangle: drag from one corner to the opposite one
+ * - freehand:  drag along the outline
+ * Escape cancels. The finished area is passed on as a GeoJSON Polygon.
+ *
+ * Rectangle and freehand use pointer events, so they work with touch too.
+ * Needs the Leaflet global, so only use this in the browser.
+ */
+
+export class AreaDrawing {
+  static MODES = ['polygon', 'rectangle', 'freehand'];
+
+  static STYLE = {
+    color: '#2563eb',
+    weight: 2,
+    dashArray: '6 4',
+    fillColor: '#2563eb',
+    fillOpacity: 0.1,
+    interactive: false
+  };
+
+  // Pixels between recorded freehand points
+  static FREEHAND_SPACING = 6;
+  // Pixels from the first corner within which a click closes the polygon
+  static CLOSE_DISTANCE = 12;
+
+  /**
+   * @param {L.Map} map
+   * @param {'polygon' | 'rectangle' | 'freehand'} mode
+   * @param {{ onFinish?: (geometry: object) => void, onCancel?: () => void }} [callbacks]
+   */
+  constructor(map, mode, { onFinish = () => {}, onCancel = () => {} } = {}) {
+    if (!AreaDrawing.MODES.includes(mode)) {
+      throw new Error(`Unknown drawing mode: ${mode}`);
+    }
+
+    this.map = map;
+    this.mode = mode;
+    this.onFinish = onFinish;
+    this.onCancel = onCancel;
+    this.points = [];
+    this.pointerId = null;
+    this.shape = null;
+    this.active = false;
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleDoubleClick = this.handleDoubleClick.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  start() {
+    const container = this.map.getContainer();
+
+    this.active = true;
+    this.previousCursor = container.style.cursor;
+    container.style.cursor = 'crosshair';
+    this.map.doubleClickZoom.disable();
+    this.shape = L.polygon([], AreaDrawing.STYLE).addTo(this.map);
+
+    if (this.mode === 'polygon') {
+      this.map.on('click', this.handleClick);
+      this.map.on('mousemove', this.handleMouseMove);
+      this.map.on('dblclick', this.handleDoubleClick);
+    } else {
+      this.map.dragging.disable();
+      container.addEventListener('pointerdown', this.handlePointerDown);
+      container.addEventListener('pointermove', this.handlePointerMove);
+      container.addEventListener('pointerup', this.handlePointerUp);
+      container.addEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    document.addEventListener('keydown', this.handleKeyDown);
+    return this;
+  }
+
+  cancel() {
+    if (!this.active) return;
+
+    this.stop();
+    this.onCancel();
+  }
+
+  /**
+   * End the session with the drawn outline, or cancel it when the outline
+   * doesn't enclose an area
+   */
+  finish() {
+    if (!this.active) return;
+
+    const outline = this.getOutline();
+    const geometry = outline.length >= 3 ? this.toGeometry(outline) : null;
+
+    this.stop();
+    if (geometry) {
+      this.onFinish(geometry);
+    } else {
+      this.onCancel();
+    }
+  }
+
+  stop() {
+    const container = this.map.getContainer();
+
+    this.active = false;
+    this.map.off('click', this.handleClick);
+    this.map.off('mousemove', this.handleMouseMove);
+    this.map.off('dblclick', this.handleDoubleClick);
+    container.removeEventListener('pointerdown', this.handlePointerDown);
+    container.removeEventListener('pointermove', this.handlePointerMove);
+    container.removeEventListener('pointerup', this.handlePointerUp);
+    container.removeEventListener('pointercancel', this.handlePointerUp);
+    document.removeEventListener('keydown', this.handleKeyDown);
+
+    container.style.cursor = this.previousCursor || '';
+    this.map.dragging.enable();
+    this.map.doubleClickZoom.enable();
+
+    if (this.shape) {
+      this.map.removeLayer(this.shape);
+      this.shape = null;
+    }
+  }
+
+  handleClick(event) {
+    if (this.points.length >= 3 && this.getPixelDistance(event.latlng, this.points[0]) <= AreaDrawing.CLOSE_DISTANCE) {
+      this.finish();
+      return;
+    }
+
+    this.points.push(event.latlng);
+    this.redraw();
+  }
+
+  handleMouseMove(event) {
+    if (this.points.length > 0) {
+      this.redraw(event.latlng);
+    }
+  }
+
+  handleDoubleClick(event) {
+    L.DomEvent.stop(event);
+    this.finish();
+  }
+
+  handlePointerDown(event) {
+    if (event.button !== 0 || this.pointerId !== null) return;
+
+    event.preventDefault();
+    this.pointerId = event.pointerId;
+    this.map.getContainer().setPointerCapture(event.pointerId);
+    this.points = [this.map.mouseEventToLatLng(event)];
+  }
+
+  handlePointerMove(event) {
+    if (event.pointerId !== this.pointerId) return;
+
+    const latlng = this.map.mouseEventToLatLng(event);
+    if (this.mode === 'rectangle') {
+      this.points = [this.points[0], latlng];
+    } else if (this.getPixelDistance(latlng, this.points[this.points.length - 1]) >= AreaDrawing.FREEHAND_SPACING) {
+      this.points.push(latlng);
+    }
+    this.redraw();
+  }
+
+  handlePointerUp(event) {
+    if (event.pointerId !== this.pointerId) return;
+
+    this.pointerId = null;
+    this.finish();
+  }
+
+  handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      this.cancel();
+    } else if (event.key === 'Backspace' && this.mode === 'polygon' && this.points.length > 0) {
+      event.preventDefault();
+      this.points.pop();
+      this.redraw();
+    }
+  }
+
+  /**
+   * Corners drawn so far, with a pending corner at `cursor`. Corners that
+   * land on the same pixel, as the clicks of a double-click do, count once.
+   */
+  getOutline(cursor = null) {
+    if (this.mode === 'rectangle') {
+      if (this.points.length < 2) return [];
+
+      const bounds = L.latLngBounds(this.points);
+      if (this.getPixelDistance(bounds.getSouthWest(), bounds.getNorthEast()) < AreaDrawing.CLOSE_DISTANCE) {
+        return [];
+      }
+      return [bounds.getSouthWest(), bounds.getSouthEast(), bounds.getNorthEast(), bounds.getNorthWest()];
+    }
+
+    const points = cursor ? [...this.points, cursor] : this.points;
+    return points.filter((point, index) => index === 0 || this.getPixelDistance(point, points[index - 1]) >= 1);
+  }
+
+  redraw(cursor = null) {
+    this.shape?.setLatLngs(this.getOutline(cursor));
+  }
+
+  getPixelDistance(a, b) {
+    return this.map.latLngToContainerPoint(a).distanceTo(this.map.latLngToContainerPoint(b));
+  }
+
+  /**
+   * Closed GeoJSON ring, [lng, lat] rounded to about a metre
+   */
+  toGeometry(outline) {
+    const round = value => Math.round(value * 1e5) / 1e5;
+    const ring = outline.map(point => [round(point.lng), round(point.lat)]);
+    ring.push([...ring[0]]);
+
+    return { type: 'Polygon', coordinates: [ring] };
+  }
+}
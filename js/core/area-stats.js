@@ -0,0 +1,116 @@
+/**
+ * Event rates per kommun and län for Aktuella Brott
+ *
+ * Aggregates events over the administrative areas from the Gazetteer for the
+ * area view: counts, optionally weighted by severity, rates per 10 000
+ * inhabitants, quantile classes for coloring and a breakdown by type.
+ */
+
+import { CONFIG } from './config.js';
+import { EventFilters } from './filters.js';
+import { Gazetteer } from './gazetteer.js';
+
+export class AreaStats {
+  static METRICS = ['count', 'rate'];
+
+  static LEVELS = ['kommun', 'län'];
+
+  /**
+   * Every area of the level with its events inside the window, areas
+   * without events included so they can be drawn as such
+   *
+   * @param {Array<object>} events
+   * @param {{ level?: string, window?: string, weighted?: boolean, now?: number }} [options]
+   * @returns {Array<{ kod: string, namn: string, lat: number, lng: number, population: number,
+   *                   count: number, score: number, rate: number, types: Array<{ type: string, count: number }> }>}
+   */
+  static aggregate(events, {
+    level = CONFIG.CHOROPLETH.LEVEL,
+    window = CONFIG.CHOROPLETH.WINDOW,
+    weighted = CONFIG.CHOROPLETH.WEIGHTED,
+    now = Date.now()
+  } = {}) {
+    const codeField = level === 'län' ? 'länskod' : 'kommunkod';
+    const range = EventFilters.ROLLING_TIME_RANGES[window];
+    const cutoff = range ? now - range : null;
+
+    const areas = new Map(
+      (level === 'län' ? Gazetteer.getLan() : Gazetteer.getKommuner())
+        .map(({ kod, namn, lat, lng, population }) => [kod, { kod, namn, lat, lng, population, count: 0, score: 0, types: {} }])
+    );
+
+    events.forEach(event => {
+      const area = areas.get(event[codeField]);
+      if (!area || (cutoff !== null && event.timeMs < cutoff)) return;
+
+      area.count++;
+      area.score += weighted ? this.getWeight(event) : 1;
+      area.types[event.type] = (area.types[event.type] || 0) + 1;
+    });
+
+    return [...areas.values()].map(area => ({
+      ...area,
+      rate: area.population > 0 ? area.score * 10000 / area.population : 0,
+      types: Object.entries(area.types)
+        .map(([type, count]) => ({ type, count }))
+        .sort((a, b) => b.count - a.count)
+    }));
+  }
+
+  static getWeight(event) {
+    return CONFIG.CHOROPLETH.SEVERITY_WEIGHTS[event.severityInfo?.level] ?? 1;
+  }
+
+  /**
+   * The value an area is colored by: its (weighted) count or its rate
+   */
+  static getValue(area, metric) {
+    return metric === 'rate' ? area.rate : area.score;
+  }
+
+  /**
+   * Upper bounds of quantile classes over the non-zero values. Fewer classes
+   * are returned when the values don't spread that far.
+   */
+  static getBreaks(values, classes = CONFIG.CHOROPLETH.COLORS.length) {
+    const sorted = values.filter(value => value > 0).sort((a, b) => a - b);
+    if (sorted.length === 0) return [];
+
+    const breaks = [];
+    for (let i = 1; i <= classes; i++) {
+      const value = sorted[Math.min(sorted.length - 1, Math.ceil(i * sorted.length / classes) - 1)];
+      if (breaks[breaks.length - 1] !== value) breaks.push(value);
+    }
+
+    return breaks;
+  }
+
+  /**
+   * Color for a value, the empty color for areas without events
+   */
+  static getColor(value, breaks) {
+    const { COLORS, EMPTY_COLOR } = CONFIG.CHOROPLETH;
+    if (!(value > 0) || breaks.length === 0) return EMPTY_COLOR;
+
+    const index = breaks.findIndex(upper => value <= upper);
+    const classIndex = index === -1 ? breaks.length - 1 : index;
+
+    // Spread fewer classes over the whole palette
+    return COLORS[Math.round(classIndex * (COLORS.length - 1) / Math.max(1, breaks.length - 1))];
+  }
+
+  /**
+   * Legend entries, one per class: range label and color
+   */
+  static getLegend(breaks, metric) {
+    const format = value => (metric === 'rate' ? value.toFixed(1) : String(Math.round(value * 10) / 10)).replace('.', ',');
+
+    return breaks.map((upper, index) => {
+      const lower = index === 0 ? 0 : breaks[index - 1];
+      return {
+        label: index === 0 ? `≤ ${format(upper)}` : `${format(lower)} – ${format(upper)}`,
+        color: this.getColor(upper, breaks)
+      };
+    });
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Shared configuration for Aktuella Brott
+ *
+ * Used by the static page (js/app.js) and the Next.js app alike, so this
+ * module must not touch `window` or `document`.
+ */
+
+export const CONFIG = {
+  API: {
+    EVENTS: 'https://polisen.se/api/events',
+    STATIONS: 'https://polisen.se/api/policestations',
+    RSS_SOURCES: [
+      'https://polisen.se/aktuellt/rss/',
+      'https://polisen.se/aktuellt/handelser/rss/'
+    ],
+    // Same-origin Next.js route handlers that proxy and normalize the above
+    PROXY: {
+      EVENTS: '/api/events',
+      STATIONS: '/api/stations',
+      RSS: '/api/rss',
+      // Web Push subscriptions for watch zones, see src/app/api/push
+      PUSH: '/api/push'
+    }
+  },
+  STORAGE: {
+    DB_NAME: 'PoliceEventsDB',
+    DB_VERSION: 8,
+    EVENTS_STORE: 'events',
+    STATIONS_STORE: 'stations',
+    FAVORITES_STORE: 'favorites',
+    SETTINGS_STORE: 'settings',
+    EVENT_ALIASES_STORE: 'eventAliases',
+    RSS_STORE: 'rssItems',
+    OVERLAYS_STORE: 'overlays',
+    RSS_MAX_ITEMS: 200,
+    RECENT_EVENTS_MAX_AGE: 7 * 24 * 60 * 60 * 1000, // 7 days
+    // Archive mode keeps events beyond the recent window, up to a quota
+    ARCHIVE: {
+      ENABLED: true,
+      MAX_EVENTS: 50000,
+      COMPACT_AFTER: 30 * 24 * 60 * 60 * 1000 // 30 days
+    }
+  },
+  MAP: {
+    CENTER: [62.0, 15.0],
+    ZOOM: 5,
+    MIN_ZOOM: 4,
+    MAX_ZOOM: 18,
+    CLUSTER_RADIUS: 25,
+    DISABLE_CLUSTERING_AT_ZOOM: 11,
+    MARKER_ANIMATION_MS: 600, // updated events glide to their new position
+    TILE_URL: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    TILE_ATTRIBUTION: '© <a href="https://openstreetmap.org">OpenStreetMap</a> contributors'
+  },
+  // Map libraries, loaded from the same CDN by index.html and the Next.js map
+  LIBRARIES: {
+    LEAFLET_CSS: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    LEAFLET_JS: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    MARKERCLUSTER_CSS: 'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+    MARKERCLUSTER_DEFAULT_CSS: 'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css',
+    MARKERCLUSTER_JS: 'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js'
+  },
+  FILTERS: {
+    DEFAULT_RADIUS: 10, // km
+    MAX_EVENTS: 500
+  },
+  // Area view ("Områden") coloring kommuner or län by events
+  CHOROPLETH: {
+    LEVEL: 'kommun', // 'kommun' | 'län'
+    METRIC: 'rate', // 'count' | 'rate' (per 10 000 inhabitants)
+    WINDOW: '7days', // an EventFilters rolling range or 'all'
+    WEIGHTED: false,
+    // Weight per severity level when weighting is on
+    SEVERITY_WEIGHTS: { 1: 0.5, 2: 1, 3: 2, 4: 3, 5: 5 },
+    // Light to dark, one color per class
+    COLORS: ['#fef3c7', '#fcd34d', '#fb923c', '#dc2626', '#7f1d1d'],
+    EMPTY_COLOR: '#e5e7eb'
+  },
+  // The user's own GeoJSON/CSV layers
+  OVERLAYS: {
+    MAX_FILE_SIZE: 10 * 1024 * 1024, // bytes
+    COLORS: ['#7c3aed', '#0891b2', '#16a34a', '#db2777', '#ca8a04', '#475569']
+  },
+  SPATIAL_INDEX: {
+    CELL_SIZE: 0.1, // degrees, about 11 km north-south
+    NEAREST_STATION_MAX_KM: 50 // furthest police station named in an event popup
+  },
+  // Playback through real time in the timeline panel
+  TIMELINE: {
+    STEP_INTERVAL: 1000, // ms per step at normal speed
+    DEFAULT_STEP: '1h',
+    DEFAULT_TRAIL_STEPS: 3, // earlier steps that stay on the map, fading
+    TRAIL_MIN_OPACITY: 0.15,
+    MAX_FRAMES: 5000, // 30 days of 15 min steps is 2880
+    MAX_HISTOGRAM_BINS: 120,
+    RECORDING: {
+      MAX_WIDTH: 1280, // px, WebM
+      GIF_MAX_WIDTH: 720, // px, GIF frames are larger and slower to encode
+      FPS: 30,
+      VIDEO_BITS_PER_SECOND: 4000000,
+      LEGEND_ENTRIES: 6
+    }
+  },
+  // Notifications for new events in the user's watch zones
+  WATCH_ZONES: {
+    MAX_EVENT_AGE: 6 * 60 * 60 * 1000, // older events are not news
+    MAX_SEPARATE: 3, // more matches than this in one sync become one summary
+    DIGEST_INTERVAL: 30 * 60 * 1000, // at most one digest per zone in this time
+    PERIODIC_SYNC_INTERVAL: 15 * 60 * 1000
+  },
+  UI: {
+    TOAST_DURATION: 3000,
+    DEBOUNCE_DELAY: 300,
+    THROTTLE_DELAY: 150
+  }
+};
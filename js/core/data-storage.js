@@ -0,0 +1,857 @@
+/**
+ * IndexedDB storage for Aktuella Brott
+ *
+ * Stores events, stations, favorites, settings, legacy event id aliases,
+ * RSS items and the user's imported map overlays. In archive mode events
+ * are kept beyond the recent window, up to a quota, and compacted once they
+ * are old; see applyRetention. Schema changes are versioned steps in
+ * MIGRATIONS. Browser only at runtime; importing the module has no side
+ * effects.
+ */
+
+import { CONFIG } from './config.js';
+import { CrimeSeveritySystem } from './severity.js';
+import { EventIdentity } from './event-identity.js';
+import { Gazetteer } from './gazetteer.js';
+import { EventQuery } from './event-query.js';
+import { SchemaMigrations } from './schema-migrations.js';
+
+export class DataStorage {
+  static DB_NAME = CONFIG.STORAGE.DB_NAME;
+  static DB_VERSION = CONFIG.STORAGE.DB_VERSION;
+  static EVENTS_STORE = CONFIG.STORAGE.EVENTS_STORE;
+  static STATIONS_STORE = CONFIG.STORAGE.STATIONS_STORE;
+  static FAVORITES_STORE = CONFIG.STORAGE.FAVORITES_STORE;
+  static SETTINGS_STORE = CONFIG.STORAGE.SETTINGS_STORE;
+  static EVENT_ALIASES_STORE = CONFIG.STORAGE.EVENT_ALIASES_STORE;
+  static RSS_STORE = CONFIG.STORAGE.RSS_STORE;
+  static OVERLAYS_STORE = CONFIG.STORAGE.OVERLAYS_STORE;
+
+  static db = null;
+
+  static ARCHIVE_INDEXES = {
+    type_time: ['type', 'timeMs'],
+    kommun_time: ['kommunkod', 'timeMs'],
+    lan_time: ['länskod', 'timeMs']
+  };
+
+  // Fields left out of compacted records, all recomputed by PoliceEvent.fromRecord
+  static COMPACTED_FIELDS = ['severityInfo', 'contentHash'];
+
+  /**
+   * Schema history, one step per version; see SchemaMigrations. Add a step
+   * and bump CONFIG.STORAGE.DB_VERSION to change the schema.
+   */
+  static MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Händelser, stationer och inställningar',
+      upgrade: ({ db, transaction }) => {
+        const eventsStore = SchemaMigrations.ensureStore(db, transaction, this.EVENTS_STORE, { keyPath: 'id' });
+        SchemaMigrations.ensureIndex(eventsStore, 'timestamp', 'timeMs');
+        SchemaMigrations.ensureIndex(eventsStore, 'type', 'type');
+        SchemaMigrations.ensureIndex(eventsStore, 'city', 'city');
+
+        SchemaMigrations.ensureStore(db, transaction, this.STATIONS_STORE, { keyPath: 'id' });
+
+        // Sync state, user preferences
+        SchemaMigrations.ensureStore(db, transaction, this.SETTINGS_STORE, { keyPath: 'key' });
+      }
+    },
+    {
+      // Version 2 databases created by the first js/app.js have no favorites
+      version: 3,
+      description: 'Favoriter',
+      upgrade: ({ db, transaction }) => {
+        const favoritesStore = SchemaMigrations.ensureStore(db, transaction, this.FAVORITES_STORE, { keyPath: 'id' });
+        SchemaMigrations.ensureIndex(favoritesStore, 'type', 'type'); // 'event' or 'location'
+        SchemaMigrations.ensureIndex(favoritesStore, 'timestamp', 'savedAt');
+      }
+    },
+    {
+      version: 4,
+      description: 'Stabila händelse-id',
+      upgrade: ({ db, transaction }) => {
+        // Legacy id -> stable id, so old favorites and share links still resolve
+        SchemaMigrations.ensureStore(db, transaction, this.EVENT_ALIASES_STORE, { keyPath: 'legacyId' });
+        SchemaMigrations.ensureIndex(transaction.objectStore(this.EVENTS_STORE), 'fingerprint', 'fingerprint');
+
+        return this.migrateLegacyEventIds(transaction);
+      }
+    },
+    {
+      version: 5,
+      description: 'Nyheter offline',
+      upgrade: ({ db, transaction }) => {
+        const rssStore = SchemaMigrations.ensureStore(db, transaction, this.RSS_STORE, { keyPath: 'id' });
+        SchemaMigrations.ensureIndex(rssStore, 'timestamp', 'timeMs');
+        SchemaMigrations.ensureIndex(rssStore, 'savedAt', 'savedAt');
+      }
+    },
+    {
+      version: 6,
+      description: 'Arkiv och kommuner',
+      upgrade: ({ transaction, report }) => {
+        // Archive queries: a type or area, ordered by time
+        const eventsStore = transaction.objectStore(this.EVENTS_STORE);
+        Object.entries(this.ARCHIVE_INDEXES).forEach(([name, keyPath]) => {
+          SchemaMigrations.ensureIndex(eventsStore, name, keyPath);
+        });
+
+        return this.addAreasToEvents(transaction, report);
+      }
+    },
+    {
+      // Indexes from the first js/app.js that nothing reads
+      version: 7,
+      description: 'Oanvända index',
+      upgrade: ({ transaction }) => {
+        const eventsStore = transaction.objectStore(this.EVENTS_STORE);
+        ['severity', 'coordinates', 'exactLocation'].forEach(name => SchemaMigrations.deleteIndex(eventsStore, name));
+
+        const stationsStore = transaction.objectStore(this.STATIONS_STORE);
+        ['name', 'coordinates'].forEach(name => SchemaMigrations.deleteIndex(stationsStore, name));
+      }
+    },
+    {
+      version: 8,
+      description: 'Egna kartlager',
+      upgrade: ({ db, transaction }) => {
+        SchemaMigrations.ensureStore(db, transaction, this.OVERLAYS_STORE, { keyPath: 'id' });
+      }
+    }
+  ];
+
+  /**
+   * Open the database, upgrading it if it's older than DB_VERSION.
+   * onProgress is called as the upgrade steps run; see SchemaMigrations.run.
+   *
+   * @param {{ onProgress?: (progress: { version: number, description: string, step: number,
+   *           steps: number, processed: number }) => void }} [options]
+   */
+  static async initialize({ onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+      let migrationError = null;
+
+      request.onerror = () => reject(migrationError || request.error);
+      request.onblocked = () => {
+        console.warn('Database upgrade waiting for other tabs to close');
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+
+        // Let a newer version in another tab upgrade the database
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
+        resolve();
+      };
+
+      request.onupgradeneeded = (event) => {
+        const transaction = event.target.transaction;
+
+        SchemaMigrations.run({
+          db: event.target.result,
+          transaction,
+          oldVersion: event.oldVersion,
+          newVersion: event.newVersion,
+          migrations: this.MIGRATIONS,
+          onProgress
+        })
+          .then(versions => {
+            if (event.oldVersion > 0 && versions.length > 0) {
+              console.log(`Upgraded database from version ${event.oldVersion} to ${event.newVersion}`);
+            }
+          })
+          .catch(error => {
+            console.error('Database upgrade failed:', error);
+            migrationError = error;
+            transaction.abort();
+          });
+      };
+    });
+  }
+
+  static async saveEvents(events) {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.EVENTS_STORE, this.FAVORITES_STORE, this.EVENT_ALIASES_STORE],
+        'readwrite'
+      );
+      const store = transaction.objectStore(this.EVENTS_STORE);
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve();
+
+      events.forEach(event => {
+        const record = this.toEventRecord(event);
+        store.put(record);
+        this.absorbFingerprintDuplicates(transaction, record);
+      });
+    });
+  }
+
+  /**
+   * Re-key events and event favorites saved with the old Date.now()-salted
+   * ids to their stable id. Runs inside the version upgrade transaction.
+   */
+  static migrateLegacyEventIds(transaction) {
+    const readAll = storeName => new Promise((resolve, reject) => {
+      const request = transaction.objectStore(storeName).getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+
+    const events = readAll(this.EVENTS_STORE).then(records => {
+      const legacyRecords = records.filter(record => EventIdentity.isLegacyId(record.id));
+
+      legacyRecords.forEach(record => {
+        const id = EventIdentity.forRecord(record);
+        const fingerprint = EventIdentity.fingerprintRecord(record);
+        this.rekeyEvent(transaction, record.id, { ...record, id, fingerprint });
+      });
+
+      if (legacyRecords.length > 0) {
+        console.log(`Migrated ${legacyRecords.length} events to stable ids`);
+      }
+    });
+
+    const favorites = readAll(this.FAVORITES_STORE).then(records => {
+      records
+        .filter(favorite => favorite.type === 'event' && EventIdentity.isLegacyId(favorite.data?.id))
+        .forEach(favorite => {
+          const id = EventIdentity.forRecord(favorite.data);
+          this.rekeyFavorite(transaction, favorite, id);
+          transaction.objectStore(this.EVENT_ALIASES_STORE)
+            .put({ legacyId: favorite.data.id, id, migratedAt: Date.now() });
+        });
+    });
+
+    return Promise.all([events, favorites]);
+  }
+
+  /**
+   * Give events stored before the gazetteer their kommun and län, so the
+   * area indexes cover them. Runs inside the version upgrade transaction.
+   */
+  static addAreasToEvents(transaction, report) {
+    return SchemaMigrations.transformRecords(transaction.objectStore(this.EVENTS_STORE), record => {
+      if (record.kommunkod !== undefined) return undefined;
+
+      const area = Gazetteer.resolve({ name: record.city, lat: record.lat, lng: record.lng });
+      return {
+        ...record,
+        kommun: area?.kommun ?? null,
+        kommunkod: area?.kommunkod ?? null,
+        län: area?.län ?? null,
+        länskod: area?.länskod ?? null
+      };
+    }, report);
+  }
+
+  /**
+   * Replace the event stored under `oldId` with `record` and remember the alias
+   */
+  static rekeyEvent(transaction, oldId, record) {
+    const eventsStore = transaction.objectStore(this.EVENTS_STORE);
+    eventsStore.delete(oldId);
+    if (record) {
+      eventsStore.put(record);
+    }
+
+    const newId = record ? record.id : null;
+    if (newId && newId !== oldId) {
+      transaction.objectStore(this.EVENT_ALIASES_STORE)
+        .put({ legacyId: oldId, id: newId, migratedAt: Date.now() });
+    }
+  }
+
+  static rekeyFavorite(transaction, favorite, newId) {
+    const favoritesStore = transaction.objectStore(this.FAVORITES_STORE);
+    favoritesStore.delete(favorite.id);
+    favoritesStore.put({
+      ...favorite,
+      id: `event_${newId}`,
+      data: { ...favorite.data, id: newId }
+    });
+  }
+
+  /**
+   * Fold records stored under a fingerprint id into the upstream id once
+   * the upstream event arrives. Calls onRemoved for each folded id.
+   */
+  static absorbFingerprintDuplicates(transaction, record, onRemoved = () => {}) {
+    if (!record.fingerprint || EventIdentity.isFingerprintId(record.id)) {
+      return;
+    }
+
+    const index = transaction.objectStore(this.EVENTS_STORE).index('fingerprint');
+    const request = index.getAllKeys(record.fingerprint);
+
+    request.onsuccess = () => {
+      (request.result || [])
+        .filter(id => id !== record.id)
+        .forEach(id => {
+          this.rekeyEvent(transaction, id, null);
+          transaction.objectStore(this.EVENT_ALIASES_STORE)
+            .put({ legacyId: id, id: record.id, migratedAt: Date.now() });
+
+          const favoriteRequest = transaction.objectStore(this.FAVORITES_STORE).get(`event_${id}`);
+          favoriteRequest.onsuccess = () => {
+            if (favoriteRequest.result) {
+              this.rekeyFavorite(transaction, favoriteRequest.result, record.id);
+            }
+          };
+
+          onRemoved(id);
+        });
+    };
+  }
+
+  /**
+   * Follow the alias table from a legacy or fingerprint id to the current id
+   */
+  static async resolveEventId(id) {
+    if (!this.db) await this.initialize();
+
+    let currentId = id;
+    for (let hop = 0; hop < 5; hop++) {
+      const alias = await new Promise((resolve) => {
+        const transaction = this.db.transaction([this.EVENT_ALIASES_STORE], 'readonly');
+        const request = transaction.objectStore(this.EVENT_ALIASES_STORE).get(currentId);
+        request.onerror = () => resolve(null);
+        request.onsuccess = () => resolve(request.result || null);
+      });
+
+      if (!alias) break;
+      currentId = alias.id;
+    }
+
+    return currentId;
+  }
+
+  static toEventRecord(event) {
+    const severityInfo = CrimeSeveritySystem.ensurePriority(event.severityInfo);
+    const record = {
+      id: event.id,
+      timeMs: event.timeMs,
+      timestamp: event.timestamp,
+      type: event.type,
+      title: event.title,
+      description: event.description,
+      city: event.city,
+      address: event.address,
+      kommun: event.kommun ?? null,
+      kommunkod: event.kommunkod ?? null,
+      län: event.län ?? null,
+      länskod: event.länskod ?? null,
+      lat: event.lat,
+      lng: event.lng,
+      exactLocation: event.exactLocation,
+      severityInfo: { ...severityInfo },
+      url: event.url,
+      fingerprint: event.fingerprint || EventIdentity.fingerprintRecord(event)
+    };
+
+    if (event.contentHash) {
+      record.contentHash = event.contentHash;
+    }
+
+    return record;
+  }
+
+  /**
+   * Merge events into the store, only writing records whose content changed.
+   * Stored events inside the covered window that are missing from `events`
+   * are deleted. Resolves with the ids that were added, changed and removed.
+   */
+  static async mergeEvents(events, { coveredSince = null, isCovered = () => true } = {}) {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.EVENTS_STORE, this.FAVORITES_STORE, this.EVENT_ALIASES_STORE],
+        'readwrite'
+      );
+      const store = transaction.objectStore(this.EVENTS_STORE);
+      const changes = { added: [], changed: [], removed: [] };
+      const incomingIds = new Set(events.map(event => event.id));
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => {
+        changes.removed = [...new Set(changes.removed)];
+        resolve(changes);
+      };
+
+      events.forEach(event => {
+        const record = this.toEventRecord(event);
+        const request = store.get(record.id);
+
+        request.onsuccess = () => {
+          const existing = request.result;
+
+          if (!existing) {
+            store.put(record);
+            changes.added.push(record.id);
+          } else if (existing.contentHash !== record.contentHash) {
+            store.put(record);
+            changes.changed.push(record.id);
+          }
+        };
+
+        this.absorbFingerprintDuplicates(transaction, record, id => changes.removed.push(id));
+      });
+
+      if (coveredSince !== null) {
+        const range = IDBKeyRange.lowerBound(coveredSince);
+        const cursorRequest = store.index('timestamp').openCursor(range);
+
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor) return;
+
+          if (!incomingIds.has(cursor.primaryKey) && isCovered(cursor.value)) {
+            cursor.delete();
+            changes.removed.push(cursor.primaryKey);
+          }
+          cursor.continue();
+        };
+      }
+    });
+  }
+
+  static async getEventsByIds(ids) {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.EVENTS_STORE], 'readonly');
+      const store = transaction.objectStore(this.EVENTS_STORE);
+      const events = [];
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve(events);
+
+      ids.forEach(id => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result) {
+            events.push(request.result);
+          }
+        };
+      });
+    });
+  }
+
+  static async getRecentEvents(maxAge = CONFIG.STORAGE.RECENT_EVENTS_MAX_AGE) {
+    const { events } = await this.queryEvents({ from: Date.now() - maxAge });
+    return events;
+  }
+
+  /**
+   * Recent events, newest first
+   */
+  static async getEvents({ maxAge = CONFIG.STORAGE.RECENT_EVENTS_MAX_AGE, limit = Infinity } = {}) {
+    const { events } = await this.queryEvents({ from: Date.now() - maxAge, limit });
+    return events;
+  }
+
+  /**
+   * Run an EventQuery. Each key range of the plan gets a cursor; the cursors
+   * advance in step so records come out merged in time order and reading
+   * stops once the page is full.
+   *
+   * @param {Parameters<typeof EventQuery.plan>[0]} [query]
+   * @returns {Promise<{ events: object[], next: { timeMs: number, id: string } | null }>}
+   */
+  static async queryEvents(query = {}) {
+    if (!this.db) await this.initialize();
+
+    const plan = EventQuery.plan(query);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.EVENTS_STORE], 'readonly');
+      const index = transaction.objectStore(this.EVENTS_STORE).index(plan.index);
+      const events = [];
+      let full = plan.limit <= 0;
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve({ events, next: EventQuery.getNext(events, plan) });
+
+      if (full) return;
+
+      // One head per range: its current matching cursor, or finished
+      const heads = plan.ranges.map(({ lower, upper }) => ({
+        request: index.openCursor(IDBKeyRange.bound(lower, upper), plan.descending ? 'prev' : 'next'),
+        cursor: null,
+        finished: false
+      }));
+
+      // Take the first record among the heads once every head has one
+      const emit = () => {
+        if (full || heads.some(head => !head.finished && !head.cursor)) return;
+
+        const ready = heads.filter(head => head.cursor);
+        if (ready.length === 0) return;
+
+        const first = ready.reduce((best, head) =>
+          EventQuery.compare(head.cursor.value, best.cursor.value, plan.descending) < 0 ? head : best
+        );
+
+        events.push(first.cursor.value);
+        full = events.length >= plan.limit;
+
+        const cursor = first.cursor;
+        first.cursor = null;
+        if (!full) cursor.continue();
+      };
+
+      heads.forEach(head => {
+        head.request.onsuccess = () => {
+          const cursor = head.request.result;
+
+          if (!cursor) {
+            head.finished = true;
+          } else if (EventQuery.matches(cursor.value, plan)) {
+            head.cursor = cursor;
+          } else {
+            cursor.continue();
+            return;
+          }
+          emit();
+        };
+      });
+    });
+  }
+
+  /**
+   * Number of stored events and the oldest one's time
+   */
+  static async getArchiveInfo() {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.EVENTS_STORE], 'readonly');
+      const store = transaction.objectStore(this.EVENTS_STORE);
+      const info = { count: 0, oldestTimeMs: null };
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve(info);
+
+      store.count().onsuccess = (event) => {
+        info.count = event.target.result;
+      };
+
+      store.index('timestamp').openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) info.oldestTimeMs = cursor.value.timeMs;
+      };
+    });
+  }
+
+  /**
+   * Enforce the retention policy. Without archive mode, events older than
+   * the recent window are deleted. In archive mode the oldest events beyond
+   * `maxEvents` are deleted and events older than `compactAfter` compacted.
+   * Resolves with the number of removed and compacted records.
+   */
+  static async applyRetention({
+    archive = CONFIG.STORAGE.ARCHIVE.ENABLED,
+    maxEvents = CONFIG.STORAGE.ARCHIVE.MAX_EVENTS,
+    maxAge = CONFIG.STORAGE.RECENT_EVENTS_MAX_AGE,
+    compactAfter = CONFIG.STORAGE.ARCHIVE.COMPACT_AFTER,
+    now = Date.now()
+  } = {}) {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.EVENTS_STORE], 'readwrite');
+      const store = transaction.objectStore(this.EVENTS_STORE);
+      const index = store.index('timestamp');
+      const result = { removed: 0, compacted: 0 };
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve(result);
+
+      if (!archive) {
+        index.openCursor(IDBKeyRange.upperBound(now - maxAge, true)).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+
+          cursor.delete();
+          result.removed++;
+          cursor.continue();
+        };
+        return;
+      }
+
+      store.count().onsuccess = (countEvent) => {
+        let excess = Math.max(0, countEvent.target.result - maxEvents);
+        const compactBefore = now - compactAfter;
+
+        // Oldest first: delete the excess, then compact up to the cutoff
+        index.openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+
+          if (excess > 0) {
+            cursor.delete();
+            excess--;
+            result.removed++;
+          } else if (cursor.value.timeMs >= compactBefore) {
+            return;
+          } else if (!cursor.value.compacted) {
+            cursor.update(this.compactRecord(cursor.value));
+            result.compacted++;
+          }
+          cursor.continue();
+        };
+      };
+    });
+  }
+
+  /**
+   * Smaller copy of an old record: derived fields dropped and coordinates
+   * rounded to ~10 m, which is finer than the approximate positions anyway
+   */
+  static compactRecord(record) {
+    const compacted = { ...record, compacted: true };
+
+    this.COMPACTED_FIELDS.forEach(field => delete compacted[field]);
+    if (Number.isFinite(compacted.lat)) compacted.lat = Math.round(compacted.lat * 1e4) / 1e4;
+    if (Number.isFinite(compacted.lng)) compacted.lng = Math.round(compacted.lng * 1e4) / 1e4;
+    if (typeof compacted.description === 'string') compacted.description = compacted.description.replace(/\s+/g, ' ').trim();
+
+    return compacted;
+  }
+
+  static async saveStations(stations) {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STATIONS_STORE], 'readwrite');
+      const store = transaction.objectStore(this.STATIONS_STORE);
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve();
+
+      stations.forEach(station => {
+        const stationData = {
+          id: station.id,
+          name: station.name,
+          lat: station.lat,
+          lng: station.lng,
+          address: station.address,
+          phone: station.phone,
+          email: station.email,
+          website: station.website,
+          services: station.services,
+          servicesText: station.servicesText,
+          openingHours: station.openingHours
+        };
+        store.put(stationData);
+      });
+    });
+  }
+
+  static async getAllStations() {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STATIONS_STORE], 'readonly');
+      const store = transaction.objectStore(this.STATIONS_STORE);
+      const request = store.getAll();
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result || []);
+    });
+  }
+
+  /**
+   * Save fetched RSS items and drop the ones that haven't been in a feed for
+   * the longest time, keeping at most `maxItems`
+   */
+  static async saveRssItems(items, maxItems = CONFIG.STORAGE.RSS_MAX_ITEMS) {
+    if (!this.db) await this.initialize();
+
+    const savedAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.RSS_STORE], 'readwrite');
+      const store = transaction.objectStore(this.RSS_STORE);
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve();
+
+      items.forEach(item => {
+        store.put({
+          id: item.id,
+          guid: item.guid ?? null,
+          title: item.title,
+          link: item.link ?? null,
+          description: item.description || '',
+          categories: item.categories || [],
+          pubDate: item.pubDate ?? null,
+          timeMs: item.timeMs ?? null,
+          location: item.location || '',
+          source: item.source ?? null,
+          savedAt
+        });
+      });
+
+      let kept = 0;
+      const cursorRequest = store.index('savedAt').openCursor(null, 'prev');
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+
+        if (++kept > maxItems) cursor.delete();
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Stored RSS items, newest first (undated items last)
+   */
+  static async getRssItems({ limit = Infinity } = {}) {
+    if (!this.db) await this.initialize();
+
+    const items = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.RSS_STORE], 'readonly');
+      const request = transaction.objectStore(this.RSS_STORE).getAll();
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result || []);
+    });
+
+    return items
+      .sort((a, b) => (b.timeMs ?? -Infinity) - (a.timeMs ?? -Infinity))
+      .slice(0, limit);
+  }
+
+  // Settings management
+  static async saveSetting(key, value) {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.SETTINGS_STORE], 'readwrite');
+      const store = transaction.objectStore(this.SETTINGS_STORE);
+
+      const request = store.put({ key, value, updated: Date.now() });
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve();
+    });
+  }
+
+  static async getSetting(key, defaultValue = null) {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve) => {
+      const transaction = this.db.transaction([this.SETTINGS_STORE], 'readonly');
+      const store = transaction.objectStore(this.SETTINGS_STORE);
+      const request = store.get(key);
+
+      request.onerror = () => resolve(defaultValue);
+      request.onsuccess = () => {
+        const result = request.result;
+        resolve(result ? result.value : defaultValue);
+      };
+    });
+  }
+
+  // Favorites management
+  static async saveFavorite(item) {
+    if (!this.db) await this.initialize();
+
+    const favoriteItem = {
+      id: item.type === 'event' ? `event_${item.id}` : `location_${Date.now()}`,
+      type: item.type, // 'event' or 'location'
+      data: item,
+      savedAt: new Date().toISOString()
+    };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.FAVORITES_STORE], 'readwrite');
+      const store = transaction.objectStore(this.FAVORITES_STORE);
+
+      const request = store.put(favoriteItem);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(favoriteItem);
+    });
+  }
+
+  static async getFavorites(type = null) {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.FAVORITES_STORE], 'readonly');
+      const store = transaction.objectStore(this.FAVORITES_STORE);
+
+      const request = type ? store.index('type').getAll(type) : store.getAll();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result || []);
+    });
+  }
+
+  static async removeFavorite(id) {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.FAVORITES_STORE], 'readwrite');
+      const store = transaction.objectStore(this.FAVORITES_STORE);
+
+      const request = store.delete(id);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve();
+    });
+  }
+
+  /**
+   * Imported map overlays, oldest first
+   */
+  static async getOverlays() {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.OVERLAYS_STORE], 'readonly');
+      const request = transaction.objectStore(this.OVERLAYS_STORE).getAll();
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve((request.result || []).sort((a, b) => a.createdAt - b.createdAt));
+    });
+  }
+
+  static async saveOverlay(overlay) {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.OVERLAYS_STORE], 'readwrite');
+      const request = transaction.objectStore(this.OVERLAYS_STORE).put(overlay);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(overlay);
+    });
+  }
+
+  static async removeOverlay(id) {
+    if (!this.db) await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.OVERLAYS_STORE], 'readwrite');
+      const request = transaction.objectStore(this.OVERLAYS_STORE).delete(id);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve();
+    });
+  }
+
+  static async isFavorite(id, type) {
+    const favoriteId = `${type}_${id}`;
+    const favorites = await this.getFavorites(type);
+    return favorites.some(fav => fav.id === favoriteId);
+  }
+}
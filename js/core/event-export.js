@@ -0,0 +1,191 @@
+/**
+ * Event export for Aktuella Brott
+ *
+ * Writes events to CSV, a GeoJSON FeatureCollection or KML, for QGIS, Excel
+ * and Google Earth. Every format has the same fields; times are in Swedish
+ * time. Field names are ASCII so they survive shapefiles and older tools.
+ */
+
+import { Utils } from './utils.js';
+
+export class EventExport {
+  static FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+    kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+  };
+
+  static FIELDS = [
+    'id', 'time', 'type', 'title', 'description', 'severity', 'severity_description',
+    'city', 'kommun', 'kommunkod', 'lan', 'lanskod', 'lat', 'lng', 'exact_location', 'url'
+  ];
+
+  /**
+   * @param {Array<object>} events PoliceEvent instances or their toJSON()
+   * @param {'csv' | 'geojson' | 'kml'} format
+   * @param {{ now?: Date }} [options]
+   * @returns {{ content: string, filename: string, mimeType: string }}
+   */
+  static export(events, format, { now = new Date() } = {}) {
+    const info = this.FORMATS[format];
+    if (!info) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const writers = {
+      csv: () => this.toCSV(events),
+      geojson: () => JSON.stringify(this.toGeoJSON(events), null, 2),
+      kml: () => this.toKML(events)
+    };
+    const { date, time } = Utils.getStockholmDateTime(now);
+
+    return {
+      content: writers[format](),
+      filename: `aktuella-brott-${date}-${time.slice(0, 5).replace(':', '')}.${info.extension}`,
+      mimeType: info.mimeType
+    };
+  }
+
+  /**
+   * Export fields of one event. `time` is ISO 8601 with the Swedish offset,
+   * e.g. 2026-03-14T08:12:00+01:00.
+   */
+  static toRow(event) {
+    const { date, time, offset } = Utils.getStockholmDateTime(event.timeMs ?? event.timestamp);
+
+    return {
+      id: event.id,
+      time: `${date}T${time}${offset}`,
+      type: event.type || '',
+      title: event.title || '',
+      description: event.description || '',
+      severity: event.severityInfo?.level ?? null,
+      severity_description: event.severityInfo?.description || '',
+      city: event.city || '',
+      kommun: event.kommun || '',
+      kommunkod: event.kommunkod || '',
+      lan: event.län || '',
+      lanskod: event.länskod || '',
+      lat: Number.isFinite(event.lat) ? event.lat : null,
+      lng: Number.isFinite(event.lng) ? event.lng : null,
+      exact_location: Boolean(event.exactLocation),
+      url: event.url || ''
+    };
+  }
+
+  /**
+   * RFC 4180 CSV with a byte order mark, so Excel reads it as UTF-8. The
+   * time is split into date, time and UTC offset columns, which Excel
+   * recognises as such.
+   */
+  static toCSV(events) {
+    const header = ['id', 'date', 'time', 'utc_offset', ...this.FIELDS.slice(2)];
+
+    const lines = events.map(event => {
+      const row = this.toRow(event);
+      const [date, rest] = row.time.split('T');
+      const values = { ...row, date, time: rest.slice(0, 8), utc_offset: rest.slice(8) };
+
+      return header.map(field => this.escapeCSV(values[field], field)).join(',');
+    });
+
+    return '\uFEFF' + [header.join(','), ...lines].join('\r\n') + '\r\n';
+  }
+
+  static escapeCSV(value, field) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+
+    // Free text starting with a formula character would run as a formula in Excel
+    if (['title', 'description', 'type', 'city'].includes(field) && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Points in WGS 84; events without coordinates get a null geometry
+   */
+  static toGeoJSON(events) {
+    return {
+      type: 'FeatureCollection',
+      features: events.map(event => {
+        const properties = this.toRow(event);
+        const hasPoint = properties.lat !== null && properties.lng !== null;
+
+        return {
+          type: 'Feature',
+          id: properties.id,
+          geometry: hasPoint ? { type: 'Point', coordinates: [properties.lng, properties.lat] } : null,
+          properties
+        };
+      })
+    };
+  }
+
+  /**
+   * KML 2.2 placemarks styled by severity color. Events without coordinates
+   * are left out.
+   */
+  static toKML(events) {
+    const rows = events.map(event => ({ row: this.toRow(event), color: event.severityInfo?.color }))
+      .filter(({ row }) => row.lat !== null && row.lng !== null);
+
+    const styles = new Map();
+    rows.forEach(({ row, color }) => {
+      if (row.severity !== null && color && !styles.has(row.severity)) {
+        styles.set(row.severity, color);
+      }
+    });
+
+    const styleXml = [...styles].map(([level, color]) => `
+    <Style id="severity-${level}">
+      <IconStyle><color>${this.toKMLColor(color)}</color></IconStyle>
+    </Style>`).join('');
+
+    const placemarks = rows.map(({ row }) => {
+      const data = this.FIELDS
+        .map(field => `
+        <Data name="${field}"><value>${this.escapeXML(row[field] ?? '')}</value></Data>`)
+        .join('');
+
+      return `
+    <Placemark id="event-${this.escapeXML(row.id)}">
+      <name>${this.escapeXML(row.title)}</name>
+      <description>${this.escapeXML(row.description)}</description>
+      <TimeStamp><when>${row.time}</when></TimeStamp>${styles.has(row.severity) ? `
+      <styleUrl>#severity-${row.severity}</styleUrl>` : ''}
+      <ExtendedData>${data}
+      </ExtendedData>
+      <Point><coordinates>${row.lng},${row.lat}</coordinates></Point>
+    </Placemark>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Aktuella brott</name>${styleXml}${placemarks}
+  </Document>
+</kml>
+`;
+  }
+
+  // #rrggbb -> KML's aabbggrr
+  static toKMLColor(hex) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    return match ? `ff${match[3]}${match[2]}${match[1]}`.toLowerCase() : 'ffffffff';
+  }
+
+  static escapeXML(value) {
+    return String(value)
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
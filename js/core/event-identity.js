@@ -0,0 +1,126 @@
+/**
+ * Event Identity for Aktuella Brott
+ *
+ * Gives every police event an id that stays the same across fetches, so
+ * favorites, share links and the IndexedDB events store can rely on it.
+ *
+ * - The upstream Polisen `id` is used whenever it is present
+ * - Otherwise a deterministic hash of datetime, name and location is used
+ * - Ids from older versions (`id_…`, salted with Date.now()) are recognised
+ *   so they can be migrated to the new scheme
+ */
+
+export class EventIdentity {
+  static FINGERPRINT_PREFIX = 'ev_';
+  static LEGACY_PREFIX = 'id_';
+  static UNKNOWN_LOCATION = 'Okänd plats';
+
+  /**
+   * Get the stable id for a raw Polisen event
+   */
+  static forEvent(rawData = {}) {
+    if (rawData.id !== undefined && rawData.id !== null && String(rawData.id).trim() !== '') {
+      return String(rawData.id).trim();
+    }
+
+    return this.FINGERPRINT_PREFIX + this.fingerprintRaw(rawData);
+  }
+
+  /**
+   * Get the stable id for a stored event record that predates this scheme
+   */
+  static forRecord(record = {}) {
+    if (record.rawData && record.rawData.id !== undefined && record.rawData.id !== null) {
+      return String(record.rawData.id).trim();
+    }
+
+    return this.FINGERPRINT_PREFIX + this.fingerprintRecord(record);
+  }
+
+  /**
+   * Content fingerprint of a raw Polisen event (datetime, name, location)
+   */
+  static fingerprintRaw(rawData = {}) {
+    const dateStr = rawData.datetime || rawData.pubDate || rawData.date || rawData.timestamp;
+
+    return this.fingerprint(
+      dateStr ? new Date(dateStr).getTime() : NaN,
+      rawData.name || rawData.title || rawData.type,
+      rawData.location?.name
+    );
+  }
+
+  /**
+   * Content fingerprint of a stored event record or saved favorite
+   *
+   * Uses the record's rawData when it has one; otherwise the record fields
+   * PoliceEvent derived from the same raw fields, so both paths agree
+   */
+  static fingerprintRecord(record = {}) {
+    if (record.rawData) {
+      return this.fingerprintRaw(record.rawData);
+    }
+
+    const timeMs = typeof record.timeMs === 'number'
+      ? record.timeMs
+      : new Date(record.timestamp).getTime();
+    // PoliceEvent falls back to 'Okänd plats' when location.name is missing
+    const locationName = record.city === this.UNKNOWN_LOCATION ? '' : record.city;
+
+    return this.fingerprint(timeMs, record.title || record.name || record.type, locationName);
+  }
+
+  /**
+   * Hash of the upstream fields that are displayed, so a stored event that
+   * is unchanged upstream can be recognised without comparing every field
+   */
+  static contentHash(rawData = {}) {
+    return this.hash(JSON.stringify([
+      rawData.datetime,
+      rawData.name,
+      rawData.summary,
+      rawData.type,
+      rawData.url,
+      rawData.location?.name,
+      rawData.location?.gps
+    ]));
+  }
+
+  static fingerprint(timeMs, name, locationName) {
+    const minute = Number.isFinite(timeMs) ? Math.floor(timeMs / 60000) : '';
+    const parts = [minute, this.normalizeText(name), this.normalizeText(locationName)];
+
+    return this.hash(parts.join('|'));
+  }
+
+  static normalizeText(value) {
+    return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * 53-bit string hash (cyrb53) rendered in base 36
+   */
+  static hash(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+
+    for (let i = 0; i < str.length; i++) {
+      const char = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ char, 2654435761);
+      h2 = Math.imul(h2 ^ char, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  static isLegacyId(id) {
+    return typeof id === 'string' && id.startsWith(this.LEGACY_PREFIX);
+  }
+
+  static isFingerprintId(id) {
+    return typeof id === 'string' && id.startsWith(this.FINGERPRINT_PREFIX);
+  }
+}
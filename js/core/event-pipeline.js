@@ -0,0 +1,105 @@
+/**
+ * Event pipeline for Aktuella Brott
+ *
+ * Parses Polisen API responses into event records and filters the page's
+ * events, reporting which events came and went since the previous filtering
+ * rather than the whole list. Runs in js/event-worker.js so typing a search
+ * doesn't block the map, and on the page itself where workers are missing.
+ * Works on plain records (PoliceEvent#toJSON), which is what crosses
+ * postMessage.
+ */
+
+import { EventFilters } from './filters.js';
+import { PoliceEvent } from './police-event.js';
+import { SpatialIndex } from './spatial-index.js';
+
+export class EventPipeline {
+  constructor() {
+    this.events = [];
+    this.positions = new Map();
+    this.index = new SpatialIndex();
+    this.unlocated = [];
+    // Ids of the previous result, what the page is showing
+    this.filteredIds = new Set();
+  }
+
+  /**
+   * Valid events of an /api/events or Polisen API response body, newest first
+   *
+   * @returns {Array<object>} records for PoliceEvent.fromRecord
+   */
+  static parse(text) {
+    let rawEvents;
+    try {
+      rawEvents = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON response: ${error.message}`);
+    }
+
+    // /api/events has normalized them already
+    if (Array.isArray(rawEvents?.events)) {
+      return rawEvents.events;
+    }
+
+    if (!Array.isArray(rawEvents)) {
+      throw new Error('Ogiltig data från Polisen API');
+    }
+
+    return rawEvents
+      .map(raw => new PoliceEvent(raw))
+      .filter(event => event.isValidEvent())
+      .sort((a, b) => b.timeMs - a.timeMs)
+      .map(event => event.toJSON());
+  }
+
+  /**
+   * Replace the events to filter. The previous result is kept, so the next
+   * filter call also reports the events that are gone.
+   */
+  setEvents(records) {
+    this.events = records;
+    this.positions = new Map(records.map((record, position) => [record.id, position]));
+    this.index = new SpatialIndex(records);
+    this.unlocated = records.filter(record => !SpatialIndex.hasLocation(record));
+  }
+
+  /**
+   * Filter the events (see EventFilters.apply)
+   *
+   * @returns {{ added: string[], removed: string[], count: number, missingLocationCount: number }}
+   *   ids added and removed since the previous call
+   */
+  filter(filters, { now = Date.now() } = {}) {
+    const { events, missingLocationCount } = EventFilters.apply(this.getCandidates(filters), filters, { now });
+    const ids = new Set(events.map(event => event.id));
+
+    const added = events.filter(event => !this.filteredIds.has(event.id)).map(event => event.id);
+    const removed = [...this.filteredIds].filter(id => !ids.has(id));
+    this.filteredIds = ids;
+
+    return { added, removed, count: ids.size, missingLocationCount };
+  }
+
+  /**
+   * Forget the previous result, so the next filter call reports every
+   * matching event as added
+   */
+  reset() {
+    this.filteredIds = new Set();
+  }
+
+  /**
+   * The events that can pass the filters, in their original order: with a
+   * radius filter only those the index finds nearby, plus the events
+   * without coordinates so they are still counted as missing
+   */
+  getCandidates(filters) {
+    const { locationCenter, locationRadius } = filters;
+    if (!locationCenter || !locationRadius) {
+      return this.events;
+    }
+
+    return [...this.index.withinRadius(locationCenter.lat, locationCenter.lng, locationRadius), ...this.unlocated]
+      .sort((a, b) => this.positions.get(a.id) - this.positions.get(b.id));
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Event store queries for Aktuella Brott
+ *
+ * Plans a query against the events store indexes: which index to read, the
+ * key ranges within it and what is left to check per record. DataStorage
+ * runs the plan with cursors, merging the ranges by time, so a page of
+ * results only reads about as many records as it returns.
+ *
+ * Query fields, all optional:
+ * - from, to:   time range in ms (inclusive)
+ * - types:      event types, read through the type_time index
+ * - kommunkod:  SCB municipality code, read through kommun_time
+ * - länskod:    SCB county code, read through lan_time
+ * - city:       exact location name, checked per record
+ * - order:      'desc' (newest first, default) | 'asc'
+ * - limit:      page size
+ * - after:      `next` of the previous page, `{ timeMs, id }`
+ *
+ * Severity is not indexed: it depends on the user's rules and is recomputed
+ * when records are read.
+ */
+
+export class EventQuery {
+  /**
+   * @param {{ from?: number, to?: number, types?: string[], kommunkod?: string | null,
+   *           länskod?: string | null, city?: string | null, order?: 'asc' | 'desc',
+   *           limit?: number, after?: { timeMs: number, id: string } | null }} [query]
+   * @returns {{ index: string, ranges: Array<{ lower: any, upper: any }>, descending: boolean,
+   *             limit: number, after: { timeMs: number, id: string } | null,
+   *             types: string[] | null, city: string | null }}
+   */
+  static plan({
+    from = -Infinity,
+    to = Infinity,
+    types = [],
+    kommunkod = null,
+    länskod = null,
+    city = null,
+    order = 'desc',
+    limit = Infinity,
+    after = null
+  } = {}) {
+    const descending = order !== 'asc';
+
+    // Keyset pagination: continue from the last record of the previous page
+    if (after) {
+      if (descending) to = Math.min(to, after.timeMs);
+      else from = Math.max(from, after.timeMs);
+    }
+
+    const plan = { descending, limit, after, types: null, city };
+    if (from > to) {
+      return { ...plan, index: 'timestamp', ranges: [] };
+    }
+
+    const timeRange = prefix => ({ lower: [prefix, from], upper: [prefix, to] });
+
+    if (kommunkod) {
+      return { ...plan, index: 'kommun_time', ranges: [timeRange(kommunkod)], types: types.length > 0 ? types : null };
+    }
+    if (länskod) {
+      return { ...plan, index: 'lan_time', ranges: [timeRange(länskod)], types: types.length > 0 ? types : null };
+    }
+    if (types.length > 0) {
+      return { ...plan, index: 'type_time', ranges: [...new Set(types)].map(timeRange) };
+    }
+
+    return { ...plan, index: 'timestamp', ranges: [{ lower: from, upper: to }] };
+  }
+
+  /**
+   * Whether a record read from the plan's ranges belongs in the result
+   */
+  static matches(record, plan) {
+    if (plan.types && !plan.types.includes(record.type)) return false;
+    if (plan.city && record.city !== plan.city) return false;
+    if (plan.after && !this.isPast(record, plan.after, plan.descending)) return false;
+    return true;
+  }
+
+  /**
+   * Whether a record comes after the page boundary. Records with the same
+   * time are ordered by id, as in the indexes.
+   */
+  static isPast(record, after, descending) {
+    return this.compare(record, after, descending) > 0;
+  }
+
+  /**
+   * Result order: negative when `a` comes first
+   */
+  static compare(a, b, descending = true) {
+    const byTime = a.timeMs - b.timeMs || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+    return descending ? -byTime : byTime;
+  }
+
+  /**
+   * Boundary to pass as `after` for the next page, null when this was the last
+   */
+  static getNext(events, plan) {
+    if (events.length === 0 || events.length < plan.limit) return null;
+
+    const last = events[events.length - 1];
+    return { timeMs: last.timeMs, id: last.id };
+  }
+}
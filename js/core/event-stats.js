@@ -0,0 +1,60 @@
+/**
+ * Event statistics for Aktuella Brott
+ *
+ * Summaries shown in the legend and statistics panels, computed the same
+ * way on the server-rendered page and in the browser.
+ */
+
+import { CrimeSeveritySystem } from './severity.js';
+
+export class EventStats {
+  static summarize(events, { topTypes = 6 } = {}) {
+    const exactCount = events.filter(event => event.exactLocation).length;
+
+    return {
+      total: events.length,
+      exactCount,
+      approxCount: events.length - exactCount,
+      ...CrimeSeveritySystem.getSeverityStats(events),
+      topTypes: this.getTypeCounts(events).slice(0, topTypes)
+    };
+  }
+
+  /**
+   * Event types by number of events, most common first
+   */
+  static getTypeCounts(events) {
+    const typeCounts = {};
+    events.forEach(event => {
+      typeCounts[event.type] = (typeCounts[event.type] || 0) + 1;
+    });
+
+    return Object.entries(typeCounts)
+      .sort(([, a], [, b]) => b - a)
+      .map(([type, count]) => ({ type, count, color: CrimeSeveritySystem.getSeverityColor(type) }));
+  }
+
+  /**
+   * Events per kommun or län, most common first. Events that couldn't be
+   * placed in one are left out.
+   *
+   * @param {Array<object>} events
+   * @param {'kommun' | 'län'} [level]
+   * @returns {Array<{ kod: string, namn: string, count: number }>}
+   */
+  static getAreaCounts(events, level = 'kommun') {
+    const [codeField, nameField] = level === 'län' ? ['länskod', 'län'] : ['kommunkod', 'kommun'];
+    const counts = new Map();
+
+    events.forEach(event => {
+      const kod = event[codeField];
+      if (!kod) return;
+
+      const entry = counts.get(kod) || { kod, namn: event[nameField], count: 0 };
+      entry.count++;
+      counts.set(kod, entry);
+    });
+
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.namn.localeCompare(b.namn, 'sv'));
+  }
+}
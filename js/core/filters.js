@@ -0,0 +1,312 @@
+/**
+ * Event filters for Aktuella Brott
+ *
+ * One filter model for every view of the events. A filter value of `null`,
+ * `''`, `[]` or `'all'` means "no restriction".
+ *
+ * - types:          event types to include
+ * - searchQuery:    free text matched against title, description, city and type
+ * - city:           text matched against city and address
+ * - länskod:        SCB county code ('01'), see Gazetteer
+ * - kommunkod:      SCB municipality code ('0180')
+ * - timelineHour:   hour of day (0-23) from the timeline
+ * - dateFrom/To:    calendar day range (inclusive)
+ * - timeRange:      'today' | 'week' (calendar presets that also set the dates),
+ *                   '1day' | '3days' | '7days' | '30days' (rolling windows) or a
+ *                   past period from the archive, 'month:2026-03' | 'week:2026-W11'
+ * - locationCenter: { lat, lng } with locationRadius in km
+ * - locationAreas:  [{ id, name, geometry }] with GeoJSON Polygon or
+ *                   MultiPolygon geometries; events inside any of them
+ * - priorityFilter: 'high-priority' keeps high and critical events
+ * - severityLevel:  exact severity level 1-5
+ * - exactLocation:  'all' | 'exact' | 'approximate'
+ */
+
+import { CONFIG } from './config.js';
+import { Utils } from './utils.js';
+import { Geometry } from './geometry.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class EventFilters {
+  static ROLLING_TIME_RANGES = {
+    '1day': DAY_MS,
+    '3days': 3 * DAY_MS,
+    '7days': 7 * DAY_MS,
+    '30days': 30 * DAY_MS
+  };
+
+  static CALENDAR_TIME_RANGES = ['today', 'week'];
+
+  static PERIOD_PATTERN = /^(month):(\d{4})-(\d{2})$|^(week):(\d{4})-W(\d{2})$/;
+
+  static MONTH_NAMES = [
+    'januari', 'februari', 'mars', 'april', 'maj', 'juni',
+    'juli', 'augusti', 'september', 'oktober', 'november', 'december'
+  ];
+
+  /**
+   * Create a filter object, defaults overridden by the given values
+   */
+  static create(overrides = {}) {
+    return {
+      types: [],
+      searchQuery: '',
+      city: '',
+      länskod: null,
+      kommunkod: null,
+      timelineHour: null,
+      dateFrom: null,
+      dateTo: null,
+      timeRange: null,
+      locationCenter: null,
+      locationRadius: CONFIG.FILTERS.DEFAULT_RADIUS,
+      locationAreas: [],
+      priorityFilter: null,
+      severityLevel: null,
+      exactLocation: 'all',
+      ...overrides
+    };
+  }
+
+  static isValidTimeRange(range) {
+    return this.CALENDAR_TIME_RANGES.includes(range) || range in this.ROLLING_TIME_RANGES || this.isPeriod(range);
+  }
+
+  /**
+   * Whether the range is a past month or week ('month:2026-03', 'week:2026-W11')
+   */
+  static isPeriod(range) {
+    return this.parsePeriod(range) !== null;
+  }
+
+  /**
+   * @returns {{ unit: 'month' | 'week', year: number, number: number } | null}
+   */
+  static parsePeriod(range) {
+    const match = typeof range === 'string' ? range.match(this.PERIOD_PATTERN) : null;
+    if (!match) return null;
+
+    const [unit, year, number] = match[1] ? match.slice(1, 4) : match.slice(4, 7);
+    const value = parseInt(number, 10);
+    const max = unit === 'month' ? 12 : this.getIsoWeeksInYear(parseInt(year, 10));
+
+    return value >= 1 && value <= max ? { unit, year: parseInt(year, 10), number: value } : null;
+  }
+
+  /**
+   * Dates for the calendar presets and periods, evaluated against `now`
+   */
+  static getTimeRangeDates(range, now = new Date()) {
+    switch (range) {
+      case 'today':
+        return { dateFrom: new Date(now.toDateString()), dateTo: new Date(now.toDateString()) };
+      case 'week':
+        return { dateFrom: new Date(now.getTime() - 7 * DAY_MS), dateTo: now };
+    }
+
+    const period = this.parsePeriod(range);
+    if (!period) return null;
+
+    if (period.unit === 'month') {
+      return {
+        dateFrom: new Date(period.year, period.number - 1, 1),
+        dateTo: new Date(period.year, period.number, 0)
+      };
+    }
+
+    const dateFrom = this.getIsoWeekStart(period.year, period.number);
+    return { dateFrom, dateTo: new Date(dateFrom.getFullYear(), dateFrom.getMonth(), dateFrom.getDate() + 6) };
+  }
+
+  /**
+   * First and last millisecond of a period, for querying the archive
+   */
+  static getPeriodBounds(range) {
+    const dates = this.isPeriod(range) ? this.getTimeRangeDates(range) : null;
+    if (!dates) return null;
+
+    const { dateFrom, dateTo } = dates;
+    const end = new Date(dateTo.getFullYear(), dateTo.getMonth(), dateTo.getDate() + 1);
+    return { from: dateFrom.getTime(), to: end.getTime() - 1 };
+  }
+
+  /**
+   * The same month, or the same ISO week number, one year earlier
+   */
+  static getPreviousYearPeriod(range) {
+    const period = this.parsePeriod(range);
+    if (!period) return null;
+
+    const year = period.year - 1;
+    if (period.unit === 'month') {
+      return this.formatPeriod('month', year, period.number);
+    }
+
+    return this.formatPeriod('week', year, Math.min(period.number, this.getIsoWeeksInYear(year)));
+  }
+
+  /**
+   * Period containing a date, e.g. the current week for "this week"
+   */
+  static getPeriodForDate(unit, date = new Date()) {
+    if (unit === 'month') {
+      return this.formatPeriod('month', date.getFullYear(), date.getMonth() + 1);
+    }
+
+    const { year, week } = this.getIsoWeek(date);
+    return this.formatPeriod('week', year, week);
+  }
+
+  static formatPeriod(unit, year, number) {
+    return unit === 'month'
+      ? `month:${year}-${String(number).padStart(2, '0')}`
+      : `week:${year}-W${String(number).padStart(2, '0')}`;
+  }
+
+  /**
+   * Swedish label: "mars 2026", "vecka 11 2026"
+   */
+  static describePeriod(range) {
+    const period = this.parsePeriod(range);
+    if (!period) return '';
+
+    return period.unit === 'month'
+      ? `${this.MONTH_NAMES[period.number - 1]} ${period.year}`
+      : `vecka ${period.number} ${period.year}`;
+  }
+
+  /**
+   * ISO 8601 week (weeks start on Monday, week 1 contains January 4th)
+   */
+  static getIsoWeek(date) {
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    const week = 1 + Math.round(((thursday - firstThursday) / DAY_MS - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+
+    return { year: thursday.getFullYear(), week };
+  }
+
+  /**
+   * Monday of an ISO week, local time
+   */
+  static getIsoWeekStart(year, week) {
+    const january4 = new Date(year, 0, 4);
+    const mondayOfWeek1 = new Date(year, 0, 4 - ((january4.getDay() + 6) % 7));
+    return new Date(mondayOfWeek1.getFullYear(), mondayOfWeek1.getMonth(), mondayOfWeek1.getDate() + (week - 1) * 7);
+  }
+
+  static getIsoWeeksInYear(year) {
+    return this.getIsoWeek(new Date(year, 11, 28)).week;
+  }
+
+  /**
+   * Filter events, returns the matching events and how many were dropped by
+   * the location filter because they have no coordinates
+   */
+  static apply(events, filters, { now = Date.now() } = {}) {
+    const active = this.create(filters);
+    let missingLocationCount = 0;
+
+    const query = (active.searchQuery || '').toLowerCase().trim();
+    const city = (active.city || '').toLowerCase().trim();
+    const rollingRange = this.ROLLING_TIME_RANGES[active.timeRange];
+    const cutoff = rollingRange ? now - rollingRange : null;
+    const areas = (active.locationAreas || [])
+      .filter(area => Geometry.isPolygon(area?.geometry))
+      .map(area => ({ geometry: area.geometry, bounds: Geometry.getBounds(area.geometry) }));
+
+    const filtered = events.filter(event => {
+      // Type filter
+      if (active.types.length > 0 && !active.types.includes(event.type)) {
+        return false;
+      }
+
+      // Search filter
+      if (query && !this.matchesText(event, query)) {
+        return false;
+      }
+
+      // City filter
+      if (city && !`${event.city || ''} ${event.address || ''}`.toLowerCase().includes(city)) {
+        return false;
+      }
+
+      // Administrative area filters
+      if (active.länskod && event.länskod !== active.länskod) {
+        return false;
+      }
+      if (active.kommunkod && event.kommunkod !== active.kommunkod) {
+        return false;
+      }
+
+      // Timeline hour filter
+      if (active.timelineHour !== null && new Date(event.timestamp).getHours() !== active.timelineHour) {
+        return false;
+      }
+
+      // Rolling time window
+      if (cutoff !== null && event.timeMs < cutoff) {
+        return false;
+      }
+
+      // Date range filter
+      if (active.dateFrom || active.dateTo) {
+        const eventDate = new Date(new Date(event.timestamp).toDateString());
+
+        if (active.dateFrom && eventDate < active.dateFrom) return false;
+        if (active.dateTo && eventDate > active.dateTo) return false;
+      }
+
+      // Priority and severity filters
+      const severity = event.severityInfo || { priority: 'medium' };
+      if (active.priorityFilter === 'high-priority' &&
+          severity.priority !== 'high' && severity.priority !== 'critical') {
+        return false;
+      }
+      if (active.severityLevel && severity.level !== Number(active.severityLevel)) {
+        return false;
+      }
+
+      // Location accuracy filter
+      if (active.exactLocation === 'exact' && event.exactLocation !== true) return false;
+      if (active.exactLocation === 'approximate' && event.exactLocation !== false) return false;
+
+      // Location proximity filter
+      if (active.locationCenter && active.locationRadius) {
+        if (!event.lat || !event.lng) {
+          missingLocationCount++;
+          return false;
+        }
+
+        const { lat, lng } = active.locationCenter;
+        if (Utils.calculateDistance(lat, lng, event.lat, event.lng) > active.locationRadius) {
+          return false;
+        }
+      }
+
+      // Drawn or imported areas, bounding box first
+      if (areas.length > 0) {
+        if (!event.lat || !event.lng) {
+          missingLocationCount++;
+          return false;
+        }
+
+        const inside = areas.some(({ geometry, bounds }) =>
+          Geometry.isWithinBounds(bounds, event.lat, event.lng) &&
+          Geometry.containsPoint(geometry, event.lat, event.lng)
+        );
+        if (!inside) return false;
+      }
+
+      return true;
+    });
+
+    return { events: filtered, missingLocationCount };
+  }
+
+  static matchesText(event, query) {
+    return [event.title, event.description, event.city, event.type]
+      .some(value => (value || '').toLowerCase().includes(query));
+  }
+}
@@ -0,0 +1,367 @@
+/**
+ * Swedish counties (län) and municipalities (kommuner)
+ *
+ * Codes follow SCB's län and kommun codes; the first two digits of a
+ * kommunkod are its länskod. Coordinates are those of the municipal seat
+ * (centralort), WGS84. Populations are approximate (SCB, end of 2023,
+ * rounded) and only used to compare event rates between areas.
+ */
+
+export const LAN = {
+  '01': 'Stockholms län',
+  '03': 'Uppsala län',
+  '04': 'Södermanlands län',
+  '05': 'Östergötlands län',
+  '06': 'Jönköpings län',
+  '07': 'Kronobergs län',
+  '08': 'Kalmar län',
+  '09': 'Gotlands län',
+  '10': 'Blekinge län',
+  '12': 'Skåne län',
+  '13': 'Hallands län',
+  '14': 'Västra Götalands län',
+  '17': 'Värmlands län',
+  '18': 'Örebro län',
+  '19': 'Västmanlands län',
+  '20': 'Dalarnas län',
+  '21': 'Gävleborgs län',
+  '22': 'Västernorrlands län',
+  '23': 'Jämtlands län',
+  '24': 'Västerbottens län',
+  '25': 'Norrbottens län'
+};
+
+// [kommunkod, name, lat, lng, population]
+export const KOMMUNER = [
+  // Stockholms län
+  ['0114', 'Upplands Väsby', 59.519, 17.911, 48900],
+  ['0115', 'Vallentuna', 59.534, 18.078, 35600],
+  ['0117', 'Österåker', 59.481, 18.299, 47800],
+  ['0120', 'Värmdö', 59.325, 18.392, 47800],
+  ['0123', 'Järfälla', 59.424, 17.834, 85500],
+  ['0125', 'Ekerö', 59.291, 17.810, 29300],
+  ['0126', 'Huddinge', 59.237, 17.982, 115000],
+  ['0127', 'Botkyrka', 59.200, 17.829, 96000],
+  ['0128', 'Salem', 59.201, 17.765, 17400],
+  ['0136', 'Haninge', 59.168, 18.144, 98000],
+  ['0138', 'Tyresö', 59.244, 18.229, 49500],
+  ['0139', 'Upplands-Bro', 59.479, 17.750, 31000],
+  ['0140', 'Nykvarn', 59.178, 17.431, 11800],
+  ['0160', 'Täby', 59.443, 18.069, 74500],
+  ['0162', 'Danderyd', 59.400, 18.035, 33000],
+  ['0163', 'Sollentuna', 59.428, 17.951, 76000],
+  ['0180', 'Stockholm', 59.329, 18.069, 984700],
+  ['0181', 'Södertälje', 59.196, 17.626, 101000],
+  ['0182', 'Nacka', 59.311, 18.164, 108000],
+  ['0183', 'Sundbyberg', 59.361, 17.972, 54000],
+  ['0184', 'Solna', 59.360, 18.001, 86000],
+  ['0186', 'Lidingö', 59.367, 18.134, 48000],
+  ['0187', 'Vaxholm', 59.403, 18.351, 12200],
+  ['0188', 'Norrtälje', 59.758, 18.705, 64500],
+  ['0191', 'Sigtuna', 59.617, 17.853, 51500],
+  ['0192', 'Nynäshamn', 58.903, 17.948, 29500],
+
+  // Uppsala län
+  ['0305', 'Håbo', 59.574, 17.531, 22800],
+  ['0319', 'Älvkarleby', 60.630, 17.412, 9700],
+  ['0330', 'Knivsta', 59.726, 17.787, 20500],
+  ['0331', 'Heby', 59.938, 16.852, 14300],
+  ['0360', 'Tierp', 60.343, 17.513, 21500],
+  ['0380', 'Uppsala', 59.859, 17.639, 245000],
+  ['0381', 'Enköping', 59.636, 17.078, 47000],
+  ['0382', 'Östhammar', 60.258, 18.373, 22400],
+
+  // Södermanlands län
+  ['0428', 'Vingåker', 59.044, 15.873, 9000],
+  ['0461', 'Gnesta', 59.049, 17.312, 11400],
+  ['0480', 'Nyköping', 58.753, 17.008, 58000],
+  ['0481', 'Oxelösund', 58.671, 17.101, 12200],
+  ['0482', 'Flen', 59.058, 16.588, 16300],
+  ['0483', 'Katrineholm', 58.996, 16.207, 35000],
+  ['0484', 'Eskilstuna', 59.371, 16.510, 107000],
+  ['0486', 'Strängnäs', 59.377, 17.031, 38000],
+  ['0488', 'Trosa', 58.896, 17.549, 14000],
+
+  // Östergötlands län
+  ['0509', 'Ödeshög', 58.229, 14.652, 5300],
+  ['0512', 'Ydre', 57.866, 15.260, 3600],
+  ['0513', 'Kinda', 57.993, 15.633, 9900],
+  ['0560', 'Boxholm', 58.196, 15.052, 5500],
+  ['0561', 'Åtvidaberg', 58.201, 16.002, 11400],
+  ['0562', 'Finspång', 58.707, 15.769, 21900],
+  ['0563', 'Valdemarsvik', 58.202, 16.602, 7600],
+  ['0580', 'Linköping', 58.411, 15.622, 167000],
+  ['0581', 'Norrköping', 58.588, 16.192, 145000],
+  ['0582', 'Söderköping', 58.480, 16.323, 14900],
+  ['0583', 'Motala', 58.537, 15.036, 44000],
+  ['0584', 'Vadstena', 58.448, 14.891, 7400],
+  ['0586', 'Mjölby', 58.325, 15.131, 28000],
+
+  // Jönköpings län
+  ['0604', 'Aneby', 57.838, 14.810, 6900],
+  ['0617', 'Gnosjö', 57.358, 13.737, 9500],
+  ['0642', 'Mullsjö', 57.917, 13.880, 7300],
+  ['0643', 'Habo', 57.907, 14.071, 12800],
+  ['0662', 'Gislaved', 57.304, 13.540, 29700],
+  ['0665', 'Vaggeryd', 57.499, 14.147, 14300],
+  ['0680', 'Jönköping', 57.783, 14.162, 145000],
+  ['0682', 'Nässjö', 57.653, 14.697, 31500],
+  ['0683', 'Värnamo', 57.186, 14.040, 35000],
+  ['0684', 'Sävsjö', 57.403, 14.664, 11300],
+  ['0685', 'Vetlanda', 57.428, 15.078, 27500],
+  ['0686', 'Eksjö', 57.667, 14.972, 17700],
+  ['0687', 'Tranås', 58.037, 14.978, 19400],
+
+  // Kronobergs län
+  ['0760', 'Uppvidinge', 57.171, 15.339, 9600],
+  ['0761', 'Lessebo', 56.751, 15.270, 8900],
+  ['0763', 'Tingsryd', 56.525, 14.978, 12400],
+  ['0764', 'Alvesta', 56.899, 14.556, 20300],
+  ['0765', 'Älmhult', 56.551, 14.137, 18000],
+  ['0767', 'Markaryd', 56.461, 13.597, 10300],
+  ['0780', 'Växjö', 56.879, 14.806, 97000],
+  ['0781', 'Ljungby', 56.833, 13.941, 28700],
+
+  // Kalmar län
+  ['0821', 'Högsby', 57.166, 16.027, 5800],
+  ['0834', 'Torsås', 56.410, 15.998, 7100],
+  ['0840', 'Mörbylånga', 56.524, 16.384, 15400],
+  ['0860', 'Hultsfred', 57.488, 15.842, 13600],
+  ['0861', 'Mönsterås', 57.041, 16.443, 13500],
+  ['0862', 'Emmaboda', 56.631, 15.537, 9300],
+  ['0880', 'Kalmar', 56.663, 16.356, 72000],
+  ['0881', 'Nybro', 56.745, 15.906, 20600],
+  ['0882', 'Oskarshamn', 57.265, 16.449, 27000],
+  ['0883', 'Västervik', 57.758, 16.637, 36000],
+  ['0884', 'Vimmerby', 57.666, 15.855, 15500],
+  ['0885', 'Borgholm', 56.879, 16.656, 10900],
+
+  // Gotlands län
+  ['0980', 'Gotland', 57.635, 18.294, 61000],
+
+  // Blekinge län
+  ['1060', 'Olofström', 56.277, 14.533, 13000],
+  ['1080', 'Karlskrona', 56.161, 15.587, 66700],
+  ['1081', 'Ronneby', 56.210, 15.276, 29500],
+  ['1082', 'Karlshamn', 56.170, 14.863, 32500],
+  ['1083', 'Sölvesborg', 56.052, 14.575, 18000],
+
+  // Skåne län
+  ['1214', 'Svalöv', 55.913, 13.108, 14500],
+  ['1230', 'Staffanstorp', 55.642, 13.206, 26500],
+  ['1231', 'Burlöv', 55.637, 13.084, 20000],
+  ['1233', 'Vellinge', 55.472, 13.018, 37500],
+  ['1256', 'Östra Göinge', 56.252, 14.089, 15000],
+  ['1257', 'Örkelljunga', 56.283, 13.279, 10400],
+  ['1260', 'Bjuv', 56.084, 12.917, 16500],
+  ['1261', 'Kävlinge', 55.793, 13.110, 33000],
+  ['1262', 'Lomma', 55.673, 13.070, 25500],
+  ['1263', 'Svedala', 55.508, 13.235, 22700],
+  ['1264', 'Skurup', 55.480, 13.500, 16500],
+  ['1265', 'Sjöbo', 55.631, 13.706, 19800],
+  ['1266', 'Hörby', 55.851, 13.661, 15800],
+  ['1267', 'Höör', 55.937, 13.544, 17300],
+  ['1270', 'Tomelilla', 55.545, 13.953, 13700],
+  ['1272', 'Bromölla', 56.072, 14.467, 12900],
+  ['1273', 'Osby', 56.381, 13.993, 13200],
+  ['1275', 'Perstorp', 56.137, 13.396, 7600],
+  ['1276', 'Klippan', 56.134, 13.130, 17800],
+  ['1277', 'Åstorp', 56.134, 12.944, 16300],
+  ['1278', 'Båstad', 56.427, 12.853, 15600],
+  ['1280', 'Malmö', 55.605, 13.004, 362000],
+  ['1281', 'Lund', 55.705, 13.191, 128000],
+  ['1282', 'Landskrona', 55.870, 12.830, 47000],
+  ['1283', 'Helsingborg', 56.046, 12.694, 151000],
+  ['1284', 'Höganäs', 56.200, 12.557, 28000],
+  ['1285', 'Eslöv', 55.839, 13.304, 35000],
+  ['1286', 'Ystad', 55.430, 13.820, 31500],
+  ['1287', 'Trelleborg', 55.376, 13.157, 47000],
+  ['1290', 'Kristianstad', 56.029, 14.156, 87000],
+  ['1291', 'Simrishamn', 55.557, 14.350, 19000],
+  ['1292', 'Ängelholm', 56.243, 12.862, 43500],
+  ['1293', 'Hässleholm', 56.159, 13.766, 53000],
+
+  // Hallands län
+  ['1315', 'Hylte', 56.996, 13.241, 11000],
+  ['1380', 'Halmstad', 56.674, 12.858, 106000],
+  ['1381', 'Laholm', 56.512, 13.043, 26500],
+  ['1382', 'Falkenberg', 56.905, 12.491, 47000],
+  ['1383', 'Varberg', 57.107, 12.252, 67000],
+  ['1384', 'Kungsbacka', 57.487, 12.076, 85500],
+
+  // Västra Götalands län
+  ['1401', 'Härryda', 57.661, 12.118, 39500],
+  ['1402', 'Partille', 57.739, 12.107, 41000],
+  ['1407', 'Öckerö', 57.709, 11.652, 13000],
+  ['1415', 'Stenungsund', 58.071, 11.818, 27500],
+  ['1419', 'Tjörn', 58.005, 11.633, 16000],
+  ['1421', 'Orust', 58.178, 11.670, 15300],
+  ['1427', 'Sotenäs', 58.361, 11.253, 9000],
+  ['1430', 'Munkedal', 58.472, 11.680, 10500],
+  ['1435', 'Tanum', 58.723, 11.325, 13200],
+  ['1438', 'Dals-Ed', 58.911, 11.928, 4800],
+  ['1439', 'Färgelanda', 58.568, 11.993, 6600],
+  ['1440', 'Ale', 57.927, 12.081, 32500],
+  ['1441', 'Lerum', 57.770, 12.269, 43500],
+  ['1442', 'Vårgårda', 58.034, 12.808, 12500],
+  ['1443', 'Bollebygd', 57.669, 12.570, 9900],
+  ['1444', 'Grästorp', 58.333, 12.680, 5700],
+  ['1445', 'Essunga', 58.176, 12.716, 5700],
+  ['1446', 'Karlsborg', 58.536, 14.507, 6900],
+  ['1447', 'Gullspång', 58.986, 14.096, 5200],
+  ['1452', 'Tranemo', 57.484, 13.351, 11600],
+  ['1460', 'Bengtsfors', 59.030, 12.226, 9500],
+  ['1461', 'Mellerud', 58.700, 12.454, 8900],
+  ['1462', 'Lilla Edet', 58.134, 12.123, 14200],
+  ['1463', 'Mark', 57.508, 12.693, 35500],
+  ['1465', 'Svenljunga', 57.496, 13.111, 10800],
+  ['1466', 'Herrljunga', 58.078, 13.022, 9600],
+  ['1470', 'Vara', 58.262, 12.958, 16200],
+  ['1471', 'Götene', 58.527, 13.492, 13500],
+  ['1472', 'Tibro', 58.424, 14.161, 11400],
+  ['1473', 'Töreboda', 58.706, 14.125, 9300],
+  ['1480', 'Göteborg', 57.709, 11.975, 604000],
+  ['1481', 'Mölndal', 57.656, 12.014, 71000],
+  ['1482', 'Kungälv', 57.871, 11.981, 48000],
+  ['1484', 'Lysekil', 58.275, 11.436, 14500],
+  ['1485', 'Uddevalla', 58.349, 11.935, 57500],
+  ['1486', 'Strömstad', 58.939, 11.171, 13300],
+  ['1487', 'Vänersborg', 58.380, 12.324, 40000],
+  ['1488', 'Trollhättan', 58.284, 12.289, 60000],
+  ['1489', 'Alingsås', 57.930, 12.534, 42500],
+  ['1490', 'Borås', 57.721, 12.940, 115000],
+  ['1491', 'Ulricehamn', 57.792, 13.414, 25500],
+  ['1492', 'Åmål', 59.051, 12.701, 12300],
+  ['1493', 'Mariestad', 58.710, 13.823, 24500],
+  ['1494', 'Lidköping', 58.505, 13.158, 40000],
+  ['1495', 'Skara', 58.386, 13.438, 18800],
+  ['1496', 'Skövde', 58.391, 13.846, 57500],
+  ['1497', 'Hjo', 58.302, 14.286, 9300],
+  ['1498', 'Tidaholm', 58.181, 13.955, 13000],
+  ['1499', 'Falköping', 58.173, 13.553, 33800],
+
+  // Värmlands län
+  ['1715', 'Kil', 59.504, 13.316, 12000],
+  ['1730', 'Eda', 59.880, 12.300, 8500],
+  ['1737', 'Torsby', 60.137, 13.002, 11600],
+  ['1760', 'Storfors', 59.532, 14.273, 4000],
+  ['1761', 'Hammarö', 59.335, 13.519, 16900],
+  ['1762', 'Munkfors', 59.838, 13.544, 3600],
+  ['1763', 'Forshaga', 59.527, 13.479, 11500],
+  ['1764', 'Grums', 59.352, 13.110, 9000],
+  ['1765', 'Årjäng', 59.392, 12.134, 10000],
+  ['1766', 'Sunne', 59.837, 13.143, 13200],
+  ['1780', 'Karlstad', 59.379, 13.504, 96000],
+  ['1781', 'Kristinehamn', 59.310, 14.108, 24000],
+  ['1782', 'Filipstad', 59.713, 14.169, 10500],
+  ['1783', 'Hagfors', 60.035, 13.694, 11300],
+  ['1784', 'Arvika', 59.655, 12.586, 26000],
+  ['1785', 'Säffle', 59.133, 12.930, 15000],
+
+  // Örebro län
+  ['1814', 'Lekeberg', 59.258, 14.862, 8700],
+  ['1860', 'Laxå', 58.986, 14.620, 5600],
+  ['1861', 'Hallsberg', 59.066, 15.110, 16000],
+  ['1862', 'Degerfors', 59.238, 14.432, 9500],
+  ['1863', 'Hällefors', 59.783, 14.520, 6800],
+  ['1864', 'Ljusnarsberg', 59.873, 14.984, 4800],
+  ['1880', 'Örebro', 59.275, 15.213, 158000],
+  ['1881', 'Kumla', 59.128, 15.143, 23000],
+  ['1882', 'Askersund', 58.880, 14.903, 11500],
+  ['1883', 'Karlskoga', 59.327, 14.524, 30000],
+  ['1884', 'Nora', 59.519, 15.038, 10700],
+  ['1885', 'Lindesberg', 59.594, 15.227, 23800],
+
+  // Västmanlands län
+  ['1904', 'Skinnskatteberg', 59.830, 15.692, 4300],
+  ['1907', 'Surahammar', 59.710, 16.222, 10200],
+  ['1960', 'Kungsör', 59.422, 16.097, 8700],
+  ['1961', 'Hallstahammar', 59.614, 16.228, 16500],
+  ['1962', 'Norberg', 60.066, 15.923, 5800],
+  ['1980', 'Västerås', 59.611, 16.545, 158000],
+  ['1981', 'Sala', 59.920, 16.606, 23000],
+  ['1982', 'Fagersta', 60.004, 15.793, 13600],
+  ['1983', 'Köping', 59.514, 15.993, 26500],
+  ['1984', 'Arboga', 59.394, 15.838, 14200],
+
+  // Dalarnas län
+  ['2021', 'Vansbro', 60.511, 14.225, 6700],
+  ['2023', 'Malung-Sälen', 60.685, 13.717, 10000],
+  ['2026', 'Gagnef', 60.596, 15.086, 10200],
+  ['2029', 'Leksand', 60.730, 14.998, 15900],
+  ['2031', 'Rättvik', 60.887, 15.118, 11200],
+  ['2034', 'Orsa', 61.120, 14.617, 6900],
+  ['2039', 'Älvdalen', 61.226, 14.039, 7000],
+  ['2061', 'Smedjebacken', 60.141, 15.412, 10700],
+  ['2062', 'Mora', 61.005, 14.537, 20500],
+  ['2080', 'Falun', 60.607, 15.631, 60000],
+  ['2081', 'Borlänge', 60.484, 15.434, 52500],
+  ['2082', 'Säter', 60.347, 15.751, 11200],
+  ['2083', 'Hedemora', 60.279, 15.989, 15300],
+  ['2084', 'Avesta', 60.144, 16.168, 23000],
+  ['2085', 'Ludvika', 60.150, 15.188, 25500],
+
+  // Gävleborgs län
+  ['2101', 'Ockelbo', 60.891, 16.718, 5900],
+  ['2104', 'Hofors', 60.547, 16.290, 9500],
+  ['2121', 'Ovanåker', 61.367, 15.900, 11500],
+  ['2132', 'Nordanstig', 61.980, 17.060, 9400],
+  ['2161', 'Ljusdal', 61.829, 16.089, 19000],
+  ['2180', 'Gävle', 60.675, 17.142, 104000],
+  ['2181', 'Sandviken', 60.617, 16.775, 40000],
+  ['2182', 'Söderhamn', 61.304, 17.059, 25500],
+  ['2183', 'Bollnäs', 61.348, 16.394, 26300],
+  ['2184', 'Hudiksvall', 61.729, 17.104, 37500],
+
+  // Västernorrlands län
+  ['2260', 'Ånge', 62.524, 15.659, 9200],
+  ['2262', 'Timrå', 62.487, 17.326, 18000],
+  ['2280', 'Härnösand', 62.633, 17.941, 25000],
+  ['2281', 'Sundsvall', 62.391, 17.307, 100000],
+  ['2282', 'Kramfors', 62.931, 17.777, 18000],
+  ['2283', 'Sollefteå', 63.167, 17.270, 19000],
+  ['2284', 'Örnsköldsvik', 63.290, 18.716, 56000],
+
+  // Jämtlands län
+  ['2303', 'Ragunda', 63.109, 16.378, 5300],
+  ['2305', 'Bräcke', 62.751, 15.419, 6300],
+  ['2309', 'Krokom', 63.326, 14.456, 15500],
+  ['2313', 'Strömsund', 63.853, 15.557, 11500],
+  ['2321', 'Åre', 63.355, 13.467, 12000],
+  ['2326', 'Berg', 62.977, 14.453, 6900],
+  ['2361', 'Härjedalen', 62.069, 14.357, 9900],
+  ['2380', 'Östersund', 63.176, 14.636, 65000],
+
+  // Västerbottens län
+  ['2401', 'Nordmaling', 63.569, 19.502, 7200],
+  ['2403', 'Bjurholm', 63.934, 19.216, 2400],
+  ['2404', 'Vindeln', 64.202, 19.719, 5300],
+  ['2409', 'Robertsfors', 64.192, 20.847, 6700],
+  ['2417', 'Norsjö', 64.912, 19.482, 4000],
+  ['2418', 'Malå', 65.183, 18.741, 3000],
+  ['2421', 'Storuman', 65.096, 17.113, 5800],
+  ['2422', 'Sorsele', 65.535, 17.532, 2400],
+  ['2425', 'Dorotea', 64.262, 16.404, 2500],
+  ['2460', 'Vännäs', 63.911, 19.752, 8900],
+  ['2462', 'Vilhelmina', 64.625, 16.655, 6700],
+  ['2463', 'Åsele', 64.161, 17.350, 2700],
+  ['2480', 'Umeå', 63.826, 20.263, 132000],
+  ['2481', 'Lycksele', 64.596, 18.675, 12100],
+  ['2482', 'Skellefteå', 64.750, 20.950, 76500],
+
+  // Norrbottens län
+  ['2505', 'Arvidsjaur', 65.593, 19.180, 6200],
+  ['2506', 'Arjeplog', 66.052, 17.887, 2700],
+  ['2510', 'Jokkmokk', 66.606, 19.823, 4900],
+  ['2513', 'Överkalix', 66.327, 22.845, 3200],
+  ['2514', 'Kalix', 65.853, 23.156, 15700],
+  ['2518', 'Övertorneå', 66.390, 23.654, 4300],
+  ['2521', 'Pajala', 67.212, 23.366, 5900],
+  ['2523', 'Gällivare', 67.133, 20.660, 17300],
+  ['2560', 'Älvsbyn', 65.677, 21.003, 8100],
+  ['2580', 'Luleå', 65.584, 22.155, 80000],
+  ['2581', 'Piteå', 65.317, 21.480, 42500],
+  ['2582', 'Boden', 65.825, 21.689, 28000],
+  ['2583', 'Haparanda', 65.836, 24.137, 9500],
+  ['2584', 'Kiruna', 67.856, 20.225, 22500]
+];
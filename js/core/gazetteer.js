@@ -0,0 +1,155 @@
+/**
+ * Offline gazetteer of Swedish municipalities and counties for Aktuella Brott
+ *
+ * Resolves an event's location to its kommun and län. Polisen names the
+ * location after the kommun ("Malmö") or, for county-wide events, the län
+ * ("Skåne län"), so the name is tried first. Locations without a known
+ * name are matched to the nearest municipal seat.
+ *
+ * The nearest-seat lookup uses centroids, not boundaries, and can pick a
+ * neighbouring kommun for points close to a border.
+ */
+
+import { SpatialIndex } from './spatial-index.js';
+import { Utils } from './utils.js';
+import { LAN, KOMMUNER } from './gazetteer-data.js';
+
+export class Gazetteer {
+  static kommuner = null;
+  static nameIndex = null;
+  static seatIndex = null;
+
+  /**
+   * All municipalities, sorted by name
+   *
+   * @returns {Array<{ kod: string, namn: string, lat: number, lng: number, population: number, länskod: string, län: string }>}
+   */
+  static getKommuner() {
+    if (!this.kommuner) {
+      this.kommuner = KOMMUNER
+        .map(([kod, namn, lat, lng, population]) => ({
+          kod, namn, lat, lng, population, länskod: kod.slice(0, 2), län: LAN[kod.slice(0, 2)]
+        }))
+        .sort((a, b) => a.namn.localeCompare(b.namn, 'sv'));
+    }
+    return this.kommuner;
+  }
+
+  /**
+   * All counties, sorted by name. The position is the population-weighted
+   * centre of the county's municipal seats.
+   *
+   * @returns {Array<{ kod: string, namn: string, lat: number, lng: number, population: number }>}
+   */
+  static getLan() {
+    return Object.entries(LAN)
+      .map(([kod, namn]) => {
+        const kommuner = this.getKommuner().filter(kommun => kommun.länskod === kod);
+        const population = kommuner.reduce((sum, kommun) => sum + kommun.population, 0);
+        const weighted = field => kommuner.reduce((sum, kommun) => sum + kommun[field] * kommun.population, 0) / population;
+
+        return { kod, namn, lat: weighted('lat'), lng: weighted('lng'), population };
+      })
+      .sort((a, b) => a.namn.localeCompare(b.namn, 'sv'));
+  }
+
+  static getKommun(kod) {
+    return this.getKommuner().find(kommun => kommun.kod === kod) || null;
+  }
+
+  /**
+   * Administrative area of a location, or null when neither the name nor
+   * the coordinates place it in Sweden
+   *
+   * @param {{ name?: string | null, lat?: number | null, lng?: number | null }} location
+   * @returns {{ kommun: string | null, kommunkod: string | null, län: string, länskod: string, source: 'name' | 'nearest' } | null}
+   */
+  static resolve({ name = null, lat = null, lng = null }) {
+    const match = this.findByName(name);
+
+    if (match?.kommun) {
+      return this.toArea(match.kommun, 'name');
+    }
+
+    // County-wide events are placed at the county's centre, which says
+    // nothing about the kommun unless the county only has one
+    if (match) {
+      const kommuner = this.getKommuner().filter(kommun => kommun.länskod === match.länskod);
+      return kommuner.length === 1
+        ? this.toArea(kommuner[0], 'name')
+        : { kommun: null, kommunkod: null, län: LAN[match.länskod], länskod: match.länskod, source: 'name' };
+    }
+
+    if (Number.isFinite(lat) && Number.isFinite(lng) && Utils.isWithinSweden(lat, lng)) {
+      return this.toArea(this.findNearest(lat, lng), 'nearest');
+    }
+
+    return null;
+  }
+
+  /**
+   * Look up a kommun or län by name. "Stockholm", "Stockholms kommun" and
+   * "Stockholms stad" give the kommun, "Stockholms län" the county.
+   *
+   * @returns {{ kommun?: object, länskod: string } | null}
+   */
+  static findByName(name) {
+    const key = this.normalize(name);
+    if (!key) return null;
+
+    const index = this.getNameIndex();
+
+    // Genitive before "kommun", "län" or on its own: "Hässleholms", "Dalarnas"
+    return index.get(key) || (key.endsWith('s') && index.get(key.slice(0, -1))) || null;
+  }
+
+  /**
+   * Kommun whose seat is closest to the point
+   */
+  static findNearest(lat, lng) {
+    if (!this.seatIndex) {
+      this.seatIndex = new SpatialIndex(this.getKommuner(), { cellSize: 0.5 });
+    }
+
+    const [nearest] = this.seatIndex.nearest(lat, lng);
+    return nearest ? nearest.item : null;
+  }
+
+  static toArea(kommun, source) {
+    return { kommun: kommun.namn, kommunkod: kommun.kod, län: kommun.län, länskod: kommun.länskod, source };
+  }
+
+  static getNameIndex() {
+    if (this.nameIndex) return this.nameIndex;
+
+    const index = new Map();
+
+    this.getKommuner().forEach(kommun => {
+      index.set(this.normalize(kommun.namn), { kommun, länskod: kommun.länskod });
+    });
+
+    Object.entries(LAN).forEach(([länskod, namn]) => {
+      const county = { länskod };
+      index.set(this.normalize(namn), county);
+
+      // "Stockholm län" and, unless it's also a kommun, "Västra Götaland"
+      const base = namn.replace(/s? län$/, '');
+      index.set(this.normalize(`${base} län`), county);
+      if (!index.has(this.normalize(base))) index.set(this.normalize(base), county);
+    });
+
+    this.nameIndex = index;
+    return index;
+  }
+
+  /**
+   * Lower case, without "kommun"/"stad", hyphens and spaces treated alike
+   */
+  static normalize(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/[-\s]+/g, ' ')
+      .trim()
+      .replace(/ (kommun|stad)$/, '');
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * GeoJSON geometry helpers for Aktuella Brott
+ *
+ * Planar tests on WGS 84 coordinates, which is accurate enough for areas
+ * the size of a kommun. GeoJSON positions are [lng, lat]; the functions
+ * here take lat before lng like the rest of the code.
+ */
+
+export class Geometry {
+  static POLYGON_TYPES = ['Polygon', 'MultiPolygon'];
+
+  static isPolygon(geometry) {
+    return Boolean(geometry) && this.POLYGON_TYPES.includes(geometry.type);
+  }
+
+  /**
+   * Whether a Polygon or MultiPolygon contains the point. Holes are
+   * excluded; points exactly on an edge may fall either way.
+   */
+  static containsPoint(geometry, lat, lng) {
+    if (!this.isPolygon(geometry)) return false;
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    return polygons.some(([outer, ...holes]) =>
+      this.ringContains(outer, lat, lng) && !holes.some(hole => this.ringContains(hole, lat, lng))
+    );
+  }
+
+  // Ray casting, even-odd rule
+  static ringContains(ring, lat, lng) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+
+      if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
+  /**
+   * Bounding box of any geometry, or null when it has no positions
+   *
+   * @returns {{ south: number, west: number, north: number, east: number } | null}
+   */
+  static getBounds(geometry) {
+    let bounds = null;
+
+    this.forEachPosition(geometry, ([lng, lat]) => {
+      if (!bounds) {
+        bounds = { south: lat, west: lng, north: lat, east: lng };
+        return;
+      }
+      bounds.south = Math.min(bounds.south, lat);
+      bounds.north = Math.max(bounds.north, lat);
+      bounds.west = Math.min(bounds.west, lng);
+      bounds.east = Math.max(bounds.east, lng);
+    });
+
+    return bounds;
+  }
+
+  static isWithinBounds(bounds, lat, lng) {
+    return Boolean(bounds) &&
+      lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east;
+  }
+
+  /**
+   * Call `callback` with every [lng, lat] position of a geometry
+   */
+  static forEachPosition(geometry, callback) {
+    if (!geometry) return;
+
+    if (geometry.type === 'GeometryCollection') {
+      (geometry.geometries || []).forEach(child => this.forEachPosition(child, callback));
+      return;
+    }
+
+    const visit = coordinates => {
+      if (!Array.isArray(coordinates)) return;
+      if (typeof coordinates[0] === 'number') {
+        callback(coordinates);
+        return;
+      }
+      coordinates.forEach(visit);
+    };
+
+    visit(geometry.coordinates);
+  }
+}
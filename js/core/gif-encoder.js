@@ -0,0 +1,257 @@
+/**
+ * Animated GIF encoder for Aktuella Brott
+ *
+ * Used when the browser can't record WebM. Frames are RGBA pixels, as from
+ * getImageData, mapped with ordered dithering onto one fixed 252 color
+ * palette (6 × 7 × 6 levels of red, green and blue), so the frames need no
+ * palette of their own and can be encoded one at a time.
+ */
+
+const RED_LEVELS = 6;
+const GREEN_LEVELS = 7;
+const BLUE_LEVELS = 6;
+const MAX_CODE = 4095;
+
+// 4 × 4 Bayer matrix, thresholds from -0.5 to 0.5
+const BAYER = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map(value => (value + 0.5) / 16 - 0.5);
+
+export class GifEncoder {
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {{ repeat?: number }} [options] repeat 0 loops forever, -1 plays once
+   */
+  constructor(width, height, { repeat = 0 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.output = new ByteWriter(width * height);
+    this.writeHeader(repeat);
+  }
+
+  /**
+   * Add a frame shown for `delay` ms (rounded to 10 ms, at least 20 ms)
+   *
+   * @param {Uint8ClampedArray | Uint8Array} rgba width × height × 4 bytes
+   */
+  addFrame(rgba, delay) {
+    const { output, width, height } = this;
+    const centiseconds = Math.max(2, Math.round(delay / 10));
+
+    // Graphic control extension: no transparency, frame delay
+    output.writeBytes([0x21, 0xf9, 0x04, 0x00]);
+    output.writeShort(centiseconds);
+    output.writeBytes([0x00, 0x00]);
+
+    // Image descriptor covering the whole canvas, no local color table
+    output.writeByte(0x2c);
+    output.writeShort(0);
+    output.writeShort(0);
+    output.writeShort(width);
+    output.writeShort(height);
+    output.writeByte(0x00);
+
+    this.writePixels(GifEncoder.quantize(rgba, width, height));
+  }
+
+  /**
+   * The finished file
+   *
+   * @returns {Uint8Array}
+   */
+  finish() {
+    this.output.writeByte(0x3b);
+    return this.output.toBytes();
+  }
+
+  /**
+   * Palette index of every pixel
+   */
+  static quantize(rgba, width, height) {
+    const indexes = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = y * width + x;
+        const offset = pixel * 4;
+        const threshold = BAYER[(y % 4) * 4 + (x % 4)];
+
+        const red = this.level(rgba[offset], RED_LEVELS, threshold);
+        const green = this.level(rgba[offset + 1], GREEN_LEVELS, threshold);
+        const blue = this.level(rgba[offset + 2], BLUE_LEVELS, threshold);
+        indexes[pixel] = (red * GREEN_LEVELS + green) * BLUE_LEVELS + blue;
+      }
+    }
+
+    return indexes;
+  }
+
+  static level(value, levels, threshold) {
+    const scaled = Math.round((value / 255) * (levels - 1) + threshold);
+    return Math.max(0, Math.min(levels - 1, scaled));
+  }
+
+  /**
+   * The 6 × 7 × 6 color cube, padded with black to 256 colors
+   */
+  static getPalette() {
+    const palette = new Uint8Array(256 * 3);
+    let index = 0;
+
+    for (let red = 0; red < RED_LEVELS; red++) {
+      for (let green = 0; green < GREEN_LEVELS; green++) {
+        for (let blue = 0; blue < BLUE_LEVELS; blue++) {
+          palette[index++] = Math.round((red * 255) / (RED_LEVELS - 1));
+          palette[index++] = Math.round((green * 255) / (GREEN_LEVELS - 1));
+          palette[index++] = Math.round((blue * 255) / (BLUE_LEVELS - 1));
+        }
+      }
+    }
+
+    return palette;
+  }
+
+  writeHeader(repeat) {
+    const { output, width, height } = this;
+
+    output.writeString('GIF89a');
+    output.writeShort(width);
+    output.writeShort(height);
+    // Global color table of 256 colors, 8 bits per primary color
+    output.writeBytes([0xf7, 0x00, 0x00]);
+    output.writeBytes(GifEncoder.getPalette());
+
+    if (repeat >= 0) {
+      // Netscape looping extension
+      output.writeBytes([0x21, 0xff, 0x0b]);
+      output.writeString('NETSCAPE2.0');
+      output.writeBytes([0x03, 0x01]);
+      output.writeShort(repeat);
+      output.writeByte(0x00);
+    }
+  }
+
+  /**
+   * LZW compress the palette indexes into data sub-blocks
+   */
+  writePixels(indexes) {
+    const { output } = this;
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bits = 0;
+    let bitCount = 0;
+
+    const flushBlock = () => {
+      if (blockLength === 0) return;
+      output.writeByte(blockLength);
+      output.writeBytes(block.subarray(0, blockLength));
+      blockLength = 0;
+    };
+
+    const writeCode = (code) => {
+      bits |= code << bitCount;
+      bitCount += codeSize;
+
+      while (bitCount >= 8) {
+        block[blockLength++] = bits & 0xff;
+        bits >>>= 8;
+        bitCount -= 8;
+        if (blockLength === 255) flushBlock();
+      }
+    };
+
+    output.writeByte(minCodeSize);
+    writeCode(clearCode);
+
+    let prefix = indexes[0];
+    for (let index = 1; index < indexes.length; index++) {
+      const value = indexes[index];
+      const key = prefix * 256 + value;
+      const code = dictionary.get(key);
+
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      writeCode(prefix);
+
+      if (nextCode <= MAX_CODE) {
+        dictionary.set(key, nextCode);
+        // The decoder widens its codes one code later than it adds them
+        if (nextCode === 1 << codeSize && codeSize < 12) {
+          codeSize++;
+        }
+        nextCode++;
+      } else {
+        writeCode(clearCode);
+        dictionary = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      }
+
+      prefix = value;
+    }
+
+    writeCode(prefix);
+    writeCode(endCode);
+
+    if (bitCount > 0) {
+      block[blockLength++] = bits & 0xff;
+      if (blockLength === 255) flushBlock();
+    }
+    flushBlock();
+    output.writeByte(0x00);
+  }
+}
+
+/**
+ * Growable byte array
+ */
+class ByteWriter {
+  constructor(capacity) {
+    this.bytes = new Uint8Array(Math.max(capacity, 1024));
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+
+    const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+  }
+
+  writeByte(value) {
+    this.ensure(1);
+    this.bytes[this.length++] = value;
+  }
+
+  writeBytes(values) {
+    this.ensure(values.length);
+    this.bytes.set(values, this.length);
+    this.length += values.length;
+  }
+
+  writeShort(value) {
+    this.writeByte(value & 0xff);
+    this.writeByte((value >> 8) & 0xff);
+  }
+
+  writeString(text) {
+    for (let index = 0; index < text.length; index++) {
+      this.writeByte(text.charCodeAt(index));
+    }
+  }
+
+  toBytes() {
+    return this.bytes.slice(0, this.length);
+  }
+}
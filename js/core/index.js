@@ -0,0 +1,37 @@
+/**
+ * Aktuella Brott shared core
+ *
+ * Imported by the static page (js/app.js) and the Next.js app (`@core/*`).
+ * Nothing here may touch `window` or `document` at import time.
+ */
+
+export { CONFIG } from './config.js';
+export { Utils } from './utils.js';
+export { DEFAULT_SEVERITY_RULES, SeverityRules } from './severity-rules.js';
+export { CrimeSeveritySystem } from './severity.js';
+export { EventIdentity } from './event-identity.js';
+export { Gazetteer } from './gazetteer.js';
+export { PoliceEvent } from './police-event.js';
+export { PoliceStation } from './police-station.js';
+export { EventQuery } from './event-query.js';
+export { Geometry } from './geometry.js';
+export { OverlayImport } from './overlay-import.js';
+export { AreaDrawing } from './area-drawing.js';
+export { EventExport } from './event-export.js';
+export { SchemaMigrations } from './schema-migrations.js';
+export { DataStorage } from './data-storage.js';
+export { EventFilters } from './filters.js';
+export { SpatialIndex } from './spatial-index.js';
+export { EventPipeline } from './event-pipeline.js';
+export { WatchZones } from './watch-zones.js';
+export { TimelinePlayback } from './timeline-playback.js';
+export { GifEncoder } from './gif-encoder.js';
+export { EventStats } from './event-stats.js';
+export { AreaStats } from './area-stats.js';
+export { MapLayers } from './map-layers.js';
+export { MarkerRegistry } from './marker-registry.js';
+export { PlaybackRecorder } from './playback-recorder.js';
+export { UrlState } from './url-state.js';
+export { XmlParser } from './xml-parser.js';
+export { RssFeed } from './rss-feed.js';
+export { RssEventMatcher } from './rss-matcher.js';
@@ -0,0 +1,210 @@
+/**
+ * Leaflet layers for Aktuella Brott
+ *
+ * Map, cluster and marker setup shared by the static page and the Next.js
+ * map. Needs the Leaflet and markercluster globals, so only call these in
+ * the browser.
+ */
+
+import { CONFIG } from './config.js';
+import { Utils } from './utils.js';
+import { OverlayImport } from './overlay-import.js';
+
+export class MapLayers {
+  /**
+   * Create a map centered on Sweden with the OpenStreetMap tile layer
+   */
+  static createMap(element) {
+    const map = L.map(element, {
+      center: CONFIG.MAP.CENTER,
+      zoom: CONFIG.MAP.ZOOM,
+      zoomControl: true,
+      minZoom: CONFIG.MAP.MIN_ZOOM,
+      maxZoom: CONFIG.MAP.MAX_ZOOM
+    });
+
+    // Add tile layer with proper attribution
+    L.tileLayer(CONFIG.MAP.TILE_URL, {
+      maxZoom: CONFIG.MAP.MAX_ZOOM,
+      attribution: CONFIG.MAP.TILE_ATTRIBUTION,
+      // CORS tiles, so timeline recordings can draw them on a canvas
+      crossOrigin: true
+    }).addTo(map);
+
+    return map;
+  }
+
+  static createEventClusterGroup() {
+    // Reduced clustering for better individual visibility
+    return L.markerClusterGroup({
+      chunkedLoading: true,
+      maxClusterRadius: CONFIG.MAP.CLUSTER_RADIUS,
+      disableClusteringAtZoom: CONFIG.MAP.DISABLE_CLUSTERING_AT_ZOOM, // Show individual markers earlier
+      spiderfyOnMaxZoom: true,
+      showCoverageOnHover: false,
+      zoomToBoundsOnClick: true,
+      iconCreateFunction: (cluster) => {
+        const count = cluster.getChildCount();
+        const size = count < 10 ? 'small' : count < 100 ? 'medium' : 'large';
+        const pixels = size === 'small' ? 30 : size === 'medium' ? 40 : 50;
+
+        return L.divIcon({
+          html: `<div class="event-cluster-${size}" style="
+            background: var(--color-primary);
+            color: white;
+            border: 2px solid white;
+            border-radius: 50%;
+            width: ${pixels}px;
+            height: ${pixels}px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: ${size === 'small' ? '12px' : size === 'medium' ? '14px' : '16px'};
+            font-weight: 600;
+            box-shadow: var(--shadow-md);
+          ">${count}</div>`,
+          className: 'event-cluster-marker',
+          iconSize: [pixels, pixels]
+        });
+      }
+    });
+  }
+
+  static createStationClusterGroup() {
+    return L.markerClusterGroup({
+      chunkedLoading: true,
+      maxClusterRadius: 40,
+      disableClusteringAtZoom: 9, // Cluster at lower zoom levels
+      spiderfyOnMaxZoom: false,
+      showCoverageOnHover: false,
+      zoomToBoundsOnClick: true,
+      iconCreateFunction: (cluster) => {
+        const count = cluster.getChildCount();
+
+        return L.divIcon({
+          html: `<div style="
+            background: var(--color-secondary);
+            color: white;
+            border: 1px solid white;
+            border-radius: 50%;
+            width: 24px;
+            height: 24px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 11px;
+            font-weight: 500;
+            box-shadow: var(--shadow-sm);
+          ">${count}</div>`,
+          className: 'station-cluster-marker',
+          iconSize: [24, 24]
+        });
+      }
+    });
+  }
+
+  static getMarkerRadius(zoom) {
+    return Math.max(6, Math.min(14, zoom - 2));
+  }
+
+  /**
+   * Size and colors of an event marker, also for restyling an existing one
+   */
+  static getEventMarkerStyle(event, zoom) {
+    return {
+      radius: this.getMarkerRadius(zoom) + (event.exactLocation ? 2 : 0),
+      color: '#ffffff',
+      fillColor: event.severityInfo.color,
+      fillOpacity: event.exactLocation ? 0.9 : 0.75,
+      weight: event.exactLocation ? 2 : 1.5
+    };
+  }
+
+  /**
+   * Circle marker colored by severity, with the event popup bound
+   */
+  static createEventMarker(event, zoom) {
+    const marker = L.circleMarker([event.lat, event.lng], {
+      ...this.getEventMarkerStyle(event, zoom),
+      className: `crime-marker ${event.exactLocation ? 'exact-location' : 'approximate-location'}`,
+      zIndexOffset: 1000 // Above police stations
+    });
+
+    marker._policeEventData = event;
+    marker.bindPopup(event.getPopupContent(), {
+      maxWidth: 320,
+      className: 'crime-event-popup'
+    });
+
+    return marker;
+  }
+
+  /**
+   * Event marker for a timeline frame, faded by `opacity` when it is part of
+   * the trail
+   */
+  static createPlaybackMarker(event, zoom, opacity) {
+    const marker = this.createEventMarker(event, zoom);
+    marker.setStyle({
+      opacity,
+      fillOpacity: marker.options.fillOpacity * opacity
+    });
+    return marker;
+  }
+
+  /**
+   * Circle for a kommun or län in the area view, sized by population since
+   * no boundaries are bundled
+   */
+  static createAreaMarker(area, color, level) {
+    const [base, scale] = level === 'län' ? [12, 80] : [4, 60];
+
+    return L.circleMarker([area.lat, area.lng], {
+      radius: Math.min(40, base + Math.sqrt(area.population) / scale),
+      color: '#ffffff',
+      fillColor: color,
+      fillOpacity: 0.85,
+      weight: 1,
+      className: 'area-marker'
+    });
+  }
+
+  /**
+   * GeoJSON layer for an imported overlay, in the overlay's color. Each
+   * feature's popup lists its properties.
+   */
+  static createOverlayLayer(overlay) {
+    let index = 0;
+
+    return L.geoJSON(overlay.geojson, {
+      style: () => ({ color: overlay.color, weight: 2, fillOpacity: 0.1 }),
+      pointToLayer: (feature, latlng) => L.circleMarker(latlng, {
+        radius: 6,
+        color: '#ffffff',
+        fillColor: overlay.color,
+        fillOpacity: 0.9,
+        weight: 1.5
+      }),
+      onEachFeature: (feature, layer) => {
+        const label = OverlayImport.getFeatureLabel(feature, index++);
+        const rows = Object.entries(feature.properties || {})
+          .filter(([, value]) => value !== null && value !== '' && typeof value !== 'object')
+          .slice(0, 20)
+          .map(([key, value]) => `
+            <tr>
+              <th style="text-align: left; padding-right: 8px; font-weight: 500;">${Utils.sanitizeHTML(key)}</th>
+              <td>${Utils.sanitizeHTML(value)}</td>
+            </tr>`)
+          .join('');
+
+        layer.bindPopup(`
+          <div style="font-size: 0.8rem;">
+            <strong>${Utils.sanitizeHTML(label)}</strong>
+            <div style="color: var(--text-muted); margin-bottom: 4px;">${Utils.sanitizeHTML(overlay.name)}</div>
+            ${rows ? `<table>${rows}</table>` : ''}
+          </div>
+        `, { maxWidth: 320 });
+      }
+    });
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Event markers by event id for Aktuella Brott
+ *
+ * Keeps one marker per event in a cluster group and, given the events to
+ * show, adds and removes only the difference. Markers of events that were
+ * replaced by a newer version are updated in place and glide to a new
+ * position, so an open popup stays open through a sync, and a spiderfied
+ * cluster is spread out again after markers were added or removed. Needs
+ * Leaflet and markercluster, so only use it in the browser.
+ */
+
+import { CONFIG } from './config.js';
+import { MapLayers } from './map-layers.js';
+import { SpatialIndex } from './spatial-index.js';
+
+export class MarkerRegistry {
+  /**
+   * @param {L.Map} map
+   * @param {L.MarkerClusterGroup} cluster
+   * @param {object} [options]
+   * @param {(popup: L.Popup, event: object) => void} [options.onPopupOpen]
+   *   called when a popup opens
+   * @param {(popup: L.Popup, event: object) => void} [options.onPopupUpdate]
+   *   called when an open popup gets new content
+   */
+  constructor(map, cluster, { onPopupOpen = () => {}, onPopupUpdate = () => {} } = {}) {
+    this.map = map;
+    this.cluster = cluster;
+    this.onPopupOpen = onPopupOpen;
+    this.onPopupUpdate = onPopupUpdate;
+    this.markers = new Map();
+    this.animations = new Map();
+    this.openMarker = null;
+    // Markers of the spiderfied cluster, null when none is
+    this.spiderfied = null;
+
+    cluster.on('spiderfied', ({ markers }) => {
+      this.spiderfied = markers;
+    });
+    cluster.on('unspiderfied', () => {
+      this.spiderfied = null;
+    });
+  }
+
+  get(id) {
+    return this.markers.get(id);
+  }
+
+  /**
+   * Show exactly these events
+   *
+   * @returns {{ added: number, removed: number, updated: number }}
+   */
+  sync(events, zoom) {
+    const openMarker = this.openMarker;
+    const spiderfied = this.spiderfied;
+    const next = new Map();
+    events.forEach(event => {
+      if (SpatialIndex.hasLocation(event)) next.set(event.id, event);
+    });
+
+    const stale = [];
+    this.markers.forEach((marker, id) => {
+      if (next.has(id)) return;
+
+      this.stopAnimation(marker);
+      this.markers.delete(id);
+      stale.push(marker);
+    });
+
+    const fresh = [];
+    let updated = 0;
+    next.forEach((event, id) => {
+      const marker = this.markers.get(id);
+      if (!marker) {
+        const created = this.createMarker(event, zoom);
+        this.markers.set(id, created);
+        fresh.push(created);
+      } else if (marker._policeEventData !== event) {
+        this.update(marker, event, zoom);
+        updated++;
+      }
+    });
+
+    if (stale.length > 0) this.cluster.removeLayers(stale);
+    if (fresh.length > 0) this.cluster.addLayers(fresh);
+
+    if (stale.length > 0 || fresh.length > 0) {
+      this.restore(openMarker, spiderfied);
+    }
+
+    return { added: fresh.length, removed: stale.length, updated };
+  }
+
+  /**
+   * Resize every marker for the zoom level
+   */
+  restyle(zoom) {
+    this.markers.forEach(marker => {
+      marker.setStyle(MapLayers.getEventMarkerStyle(marker._policeEventData, zoom));
+    });
+  }
+
+  clear() {
+    this.markers.forEach(marker => this.stopAnimation(marker));
+    this.markers.clear();
+    this.cluster.clearLayers();
+    this.openMarker = null;
+    this.spiderfied = null;
+  }
+
+  createMarker(event, zoom) {
+    const marker = MapLayers.createEventMarker(event, zoom);
+
+    marker.on('popupopen', ({ popup }) => {
+      this.openMarker = marker;
+      this.onPopupOpen(popup, marker._policeEventData);
+    });
+    marker.on('popupclose', () => {
+      if (this.openMarker === marker) this.openMarker = null;
+    });
+
+    return marker;
+  }
+
+  /**
+   * Point a marker at a newer version of its event
+   */
+  update(marker, event, zoom) {
+    marker._policeEventData = event;
+    marker.setStyle(MapLayers.getEventMarkerStyle(event, zoom));
+
+    const content = event.getPopupContent();
+    if (marker.getPopup()?.getContent() !== content) {
+      marker.setPopupContent(content);
+      if (marker.isPopupOpen()) {
+        this.onPopupUpdate(marker.getPopup(), event);
+      }
+    }
+
+    const { lat, lng } = marker.getLatLng();
+    if (lat !== event.lat || lng !== event.lng) {
+      this.move(marker, L.latLng(event.lat, event.lng));
+    }
+  }
+
+  /**
+   * Glide a marker to a new position. Markers inside a cluster or a
+   * spiderfied cluster, or when the user prefers reduced motion, jump there.
+   */
+  move(marker, to) {
+    this.stopAnimation(marker);
+
+    const from = marker.getLatLng();
+    const duration = CONFIG.MAP.MARKER_ANIMATION_MS;
+    const reducedMotion = typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    if (duration <= 0 || reducedMotion || !this.map.hasLayer(marker) || this.spiderfied?.includes(marker)) {
+      marker.setLatLng(to);
+      return;
+    }
+
+    const start = performance.now();
+    const step = (now) => {
+      const progress = Math.min(1, (now - start) / duration);
+      const eased = 1 - Math.pow(1 - progress, 3);
+      marker.setLatLng([from.lat + (to.lat - from.lat) * eased, from.lng + (to.lng - from.lng) * eased]);
+
+      if (progress < 1) {
+        this.animations.set(marker, requestAnimationFrame(step));
+      } else {
+        this.animations.delete(marker);
+      }
+    };
+    this.animations.set(marker, requestAnimationFrame(step));
+  }
+
+  stopAnimation(marker) {
+    const frame = this.animations.get(marker);
+    if (frame !== undefined) {
+      cancelAnimationFrame(frame);
+      this.animations.delete(marker);
+    }
+  }
+
+  /**
+   * Adding and removing markers collapses a spiderfied cluster and closes
+   * its popups; spread it out again and reopen the popup that was open
+   */
+  restore(openMarker, spiderfied) {
+    const isShown = marker => this.markers.get(marker._policeEventData.id) === marker;
+    const reopen = () => {
+      if (openMarker && isShown(openMarker) && !openMarker.isPopupOpen() && this.map.hasLayer(openMarker)) {
+        openMarker.openPopup();
+      }
+    };
+
+    if (spiderfied && !this.spiderfied) {
+      const marker = spiderfied.find(isShown);
+      const parent = marker && this.cluster.getVisibleParent(marker);
+
+      if (parent && parent !== marker && typeof parent.spiderfy === 'function') {
+        this.cluster.once('spiderfied', reopen);
+        parent.spiderfy();
+        return;
+      }
+    }
+
+    reopen();
+  }
+}
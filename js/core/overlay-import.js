@@ -0,0 +1,199 @@
+/**
+ * Overlay files for Aktuella Brott
+ *
+ * Reads the user's own map data, such as patrol areas, camera locations or
+ * school zones, into a GeoJSON FeatureCollection: GeoJSON files as they are,
+ * CSV files as points from their latitude and longitude columns.
+ * Coordinates must be WGS 84; files exported in SWEREF 99 are rejected with
+ * a hint rather than drawn in the wrong place.
+ *
+ * Errors are thrown with Swedish messages meant for the user.
+ */
+
+import { Geometry } from './geometry.js';
+
+export class OverlayImport {
+  static GEOMETRY_TYPES = [
+    'Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'
+  ];
+
+  // Header names recognised in CSV files, compared in lower case
+  static LAT_COLUMNS = ['lat', 'latitude', 'latitud', 'y'];
+  static LNG_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'longitud', 'x'];
+
+  // Property names tried, in order, when labelling a feature
+  static LABEL_PROPERTIES = ['name', 'namn', 'NAMN', 'Name', 'NAME', 'title', 'titel', 'label', 'id'];
+
+  /**
+   * Parse a file's text by its extension (.geojson/.json or .csv/.txt)
+   *
+   * @returns {{ name: string, geojson: object, featureCount: number, polygonCount: number }}
+   */
+  static parse(text, filename = '') {
+    const extension = filename.toLowerCase().split('.').pop();
+    const name = filename.replace(/\.[^.]+$/, '') || 'Importerat lager';
+
+    let geojson;
+    if (['geojson', 'json'].includes(extension)) {
+      geojson = this.parseGeoJSON(text);
+    } else if (['csv', 'txt', 'tsv'].includes(extension)) {
+      geojson = this.parseCSV(text);
+    } else {
+      throw new Error('Filen måste vara GeoJSON (.geojson, .json) eller CSV (.csv)');
+    }
+
+    if (geojson.features.length === 0) {
+      throw new Error('Filen innehåller inga objekt med koordinater');
+    }
+
+    return {
+      name,
+      geojson,
+      featureCount: geojson.features.length,
+      polygonCount: geojson.features.filter(feature => Geometry.isPolygon(feature.geometry)).length
+    };
+  }
+
+  /**
+   * A FeatureCollection from a FeatureCollection, Feature or bare geometry.
+   * Features without geometry are dropped.
+   */
+  static parseGeoJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Ogiltig JSON: ${error.message}`);
+    }
+
+    const crs = data?.crs?.properties?.name;
+    if (crs && !/CRS84|EPSG:+4326$/i.test(crs)) {
+      throw new Error(`Koordinatsystemet ${crs} stöds inte, exportera filen i WGS 84 (EPSG:4326)`);
+    }
+
+    let features;
+    if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+      features = data.features;
+    } else if (data?.type === 'Feature') {
+      features = [data];
+    } else if (this.GEOMETRY_TYPES.includes(data?.type)) {
+      features = [{ type: 'Feature', properties: {}, geometry: data }];
+    } else {
+      throw new Error('Filen är inte GeoJSON (FeatureCollection, Feature eller geometri)');
+    }
+
+    const valid = features
+      .filter(feature => feature?.type === 'Feature' && this.GEOMETRY_TYPES.includes(feature.geometry?.type))
+      .map(feature => ({ type: 'Feature', properties: feature.properties || {}, geometry: feature.geometry }));
+
+    valid.forEach(feature => this.assertWgs84(feature.geometry));
+    return { type: 'FeatureCollection', features: valid };
+  }
+
+  /**
+   * Points from a CSV file with a header row. The delimiter (comma,
+   * semicolon or tab) is detected from the header; with semicolons, decimal
+   * commas are accepted as Swedish Excel writes them.
+   */
+  static parseCSV(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const headerLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [';', '\t', ','].find(candidate => headerLine.includes(candidate)) || ',';
+    const [header = [], ...rows] = this.parseCSVRows(source, delimiter);
+
+    const columns = header.map(column => column.trim());
+    const find = names => columns.findIndex(column => names.includes(column.toLowerCase()));
+    const latIndex = find(this.LAT_COLUMNS);
+    const lngIndex = find(this.LNG_COLUMNS);
+
+    if (latIndex === -1 || lngIndex === -1) {
+      throw new Error('Hittade inga kolumner för latitud och longitud (t.ex. "lat" och "lng")');
+    }
+
+    const toNumber = value => parseFloat(String(value ?? '').trim().replace(',', '.'));
+
+    const features = rows
+      .filter(row => row.some(value => value.trim() !== ''))
+      .map(row => {
+        const lat = toNumber(row[latIndex]);
+        const lng = toNumber(row[lngIndex]);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+        const properties = {};
+        columns.forEach((column, index) => {
+          if (index !== latIndex && index !== lngIndex && column) {
+            properties[column] = row[index] ?? '';
+          }
+        });
+
+        return { type: 'Feature', properties, geometry: { type: 'Point', coordinates: [lng, lat] } };
+      })
+      .filter(Boolean);
+
+    features.forEach(feature => this.assertWgs84(feature.geometry));
+    return { type: 'FeatureCollection', features };
+  }
+
+  /**
+   * RFC 4180 rows: quoted fields may contain the delimiter, quotes ("")
+   * and line breaks
+   */
+  static parseCSVRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  static assertWgs84(geometry) {
+    Geometry.forEachPosition(geometry, ([lng, lat]) => {
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        throw new Error('Koordinaterna är inte WGS 84 (lat/lng), exportera filen i EPSG:4326');
+      }
+    });
+  }
+
+  /**
+   * Display name of a feature: a name-like property, else its number
+   */
+  static getFeatureLabel(feature, index) {
+    const properties = feature.properties || {};
+    const key = this.LABEL_PROPERTIES.find(name => properties[name] !== undefined && properties[name] !== '');
+    return key ? String(properties[key]) : `Objekt ${index + 1}`;
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Timeline recording for Aktuella Brott
+ *
+ * Draws a timeline frame onto a canvas: the loaded map tiles, the frame's
+ * events with their trail, the time of the frame and a severity legend. The
+ * page records the canvas as WebM with MediaRecorder, or as a GIF with
+ * GifEncoder where WebM isn't supported. Needs the Leaflet map, so only call
+ * these in the browser.
+ */
+
+import { CONFIG } from './config.js';
+import { MapLayers } from './map-layers.js';
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+
+export class PlaybackRecorder {
+  static FORMATS = {
+    webm: { label: 'WebM', extension: 'webm' },
+    gif: { label: 'GIF', extension: 'gif' }
+  };
+
+  /**
+   * The WebM type MediaRecorder supports here, null when it can't record WebM
+   */
+  static getWebmMimeType() {
+    if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement.prototype.captureStream !== 'function') {
+      return null;
+    }
+    return WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+  }
+
+  /**
+   * Size of the recording for a map of the given size, scaled down to at
+   * most `maxWidth`; even numbers, as video encoders expect
+   */
+  static getFrameSize(width, height, maxWidth) {
+    const scale = Math.min(1, maxWidth / width);
+    const even = value => Math.max(2, Math.round((value * scale) / 2) * 2);
+    return { width: even(width), height: even(height), scale };
+  }
+
+  /**
+   * Event types in the recording for the legend, most severe first
+   *
+   * @returns {Array<{ label: string, color: string, level: number }>}
+   */
+  static getLegendEntries(events, max = CONFIG.TIMELINE.RECORDING.LEGEND_ENTRIES) {
+    const entries = new Map();
+
+    events.forEach(event => {
+      const info = event.severityInfo;
+      if (!info) return;
+
+      const label = info.description || event.type;
+      const key = `${label}|${info.color}`;
+      const entry = entries.get(key) || { label, color: info.color, level: info.level, count: 0 };
+      entry.count++;
+      entries.set(key, entry);
+    });
+
+    return [...entries.values()]
+      .sort((a, b) => b.level - a.level || b.count - a.count)
+      .slice(0, max)
+      .map(({ label, color, level }) => ({ label, color, level }));
+  }
+
+  /**
+   * Draw one frame of the recording
+   *
+   * @param {CanvasRenderingContext2D} ctx sized by getFrameSize
+   * @param {object} frame
+   * @param {L.Map} frame.map
+   * @param {number} frame.scale from getFrameSize
+   * @param {Array<{ event: object, opacity: number }>} frame.frameEvents from TimelinePlayback.getFrameEvents
+   * @param {string} frame.label time of the frame
+   * @param {Array<{ label: string, color: string, level: number }>} frame.legend from getLegendEntries
+   */
+  static drawFrame(ctx, { map, scale, frameEvents, label, legend }) {
+    const { width, height } = ctx.canvas;
+
+    ctx.save();
+    ctx.fillStyle = '#e5e7eb';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.scale(scale, scale);
+    this.drawTiles(ctx, map);
+    this.drawEvents(ctx, map, frameEvents);
+    ctx.restore();
+
+    this.drawLabel(ctx, label);
+    this.drawLegend(ctx, legend);
+    this.drawAttribution(ctx);
+  }
+
+  /**
+   * The tiles Leaflet has loaded, where they are on screen. The tile layer
+   * must load them with crossOrigin, or the canvas can't be recorded.
+   */
+  static drawTiles(ctx, map) {
+    const container = map.getContainer();
+    const origin = container.getBoundingClientRect();
+
+    container.querySelectorAll('.leaflet-tile-pane img.leaflet-tile-loaded').forEach(tile => {
+      const rect = tile.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return;
+
+      ctx.drawImage(tile, rect.left - origin.left, rect.top - origin.top, rect.width, rect.height);
+    });
+  }
+
+  static drawEvents(ctx, map, frameEvents) {
+    const radius = MapLayers.getMarkerRadius(map.getZoom());
+
+    frameEvents.forEach(({ event, opacity }) => {
+      const point = map.latLngToContainerPoint([event.lat, event.lng]);
+
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, radius + (event.exactLocation ? 2 : 0), 0, Math.PI * 2);
+      ctx.globalAlpha = (event.exactLocation ? 0.9 : 0.75) * opacity;
+      ctx.fillStyle = event.severityInfo?.color || '#6b7280';
+      ctx.fill();
+      ctx.globalAlpha = opacity;
+      ctx.lineWidth = event.exactLocation ? 2 : 1.5;
+      ctx.strokeStyle = '#ffffff';
+      ctx.stroke();
+    });
+
+    ctx.globalAlpha = 1;
+  }
+
+  static drawLabel(ctx, label) {
+    ctx.font = `600 16px ${FONT}`;
+    const width = ctx.measureText(label).width + 24;
+
+    this.drawPanel(ctx, 12, 12, width, 36);
+    ctx.fillStyle = '#111827';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, 24, 30);
+  }
+
+  static drawLegend(ctx, legend) {
+    if (legend.length === 0) return;
+
+    const lineHeight = 20;
+    ctx.font = `12px ${FONT}`;
+    const width = Math.max(
+      ctx.measureText('Allvarlighet').width,
+      ...legend.map(entry => ctx.measureText(`${entry.label} (nivå ${entry.level})`).width + 18)
+    ) + 24;
+    const height = (legend.length + 1) * lineHeight + 12;
+    const x = ctx.canvas.width - width - 12;
+    const y = ctx.canvas.height - height - 28;
+
+    this.drawPanel(ctx, x, y, width, height);
+    ctx.textBaseline = 'middle';
+
+    ctx.font = `600 12px ${FONT}`;
+    ctx.fillStyle = '#111827';
+    ctx.fillText('Allvarlighet', x + 12, y + 6 + lineHeight / 2);
+
+    ctx.font = `12px ${FONT}`;
+    legend.forEach((entry, index) => {
+      const lineY = y + 6 + (index + 1.5) * lineHeight;
+
+      ctx.beginPath();
+      ctx.arc(x + 17, lineY, 5, 0, Math.PI * 2);
+      ctx.fillStyle = entry.color;
+      ctx.fill();
+
+      ctx.fillStyle = '#111827';
+      ctx.fillText(`${entry.label} (nivå ${entry.level})`, x + 30, lineY);
+    });
+  }
+
+  // The tile attribution is required wherever the map is shown
+  static drawAttribution(ctx) {
+    const text = CONFIG.MAP.TILE_ATTRIBUTION.replace(/<[^>]*>/g, '');
+
+    ctx.font = `11px ${FONT}`;
+    const width = ctx.measureText(text).width + 12;
+    const { width: canvasWidth, height: canvasHeight } = ctx.canvas;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillRect(canvasWidth - width, canvasHeight - 18, width, 18);
+    ctx.fillStyle = '#374151';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, canvasWidth - width + 6, canvasHeight - 9);
+  }
+
+  static drawPanel(ctx, x, y, width, height) {
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.strokeStyle = 'rgba(17, 24, 39, 0.15)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, 8);
+    ctx.fill();
+    ctx.stroke();
+  }
+}
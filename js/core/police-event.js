@@ -0,0 +1,413 @@
+/**
+ * Police event model for Aktuella Brott
+ *
+ * Normalizes a raw Polisen API event: stable id, coordinates within Sweden,
+ * timestamp, severity and metadata extracted from the summary text.
+ */
+
+import { Utils } from './utils.js';
+import { CrimeSeveritySystem } from './severity.js';
+import { EventIdentity } from './event-identity.js';
+import { Gazetteer } from './gazetteer.js';
+
+export class PoliceEvent {
+  /**
+   * Recreate an event from a stored record or an /api/events item
+   * without parsing it again
+   */
+  static fromRecord(data) {
+    const event = Object.create(PoliceEvent.prototype);
+    Object.assign(event, data);
+
+    if (!(event.timestamp instanceof Date)) {
+      event.timestamp = event.timestamp ? new Date(event.timestamp) : new Date(event.timeMs || Date.now());
+    }
+
+    if (typeof event.timeMs !== 'number') {
+      event.timeMs = event.timestamp ? event.timestamp.getTime() : Date.now();
+    }
+
+    if (typeof event.lat === 'string') {
+      event.lat = parseFloat(event.lat);
+    }
+
+    if (typeof event.lng === 'string') {
+      event.lng = parseFloat(event.lng);
+    }
+
+    // Records stored before the gazetteer have no administrative area
+    if (event.kommunkod === undefined) {
+      event.setArea(Gazetteer.resolve({ name: event.city, lat: event.lat, lng: event.lng }));
+    }
+
+    // Stored severity may predate the user's current rules
+    event.severityInfo = CrimeSeveritySystem.getSeverityInfo(event);
+    event.priority = event.severityInfo.priority;
+
+    event.rawData = event.rawData || {
+      id: event.id,
+      datetime: event.timestamp instanceof Date ? event.timestamp.toISOString() : event.timestamp,
+      name: event.title,
+      summary: event.description,
+      url: event.url,
+      type: event.type,
+      location: {
+        name: event.city,
+        gps: Number.isFinite(event.lat) && Number.isFinite(event.lng) ? `${event.lat},${event.lng}` : null
+      }
+    };
+
+    return event;
+  }
+
+  constructor(rawData) {
+    this.id = EventIdentity.forEvent(rawData);
+    this.fingerprint = EventIdentity.fingerprintRaw(rawData);
+    this.contentHash = EventIdentity.contentHash(rawData);
+    this.rawData = rawData;
+    this.parseData();
+  }
+
+  parseData() {
+    const raw = this.rawData;
+
+    // Parse coordinates
+    this.parseCoordinates();
+
+    // Parse date/time
+    this.parseDateTime();
+
+    // Extract location information
+    this.parseLocation();
+
+    // Parse event details
+    this.type = raw.type || 'Okänd händelse';
+    this.title = raw.name || raw.title || this.type;
+    this.description = raw.summary || raw.description || '';
+    this.url = this.validateURL(raw.url);
+
+    // Determine location accuracy
+    this.exactLocation = this.hasExactCoordinates();
+
+    // Get severity information
+    this.severityInfo = CrimeSeveritySystem.getSeverityInfo(this);
+    this.priority = this.severityInfo.priority;
+
+    // Extract additional metadata from the text
+    this.parseMetadata();
+  }
+
+  parseCoordinates() {
+    const raw = this.rawData;
+    let lat = null, lng = null;
+
+    // Try different coordinate formats
+    if (raw.location && raw.location.gps) {
+      const gps = raw.location.gps;
+      if (typeof gps === 'string') {
+        const coords = gps.split(',').map(c => parseFloat(c.trim()));
+        if (coords.length === 2 && !isNaN(coords[0]) && !isNaN(coords[1])) {
+          [lat, lng] = coords;
+        }
+      } else if (gps.lat && gps.lng) {
+        lat = parseFloat(gps.lat);
+        lng = parseFloat(gps.lng);
+      }
+    }
+
+    // Validate coordinates are within Sweden's bounds
+    if (lat && lng && this.isWithinSweden(lat, lng)) {
+      this.lat = lat;
+      this.lng = lng;
+    } else {
+      this.lat = null;
+      this.lng = null;
+    }
+  }
+
+  parseDateTime() {
+    const raw = this.rawData;
+    const dateStr = raw.datetime || raw.pubDate || raw.date;
+
+    if (dateStr) {
+      this.timestamp = new Date(dateStr);
+      if (isNaN(this.timestamp)) {
+        // Try alternative parsing
+        this.timestamp = new Date();
+      }
+    } else {
+      this.timestamp = new Date();
+    }
+
+    this.timeMs = this.timestamp.getTime();
+
+    // Time-based metadata, in Swedish time also when parsed on the server
+    const { hour, dayOfWeek } = Utils.getStockholmTimeParts(this.timestamp);
+    this.hour = hour;
+    this.dayOfWeek = dayOfWeek;
+    this.isWeekend = this.dayOfWeek === 0 || this.dayOfWeek === 6;
+  }
+
+  parseLocation() {
+    const raw = this.rawData;
+
+    // Extract city/location name
+    this.city = raw.location?.name || 'Okänd plats';
+
+    // Kommun and län, looked up before the offset moves the point
+    this.setArea(Gazetteer.resolve({ name: raw.location?.name, lat: this.lat, lng: this.lng }));
+
+    // Try to extract address from description or summary
+    this.address = this.extractAddress() || this.city;
+
+    // Apply random offset if no exact location (privacy/accuracy)
+    if (!this.hasExactCoordinates() && this.lat && this.lng) {
+      this.applyRandomOffset();
+    }
+  }
+
+  setArea(area) {
+    this.kommun = area?.kommun ?? null;
+    this.kommunkod = area?.kommunkod ?? null;
+    this.län = area?.län ?? null;
+    this.länskod = area?.länskod ?? null;
+  }
+
+  parseMetadata() {
+    this.keywords = this.extractKeywords();
+    this.persons = this.extractPersonCount();
+    this.vehicles = this.extractVehicleInfo();
+    this.timeOfDay = this.categorizeTimeOfDay();
+  }
+
+  validateURL(url) {
+    if (!url) return null;
+
+    try {
+      const parsedURL = new URL(url, 'https://polisen.se');
+      return parsedURL.protocol === 'http:' || parsedURL.protocol === 'https:' ? parsedURL.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  extractAddress() {
+    const text = (this.description + ' ' + this.title).toLowerCase();
+
+    // Swedish address patterns
+    const patterns = [
+      /(?:vid|på|i|från)\s+([A-ZÅÄÖ][a-zåäö]+(?:gatan|vägen|torget|platsen|parken))/i,
+      /(?:vid|på|i|från)\s+([A-ZÅÄÖ][a-zåäö]+\s+\d+)/i,
+      /(\w+gatan\s+\d+)/i,
+      /(\w+vägen\s+\d+)/i
+    ];
+
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match) {
+        return match[1];
+      }
+    }
+
+    return null;
+  }
+
+  extractKeywords() {
+    return PoliceEvent.findKeywords(this.description + ' ' + this.title);
+  }
+
+  /**
+   * Crime-related keywords mentioned in a text, also used to match RSS items
+   */
+  static findKeywords(text) {
+    const lowerText = String(text || '').toLowerCase();
+
+    // Crime-related keywords
+    const crimeKeywords = [
+      'vapen', 'kniv', 'pistol', 'bil', 'cykel', 'mobil', 'plånbok',
+      'butik', 'hem', 'skola', 'sjukhus', 'station', 'flykt', 'anhållen'
+    ];
+
+    return crimeKeywords.filter(keyword => lowerText.includes(keyword));
+  }
+
+  extractPersonCount() {
+    const text = (this.description + ' ' + this.title).toLowerCase();
+
+    const countMatch = text.match(/(\d+)\s*(?:person|individ)/);
+    if (countMatch) return countMatch[1];
+
+    return /flera\s+person/.test(text) ? '3+' : null;
+  }
+
+  extractVehicleInfo() {
+    const text = (this.description + ' ' + this.title).toLowerCase();
+    const vehicleTypes = ['bil', 'lastbil', 'motorcykel', 'cykel', 'moped', 'buss'];
+    const vehicles = vehicleTypes.filter(vehicle => text.includes(vehicle));
+
+    return vehicles.length > 0 ? vehicles : null;
+  }
+
+  categorizeTimeOfDay() {
+    const hour = this.hour;
+
+    if (hour >= 6 && hour < 12) return 'morgon';
+    if (hour >= 12 && hour < 18) return 'dag';
+    if (hour >= 18 && hour < 22) return 'kväll';
+    return 'natt';
+  }
+
+  hasExactCoordinates() {
+    const text = (this.description + ' ' + this.title).toLowerCase();
+
+    // Indicators of exact location
+    const exactIndicators = ['gatan', 'vägen', 'torget', 'platsen', 'nummer'];
+    const approximateIndicators = ['området', 'närheten', 'cirka', 'ungefär'];
+
+    const hasExact = exactIndicators.some(ind => text.includes(ind));
+    const hasApproximate = approximateIndicators.some(ind => text.includes(ind));
+
+    return hasExact && !hasApproximate;
+  }
+
+  applyRandomOffset() {
+    if (!this.lat || !this.lng) return;
+
+    // Add offset up to ~500 meters, seeded by the id so the browser and
+    // the API place the same event at the same spot on every load
+    const offsetLat = (this.seededRandom('lat') - 0.5) * 0.008; // ~0.4km
+    const offsetLng = (this.seededRandom('lng') - 0.5) * 0.012; // ~0.4km
+
+    this.lat += offsetLat;
+    this.lng += offsetLng;
+  }
+
+  seededRandom(salt) {
+    return parseInt(EventIdentity.hash(`${this.id}:${salt}`), 36) / 2 ** 53;
+  }
+
+  isWithinSweden(lat, lng) {
+    return Utils.isWithinSweden(lat, lng);
+  }
+
+  isValidEvent() {
+    return this.lat && this.lng && this.timestamp && this.type;
+  }
+
+  /**
+   * Plain representation served by /api/events (see src/lib/polisen/schema.ts)
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      fingerprint: this.fingerprint,
+      contentHash: this.contentHash,
+      type: this.type,
+      title: this.title,
+      description: this.description,
+      url: this.url,
+      timestamp: this.timestamp.toISOString(),
+      timeMs: this.timeMs,
+      city: this.city,
+      address: this.address,
+      kommun: this.kommun ?? null,
+      kommunkod: this.kommunkod ?? null,
+      län: this.län ?? null,
+      länskod: this.länskod ?? null,
+      lat: this.lat,
+      lng: this.lng,
+      exactLocation: this.exactLocation,
+      severityInfo: {
+        level: this.severityInfo.level,
+        priority: this.severityInfo.priority,
+        color: this.severityInfo.color,
+        description: this.severityInfo.description
+      },
+      keywords: this.keywords || [],
+      persons: this.persons ?? null,
+      vehicles: this.vehicles ?? null,
+      timeOfDay: this.timeOfDay
+    };
+  }
+
+  getFormattedTime() {
+    return Utils.formatDate(this.timestamp);
+  }
+
+  getRelativeTime() {
+    const diffMs = Date.now() - this.timeMs;
+    const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
+    const diffDays = Math.floor(diffHours / 24);
+
+    if (diffDays > 7) return Utils.formatDate(this.timestamp, { month: 'short', day: 'numeric', hour: undefined, minute: undefined });
+    if (diffDays > 0) return `${diffDays} dag${diffDays > 1 ? 'ar' : ''} sedan`;
+    if (diffHours > 0) return `${diffHours} timm${diffHours > 1 ? 'ar' : 'e'} sedan`;
+    return 'Nyligen';
+  }
+
+  getPopupContent() {
+    const severityColor = this.severityInfo.color;
+    const locationAccuracy = this.exactLocation ?
+      '<span style="color: var(--color-success); font-size: 0.75rem; font-weight: 500;">📍 Exakt position</span>' :
+      '<span style="color: var(--color-warning); font-size: 0.75rem; font-weight: 500;">📍 Ungefärlig position</span>';
+
+    const fullAddress = this.address !== this.city ? this.address : this.city;
+
+    return `
+      <div style="min-width: 260px; font-family: inherit; line-height: 1.5; position: relative;">
+        <button
+          type="button"
+          class="favorite-star-btn"
+          data-event-id="${Utils.sanitizeHTML(this.id)}"
+          aria-label="Spara händelsen som favorit"
+          aria-pressed="false"
+          title="Spara som favorit"
+        >☆</button>
+        <h3 style="margin: 0 0 12px; color: var(--text-primary); font-size: 1rem; border-bottom: 2px solid ${severityColor}; padding-bottom: 6px;">
+          ${Utils.sanitizeHTML(this.title)}
+        </h3>
+
+        <div style="margin: 8px 0; padding: 8px 12px; background: var(--bg-tertiary); border-left: 3px solid ${severityColor}; border-radius: 4px;">
+          <strong style="color: var(--text-primary); font-size: 0.875rem;">
+            ${Utils.sanitizeHTML(this.severityInfo.description)}
+          </strong>
+        </div>
+
+        <div style="margin: 12px 0;">
+          <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
+            Plats:
+          </strong><br/>
+          <span style="color: var(--text-primary); font-size: 0.875rem;">
+            ${Utils.sanitizeHTML(fullAddress)}
+          </span><br/>
+          ${locationAccuracy}
+        </div>
+
+        <div style="margin: 12px 0;">
+          <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
+            Tid:
+          </strong><br/>
+          <span style="color: var(--text-primary); font-size: 0.875rem;">
+            ${this.getFormattedTime()}
+          </span>
+        </div>
+
+        ${this.description ? `
+          <div style="margin: 12px 0; padding-top: 8px; border-top: 1px solid var(--border-light);">
+            <div style="color: var(--text-secondary); font-size: 0.8rem;">
+              ${Utils.sanitizeHTML(this.description)}
+            </div>
+          </div>
+        ` : ''}
+
+        ${this.url ? `
+          <div style="margin: 12px 0; padding-top: 8px; border-top: 1px solid var(--border-light);">
+            <a href="${Utils.sanitizeHTML(this.url)}" target="_blank" rel="noopener noreferrer" style="color: var(--color-primary); text-decoration: none; font-size: 0.875rem; font-weight: 500;">
+              Mer information →
+            </a>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+}
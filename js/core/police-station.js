@@ -0,0 +1,205 @@
+/**
+ * Police station model for Aktuella Brott
+ *
+ * `createMarker` needs the Leaflet global and is only called in the browser.
+ */
+
+import { Utils } from './utils.js';
+
+export class PoliceStation {
+  /**
+   * Station from a plain record, as kept in the stations store or served by
+   * /api/stations
+   */
+  static fromRecord(data) {
+    const station = Object.assign(Object.create(PoliceStation.prototype), data);
+    station.servicesText = station.servicesText || this.getServicesText(station.services);
+    return station;
+  }
+
+  /**
+   * Valid stations of an /api/stations response or of the upstream list
+   */
+  static fromResponse(data) {
+    if (Array.isArray(data?.stations)) {
+      return data.stations.map(record => this.fromRecord(record)).filter(station => station.isValidStation());
+    }
+    if (!Array.isArray(data)) {
+      throw new Error('Ogiltig data från Polisstationer API');
+    }
+
+    return data.map(raw => new PoliceStation(raw)).filter(station => station.isValidStation());
+  }
+
+  static getServicesText(services) {
+    return Array.isArray(services) && services.length > 0 ? services.join(', ') : 'Allmänna polistjänster';
+  }
+
+  constructor(rawData) {
+    this.id = rawData.id ? String(rawData.id) : Utils.generateStableId(rawData);
+    this.rawData = rawData;
+    this.parseData();
+  }
+
+  parseData() {
+    const raw = this.rawData;
+
+    this.name = raw.name || 'Polisstation';
+    this.parseCoordinates();
+    this.parseContactInfo();
+    this.parseServices();
+  }
+
+  parseCoordinates() {
+    const raw = this.rawData;
+    let lat = null, lng = null;
+
+    const location = raw.location;
+    if (location) {
+      const gps = location.gps || location.position || location.coordinates;
+
+      if (typeof gps === 'string') {
+        const coords = gps.split(',').map(c => parseFloat(c.trim()));
+        if (coords.length === 2 && !isNaN(coords[0]) && !isNaN(coords[1])) {
+          [lat, lng] = coords;
+        }
+      } else if (gps && typeof gps === 'object') {
+        lat = gps.lat || gps.y;
+        lng = gps.lng || gps.lon || gps.x;
+      }
+    }
+
+    this.lat = lat;
+    this.lng = lng;
+  }
+
+  parseContactInfo() {
+    const raw = this.rawData;
+
+    this.address = raw.location?.name || raw.location?.address || 'Adress ej tillgänglig';
+    this.phone = raw.phone || raw.contact?.phone || '';
+    this.email = raw.email || raw.contact?.email || '';
+    this.website = raw.url || raw.Url || raw.location?.url || null;
+    this.openingHours = raw.openingHours || raw.hours || '';
+  }
+
+  parseServices() {
+    const raw = this.rawData;
+    this.services = Array.isArray(raw.services) ? raw.services : [];
+    this.servicesText = PoliceStation.getServicesText(this.services);
+  }
+
+  isValidStation() {
+    return this.lat && this.lng && this.name;
+  }
+
+  /**
+   * Plain representation served by /api/stations (see src/lib/polisen/schema.ts)
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      lat: this.lat,
+      lng: this.lng,
+      address: this.address,
+      phone: this.phone,
+      email: this.email,
+      website: this.website,
+      services: this.services,
+      openingHours: this.openingHours
+    };
+  }
+
+  createMarker() {
+    if (!this.isValidStation()) return null;
+
+    const icon = L.divIcon({
+      className: 'police-station-icon',
+      html: '<div style="background: var(--color-secondary); border: 2px solid white; border-radius: 50%; width: 10px; height: 10px; box-shadow: var(--shadow-sm);"></div>',
+      iconSize: [10, 10],
+      iconAnchor: [5, 5]
+    });
+
+    const marker = L.marker([this.lat, this.lng], {
+      icon: icon,
+      zIndexOffset: 100 // Below crime events
+    });
+
+    marker.bindPopup(this.getPopupContent(), {
+      maxWidth: 320,
+      className: 'police-station-popup'
+    });
+
+    return marker;
+  }
+
+  getPopupContent() {
+    return `
+      <div style="min-width: 240px; font-family: inherit; line-height: 1.5;">
+        <h3 style="margin: 0 0 12px; color: var(--text-primary); font-size: 1rem; border-bottom: 2px solid var(--color-primary); padding-bottom: 6px;">
+          🏢 ${Utils.sanitizeHTML(this.name)}
+        </h3>
+
+        <div style="margin: 12px 0;">
+          <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
+            Adress:
+          </strong><br/>
+          <span style="color: var(--text-primary); font-size: 0.875rem;">
+            ${Utils.sanitizeHTML(this.address)}
+          </span>
+        </div>
+
+        <div style="margin: 12px 0;">
+          <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
+            Tjänster:
+          </strong><br/>
+          <span style="color: var(--text-primary); font-size: 0.875rem;">
+            ${Utils.sanitizeHTML(this.servicesText)}
+          </span>
+        </div>
+
+        ${this.phone ? `
+          <div style="margin: 12px 0;">
+            <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
+              Telefon:
+            </strong><br/>
+            <a href="tel:${this.phone}" style="color: var(--color-primary); text-decoration: none; font-size: 0.875rem;">
+              📞 ${this.phone}
+            </a>
+          </div>
+        ` : ''}
+
+        ${this.email ? `
+          <div style="margin: 12px 0;">
+            <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
+              E-post:
+            </strong><br/>
+            <a href="mailto:${this.email}" style="color: var(--color-primary); text-decoration: none; font-size: 0.875rem;">
+              ✉️ ${this.email}
+            </a>
+          </div>
+        ` : ''}
+
+        ${this.openingHours ? `
+          <div style="margin: 12px 0;">
+            <strong style="color: var(--text-secondary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em;">
+              Öppettider:
+            </strong><br/>
+            <span style="color: var(--text-primary); font-size: 0.875rem;">
+              ${Utils.sanitizeHTML(this.openingHours)}
+            </span>
+          </div>
+        ` : ''}
+
+        ${this.website ? `
+          <div style="margin: 12px 0; padding-top: 8px; border-top: 1px solid var(--border-light);">
+            <a href="${Utils.sanitizeHTML(this.website)}" target="_blank" rel="noopener noreferrer" style="color: var(--color-primary); text-decoration: none; font-size: 0.875rem; font-weight: 500;">
+              🌐 Mer information →
+            </a>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+}
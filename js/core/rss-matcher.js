@@ -0,0 +1,140 @@
+/**
+ * RSS item to event matching for Aktuella Brott
+ *
+ * Links press releases from the Polisen feeds to the events they most likely
+ * describe. A link needs the event's place and its type or one of its
+ * keywords to be mentioned in the item; time proximity weighs in on the score.
+ */
+
+import { PoliceEvent } from './police-event.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Swedish letters count as word characters when looking for place names
+const WORD_CHAR = 'a-zåäöéü0-9';
+
+export class RssEventMatcher {
+  /** Press releases later than this after the event are not linked */
+  static MAX_DELAY = 48 * HOUR_MS;
+
+  /** Press releases rarely precede the event, allow for clock and rounding skew */
+  static MAX_LEAD = 2 * HOUR_MS;
+
+  static WEIGHTS = { time: 0.3, location: 0.4, keywords: 0.3 };
+
+  static MIN_SCORE = 0.6;
+
+  static MAX_LINKS_PER_ITEM = 3;
+
+  /**
+   * Link items to events. Returns the best events per item id and, for the
+   * popups, the linked items per event id, both sorted by score.
+   *
+   * @returns {{ byItem: Map<string, Array<{ eventId: string, score: number }>>,
+   *             byEvent: Map<string, Array<{ itemId: string, score: number }>> }}
+   */
+  static link(items, events, { minScore = this.MIN_SCORE, maxLinks = this.MAX_LINKS_PER_ITEM } = {}) {
+    const byItem = new Map();
+    const byEvent = new Map();
+    const places = new Map(events.map(event => [event.id, this.getPlaceNames(event)]));
+
+    items.forEach(item => {
+      if (!item.id) return;
+
+      const text = `${item.title || ''} ${item.description || ''} ${item.location || ''}`.toLowerCase();
+      const keywords = PoliceEvent.findKeywords(text);
+
+      const matches = events
+        .map(event => ({ eventId: event.id, score: this.score(item, event, { text, keywords, places: places.get(event.id) }) }))
+        .filter(match => match.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxLinks);
+
+      if (matches.length === 0) return;
+
+      byItem.set(item.id, matches);
+      matches.forEach(({ eventId, score }) => {
+        if (!byEvent.has(eventId)) byEvent.set(eventId, []);
+        byEvent.get(eventId).push({ itemId: item.id, score });
+      });
+    });
+
+    byEvent.forEach(links => links.sort((a, b) => b.score - a.score));
+
+    return { byItem, byEvent };
+  }
+
+  /**
+   * Score (0-1) for item describing event, 0 when it can't be the same incident
+   */
+  static score(item, event, { text, keywords, places = this.getPlaceNames(event) }) {
+    const location = this.getLocationScore(text, places);
+    if (location === 0) return 0;
+
+    const keywordScore = this.getKeywordScore(text, keywords, event);
+    if (keywordScore === 0) return 0;
+
+    const time = this.getTimeScore(item.timeMs, event.timeMs);
+    if (time === null) return 0;
+
+    const { WEIGHTS } = this;
+    return WEIGHTS.location * location + WEIGHTS.time * time + WEIGHTS.keywords * keywordScore;
+  }
+
+  /**
+   * 1 right after the event, falling to 0 at MAX_DELAY. Null when the item
+   * is too early or too late, 0 when it has no date.
+   */
+  static getTimeScore(itemTime, eventTime) {
+    if (!Number.isFinite(itemTime) || !Number.isFinite(eventTime)) return 0;
+
+    const delay = itemTime - eventTime;
+    if (delay < -this.MAX_LEAD || delay > this.MAX_DELAY) return null;
+
+    return 1 - Math.abs(delay) / this.MAX_DELAY;
+  }
+
+  static getLocationScore(text, { city, street }) {
+    let score = 0;
+    if (city && this.mentions(text, city)) score += 0.7;
+    if (street && this.mentions(text, street)) score += 0.3;
+    return score;
+  }
+
+  /**
+   * The event type ("rån", "inbrott") counts most, shared keywords add to it
+   */
+  static getKeywordScore(text, keywords, event) {
+    const type = (event.type || '').toLowerCase();
+    const typeMentioned = type && type !== 'övrigt' && this.mentions(text, type.split(/[,\s]+/)[0]);
+    const shared = keywords.filter(keyword => (event.keywords || []).includes(keyword)).length;
+
+    return Math.min(1, (typeMentioned ? 0.6 : 0) + 0.2 * shared);
+  }
+
+  /**
+   * Place names of an event as they appear in running text: the city without
+   * "län"/"kommun" and the street of the address
+   */
+  static getPlaceNames(event) {
+    const city = (event.city || '')
+      .toLowerCase()
+      .trim()
+      .replace(/s län$/, '') // "Stockholms län" -> "stockholm"
+      .replace(/\s+(län|kommun)$/, '');
+
+    const streetMatch = (event.address || '').toLowerCase().match(/[a-zåäöéü]+(?:gatan|vägen|torget|platsen|parken)/);
+
+    return { city, street: streetMatch ? streetMatch[0] : '' };
+  }
+
+  /**
+   * Whether `name` occurs in `text` as a word, genitive -s allowed
+   */
+  static mentions(text, name) {
+    if (!name) return false;
+
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^${WORD_CHAR}])${escaped}s?([^${WORD_CHAR}]|$)`, 'i').test(text);
+  }
+}
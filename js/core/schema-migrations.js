@@ -0,0 +1,144 @@
+/**
+ * Versioned IndexedDB schema migrations for Aktuella Brott
+ *
+ * A migration is one step of the schema history: `{ version, description,
+ * upgrade }`. When the database is opened at a newer version, the steps
+ * after the stored version run in order inside the upgrade transaction.
+ * A step can create or delete stores and indexes and rewrite existing
+ * records; it may return a promise, and the next step waits for it. If a
+ * step fails the upgrade is aborted and the database keeps its old version.
+ *
+ * Steps should tolerate the stores and indexes they create already being
+ * there: databases from before the migrations were versioned were upgraded
+ * by creating whatever was missing, whatever their version.
+ */
+
+export class SchemaMigrations {
+  // Records between progress reports while transforming a store
+  static PROGRESS_INTERVAL = 500;
+
+  /**
+   * Steps to run, in order, to go from `oldVersion` to `newVersion`
+   *
+   * @param {Array<{ version: number, description: string, upgrade: Function }>} migrations
+   * @returns {Array<{ version: number, description: string, upgrade: Function }>}
+   */
+  static getSteps(migrations, oldVersion, newVersion) {
+    this.validate(migrations);
+    return migrations
+      .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  static validate(migrations) {
+    const versions = new Set();
+    migrations.forEach(migration => {
+      if (!Number.isInteger(migration.version) || migration.version < 1) {
+        throw new Error(`Invalid migration version: ${migration.version}`);
+      }
+      if (versions.has(migration.version)) {
+        throw new Error(`Duplicate migration for version ${migration.version}`);
+      }
+      if (typeof migration.upgrade !== 'function') {
+        throw new Error(`Migration ${migration.version} has no upgrade function`);
+      }
+      versions.add(migration.version);
+    });
+  }
+
+  /**
+   * Run the steps of an upgrade. Call from onupgradeneeded with the
+   * versionchange transaction.
+   *
+   * onProgress gets `{ version, description, step, steps, processed }`
+   * when a step starts (processed 0) and while it transforms records.
+   *
+   * @returns {Promise<number[]>} versions of the steps that ran
+   */
+  static async run({ db, transaction, oldVersion, newVersion, migrations, onProgress = () => {} }) {
+    const steps = this.getSteps(migrations, oldVersion, newVersion);
+
+    for (const [index, migration] of steps.entries()) {
+      const report = (processed = 0) => onProgress({
+        version: migration.version,
+        description: migration.description,
+        step: index + 1,
+        steps: steps.length,
+        processed
+      });
+
+      report();
+      await migration.upgrade({ db, transaction, oldVersion, newVersion, report });
+    }
+
+    return steps.map(migration => migration.version);
+  }
+
+  /**
+   * The store named `name`, created with `options` if it's missing
+   */
+  static ensureStore(db, transaction, name, options) {
+    return db.objectStoreNames.contains(name)
+      ? transaction.objectStore(name)
+      : db.createObjectStore(name, options);
+  }
+
+  static ensureIndex(store, name, keyPath, options) {
+    if (!store.indexNames.contains(name)) {
+      store.createIndex(name, keyPath, options);
+    }
+  }
+
+  static deleteIndex(store, name) {
+    if (store.indexNames.contains(name)) {
+      store.deleteIndex(name);
+    }
+  }
+
+  /**
+   * Rewrite every record of a store. `transform` returns the new record,
+   * null to delete it or undefined to leave it as it is. The record's key
+   * must not change; re-key by deleting and putting instead.
+   *
+   * @param {IDBObjectStore} store
+   * @param {(record: any) => any} transform
+   * @param {(processed: number) => void} [report]
+   * @returns {Promise<number>} number of records changed or deleted
+   */
+  static transformRecords(store, transform, report = () => {}) {
+    return new Promise((resolve, reject) => {
+      const request = store.openCursor();
+      let processed = 0;
+      let changed = 0;
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(changed);
+          return;
+        }
+
+        let result;
+        try {
+          result = transform(cursor.value);
+        } catch (error) {
+          reject(error);
+          return;
+        }
+
+        if (result === null) {
+          cursor.delete();
+          changed++;
+        } else if (result !== undefined) {
+          cursor.update(result);
+          changed++;
+        }
+
+        processed++;
+        if (processed % this.PROGRESS_INTERVAL === 0) report(processed);
+        cursor.continue();
+      };
+    });
+  }
+}
@@ -0,0 +1,321 @@
+/**
+ * Severity rules engine for Aktuella Brott
+ *
+ * A rule set is plain JSON, so it can be stored in the settings store and
+ * edited by users:
+ *
+ * - rules:     classification, the first matching rule sets level and color
+ * - modifiers: applied after classification; raise the level to `minLevel` or
+ *              shift it by `adjust`, optionally only between `hours.from` and
+ *              `hours.to` (Swedish time, may wrap past midnight)
+ * - overrides: per event type level/color set by the user, applied last
+ *
+ * A match can combine `type` (exact event type), `keywords` (any of them in
+ * `fields`) and `pattern` (regex on `fields`); all given conditions must hold.
+ * `fields` defaults to title and description.
+ */
+
+import { Utils } from './utils.js';
+
+const LEVELS = [1, 2, 3, 4, 5];
+const MATCH_FIELDS = ['type', 'title', 'description'];
+
+export const DEFAULT_SEVERITY_RULES = {
+  version: 1,
+  levelColors: { 1: '#6b7280', 2: '#a16207', 3: '#92400e', 4: '#7c2d12', 5: '#78716c' },
+  default: { level: 2, color: '#6b7280', description: 'Övrigt' },
+  rules: [
+    // Level 1 - Minor offenses
+    { id: 'trafikbrott', match: { type: 'Trafikbrott' }, level: 1, color: '#6b7280', description: 'Trafikbrott' },
+    { id: 'fortkorning', match: { type: 'Fortkörning' }, level: 1, color: '#6b7280', description: 'Fortkörning' },
+    { id: 'parkering', match: { type: 'Parkering' }, level: 1, color: '#6b7280', description: 'Parkeringsbrott' },
+    { id: 'ordningslagen', match: { type: 'Ordningslagen' }, level: 1, color: '#6b7280', description: 'Ordningslagen' },
+
+    // Level 2 - Property crimes
+    { id: 'skadegorelse', match: { type: 'Skadegörelse' }, level: 2, color: '#a16207', description: 'Skadegörelse' },
+    { id: 'stold', match: { type: 'Stöld' }, level: 2, color: '#92400e', description: 'Stöld' },
+    { id: 'snatteri', match: { type: 'Snatteri' }, level: 2, color: '#92400e', description: 'Snatteri' },
+    { id: 'bedrageri', match: { type: 'Bedrägeri' }, level: 2, color: '#92400e', description: 'Bedrägeri' },
+    { id: 'inbrott', match: { type: 'Inbrott' }, level: 2, color: '#78350f', description: 'Inbrott' },
+    { id: 'trafikolycka', match: { type: 'Trafikolycka' }, level: 2, color: '#a16207', description: 'Trafikolycka' },
+
+    // Level 3 - Drug crimes and serious property crimes
+    { id: 'narkotikabrott', match: { type: 'Narkotikabrott' }, level: 3, color: '#a16207', description: 'Narkotikabrott' },
+    { id: 'rattfylleri', match: { type: 'Rattfylleri' }, level: 3, color: '#a16207', description: 'Rattfylleri' },
+    { id: 'ran', match: { type: 'Rån' }, level: 3, color: '#92400e', description: 'Rån' },
+    { id: 'olycka', match: { type: 'Olycka' }, level: 3, color: '#92400e', description: 'Olycka' },
+
+    // Level 4 - Violent crimes
+    { id: 'misshandel', match: { type: 'Misshandel' }, level: 4, color: '#7c2d12', description: 'Misshandel' },
+    { id: 'valdtakt', match: { type: 'Våldtäkt' }, level: 4, color: '#7c2d12', description: 'Våldtäkt' },
+    { id: 'vald-mot-tjansteman', match: { type: 'Våld mot tjänsteman' }, level: 4, color: '#7c2d12', description: 'Våld mot tjänsteman' },
+    { id: 'olaga-hot', match: { type: 'Olaga hot' }, level: 4, color: '#7c2d12', description: 'Olaga hot' },
+    { id: 'brand', match: { type: 'Brand' }, level: 4, color: '#7c2d12', description: 'Brand' },
+
+    // Level 5 - Most serious crimes
+    { id: 'mord', match: { type: 'Mord' }, level: 5, color: '#78716c', description: 'Mord' },
+    { id: 'drap', match: { type: 'Dråp' }, level: 5, color: '#78716c', description: 'Dråp' },
+    { id: 'mordbrand', match: { type: 'Mordbrand' }, level: 5, color: '#78716c', description: 'Mordbrand' },
+    { id: 'skottlossning', match: { type: 'Skottlossning' }, level: 5, color: '#78716c', description: 'Skottlossning' },
+
+    // Compound types such as "Misshandel, grov" or "Stöld/inbrott"
+    { id: 'typ-mord', match: { keywords: ['mord', 'dråp', 'skottlossning'], fields: ['type'] }, level: 5, color: '#78716c', description: 'Dödligt våld' },
+    { id: 'typ-vald', match: { keywords: ['misshandel', 'våld', 'olaga hot'], fields: ['type'] }, level: 4, color: '#7c2d12', description: 'Våldsbrott' },
+    { id: 'typ-brand', match: { keywords: ['brand'], fields: ['type'] }, level: 4, color: '#7c2d12', description: 'Brand' },
+    { id: 'typ-ran', match: { keywords: ['rån'], fields: ['type'] }, level: 3, color: '#92400e', description: 'Rån' },
+    { id: 'typ-narkotika', match: { keywords: ['narkotika', 'rattfylleri'], fields: ['type'] }, level: 3, color: '#a16207', description: 'Narkotikabrott' },
+    { id: 'typ-egendom', match: { keywords: ['stöld', 'inbrott', 'snatteri', 'bedrägeri', 'skadegörelse'], fields: ['type'] }, level: 2, color: '#92400e', description: 'Egendomsbrott' },
+    { id: 'typ-olycka', match: { keywords: ['olycka'], fields: ['type'] }, level: 2, color: '#a16207', description: 'Olycka' },
+    { id: 'typ-trafik', match: { keywords: ['trafik', 'fortkörning', 'parkering'], fields: ['type'] }, level: 1, color: '#6b7280', description: 'Trafikbrott' }
+  ],
+  modifiers: [
+    {
+      id: 'livsfara',
+      description: 'Skottlossning, explosion eller livsfara i texten',
+      match: { pattern: 'skott(lossning|skada)|skjuten|explosion|livsfara|gisslan' },
+      minLevel: 5
+    },
+    {
+      id: 'vapen',
+      description: 'Kniv eller vapen i texten',
+      match: { keywords: ['kniv', 'vapen', 'pistol', 'beväpnad'] },
+      minLevel: 3
+    },
+    {
+      id: 'vald-nattetid',
+      description: 'Våld nattetid (22-06) en nivå högre',
+      enabled: false,
+      match: { keywords: ['misshandel', 'våld', 'rån'], fields: ['type'] },
+      hours: { from: 22, to: 6 },
+      adjust: 1
+    }
+  ],
+  overrides: {}
+};
+
+export class SeverityRules {
+  static VERSION = 1;
+
+  static SETTINGS_KEY = 'severityRules';
+
+  /**
+   * Upgrades of stored rule sets, keyed by the version they upgrade from
+   */
+  static MIGRATIONS = {};
+
+  /**
+   * Validate a rule set, returns a list of problems (empty when valid)
+   */
+  static validate(ruleSet) {
+    const errors = [];
+
+    if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+      return ['Regeluppsättningen måste vara ett JSON-objekt'];
+    }
+    if (ruleSet.version !== this.VERSION) {
+      errors.push(`version måste vara ${this.VERSION}`);
+    }
+    if (!Array.isArray(ruleSet.rules)) {
+      errors.push('rules måste vara en lista');
+    }
+    if (ruleSet.modifiers !== undefined && !Array.isArray(ruleSet.modifiers)) {
+      errors.push('modifiers måste vara en lista');
+    }
+    if (!this.isValidLevel(ruleSet.default?.level)) {
+      errors.push('default.level måste vara 1-5');
+    }
+
+    (Array.isArray(ruleSet.rules) ? ruleSet.rules : []).forEach((rule, index) => {
+      const name = `rules[${index}]${rule?.id ? ` (${rule.id})` : ''}`;
+      errors.push(...this.validateMatch(rule?.match, name));
+      if (!this.isValidLevel(rule?.level)) errors.push(`${name}: level måste vara 1-5`);
+    });
+
+    (Array.isArray(ruleSet.modifiers) ? ruleSet.modifiers : []).forEach((modifier, index) => {
+      const name = `modifiers[${index}]${modifier?.id ? ` (${modifier.id})` : ''}`;
+      errors.push(...this.validateMatch(modifier?.match, name));
+
+      if (modifier?.minLevel === undefined && !Number.isInteger(modifier?.adjust)) {
+        errors.push(`${name}: minLevel eller adjust krävs`);
+      }
+      if (modifier?.minLevel !== undefined && !this.isValidLevel(modifier.minLevel)) {
+        errors.push(`${name}: minLevel måste vara 1-5`);
+      }
+      if (modifier?.hours && !(this.isValidHour(modifier.hours.from) && this.isValidHour(modifier.hours.to))) {
+        errors.push(`${name}: hours.from och hours.to måste vara 0-23`);
+      }
+    });
+
+    Object.entries(ruleSet.overrides || {}).forEach(([type, override]) => {
+      if (override?.level !== undefined && !this.isValidLevel(override.level)) {
+        errors.push(`overrides["${type}"]: level måste vara 1-5`);
+      }
+    });
+
+    return errors;
+  }
+
+  static validateMatch(match, name) {
+    if (!match || typeof match !== 'object') {
+      return [`${name}: match saknas`];
+    }
+
+    const errors = [];
+    if (!match.type && !match.keywords && !match.pattern) {
+      errors.push(`${name}: match behöver type, keywords eller pattern`);
+    }
+    if (match.keywords && !Array.isArray(match.keywords)) {
+      errors.push(`${name}: keywords måste vara en lista`);
+    }
+    if (match.fields && !(Array.isArray(match.fields) && match.fields.every(field => MATCH_FIELDS.includes(field)))) {
+      errors.push(`${name}: fields får bara innehålla ${MATCH_FIELDS.join(', ')}`);
+    }
+    if (match.pattern) {
+      try {
+        new RegExp(match.pattern, match.flags ?? 'i');
+      } catch (error) {
+        errors.push(`${name}: ogiltigt reguljärt uttryck (${error.message})`);
+      }
+    }
+
+    return errors;
+  }
+
+  static isValidLevel(level) {
+    return LEVELS.includes(level);
+  }
+
+  static isValidHour(hour) {
+    return Number.isInteger(hour) && hour >= 0 && hour <= 23;
+  }
+
+  /**
+   * Bring a stored rule set up to the current version. Returns null when
+   * there is nothing usable (missing, newer than this code, or invalid).
+   */
+  static migrate(stored) {
+    if (!stored || typeof stored !== 'object') return null;
+
+    let ruleSet = stored;
+    while (ruleSet.version < this.VERSION && this.MIGRATIONS[ruleSet.version]) {
+      ruleSet = this.MIGRATIONS[ruleSet.version](ruleSet);
+    }
+
+    const errors = this.validate(ruleSet);
+    if (errors.length > 0) {
+      console.warn('Ignoring stored severity rules:', errors);
+      return null;
+    }
+
+    return ruleSet;
+  }
+
+  /**
+   * Precompile the matchers of a (valid) rule set
+   */
+  static compile(ruleSet) {
+    const compileEntry = entry => ({ ...entry, test: this.createMatcher(entry.match) });
+    const overrides = new Map(
+      Object.entries(ruleSet.overrides || {}).map(([type, override]) => [type.toLowerCase(), override])
+    );
+
+    return {
+      ruleSet,
+      rules: ruleSet.rules.filter(rule => rule.enabled !== false).map(compileEntry),
+      modifiers: (ruleSet.modifiers || []).filter(modifier => modifier.enabled !== false).map(compileEntry),
+      overrides
+    };
+  }
+
+  static createMatcher({ type, keywords, pattern, flags, fields = ['title', 'description'] }) {
+    const lowerType = type ? type.toLowerCase() : null;
+    const lowerKeywords = keywords ? keywords.map(keyword => keyword.toLowerCase()) : null;
+    const regex = pattern ? new RegExp(pattern, flags ?? 'i') : null;
+
+    return (subject) => {
+      if (lowerType && subject.type.toLowerCase() !== lowerType) return false;
+      if (!lowerKeywords && !regex) return true;
+
+      const text = fields.map(field => subject[field] || '').join(' ');
+      if (lowerKeywords && !lowerKeywords.some(keyword => text.toLowerCase().includes(keyword))) return false;
+      if (regex && !regex.test(text)) return false;
+
+      return true;
+    };
+  }
+
+  /**
+   * Severity of an event (or a bare event type) under a compiled rule set
+   */
+  static evaluate(compiled, eventOrType) {
+    const subject = this.toSubject(eventOrType);
+    const { ruleSet } = compiled;
+
+    const rule = compiled.rules.find(candidate => candidate.test(subject));
+    const base = rule || ruleSet.default;
+    let level = base.level;
+    let color = base.color || ruleSet.levelColors?.[level];
+    const applied = [];
+
+    compiled.modifiers.forEach(modifier => {
+      if (modifier.hours && !this.isWithinHours(subject.hour, modifier.hours)) return;
+      if (!modifier.test(subject)) return;
+
+      const nextLevel = modifier.minLevel !== undefined
+        ? Math.max(level, modifier.minLevel)
+        : Math.min(5, Math.max(1, level + modifier.adjust));
+
+      if (nextLevel !== level) {
+        level = nextLevel;
+        color = ruleSet.levelColors?.[level] || color;
+        applied.push(modifier.id);
+      }
+    });
+
+    const override = compiled.overrides.get(subject.type.toLowerCase());
+    if (override) {
+      if (override.level !== undefined && override.level !== level) {
+        level = override.level;
+        color = ruleSet.levelColors?.[level] || color;
+      }
+      if (override.color) color = override.color;
+    }
+
+    return {
+      level,
+      color,
+      description: base.description || subject.type,
+      ruleId: rule ? rule.id : null,
+      modifiers: applied,
+      overridden: Boolean(override)
+    };
+  }
+
+  static toSubject(eventOrType) {
+    if (!eventOrType || typeof eventOrType !== 'object') {
+      return { type: typeof eventOrType === 'string' ? eventOrType : '', title: '', description: '', hour: null };
+    }
+
+    let hour = Number.isInteger(eventOrType.hour) ? eventOrType.hour : null;
+    const time = eventOrType.timestamp ?? eventOrType.timeMs;
+    if (hour === null && time) {
+      const date = new Date(time);
+      hour = isNaN(date) ? null : Utils.getStockholmTimeParts(date).hour;
+    }
+
+    return {
+      type: eventOrType.type || '',
+      title: eventOrType.title || '',
+      description: eventOrType.description || '',
+      hour
+    };
+  }
+
+  /**
+   * Whether `hour` is in [from, to), wrapping past midnight when from > to
+   */
+  static isWithinHours(hour, { from, to }) {
+    if (hour === null) return false;
+    return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Crime severity classification for Aktuella Brott
+ *
+ * Classifies events with the active SeverityRules rule set. The defaults
+ * apply until the app loads the user's rules from the settings store.
+ */
+
+import { DEFAULT_SEVERITY_RULES, SeverityRules } from './severity-rules.js';
+
+export class CrimeSeveritySystem {
+  static rules = SeverityRules.compile(DEFAULT_SEVERITY_RULES);
+
+  /**
+   * Replace the active rule set. Throws when it is invalid.
+   */
+  static setRuleSet(ruleSet) {
+    const errors = SeverityRules.validate(ruleSet);
+    if (errors.length > 0) {
+      throw new Error(`Ogiltiga allvarlighetsregler: ${errors.join('; ')}`);
+    }
+
+    this.rules = SeverityRules.compile(ruleSet);
+  }
+
+  static getRuleSet() {
+    return this.rules.ruleSet;
+  }
+
+  static getPriorityForLevel(level) {
+    if (typeof level !== 'number') return 'medium';
+    if (level >= 4) return 'critical';
+    if (level === 3) return 'high';
+    if (level === 2) return 'medium';
+    return 'low';
+  }
+
+  static ensurePriority(info = this.getSeverityInfo('')) {
+    const baseInfo = info || this.getSeverityInfo('');
+    const priority = baseInfo.priority ?? this.getPriorityForLevel(baseInfo.level);
+
+    return {
+      ...baseInfo,
+      priority
+    };
+  }
+
+  /**
+   * Severity of an event, or of a bare event type. With an event, keyword,
+   * pattern and time-of-day rules also look at its title, description and hour.
+   */
+  static getSeverityInfo(eventOrType) {
+    const info = SeverityRules.evaluate(this.rules, eventOrType);
+
+    return {
+      ...info,
+      priority: this.getPriorityForLevel(info.level)
+    };
+  }
+
+  static getSeverityColor(crimeType) {
+    return this.getSeverityInfo(crimeType).color;
+  }
+
+  static getSeverityLevel(crimeType) {
+    return this.getSeverityInfo(crimeType).level;
+  }
+
+  static getPriorityLevel(crimeType) {
+    return this.getSeverityInfo(crimeType).priority;
+  }
+
+  /**
+   * Severity of the event types with an exact-type rule, grouped by level
+   */
+  static getAllSeverityLevels() {
+    const levels = {};
+    this.rules.rules
+      .filter(rule => rule.match.type)
+      .forEach(rule => {
+        const info = this.getSeverityInfo(rule.match.type);
+        if (!levels[info.level]) {
+          levels[info.level] = [];
+        }
+        levels[info.level].push(info);
+      });
+    return levels;
+  }
+
+  // Severity distribution for a list of events
+  static getSeverityStats(events) {
+    const stats = {
+      total: events.length,
+      byLevel: {},
+      byPriority: { low: 0, medium: 0, high: 0, critical: 0 }
+    };
+
+    events.forEach(event => {
+      const info = event.severityInfo || this.getSeverityInfo(event.type);
+
+      stats.byLevel[info.level] = (stats.byLevel[info.level] || 0) + 1;
+      stats.byPriority[info.priority] = (stats.byPriority[info.priority] || 0) + 1;
+    });
+
+    return stats;
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * Spatial index for Aktuella Brott
+ *
+ * A grid of fixed-size latitude/longitude cells over points such as events
+ * or stations, so a radius, bounding box or nearest-neighbour query only
+ * looks at the cells around it instead of every point.
+ */
+
+import { CONFIG } from './config.js';
+import { Utils } from './utils.js';
+
+const KM_PER_DEGREE = 111.32;
+
+export class SpatialIndex {
+  /**
+   * @param {Array<object>} items points with `lat` and `lng`; items without
+   *   coordinates are left out
+   * @param {{ cellSize?: number }} [options] cell size in degrees
+   */
+  constructor(items = [], { cellSize = CONFIG.SPATIAL_INDEX.CELL_SIZE } = {}) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.size = 0;
+    // Rows and columns of the populated cells, null while empty
+    this.extent = null;
+
+    items.forEach(item => this.insert(item));
+  }
+
+  static hasLocation(item) {
+    return Boolean(item) && Number.isFinite(item.lat) && Number.isFinite(item.lng) && Boolean(item.lat && item.lng);
+  }
+
+  insert(item) {
+    if (!SpatialIndex.hasLocation(item)) return false;
+
+    const [row, column] = [this.toCell(item.lat), this.toCell(item.lng)];
+    const key = this.getCellKey(row, column);
+    const cell = this.cells.get(key);
+    if (cell) {
+      cell.push(item);
+    } else {
+      this.cells.set(key, [item]);
+    }
+
+    this.size++;
+    this.extent = this.extent
+      ? {
+        minRow: Math.min(this.extent.minRow, row),
+        maxRow: Math.max(this.extent.maxRow, row),
+        minColumn: Math.min(this.extent.minColumn, column),
+        maxColumn: Math.max(this.extent.maxColumn, column)
+      }
+      : { minRow: row, maxRow: row, minColumn: column, maxColumn: column };
+    return true;
+  }
+
+  /**
+   * Items inside the box, edges included
+   *
+   * @param {{ south: number, west: number, north: number, east: number }} bounds
+   */
+  search({ south, west, north, east }) {
+    const results = [];
+
+    this.forEachCell(south, west, north, east, cell => {
+      cell.forEach(item => {
+        if (item.lat >= south && item.lat <= north && item.lng >= west && item.lng <= east) {
+          results.push(item);
+        }
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   * Items within `radiusKm` of the point, by great-circle distance
+   */
+  withinRadius(lat, lng, radiusKm) {
+    const results = [];
+
+    this.forEachCell(...SpatialIndex.getRadiusBounds(lat, lng, radiusKm), cell => {
+      cell.forEach(item => {
+        if (Utils.calculateDistance(lat, lng, item.lat, item.lng) <= radiusKm) {
+          results.push(item);
+        }
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   * The `count` items closest to the point, nearest first, by great-circle
+   * distance. Searches rings of cells outwards from the point's cell and
+   * stops once no unvisited cell can hold anything closer.
+   *
+   * @param {{ count?: number, maxDistance?: number }} [options] maxDistance in km
+   * @returns {Array<{ item: object, distance: number }>} distance in km
+   */
+  nearest(lat, lng, { count = 1, maxDistance = Infinity } = {}) {
+    if (!this.extent || count <= 0) return [];
+
+    const [row, column] = [this.toCell(lat), this.toCell(lng)];
+    const { minRow, maxRow, minColumn, maxColumn } = this.extent;
+    const lastRing = Math.max(row - minRow, maxRow - row, column - minColumn, maxColumn - column);
+    let found = [];
+
+    const visit = cell => {
+      cell.forEach(item => {
+        const distance = Utils.calculateDistance(lat, lng, item.lat, item.lng);
+        if (distance <= maxDistance) found.push({ item, distance });
+      });
+    };
+
+    for (let ring = 0; ring <= lastRing; ring++) {
+      const reach = this.getRingDistance(lat, ring);
+      if (reach > maxDistance || (found.length >= count && found[count - 1].distance <= reach)) break;
+
+      // A ring with more cells than are populated is cheaper to answer cell by cell
+      if (8 * ring > this.cells.size) {
+        this.cells.forEach((cell, key) => {
+          const [cellRow, cellColumn] = key.split(':').map(Number);
+          if (Math.max(Math.abs(cellRow - row), Math.abs(cellColumn - column)) >= ring) visit(cell);
+        });
+        found.sort((a, b) => a.distance - b.distance);
+        return found.slice(0, count);
+      }
+
+      this.forEachRingCell(row, column, ring, visit);
+      found = found.sort((a, b) => a.distance - b.distance).slice(0, count);
+    }
+
+    return found;
+  }
+
+  /**
+   * Shortest distance in km from a point to any cell `ring` cells away from
+   * its own. Longitude degrees are narrowest on the ring's side nearest the
+   * pole, so that side sets the bound.
+   */
+  getRingDistance(lat, ring) {
+    if (ring <= 1) return 0;
+
+    const poleward = Math.min(90, Math.abs(lat) + ring * this.cellSize);
+    return (ring - 1) * this.cellSize * KM_PER_DEGREE * Math.max(Math.cos((poleward * Math.PI) / 180), 0.01);
+  }
+
+  forEachRingCell(row, column, ring, callback) {
+    const visit = (cellRow, cellColumn) => {
+      const cell = this.cells.get(this.getCellKey(cellRow, cellColumn));
+      if (cell) callback(cell);
+    };
+
+    if (ring === 0) {
+      visit(row, column);
+      return;
+    }
+
+    for (let offset = -ring; offset <= ring; offset++) {
+      visit(row - ring, column + offset);
+      visit(row + ring, column + offset);
+    }
+    for (let offset = -ring + 1; offset <= ring - 1; offset++) {
+      visit(row + offset, column - ring);
+      visit(row + offset, column + ring);
+    }
+  }
+
+  /**
+   * South, west, north and east edges of a box around the circle
+   */
+  static getRadiusBounds(lat, lng, radiusKm) {
+    const latDelta = radiusKm / KM_PER_DEGREE;
+    const lngDelta = radiusKm / (KM_PER_DEGREE * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+    return [lat - latDelta, lng - lngDelta, lat + latDelta, lng + lngDelta];
+  }
+
+  forEachCell(south, west, north, east, callback) {
+    const [fromRow, toRow] = [this.toCell(south), this.toCell(north)];
+    const [fromColumn, toColumn] = [this.toCell(west), this.toCell(east)];
+
+    // A box larger than the populated cells is cheaper to answer cell by cell
+    if ((toRow - fromRow + 1) * (toColumn - fromColumn + 1) > this.cells.size) {
+      this.cells.forEach((cell, key) => {
+        const [row, column] = key.split(':').map(Number);
+        if (row >= fromRow && row <= toRow && column >= fromColumn && column <= toColumn) {
+          callback(cell);
+        }
+      });
+      return;
+    }
+
+    for (let row = fromRow; row <= toRow; row++) {
+      for (let column = fromColumn; column <= toColumn; column++) {
+        const cell = this.cells.get(this.getCellKey(row, column));
+        if (cell) callback(cell);
+      }
+    }
+  }
+
+  toCell(degrees) {
+    return Math.floor(degrees / this.cellSize);
+  }
+
+  getCellKey(row, column) {
+    return `${row}:${column}`;
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * Timeline playback for Aktuella Brott
+ *
+ * Steps through real time across the selected date range, as opposed to the
+ * hour-of-day filter that mixes every day together. A frame covers one step
+ * starting at `frameStart`; events from the last few steps before it are
+ * kept as a fading trail. No DOM here, the page draws the frames.
+ */
+
+import { CONFIG } from './config.js';
+import { EventFilters } from './filters.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+export class TimelinePlayback {
+  static STEPS = {
+    '15min': 15 * MINUTE_MS,
+    '30min': 30 * MINUTE_MS,
+    '1h': HOUR_MS,
+    '3h': 3 * HOUR_MS,
+    '6h': 6 * HOUR_MS,
+    '1day': DAY_MS
+  };
+
+  /**
+   * First and last millisecond to play: the selected dates or rolling
+   * window, with the events filling in whichever end isn't set
+   *
+   * @returns {{ start: number, end: number } | null} null without events or dates
+   */
+  static getRange(events, filters = {}, { now = Date.now() } = {}) {
+    let first = null;
+    let last = null;
+    events.forEach(event => {
+      if (!Number.isFinite(event.timeMs)) return;
+      if (first === null || event.timeMs < first) first = event.timeMs;
+      if (last === null || event.timeMs > last) last = event.timeMs;
+    });
+
+    let start = first;
+    let end = last;
+
+    const rolling = EventFilters.ROLLING_TIME_RANGES[filters.timeRange];
+    if (rolling) {
+      start = now - rolling;
+      end = now;
+    } else {
+      if (filters.dateFrom) {
+        start = this.startOfDay(filters.dateFrom);
+      }
+      if (filters.dateTo) {
+        // The last selected day is inclusive, but never play into the future
+        end = Math.min(this.startOfDay(filters.dateTo) + DAY_MS - 1, Math.max(now, last ?? 0));
+      }
+    }
+
+    if (start === null || end === null || end < start) {
+      return null;
+    }
+    return { start, end };
+  }
+
+  /**
+   * Start of each frame in the range. Frames line up with the local day, so
+   * 3 h steps start at 00:00, 03:00 and so on.
+   */
+  static getFrames(range, stepMs) {
+    if (!range || !(stepMs > 0)) return [];
+
+    const midnight = this.startOfDay(range.start);
+    const first = midnight + Math.floor((range.start - midnight) / stepMs) * stepMs;
+    const count = Math.min(Math.ceil((range.end + 1 - first) / stepMs), CONFIG.TIMELINE.MAX_FRAMES);
+
+    return Array.from({ length: Math.max(count, 1) }, (_, index) => first + index * stepMs);
+  }
+
+  /**
+   * Index of the frame containing `time`, clamped to the frames
+   */
+  static getFrameIndex(frames, time) {
+    if (frames.length === 0) return -1;
+
+    const index = this.lowerBound(frames, time + 1, value => value) - 1;
+    return Math.max(0, Math.min(frames.length - 1, index));
+  }
+
+  /**
+   * Events with a time, oldest first, as getFrameEvents expects
+   */
+  static sortByTime(events) {
+    return events
+      .filter(event => Number.isFinite(event.timeMs))
+      .sort((a, b) => a.timeMs - b.timeMs);
+  }
+
+  /**
+   * Events of the frame and its trail, each with an opacity: 1 inside the
+   * frame, fading towards CONFIG.TIMELINE.TRAIL_MIN_OPACITY over `trailMs`
+   * before it.
+   *
+   * @param {Array<object>} sortedEvents from sortByTime
+   * @returns {Array<{ event: object, opacity: number, current: boolean }>}
+   */
+  static getFrameEvents(sortedEvents, frameStart, { stepMs, trailMs = 0 }) {
+    const frameEnd = frameStart + stepMs;
+    const from = this.lowerBound(sortedEvents, frameStart - trailMs, event => event.timeMs);
+    const to = this.lowerBound(sortedEvents, frameEnd, event => event.timeMs);
+    const minOpacity = CONFIG.TIMELINE.TRAIL_MIN_OPACITY;
+
+    return sortedEvents.slice(from, to).map(event => {
+      const current = event.timeMs >= frameStart;
+      const age = current ? 0 : (frameStart - event.timeMs) / trailMs;
+      return { event, opacity: current ? 1 : 1 - (1 - minOpacity) * age, current };
+    });
+  }
+
+  /**
+   * Events per bin for the histogram under the slider. A bin is a whole
+   * number of frames, at most CONFIG.TIMELINE.MAX_HISTOGRAM_BINS of them.
+   *
+   * @returns {{ framesPerBin: number, bins: Array<{ start: number, count: number, color: string | null }>, max: number }}
+   */
+  static getHistogram(sortedEvents, frames, stepMs) {
+    if (frames.length === 0) {
+      return { framesPerBin: 1, bins: [], max: 0 };
+    }
+
+    const framesPerBin = Math.ceil(frames.length / CONFIG.TIMELINE.MAX_HISTOGRAM_BINS);
+    const binMs = framesPerBin * stepMs;
+    const first = frames[0];
+    const bins = [];
+
+    for (let index = 0; index < frames.length; index += framesPerBin) {
+      bins.push({ start: frames[index], count: 0, color: null, level: 0 });
+    }
+
+    sortedEvents.forEach(event => {
+      const bin = bins[Math.floor((event.timeMs - first) / binMs)];
+      if (!bin) return;
+
+      bin.count++;
+      // Colored by the most severe event in the bin
+      const level = event.severityInfo?.level || 0;
+      if (level > bin.level) {
+        bin.level = level;
+        bin.color = event.severityInfo.color;
+      }
+    });
+
+    return {
+      framesPerBin,
+      bins: bins.map(({ start, count, color }) => ({ start, count, color })),
+      max: bins.reduce((max, bin) => Math.max(max, bin.count), 0)
+    };
+  }
+
+  static startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day.getTime();
+  }
+
+  // First index whose value is >= target, for arrays sorted by value
+  static lowerBound(items, target, getValue) {
+    let low = 0;
+    let high = items.length;
+
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (getValue(items[middle]) < target) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * URL State for Aktuella Brott
+ *
+ * Mirrors the selected event, the active filters and the map viewport in the
+ * address bar so a view can be shared as a link and restored on load.
+ *
+ * Query string: ?event=<id>&severity=&level=&accuracy=&range=&types=a,b&q=&city=
+ *               &lan=&kommun=&from=&to=&near=lat,lng&r=km
+ * Hash:         #map=<zoom>/<lat>/<lng>
+ *
+ * Filters use the shared EventFilters model. Reading the current location
+ * happens only when called, so the module can be imported server side.
+ */
+
+import { CONFIG } from './config.js';
+import { Utils } from './utils.js';
+
+export class UrlState {
+  static DEFAULT_RADIUS = CONFIG.FILTERS.DEFAULT_RADIUS;
+
+  /**
+   * Read the state encoded in a URL (defaults to the current location)
+   */
+  static parse(url = window.location.href) {
+    const parsed = new URL(url, 'http://localhost');
+    const params = parsed.searchParams;
+
+    const filters = {};
+
+    if (params.get('severity')) filters.priorityFilter = params.get('severity');
+    if (params.get('range')) filters.timeRange = params.get('range');
+    if (params.get('q')) filters.searchQuery = params.get('q').toLowerCase().trim();
+    if (params.get('city')) filters.city = params.get('city');
+    if (/^\d{2}$/.test(params.get('lan') || '')) filters.länskod = params.get('lan');
+    if (/^\d{4}$/.test(params.get('kommun') || '')) filters.kommunkod = params.get('kommun');
+    if (['exact', 'approximate'].includes(params.get('accuracy'))) {
+      filters.exactLocation = params.get('accuracy');
+    }
+
+    const level = parseInt(params.get('level'), 10);
+    if (level >= 1 && level <= 5) filters.severityLevel = level;
+    if (params.get('types')) {
+      filters.types = params.get('types').split(',').map(type => type.trim()).filter(Boolean);
+    }
+
+    const dateFrom = this.parseDate(params.get('from'));
+    const dateTo = this.parseDate(params.get('to'));
+    if (dateFrom) filters.dateFrom = dateFrom;
+    if (dateTo) filters.dateTo = dateTo;
+
+    const near = this.parseLatLng(params.get('near'));
+    if (near) filters.locationCenter = near;
+
+    const radius = parseFloat(params.get('r'));
+    if (Number.isFinite(radius) && radius > 0) filters.locationRadius = radius;
+
+    return {
+      eventId: params.get('event') || null,
+      filters,
+      view: this.parseView(parsed.hash)
+    };
+  }
+
+  /**
+   * Build the query string and hash for a state
+   *
+   * @param {{ eventId?: string | null, filters?: object, view?: { zoom: number, lat: number, lng: number } | null }} [state]
+   */
+  static serialize({ eventId = null, filters = {}, view = null } = {}) {
+    const params = new URLSearchParams();
+
+    if (eventId) params.set('event', eventId);
+    if (filters.priorityFilter) params.set('severity', filters.priorityFilter);
+    if (filters.severityLevel) params.set('level', String(filters.severityLevel));
+    if (filters.exactLocation && filters.exactLocation !== 'all') params.set('accuracy', filters.exactLocation);
+    if (filters.timeRange) params.set('range', filters.timeRange);
+    if (filters.types && filters.types.length > 0) params.set('types', filters.types.join(','));
+    if (filters.searchQuery) params.set('q', filters.searchQuery);
+    if (filters.city) params.set('city', filters.city);
+    if (filters.länskod) params.set('lan', filters.länskod);
+    if (filters.kommunkod) params.set('kommun', filters.kommunkod);
+    if (filters.dateFrom) params.set('from', this.formatDate(filters.dateFrom));
+    if (filters.dateTo) params.set('to', this.formatDate(filters.dateTo));
+    if (filters.locationCenter) {
+      params.set('near', `${filters.locationCenter.lat.toFixed(5)},${filters.locationCenter.lng.toFixed(5)}`);
+    }
+    if (filters.locationRadius && filters.locationRadius !== this.DEFAULT_RADIUS) {
+      params.set('r', String(filters.locationRadius));
+    }
+
+    const search = params.toString();
+    const hash = view ? `map=${view.zoom}/${view.lat.toFixed(5)}/${view.lng.toFixed(5)}` : '';
+
+    return {
+      search: search ? `?${search}` : '',
+      hash: hash ? `#${hash}` : ''
+    };
+  }
+
+  /**
+   * Add a history entry for the state (no-op when the URL is unchanged)
+   */
+  static push(state) {
+    this.write(state, 'pushState');
+  }
+
+  /**
+   * Replace the current history entry, used for frequent changes like panning
+   */
+  static replace(state) {
+    this.write(state, 'replaceState');
+  }
+
+  static write(state, method) {
+    const { search, hash } = this.serialize(state);
+    const url = `${window.location.pathname}${search}${hash}`;
+    const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+
+    if (url === current) return;
+
+    // A viewport-only change never deserves its own history entry
+    const onlyHashChanged = search === window.location.search;
+    const historyMethod = onlyHashChanged ? 'replaceState' : method;
+
+    window.history[historyMethod](state.eventId ? { eventId: state.eventId } : null, '', url);
+  }
+
+  /**
+   * Call back with the parsed state whenever the user navigates history
+   */
+  static onChange(callback) {
+    const handler = () => callback(this.parse());
+    window.addEventListener('popstate', handler);
+    return () => window.removeEventListener('popstate', handler);
+  }
+
+  static parseView(hash) {
+    const match = (hash || '').match(/map=(\d{1,2})\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)/);
+    if (!match) return null;
+
+    const zoom = parseInt(match[1], 10);
+    const lat = parseFloat(match[2]);
+    const lng = parseFloat(match[3]);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return null;
+    }
+
+    return { zoom, lat, lng };
+  }
+
+  static parseLatLng(value) {
+    if (!value) return null;
+
+    const [lat, lng] = value.split(',').map(part => parseFloat(part));
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return null;
+    }
+
+    return { lat, lng };
+  }
+
+  /**
+   * Link to an event's own page. The day of the event lets the page find it
+   * once it has left the current Polisen feed.
+   *
+   * @param {string} eventId
+   * @param {number | null} [timeMs] when the event happened
+   */
+  static getEventPageUrl(eventId, timeMs = null) {
+    const path = `/event/${encodeURIComponent(eventId)}`;
+    return Number.isFinite(timeMs) ? `${path}?date=${Utils.getStockholmDateTime(timeMs).date}` : path;
+  }
+
+  /**
+   * Parse a `YYYY-MM-DD` value as local midnight, like the date inputs and
+   * the filter ranges; `new Date(value)` would give UTC midnight instead
+   */
+  static parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  }
+
+  /**
+   * Format the local calendar day of a date as `YYYY-MM-DD`
+   */
+  static formatDate(date) {
+    const value = date instanceof Date ? date : new Date(date);
+    if (isNaN(value)) return '';
+
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+}
@@ -0,0 +1,327 @@
+/**
+ * Utilities for Aktuella Brott
+ *
+ * The DOM helpers (toast, loading, skeleton) only touch `document` when
+ * called, so the module itself can be imported on the server.
+ */
+
+import { CONFIG } from './config.js';
+
+export class Utils {
+  // Toast notifications with better UX
+  static showToast(message, duration = CONFIG.UI.TOAST_DURATION, type = 'info') {
+    const toast = document.getElementById('toast');
+    const existingTimer = toast._timer;
+
+    if (existingTimer) {
+      clearTimeout(existingTimer);
+    }
+
+    toast.textContent = message;
+    toast.className = `toast ${type}`;
+    toast.style.display = 'block';
+
+    toast._timer = setTimeout(() => {
+      toast.style.display = 'none';
+      toast._timer = null;
+    }, duration);
+  }
+
+  // Loading state management
+  static showLoading(text = 'Laddar...') {
+    document.getElementById('loading-text').textContent = text;
+    document.getElementById('loading').style.display = 'block';
+  }
+
+  static hideLoading() {
+    document.getElementById('loading').style.display = 'none';
+  }
+
+  // Enhanced loading with progress
+  static showLoadingOverlay(text = 'Laddar...', showProgress = false) {
+    document.getElementById('loading-overlay-text').textContent = text;
+    document.getElementById('loading-overlay').style.display = 'flex';
+
+    const progressContainer = document.getElementById('loading-progress');
+    const progressBar = document.getElementById('loading-progress-bar');
+
+    if (showProgress) {
+      progressContainer.style.display = 'block';
+      progressBar.style.width = '0%';
+    } else {
+      progressContainer.style.display = 'none';
+    }
+  }
+
+  static updateLoadingProgress(percentage, text = null) {
+    const progressBar = document.getElementById('loading-progress-bar');
+    const textElement = document.getElementById('loading-overlay-text');
+
+    progressBar.style.width = Math.min(100, Math.max(0, percentage)) + '%';
+
+    if (text) {
+      textElement.textContent = text;
+    }
+  }
+
+  static hideLoadingOverlay() {
+    document.getElementById('loading-overlay').style.display = 'none';
+  }
+
+  // Skeleton screen methods
+  static showSkeleton(containerId, type = 'default') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const skeletonHTML = this.generateSkeletonHTML(type);
+    container.innerHTML = skeletonHTML;
+    container.classList.add('skeleton-container');
+  }
+
+  static hideSkeleton(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    container.classList.remove('skeleton-container');
+    // Content will be replaced by actual data
+  }
+
+  static generateSkeletonHTML(type) {
+    switch (type) {
+      case 'stats':
+        return `
+          <div class="skeleton-stats">
+            <div class="skeleton-stat">
+              <div class="skeleton skeleton-stat-value"></div>
+              <div class="skeleton skeleton-stat-label"></div>
+            </div>
+            <div class="skeleton-stat">
+              <div class="skeleton skeleton-stat-value"></div>
+              <div class="skeleton skeleton-stat-label"></div>
+            </div>
+            <div class="skeleton-stat">
+              <div class="skeleton skeleton-stat-value"></div>
+              <div class="skeleton skeleton-stat-label"></div>
+            </div>
+            <div class="skeleton-stat">
+              <div class="skeleton skeleton-stat-value"></div>
+              <div class="skeleton skeleton-stat-label"></div>
+            </div>
+          </div>
+        `;
+
+      case 'events':
+        return Array.from({ length: 5 }, () => `
+          <div class="skeleton-card">
+            <div style="display: flex; align-items: center; margin-bottom: var(--spacing-sm);">
+              <div class="skeleton skeleton-circle"></div>
+              <div style="flex: 1;">
+                <div class="skeleton skeleton-header"></div>
+              </div>
+            </div>
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-text"></div>
+          </div>
+        `).join('');
+
+      case 'legend':
+        return Array.from({ length: 8 }, () => `
+          <div style="display: flex; align-items: center; margin-bottom: var(--spacing-xs);">
+            <div class="skeleton skeleton-circle" style="width: 12px; height: 12px;"></div>
+            <div class="skeleton skeleton-text" style="margin-left: var(--spacing-sm); width: 120px; height: 12px;"></div>
+          </div>
+        `).join('');
+
+      default:
+        return `
+          <div class="skeleton-card">
+            <div class="skeleton skeleton-header"></div>
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-text"></div>
+          </div>
+        `;
+    }
+  }
+
+  // Debounce function for performance
+  static debounce(func, delay = CONFIG.UI.DEBOUNCE_DELAY) {
+    let timeoutId;
+    return (...args) => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => func.apply(null, args), delay);
+    };
+  }
+
+  // Throttle function for performance
+  static throttle(func, delay = CONFIG.UI.THROTTLE_DELAY) {
+    let lastCall = 0;
+    return (...args) => {
+      const now = Date.now();
+      if (now - lastCall >= delay) {
+        lastCall = now;
+        func.apply(null, args);
+      }
+    };
+  }
+
+  // Enhanced fetch with retry logic
+  static async fetchWithRetry(url, options = {}, maxRetries = 3) {
+    let lastError;
+
+    for (let i = 0; i < maxRetries; i++) {
+      try {
+        const response = await fetch(url, options);
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return response;
+      } catch (error) {
+        lastError = error;
+
+        if (i < maxRetries - 1) {
+          // Exponential backoff
+          const delay = Math.min(1000 * Math.pow(2, i), 5000);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Fetch from one of the same-origin API routes, or from upstream where the
+   * routes are missing, as when index.html is served statically. A static
+   * server may answer the route with a page, so only JSON counts, and the
+   * service worker's stand-in for an unreachable route does not count.
+   */
+  static async fetchWithFallback(url, fallbackUrl, options = {}) {
+    try {
+      const response = await this.fetchWithRetry(url, options, 1);
+      const contentType = response.headers.get('content-type') || '';
+      if (response.headers.get('sw-cache-status') === 'offline-fallback') {
+        throw new Error('Offline fallback from the service worker');
+      }
+      if (contentType.includes('json')) {
+        return response;
+      }
+      throw new Error(`Unexpected content type: ${contentType || 'none'}`);
+    } catch (error) {
+      console.warn(`${url} unavailable, fetching ${fallbackUrl} instead:`, error.message);
+      return this.fetchWithRetry(fallbackUrl, options);
+    }
+  }
+
+  // Safe JSON parsing
+  static async safeJsonParse(response) {
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON response: ${error.message}`);
+    }
+  }
+
+  // Escape HTML to prevent XSS (string based so it also works server side)
+  static sanitizeHTML(str) {
+    if (str === null || str === undefined) return '';
+
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Format date in Swedish locale
+  static formatDate(date, options = {}) {
+    return new Intl.DateTimeFormat('sv-SE', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: 'Europe/Stockholm',
+      ...options
+    }).format(new Date(date));
+  }
+
+  // Hour (0-23) and weekday (0 = Sunday) in Swedish time
+  static getStockholmTimeParts(date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: 'Europe/Stockholm',
+      hour: 'numeric',
+      hourCycle: 'h23',
+      weekday: 'short'
+    }).formatToParts(new Date(date));
+
+    const hour = parseInt(parts.find(part => part.type === 'hour')?.value, 10);
+    const weekday = parts.find(part => part.type === 'weekday')?.value;
+
+    return {
+      hour: Number.isFinite(hour) ? hour : 0,
+      dayOfWeek: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(weekday)
+    };
+  }
+
+  // Date, time and UTC offset in Swedish time: { date: '2026-03-14', time: '08:12:00', offset: '+01:00' }
+  static getStockholmDateTime(date) {
+    const value = new Date(date);
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: 'Europe/Stockholm',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(value).map(part => [part.type, part.value]));
+
+    const localMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const offsetMinutes = Math.round((localMs - Math.floor(value.getTime() / 1000) * 1000) / 60000);
+    const absolute = Math.abs(offsetMinutes);
+    const pad = number => String(number).padStart(2, '0');
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}:${parts.second}`,
+      offset: `${offsetMinutes < 0 ? '-' : '+'}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`
+    };
+  }
+
+  // Generate stable ID from object
+  static generateStableId(obj) {
+    const str = JSON.stringify(obj, Object.keys(obj).sort());
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      const char = str.charCodeAt(i);
+      hash = ((hash << 5) - hash) + char;
+      hash = hash & hash; // Convert to 32-bit integer
+    }
+    return `id_${Math.abs(hash).toString(36)}`;
+  }
+
+  // Check if coordinates are within Sweden's approximate bounds
+  static isWithinSweden(lat, lng) {
+    return lat >= 55.0 && lat <= 69.1 && lng >= 10.5 && lng <= 24.2;
+  }
+
+  // Great-circle distance in kilometers (Haversine formula)
+  static calculateDistance(lat1, lng1, lat2, lng2) {
+    const R = 6371; // Earth's radius in kilometers
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a =
+      Math.sin(dLat/2) * Math.sin(dLat/2) +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+      Math.sin(dLng/2) * Math.sin(dLng/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    return R * c;
+  }
+}
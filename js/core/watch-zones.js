@@ -0,0 +1,289 @@
+/**
+ * Watch zones for Aktuella Brott
+ *
+ * A watch zone is a place the user wants to hear about: a circle around a
+ * point or one or more areas, with a minimum severity and optionally a list
+ * of event types. When a sync brings an event that matches a zone, a
+ * notification is raised, by the open page or by the service worker when no
+ * page is open. Both keep the same state in the settings store, so an event
+ * is only announced once.
+ *
+ * Zones marked as digest collect their matches and announce them together,
+ * at most once per CONFIG.WATCH_ZONES.DIGEST_INTERVAL. Other zones announce
+ * each event, unless one sync brings more than MAX_SEPARATE of them.
+ *
+ * Zone shape (stored under SETTINGS_KEY):
+ * { id, name, locationCenter, locationRadius, locationAreas, types,
+ *   minSeverity, digest, createdAt }
+ * where the location fields are those of EventFilters.
+ */
+
+import { CONFIG } from './config.js';
+import { Utils } from './utils.js';
+import { Geometry } from './geometry.js';
+import { EventFilters } from './filters.js';
+import { UrlState } from './url-state.js';
+
+export class WatchZones {
+  static SETTINGS_KEY = 'watchZones';
+  static STATE_KEY = 'watchZoneState';
+
+  // Tag of the notification that sums up a sync with many matches
+  static SUMMARY_TAG = 'watch-summary';
+  // Periodic background sync registered while there are zones
+  static SYNC_TAG = 'watch-zones';
+
+  /**
+   * A new zone, or a stored or received one rebuilt with its id and
+   * creation time. It needs a center or at least one polygon area.
+   */
+  static create({
+    id = null,
+    createdAt = null,
+    name,
+    locationCenter = null,
+    locationRadius = CONFIG.FILTERS.DEFAULT_RADIUS,
+    locationAreas = [],
+    types = [],
+    minSeverity = 1,
+    digest = false
+  }, { now = Date.now() } = {}) {
+    const areas = (Array.isArray(locationAreas) ? locationAreas : [])
+      .filter(area => Geometry.isPolygon(area?.geometry))
+      .map(area => ({ id: String(area.id), name: String(area.name || 'Område'), geometry: area.geometry }));
+    const center = Number.isFinite(locationCenter?.lat) && Number.isFinite(locationCenter?.lng)
+      ? { lat: locationCenter.lat, lng: locationCenter.lng }
+      : null;
+
+    if (!center && areas.length === 0) {
+      throw new Error('Bevakningen behöver en plats eller ett område');
+    }
+
+    return {
+      id: id ? String(id) : `zone_${now.toString(36)}`,
+      name: String(name || '').trim() || 'Bevakning',
+      locationCenter: areas.length > 0 ? null : center,
+      locationRadius: Number(locationRadius) || CONFIG.FILTERS.DEFAULT_RADIUS,
+      locationAreas: areas,
+      types: Array.isArray(types) ? types.map(String) : [],
+      minSeverity: Math.min(5, Math.max(1, parseInt(minSeverity, 10) || 1)),
+      digest: Boolean(digest),
+      createdAt: Number.isFinite(createdAt) ? createdAt : now
+    };
+  }
+
+  static matches(zone, event) {
+    const level = event.severityInfo?.level ?? 0;
+    if (level < zone.minSeverity) return false;
+
+    const filters = EventFilters.create({
+      types: zone.types || [],
+      locationCenter: zone.locationCenter,
+      locationRadius: zone.locationRadius,
+      locationAreas: zone.locationAreas || []
+    });
+    return EventFilters.apply([event], filters).events.length === 1;
+  }
+
+  /**
+   * One-line summary of a zone's criteria, e.g. "10 km · nivå 3+ · Rån"
+   */
+  static describe(zone) {
+    const place = zone.locationAreas?.length > 0
+      ? zone.locationAreas.map(area => area.name).join(', ')
+      : `${zone.locationRadius} km`;
+    const types = zone.types?.length > 0 ? zone.types.join(', ') : 'alla typer';
+    const digest = zone.digest ? ' · sammanfattning' : '';
+
+    return `${place} · nivå ${zone.minSeverity}+ · ${types}${digest}`;
+  }
+
+  static createState() {
+    return { notified: {}, pending: {}, digestSentAt: {} };
+  }
+
+  /**
+   * Mark the recent events a zone already matches as announced, so a new
+   * zone only reports what arrives after it was created
+   */
+  static seed(state, zone, events, { now = Date.now() } = {}) {
+    const next = this.normalizeState(state);
+
+    events
+      .filter(event => this.isRecent(event, now) && this.matches(zone, event))
+      .forEach(event => {
+        next.notified[event.id] = now;
+      });
+
+    return next;
+  }
+
+  /**
+   * Match synced events against the zones. Events already announced, or
+   * older than MAX_EVENT_AGE, are skipped. Returns the notifications to show
+   * and the state to store for the next check.
+   *
+   * @returns {{ notifications: Array<{ title: string, body: string, tag: string,
+   *           url: string, eventIds: string[], timestamp?: number }>, state: object }}
+   */
+  static check(zones, events, state, { now = Date.now() } = {}) {
+    const { MAX_SEPARATE, DIGEST_INTERVAL } = CONFIG.WATCH_ZONES;
+    const next = this.prune(this.normalizeState(state), zones, now);
+    const separate = [];
+
+    events
+      .filter(event => this.isRecent(event, now) && !next.notified[event.id])
+      .sort((a, b) => a.timeMs - b.timeMs)
+      .forEach(event => {
+        // An event inside several zones is announced for the first one
+        const zone = zones.find(candidate => this.matches(candidate, event));
+        if (!zone) return;
+
+        next.notified[event.id] = now;
+        if (zone.digest) {
+          next.pending[zone.id] = [...(next.pending[zone.id] || []), this.toSummary(event)];
+        } else {
+          separate.push({ zone, event: this.toSummary(event) });
+        }
+      });
+
+    const notifications = separate.length > MAX_SEPARATE
+      ? [this.toSummaryNotification(separate)]
+      : separate.map(({ zone, event }) => this.toEventNotification(zone, event));
+
+    zones
+      .filter(zone => zone.digest && next.pending[zone.id]?.length > 0)
+      .filter(zone => now - (next.digestSentAt[zone.id] || 0) >= DIGEST_INTERVAL)
+      .forEach(zone => {
+        notifications.push(this.toDigestNotification(zone, next.pending[zone.id]));
+        next.digestSentAt[zone.id] = now;
+        delete next.pending[zone.id];
+      });
+
+    return { notifications, state: next };
+  }
+
+  static isRecent(event, now) {
+    return Number.isFinite(event.timeMs) && now - event.timeMs <= CONFIG.WATCH_ZONES.MAX_EVENT_AGE;
+  }
+
+  static normalizeState(state) {
+    const base = this.createState();
+    return {
+      notified: { ...base.notified, ...state?.notified },
+      pending: { ...base.pending, ...state?.pending },
+      digestSentAt: { ...base.digestSentAt, ...state?.digestSentAt }
+    };
+  }
+
+  /**
+   * Forget announced events once they are too old to come back, and the
+   * digests of removed zones
+   */
+  static prune(state, zones, now) {
+    const ids = new Set(zones.map(zone => zone.id));
+    const keep = (record, test) => Object.fromEntries(Object.entries(record).filter(test));
+
+    return {
+      notified: keep(state.notified, ([, time]) => now - time <= 2 * CONFIG.WATCH_ZONES.MAX_EVENT_AGE),
+      pending: keep(state.pending, ([id]) => ids.has(id)),
+      digestSentAt: keep(state.digestSentAt, ([id]) => ids.has(id))
+    };
+  }
+
+  // What a notification needs of an event, small enough to keep in a digest
+  static toSummary(event) {
+    return {
+      id: event.id,
+      type: event.type,
+      title: event.title,
+      city: event.city,
+      timeMs: event.timeMs
+    };
+  }
+
+  static toEventNotification(zone, event) {
+    const time = Utils.getStockholmDateTime(event.timeMs).time.slice(0, 5);
+
+    return {
+      title: `${zone.name}: ${event.type}`,
+      body: `${event.title}\n${event.city} kl. ${time}`,
+      tag: `watch-event-${event.id}`,
+      url: this.getEventUrl(event.id),
+      eventIds: [event.id],
+      timestamp: event.timeMs
+    };
+  }
+
+  static toSummaryNotification(matches) {
+    const lines = matches.slice(0, 5).map(({ zone, event }) => `${event.type}, ${event.city} (${zone.name})`);
+    if (matches.length > lines.length) {
+      lines.push(`och ${matches.length - lines.length} till`);
+    }
+
+    return {
+      title: `${matches.length} nya händelser i dina bevakningar`,
+      body: lines.join('\n'),
+      tag: this.SUMMARY_TAG,
+      url: '/',
+      eventIds: matches.map(({ event }) => event.id)
+    };
+  }
+
+  static toDigestNotification(zone, events) {
+    const counts = new Map();
+    events.forEach(event => counts.set(event.type, (counts.get(event.type) || 0) + 1));
+    const body = [...counts]
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, count]) => `${count} × ${type}`)
+      .join(', ');
+
+    return {
+      title: `${zone.name}: ${events.length} ${events.length === 1 ? 'ny händelse' : 'nya händelser'}`,
+      body,
+      tag: `watch-digest-${zone.id}`,
+      url: events.length === 1 ? this.getEventUrl(events[0].id) : '/',
+      eventIds: events.map(event => event.id)
+    };
+  }
+
+  /**
+   * Options for showNotification; the page, the service worker and push
+   * messages from the server show the same thing for the same match. A
+   * single event gets buttons for the map and its own page, which only
+   * service worker notifications support.
+   */
+  static getNotificationOptions({ body, tag, url, eventIds = [], timestamp }) {
+    const options = {
+      body,
+      tag,
+      lang: 'sv',
+      renotify: true,
+      data: { url, eventIds, timestamp }
+    };
+
+    if (timestamp) {
+      options.timestamp = timestamp;
+    }
+    if (eventIds.length === 1) {
+      options.actions = [
+        { action: 'map', title: 'Visa på kartan' },
+        { action: 'details', title: 'Läs mer' }
+      ];
+    }
+
+    return options;
+  }
+
+  static getEventUrl(eventId) {
+    return `/?event=${encodeURIComponent(eventId)}`;
+  }
+
+  /**
+   * @param {string} eventId
+   * @param {number | null} [timeMs]
+   */
+  static getEventPageUrl(eventId, timeMs = null) {
+    return UrlState.getEventPageUrl(eventId, timeMs);
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Minimal XML parser for Aktuella Brott
+ *
+ * Covers what news feeds need: elements, attributes, text, CDATA and
+ * character/entity references. Comments, processing instructions and the
+ * DOCTYPE are skipped. Doesn't rely on DOMParser, so it also runs in the
+ * Next.js route handlers.
+ *
+ * Lenient like a feed reader: an end tag closes any unclosed elements inside
+ * it and stray end tags are ignored.
+ */
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+// Not valid XML, but common in feeds generated from HTML
+const HTML_ENTITIES = {
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  laquo: '«',
+  raquo: '»',
+  aring: 'å',
+  auml: 'ä',
+  ouml: 'ö',
+  Aring: 'Å',
+  Auml: 'Ä',
+  Ouml: 'Ö',
+  eacute: 'é',
+  Eacute: 'É',
+  uuml: 'ü',
+  Uuml: 'Ü'
+};
+
+export class XmlParser {
+  /**
+   * Parse a document into `{ name, attributes, children }` nodes. Children
+   * are element nodes and strings; the returned node is the document itself.
+   */
+  static parse(xml) {
+    const text = String(xml || '');
+    const documentNode = { name: '#document', attributes: {}, children: [] };
+    const stack = [documentNode];
+    let pos = 0;
+
+    while (pos < text.length) {
+      const start = text.indexOf('<', pos);
+
+      if (start === -1) {
+        this.appendText(stack, this.decodeEntities(text.slice(pos)));
+        break;
+      }
+      if (start > pos) {
+        this.appendText(stack, this.decodeEntities(text.slice(pos, start)));
+      }
+
+      if (text.startsWith('<!--', start)) {
+        pos = this.indexAfter(text, '-->', start);
+        continue;
+      }
+
+      if (text.startsWith('<![CDATA[', start)) {
+        const end = text.indexOf(']]>', start);
+        this.appendText(stack, text.slice(start + 9, end === -1 ? text.length : end));
+        pos = end === -1 ? text.length : end + 3;
+        continue;
+      }
+
+      if (text.startsWith('<?', start)) {
+        pos = this.indexAfter(text, '?>', start);
+        continue;
+      }
+
+      if (text.startsWith('<!', start)) {
+        pos = this.skipDeclaration(text, start);
+        continue;
+      }
+
+      const end = this.findTagEnd(text, start);
+      if (end === -1) break;
+
+      const tag = text.slice(start + 1, end).trim();
+      pos = end + 1;
+
+      if (tag.startsWith('/')) {
+        this.closeElement(stack, tag.slice(1).trim());
+        continue;
+      }
+
+      const selfClosing = tag.endsWith('/');
+      const element = this.parseTag(selfClosing ? tag.slice(0, -1) : tag);
+      if (!element) continue;
+
+      stack[stack.length - 1].children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+
+    return documentNode;
+  }
+
+  /**
+   * First element of a parsed document
+   */
+  static rootElement(documentNode) {
+    return documentNode.children.find(child => typeof child !== 'string') || null;
+  }
+
+  /**
+   * Child elements named `name` (qualified, e.g. 'dc:date')
+   */
+  static children(node, name) {
+    return (node?.children || []).filter(child => typeof child !== 'string' && child.name === name);
+  }
+
+  static child(node, name) {
+    return this.children(node, name)[0] || null;
+  }
+
+  /**
+   * Text content of a node and its descendants
+   */
+  static text(node) {
+    if (!node) return '';
+    if (typeof node === 'string') return node;
+
+    return node.children.map(child => this.text(child)).join('');
+  }
+
+  /**
+   * Trimmed text of the first child element named `name`
+   */
+  static childText(node, name) {
+    return this.text(this.child(node, name)).trim();
+  }
+
+  /**
+   * Element name without its namespace prefix
+   */
+  static localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+  }
+
+  static decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(value) && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+      }
+
+      return XML_ENTITIES[code] ?? HTML_ENTITIES[code] ?? entity;
+    });
+  }
+
+  static parseTag(tag) {
+    const nameMatch = tag.match(/^[^\s/>]+/);
+    if (!nameMatch) return null;
+
+    const attributes = {};
+    const attributePattern = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    let match;
+
+    while ((match = attributePattern.exec(tag.slice(nameMatch[0].length))) !== null) {
+      attributes[match[1]] = this.decodeEntities(match[2] ?? match[3] ?? match[4]);
+    }
+
+    return { name: nameMatch[0], attributes, children: [] };
+  }
+
+  static closeElement(stack, name) {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].name === name) {
+        stack.length = i;
+        return;
+      }
+    }
+  }
+
+  static appendText(stack, text) {
+    if (!text) return;
+
+    const children = stack[stack.length - 1].children;
+    const last = children.length - 1;
+
+    // Keep text split by CDATA sections or comments as one string
+    if (typeof children[last] === 'string') {
+      children[last] += text;
+    } else {
+      children.push(text);
+    }
+  }
+
+  /**
+   * Position of the `>` ending the tag at `start`, ignoring `>` in quoted
+   * attribute values
+   */
+  static findTagEnd(text, start) {
+    let quote = null;
+
+    for (let i = start + 1; i < text.length; i++) {
+      const char = text[i];
+
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '>') {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Skip `<!DOCTYPE ...>`, including an internal subset in brackets
+   */
+  static skipDeclaration(text, start) {
+    const end = text.indexOf('>', start);
+    const bracket = text.indexOf('[', start);
+
+    if (bracket !== -1 && (end === -1 || bracket < end)) {
+      const subsetEnd = text.indexOf(']', bracket);
+      return subsetEnd === -1 ? text.length : this.indexAfter(text, '>', subsetEnd);
+    }
+
+    return end === -1 ? text.length : end + 1;
+  }
+
+  static indexAfter(text, token, from) {
+    const index = text.indexOf(token, from);
+    return index === -1 ? text.length : index + token.length;
+  }
+}
@@ -7,7 +7,7 @@
  * Features:
  * - Intelligent sync intervals based on user activity
  * - Background sync with Web Workers
- * - Delta updates (only fetch new events)
+ * - Delta updates (only fetch and merge new or changed events)
  * - Offline-first data strategy
  * - Real-time data validation and deduplication
  * - Smart retry mechanisms with exponential backoff
@@ -15,9 +15,9 @@
  * @version 1.0.0
  */
 
-'use strict';
+import { CONFIG, Utils, DataStorage, EventPipeline, PoliceStation, RssFeed } from './core/index.js';
 
-class DataSyncManager {
+export class DataSyncManager {
   constructor() {
     this.syncIntervals = new Map();
     this.isOnline = navigator.onLine;
@@ -35,6 +35,8 @@ class DataSyncManager {
         interval: 5 * 60 * 1000,      // 5 minutes when active
         passiveInterval: 15 * 60 * 1000, // 15 minutes when passive
         deltaSync: true,
+        deltaOverlap: 2 * 60 * 60 * 1000, // Re-check the last 2 hours for edited events
+        maxDeltaDays: 3,               // Fall back to a full download beyond this
         priority: 'high'
       },
       stations: {
@@ -71,6 +73,9 @@ class DataSyncManager {
       await this.setupBackgroundSync();
     }
 
+    // Restore high-water marks so a reload does not trigger a full download
+    await this.restoreSyncState();
+
     // Start initial sync
     await this.performInitialSync();
 
@@ -187,11 +192,17 @@ class DataSyncManager {
 
     try {
       let data;
+      let changes = null;
+      const syncState = await this.getSyncState(type);
 
       switch (type) {
-        case 'events':
-          data = await this.syncEvents(config.deltaSync ? lastSync : 0);
+        case 'events': {
+          const result = await this.syncEvents(config.deltaSync ? syncState.highWaterMark : 0);
+          data = result.events;
+          changes = result.changes;
+          syncState.highWaterMark = Math.max(syncState.highWaterMark, result.highWaterMark);
           break;
+        }
         case 'stations':
           data = await this.syncStations();
           break;
@@ -204,12 +215,19 @@ class DataSyncManager {
 
       // Update sync timestamp
       this.lastSyncTimestamps.set(type, now);
+      await this.saveSyncState(type, { ...syncState, lastSync: now });
 
-      // Save to storage with enhanced metadata
-      await this.saveDataWithMetadata(type, data, { syncTime: now, priority });
+      // Events are merged in place by syncEvents; other types are saved as a whole
+      if (!changes) {
+        await this.saveDataWithMetadata(type, data, { syncTime: now, priority });
+      }
 
       console.log(`✅ Successfully synced ${data.length} ${type} items`);
 
+      if (!changes || changes.added.length || changes.changed.length || changes.removed.length) {
+        this.notifyDataUpdated(type, changes);
+      }
+
       return data;
     } catch (error) {
       console.error(`❌ Failed to sync ${type}:`, error);
@@ -227,36 +245,86 @@ class DataSyncManager {
   }
 
   /**
-   * Sync events with delta support (only new events)
+   * Sync events incrementally.
+   *
+   * With a high-water mark only the days from the mark (minus an overlap for
+   * edited events) are requested via the API's DateTime filter. The result is
+   * merged into the events store and the added/changed/removed ids returned.
    */
   async syncEvents(sinceTimestamp = 0) {
     console.log(`🔄 Syncing events since ${sinceTimestamp ? new Date(sinceTimestamp).toISOString() : 'beginning'}`);
 
-    const response = await Utils.fetchWithRetry(window.CONFIG?.API?.EVENTS || 'https://polisen.se/api/events');
-    const rawEvents = await Utils.safeJsonParse(response);
+    const config = this.syncConfig.events;
+    const windowStart = sinceTimestamp > 0 ? sinceTimestamp - config.deltaOverlap : 0;
+    const dateKeys = windowStart > 0 ? this.getDateKeysSince(windowStart) : [];
+    const isDelta = dateKeys.length > 0 && dateKeys.length <= config.maxDeltaDays;
+
+    const queries = isDelta ? dateKeys.map(dateKey => `?DateTime=${dateKey}`) : [''];
 
-    if (!Array.isArray(rawEvents)) {
-      throw new Error('Invalid events data format');
+    const records = [];
+    for (const query of queries) {
+      const response = await Utils.fetchWithFallback(CONFIG.API.PROXY.EVENTS + query, CONFIG.API.EVENTS + query);
+      records.push(...EventPipeline.parse(await response.text()));
     }
 
-    // Filter new events if delta sync is enabled
-    let filteredEvents = rawEvents;
-    if (sinceTimestamp > 0) {
-      filteredEvents = rawEvents.filter(event => {
-        const eventTime = new Date(event.datetime).getTime();
-        return eventTime > sinceTimestamp;
-      });
+    // Deduplicate the events of overlapping days
+    const processedEvents = this.deduplicateEvents(
+      records.map(record => this.processEventData(record))
+    ).filter(event => Number.isFinite(event.timeMs));
+
+    // Only the fetched days (or, for a full download, the returned time span)
+    // are authoritative for detecting events that upstream has withdrawn
+    let mergeOptions = {};
+    if (isDelta) {
+      const fetchedDays = new Set(dateKeys);
+      mergeOptions = {
+        coveredSince: windowStart - 24 * 60 * 60 * 1000,
+        isCovered: record => fetchedDays.has(this.toDateKey(record.timeMs))
+      };
+    } else if (processedEvents.length > 0) {
+      mergeOptions = {
+        coveredSince: Math.min(...processedEvents.map(event => event.timeMs))
+      };
     }
 
-    // Process and enhance events
-    const processedEvents = filteredEvents.map(event => this.processEventData(event));
+    const changes = await DataStorage.mergeEvents(processedEvents, mergeOptions);
+
+    const highWaterMark = processedEvents.reduce(
+      (max, event) => Math.max(max, event.timeMs),
+      sinceTimestamp
+    );
+
+    console.log(`📊 ${isDelta ? 'Delta' : 'Full'} event sync: ${changes.added.length} added, ${changes.changed.length} changed, ${changes.removed.length} removed`);
+
+    return { events: processedEvents, changes, highWaterMark };
+  }
+
+  /**
+   * List Europe/Stockholm calendar days (YYYY-MM-DD) from a timestamp up to now
+   */
+  getDateKeysSince(timestamp) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const keys = [];
 
-    // Deduplicate events
-    const deduplicatedEvents = this.deduplicateEvents(processedEvents);
+    for (let time = timestamp; time < Date.now() + dayMs; time += dayMs) {
+      const key = this.toDateKey(time);
+      if (!keys.includes(key)) keys.push(key);
+    }
 
-    console.log(`📊 Processed ${deduplicatedEvents.length} new events`);
+    const today = this.toDateKey(Date.now());
+    return keys.includes(today) ? keys : [...keys, today];
+  }
 
-    return deduplicatedEvents;
+  /**
+   * Format a timestamp as a Europe/Stockholm calendar day (YYYY-MM-DD)
+   */
+  toDateKey(timestamp) {
+    return new Intl.DateTimeFormat('sv-SE', {
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      timeZone: 'Europe/Stockholm'
+    }).format(new Date(timestamp));
   }
 
   /**
@@ -265,24 +333,9 @@ class DataSyncManager {
   async syncStations() {
     console.log('🔄 Syncing police stations...');
 
-    const response = await Utils.fetchWithRetry(window.CONFIG?.API?.STATIONS || 'https://polisen.se/api/policestations');
-    const rawStations = await Utils.safeJsonParse(response);
-
-    if (!Array.isArray(rawStations)) {
-      throw new Error('Invalid stations data format');
-    }
-
-    const processedStations = rawStations.map(station => ({
-      id: station.id || Utils.generateId(station.name),
-      name: station.name,
-      address: station.address,
-      phone: station.phone,
-      email: station.email,
-      lat: station.location?.lat || 0,
-      lng: station.location?.lng || 0,
-      services: station.services || [],
-      lastUpdated: Date.now()
-    }));
+    const response = await Utils.fetchWithFallback(CONFIG.API.PROXY.STATIONS, CONFIG.API.STATIONS);
+    const processedStations = PoliceStation.fromResponse(await Utils.safeJsonParse(response))
+      .map(station => ({ ...station.toJSON(), servicesText: station.servicesText, lastUpdated: Date.now() }));
 
     console.log(`📊 Processed ${processedStations.length} stations`);
 
@@ -295,19 +348,28 @@ class DataSyncManager {
   async syncRSSFeeds() {
     console.log('🔄 Syncing RSS feeds...');
 
-    const rssSources = window.CONFIG?.API?.RSS_SOURCES || [
-      'https://polisen.se/aktuellt/rss/',
-      'https://api.allorigins.win/get?url=' + encodeURIComponent('https://polisen.se/aktuellt/rss/'),
-      'https://polisen.se/aktuellt/handelser/rss/'
-    ];
+    // Prefer the normalized feed from our API route
+    try {
+      const response = await Utils.fetchWithRetry(CONFIG.API.PROXY.RSS, {}, 1);
+      const data = await Utils.safeJsonParse(response);
+
+      if (Array.isArray(data.items)) {
+        console.log(`📊 Processed ${data.items.length} RSS items`);
+        return data.items;
+      }
+    } catch (error) {
+      console.warn('⚠️ RSS API unavailable, fetching feeds directly:', error.message);
+    }
+
+    const rssSources = CONFIG.API.RSS_SOURCES;
 
-    const feedPromises = rssSources.map(async (source, index) => {
+    const feedPromises = rssSources.map(async (source) => {
       try {
         const response = await fetch(source);
         if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
         const content = await response.text();
-        return this.parseRSSContent(content, source, index);
+        return RssFeed.parse(content, { source });
       } catch (error) {
         console.warn(`⚠️ Failed to fetch RSS from ${source}:`, error.message);
         return [];
@@ -325,60 +387,11 @@ class DataSyncManager {
   }
 
   /**
-   * Process and enhance raw event data
-   */
-  processEventData(rawEvent) {
-    return {
-      id: rawEvent.id || Utils.generateId(rawEvent.name + rawEvent.datetime),
-      timestamp: rawEvent.datetime,
-      timeMs: new Date(rawEvent.datetime).getTime(),
-      title: rawEvent.name || 'Okänd händelse',
-      description: rawEvent.summary || '',
-      type: rawEvent.type || 'Övrigt',
-      city: this.extractCity(rawEvent.location?.name || ''),
-      address: rawEvent.location?.name || '',
-      lat: rawEvent.location?.gps?.split(',')[0]?.trim() || 0,
-      lng: rawEvent.location?.gps?.split(',')[1]?.trim() || 0,
-      exactLocation: !!(rawEvent.location?.gps),
-      url: rawEvent.url,
-      severityInfo: this.calculateSeverity(rawEvent.type, rawEvent.name),
-      rawData: rawEvent,
-      synced: Date.now()
-    };
-  }
-
-  /**
-   * Calculate event severity based on type and title
+   * Event record as the page stores it, so a sync doesn't rewrite events the
+   * page saved with a different shape
    */
-  calculateSeverity(type = '', title = '') {
-    const severityMap = {
-      'Olycka': { level: 3, priority: 'high', color: '#dc2626' },
-      'Brand': { level: 4, priority: 'critical', color: '#b91c1c' },
-      'Rån': { level: 4, priority: 'critical', color: '#991b1b' },
-      'Våld': { level: 4, priority: 'critical', color: '#7f1d1d' },
-      'Skottlossning': { level: 5, priority: 'critical', color: '#450a0a' },
-      'Trafikolycka': { level: 2, priority: 'medium', color: '#ea580c' },
-      'Misshandel': { level: 3, priority: 'high', color: '#c2410c' },
-      'Stöld': { level: 2, priority: 'medium', color: '#a3a3a3' },
-      'default': { level: 1, priority: 'low', color: '#6b7280' }
-    };
-
-    // Check title for severity keywords
-    const criticalKeywords = ['skott', 'död', 'livsfara', 'explosion', 'gisslan'];
-    const highKeywords = ['våld', 'kniv', 'hot', 'misshandel'];
-
-    const lowerTitle = title.toLowerCase();
-    const lowerType = type.toLowerCase();
-
-    if (criticalKeywords.some(keyword => lowerTitle.includes(keyword))) {
-      return { level: 5, priority: 'critical', color: '#450a0a' };
-    }
-
-    if (highKeywords.some(keyword => lowerTitle.includes(keyword))) {
-      return { level: 4, priority: 'critical', color: '#7f1d1d' };
-    }
-
-    return severityMap[type] || severityMap.default;
+  processEventData(record) {
+    return { ...record, synced: Date.now() };
   }
 
   /**
@@ -400,43 +413,15 @@ class DataSyncManager {
     });
   }
 
-  /**
-   * Extract city from location string
-   */
-  extractCity(locationStr) {
-    if (!locationStr) return 'Okänd';
-
-    // Common Swedish location patterns
-    const patterns = [
-      /(?:^|\s)([A-ZÅÄÖ][a-zåäö]+)(?:\s|$)/,  // Capitalized words
-      /([A-ZÅÄÖ]+)\s*\(/,                       // Before parentheses
-    ];
-
-    for (const pattern of patterns) {
-      const match = locationStr.match(pattern);
-      if (match && match[1]) {
-        return match[1];
-      }
-    }
-
-    return locationStr.split(/[,\(\)]/)[0].trim() || 'Okänd';
-  }
-
   /**
    * Save data with enhanced metadata
    */
   async saveDataWithMetadata(type, data, metadata) {
-    // Ensure DataStorage is available
-    if (typeof DataStorage === 'undefined') {
-      console.warn('DataStorage not available, skipping save');
-      return;
-    }
-
     const enrichedData = data.map(item => ({
       ...item,
       syncMetadata: {
         ...metadata,
-        version: window.CONFIG?.STORAGE?.DB_VERSION || 2,
+        version: CONFIG.STORAGE.DB_VERSION,
         source: 'api',
         quality: this.assessDataQuality(item)
       }
@@ -449,14 +434,13 @@ class DataSyncManager {
           console.log(`💾 Saved ${enrichedData.length} events to database`);
           break;
         case 'stations':
-          // Add saveStations method if it doesn't exist
-          if (DataStorage.saveStations) {
-            await DataStorage.saveStations(enrichedData);
-          } else {
-            console.warn('DataStorage.saveStations not implemented');
-          }
+          await DataStorage.saveStations(enrichedData);
           console.log(`💾 Saved ${enrichedData.length} stations to database`);
           break;
+        case 'rss':
+          await DataStorage.saveRssItems(data);
+          console.log(`💾 Saved ${data.length} RSS items to database`);
+          break;
         default:
           console.warn(`Unknown data type for saving: ${type}`);
       }
@@ -500,18 +484,14 @@ class DataSyncManager {
    * Get cached data with fallback
    */
   async getCachedData(type) {
-    // Ensure DataStorage is available
-    if (typeof DataStorage === 'undefined') {
-      console.warn('DataStorage not available, returning empty array');
-      return [];
-    }
-
     try {
       switch (type) {
         case 'events':
           return await DataStorage.getEvents() || [];
         case 'stations':
-          return await DataStorage.getStations() || [];
+          return await DataStorage.getAllStations() || [];
+        case 'rss':
+          return await DataStorage.getRssItems() || [];
         default:
           console.warn(`Unknown data type for retrieval: ${type}`);
           return [];
@@ -543,11 +523,10 @@ class DataSyncManager {
       clearInterval(this.syncIntervals.get(type));
     }
 
-    // Set new interval
+    // Set new interval (syncDataType notifies listeners when data changed)
     const intervalId = setInterval(async () => {
       if (this.isOnline) {
         await this.syncDataType(type, { priority: config.priority });
-        this.notifyDataUpdated(type);
       }
     }, interval);
 
@@ -631,56 +610,68 @@ class DataSyncManager {
   }
 
   /**
-   * Parse RSS content (simplified implementation)
+   * Notify that initial data is ready
    */
-  parseRSSContent(content, source, index) {
-    // This is a simplified RSS parser - in production you'd use a proper XML parser
-    try {
-      const items = [];
-      const itemMatches = content.match(/<item[^>]*>[\s\S]*?<\/item>/gi);
-
-      if (itemMatches) {
-        itemMatches.forEach((item, itemIndex) => {
-          const title = item.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
-          const description = item.match(/<description[^>]*>([\s\S]*?)<\/description>/i);
-          const pubDate = item.match(/<pubDate[^>]*>([\s\S]*?)<\/pubDate>/i);
-
-          if (title && title[1]) {
-            items.push({
-              id: `rss-${index}-${itemIndex}`,
-              title: title[1].replace(/<!\[CDATA\[|\]\]>/g, '').trim(),
-              description: description && description[1]
-                ? description[1].replace(/<!\[CDATA\[|\]\]>/g, '').trim()
-                : '',
-              pubDate: pubDate && pubDate[1] ? new Date(pubDate[1]).getTime() : Date.now(),
-              source: source
-            });
-          }
-        });
+  notifyDataReady() {
+    document.dispatchEvent(new CustomEvent('dataReady', {
+      detail: { timestamp: Date.now(), source: 'sync-manager' }
+    }));
+  }
+
+  /**
+   * Notify that data has been updated. For events the detail lists exactly
+   * which ids were added, changed or removed.
+   */
+  notifyDataUpdated(type, changes = null) {
+    document.dispatchEvent(new CustomEvent('dataUpdated', {
+      detail: {
+        type,
+        timestamp: Date.now(),
+        source: 'sync-manager',
+        ...(changes && {
+          added: changes.added,
+          changed: changes.changed,
+          removed: changes.removed
+        })
       }
+    }));
+  }
 
-      return items;
+  /**
+   * Load the persisted sync state (high-water mark and last sync time) for a type
+   */
+  async getSyncState(type) {
+    const defaults = { highWaterMark: 0, lastSync: 0 };
+
+    try {
+      const state = await DataStorage.getSetting(`syncState:${type}`, null);
+      return { ...defaults, ...state };
     } catch (error) {
-      console.warn('Failed to parse RSS content:', error);
-      return [];
+      console.warn(`Could not read sync state for ${type}:`, error);
+      return defaults;
     }
   }
 
   /**
-   * Notify that initial data is ready
+   * Persist the sync state for a type in the settings store
    */
-  notifyDataReady() {
-    document.dispatchEvent(new CustomEvent('dataReady', {
-      detail: { timestamp: Date.now(), source: 'sync-manager' }
-    }));
+  async saveSyncState(type, state) {
+    try {
+      await DataStorage.saveSetting(`syncState:${type}`, state);
+    } catch (error) {
+      console.warn(`Could not save sync state for ${type}:`, error);
+    }
   }
 
   /**
-   * Notify that data has been updated
+   * Restore last sync times from the settings store
    */
-  notifyDataUpdated(type) {
-    document.dispatchEvent(new CustomEvent('dataUpdated', {
-      detail: { type, timestamp: Date.now(), source: 'sync-manager' }
+  async restoreSyncState() {
+    await Promise.all(Object.keys(this.syncConfig).map(async type => {
+      const state = await this.getSyncState(type);
+      if (state.lastSync) {
+        this.lastSyncTimestamps.set(type, state.lastSync);
+      }
     }));
   }
 
@@ -710,7 +701,4 @@ class DataSyncManager {
   }
 }
 
-// Export for use in main application
-window.DataSyncManager = DataSyncManager;
-
 console.log('📦 Data Sync Manager module loaded');
\ No newline at end of file
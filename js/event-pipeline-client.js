@@ -0,0 +1,131 @@
+/**
+ * Page side of the event pipeline worker
+ *
+ * Sends work to js/event-worker.js and resolves each request with its
+ * answer. Where module workers aren't supported, or the worker fails, the
+ * same EventPipeline runs on the page instead, so callers don't need to
+ * care which one answers.
+ */
+
+import { EventPipeline } from './core/index.js';
+
+export class EventPipelineClient {
+  constructor(workerUrl = new URL('./event-worker.js', import.meta.url)) {
+    this.nextId = 1;
+    this.pending = new Map();
+    // Last events sent, to hand over to the page pipeline if the worker fails
+    this.records = null;
+    this.local = null;
+    this.worker = null;
+
+    if (typeof Worker === 'undefined') {
+      this.useLocalPipeline();
+      return;
+    }
+
+    try {
+      this.worker = new Worker(workerUrl, { type: 'module' });
+      this.worker.addEventListener('message', ({ data }) => this.handleMessage(data));
+      this.worker.addEventListener('error', (event) => {
+        event.preventDefault?.();
+        console.warn('Event worker failed, filtering on the page instead:', event.message || event);
+        this.useLocalPipeline();
+      });
+    } catch (error) {
+      console.warn('Event worker not available, filtering on the page instead:', error);
+      this.useLocalPipeline();
+    }
+  }
+
+  /**
+   * Parse a Polisen API response body into event records, newest first
+   */
+  parse(text) {
+    return this.request('parse', { text });
+  }
+
+  /**
+   * Replace the events that are filtered
+   *
+   * @param {Array<object>} records PoliceEvent#toJSON of each event
+   */
+  setEvents(records) {
+    this.records = records;
+    return this.request('set-events', { records });
+  }
+
+  /**
+   * @returns {Promise<{ added: string[], removed: string[], count: number, missingLocationCount: number }>}
+   */
+  filter(filters, { now = Date.now() } = {}) {
+    return this.request('filter', { filters, now });
+  }
+
+  reset() {
+    return this.request('reset');
+  }
+
+  request(type, payload = {}) {
+    if (this.local) {
+      return this.runLocally({ type, payload });
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { type, payload, resolve, reject });
+      this.worker.postMessage({ id, type, payload });
+    });
+  }
+
+  handleMessage({ id, result, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  /**
+   * Switch to the page pipeline and answer what the worker left unanswered
+   */
+  useLocalPipeline() {
+    if (this.local) return;
+
+    this.local = new EventPipeline();
+    if (this.records) {
+      this.local.setEvents(this.records);
+    }
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    const pending = [...this.pending.values()];
+    this.pending.clear();
+    pending.forEach(request => {
+      this.runLocally(request).then(request.resolve, request.reject);
+    });
+  }
+
+  async runLocally({ type, payload }) {
+    switch (type) {
+      case 'parse':
+        return EventPipeline.parse(payload.text);
+      case 'set-events':
+        this.local.setEvents(payload.records);
+        return { count: payload.records.length };
+      case 'filter':
+        return this.local.filter(payload.filters, { now: payload.now });
+      case 'reset':
+        this.local.reset();
+        return null;
+      default:
+        throw new Error(`Unknown request type: ${type}`);
+    }
+  }
+}
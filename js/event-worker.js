@@ -0,0 +1,43 @@
+/**
+ * Event pipeline worker for Aktuella Brott
+ *
+ * Runs EventPipeline off the main thread. Messages are
+ * `{ id, type, payload }` and are answered in order with `{ id, result }`
+ * or `{ id, error }`:
+ *
+ * - parse:      { text }             → event records, see EventPipeline.parse
+ * - set-events: { records }          → { count }
+ * - filter:     { filters, now }     → { added, removed, count, missingLocationCount }
+ * - reset:                           → null
+ */
+
+import { EventPipeline } from './core/index.js';
+
+const pipeline = new EventPipeline();
+
+const handlers = {
+  parse: ({ text }) => EventPipeline.parse(text),
+  'set-events': ({ records }) => {
+    pipeline.setEvents(records);
+    return { count: records.length };
+  },
+  filter: ({ filters, now }) => pipeline.filter(filters, { now }),
+  reset: () => {
+    pipeline.reset();
+    return null;
+  }
+};
+
+self.addEventListener('message', ({ data }) => {
+  const { id, type, payload = {} } = data || {};
+
+  try {
+    const handler = handlers[type];
+    if (!handler) {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+    self.postMessage({ id, result: handler(payload) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,31 @@
+import type { NextRequest } from "next/server";
+import { EVENT_QUERY_PARAMS, loadEvents, type EventQuery } from "@/lib/polisen/data";
+import { cachedJson, errorJson, newestDate } from "@/lib/polisen/http";
+import { SCHEMA_VERSION, type EventsResponse } from "@/lib/polisen/schema";
+
+/**
+ * GET /api/events?DateTime=2024-05-01&locationname=Uppsala&type=Stöld
+ *
+ * Normalized police events, newest first. See EventsResponse.
+ */
+export async function GET(request: NextRequest) {
+  const query: EventQuery = {};
+  for (const name of EVENT_QUERY_PARAMS) {
+    query[name] = request.nextUrl.searchParams.get(name) ?? undefined;
+  }
+
+  try {
+    const { items: events, source, lastModified } = await loadEvents(query);
+
+    const payload: EventsResponse = {
+      schemaVersion: SCHEMA_VERSION,
+      source,
+      count: events.length,
+      events,
+    };
+
+    return cachedJson(request, payload, lastModified ?? newestDate(events.map((event) => event.timeMs)));
+  } catch (error) {
+    return errorJson(error);
+  }
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from "next/server";
+import { messageJson } from "@/lib/polisen/http";
+import { isMockEnabled, receiveMockPush } from "@/lib/push/mock";
+
+interface MockEndpointContext {
+  params: Promise<{ id: string }>;
+}
+
+/**
+ * POST /api/push/mock/<id>
+ *
+ * The mock push service's endpoint: accepts an encrypted message like a push
+ * service does (201), or 410 Gone for an unknown subscription, which makes
+ * the poller drop it. Development only.
+ */
+export async function POST(request: Request, { params }: MockEndpointContext) {
+  if (!isMockEnabled()) {
+    return messageJson(404, "Finns bara på utvecklingsservern");
+  }
+
+  const { id } = await params;
+  const body = Buffer.from(await request.arrayBuffer());
+
+  try {
+    if (!receiveMockPush(id, body, request.headers.get("ttl"))) {
+      return messageJson(410, "Prenumerationen finns inte");
+    }
+  } catch (error) {
+    console.warn("Mock push message could not be decrypted:", error);
+    return messageJson(400, "Meddelandet kunde inte dekrypteras");
+  }
+
+  return new NextResponse(null, { status: 201 });
+}
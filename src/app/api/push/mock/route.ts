@@ -0,0 +1,71 @@
+import type { NextRequest } from "next/server";
+import { NextResponse } from "next/server";
+import { messageJson } from "@/lib/polisen/http";
+import { clearMockPushMessages, createMockSubscription, getMockPushMessages, isMockEnabled } from "@/lib/push/mock";
+import { StoreFullError } from "@/lib/push/store";
+import { SubscriptionError, parseZones, subscribe } from "@/lib/push/subscriptions";
+import { getVapidDetails } from "@/lib/push/vapid";
+
+const NOT_FOUND = "Finns bara på utvecklingsservern";
+const STORE_FULL = "Servern tar inte emot fler prenumerationer just nu";
+
+/**
+ * POST /api/push/mock  `{ zones }`
+ *
+ * Subscribe a mock push endpoint with the given watch zones. Unlike a real
+ * subscription it starts without history, so the next poll sends every
+ * recent matching event. Development only.
+ */
+export async function POST(request: NextRequest) {
+  if (!isMockEnabled()) {
+    return messageJson(404, NOT_FOUND);
+  }
+  if (!getVapidDetails()) {
+    return messageJson(503, "Push-notiser är inte aktiverade på servern");
+  }
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const zones = parseZones(body?.zones);
+    const { id, endpoint, keys } = createMockSubscription(request.nextUrl.origin);
+
+    await subscribe({ endpoint, keys }, zones, { seed: false });
+    return NextResponse.json({ id, endpoint, zones: zones.length }, { status: 201 });
+  } catch (error) {
+    if (error instanceof SubscriptionError) {
+      return messageJson(400, error.message);
+    }
+    if (error instanceof StoreFullError) {
+      return messageJson(503, STORE_FULL);
+    }
+    console.error("Failed to create mock push subscription:", error);
+    return messageJson(500, "Internt serverfel");
+  }
+}
+
+/**
+ * GET /api/push/mock
+ *
+ * The decrypted messages the mock endpoints received, newest first
+ */
+export async function GET() {
+  if (!isMockEnabled()) {
+    return messageJson(404, NOT_FOUND);
+  }
+
+  return NextResponse.json({ messages: getMockPushMessages() }, { headers: { "Cache-Control": "no-store" } });
+}
+
+/**
+ * DELETE /api/push/mock
+ *
+ * Forget the received messages
+ */
+export async function DELETE() {
+  if (!isMockEnabled()) {
+    return messageJson(404, NOT_FOUND);
+  }
+
+  clearMockPushMessages();
+  return new NextResponse(null, { status: 204 });
+}
@@ -0,0 +1,41 @@
+import type { NextRequest } from "next/server";
+import { NextResponse } from "next/server";
+import { errorJson, messageJson } from "@/lib/polisen/http";
+import { pollAndNotify } from "@/lib/push/poller";
+import { getVapidDetails } from "@/lib/push/vapid";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Scheduled callers authenticate with `Authorization: Bearer <CRON_SECRET>`,
+ * as Vercel Cron does. Without a secret only development servers poll.
+ */
+function isAuthorized(request: NextRequest): boolean {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return process.env.NODE_ENV !== "production";
+  }
+
+  return request.headers.get("authorization") === `Bearer ${secret}`;
+}
+
+/**
+ * GET /api/push/poll
+ *
+ * Check for new events and send the watch zone alerts, for a scheduler to
+ * call every few minutes. Answers with the counts, see PollResult.
+ */
+export async function GET(request: NextRequest) {
+  if (!isAuthorized(request)) {
+    return messageJson(401, "Obehörig");
+  }
+  if (!getVapidDetails()) {
+    return messageJson(503, "Push-notiser är inte aktiverade på servern");
+  }
+
+  try {
+    return NextResponse.json(await pollAndNotify(), { headers: { "Cache-Control": "no-store" } });
+  } catch (error) {
+    return errorJson(error);
+  }
+}
@@ -0,0 +1,88 @@
+import { NextResponse } from "next/server";
+import { messageJson } from "@/lib/polisen/http";
+import { StoreFullError, removeSubscription } from "@/lib/push/store";
+import { SubscriptionError, parseSubscription, parseZones, subscribe } from "@/lib/push/subscriptions";
+import { getVapidDetails } from "@/lib/push/vapid";
+
+const NOT_CONFIGURED = "Push-notiser är inte aktiverade på servern";
+const STORE_FULL = "Servern tar inte emot fler prenumerationer just nu";
+
+async function readJson(request: Request): Promise<Record<string, unknown>> {
+  try {
+    const body = await request.json();
+    return body && typeof body === "object" ? body : {};
+  } catch {
+    throw new SubscriptionError("Ogiltig JSON");
+  }
+}
+
+/**
+ * GET /api/push
+ *
+ * The VAPID public key for PushManager.subscribe, `{ publicKey }`. 503 when
+ * push is not configured.
+ */
+export async function GET() {
+  const vapid = getVapidDetails();
+  if (!vapid) {
+    return messageJson(503, NOT_CONFIGURED);
+  }
+
+  return NextResponse.json({ publicKey: vapid.publicKey }, { headers: { "Cache-Control": "no-store" } });
+}
+
+/**
+ * POST /api/push  `{ subscription, zones, replaces? }`
+ *
+ * Store a push subscription (PushSubscription#toJSON) with the browser's
+ * watch zones, replacing what was stored for the same endpoint. `replaces`
+ * is the endpoint of a subscription this one renews. 400 for an endpoint
+ * outside the known push services, 503 when the store is full.
+ */
+export async function POST(request: Request) {
+  if (!getVapidDetails()) {
+    return messageJson(503, NOT_CONFIGURED);
+  }
+
+  try {
+    const body = await readJson(request);
+    const subscription = parseSubscription(body.subscription);
+    const zones = parseZones(body.zones);
+    const replaces = typeof body.replaces === "string" ? body.replaces : null;
+
+    await subscribe(subscription, zones, { replaces });
+    return NextResponse.json({ endpoint: subscription.endpoint, zones: zones.length }, { status: 201 });
+  } catch (error) {
+    if (error instanceof SubscriptionError) {
+      return messageJson(400, error.message);
+    }
+    if (error instanceof StoreFullError) {
+      return messageJson(503, STORE_FULL);
+    }
+    console.error("Failed to store push subscription:", error);
+    return messageJson(500, "Internt serverfel");
+  }
+}
+
+/**
+ * DELETE /api/push  `{ endpoint }`
+ *
+ * Stop sending to a subscription. 404 when it isn't stored.
+ */
+export async function DELETE(request: Request) {
+  try {
+    const { endpoint } = await readJson(request);
+    if (typeof endpoint !== "string" || !endpoint) {
+      return messageJson(400, "endpoint saknas");
+    }
+
+    const removed = await removeSubscription(endpoint);
+    return removed ? new NextResponse(null, { status: 204 }) : messageJson(404, "Prenumerationen finns inte");
+  } catch (error) {
+    if (error instanceof SubscriptionError) {
+      return messageJson(400, error.message);
+    }
+    console.error("Failed to remove push subscription:", error);
+    return messageJson(500, "Internt serverfel");
+  }
+}
@@ -0,0 +1,53 @@
+import type { NextRequest } from "next/server";
+import { CONFIG, RssFeed } from "@core/index.js";
+import { cachedJson, errorJson, newestDate } from "@/lib/polisen/http";
+import { SCHEMA_VERSION, type ApiRssItem, type RssResponse } from "@/lib/polisen/schema";
+import { UpstreamError, fetchUpstreamText } from "@/lib/polisen/upstream";
+
+/**
+ * GET /api/rss
+ *
+ * Items of the Polisen news feeds, newest first and deduplicated across
+ * feeds. Fails only when every feed fails. See RssResponse.
+ */
+export async function GET(request: NextRequest) {
+  const sources: string[] = CONFIG.API.RSS_SOURCES;
+
+  try {
+    const results = await Promise.allSettled(sources.map((source) => fetchUpstreamText(source)));
+
+    const feeds = results.flatMap((result, index) => {
+      if (result.status === "fulfilled") {
+        return [{ source: sources[index], ...result.value }];
+      }
+
+      console.warn(`RSS source ${sources[index]} failed:`, result.reason);
+      return [];
+    });
+
+    if (feeds.length === 0) {
+      const firstFailure = results.find((result) => result.status === "rejected");
+      throw firstFailure?.reason ?? new UpstreamError("Inga RSS-källor svarade");
+    }
+
+    const itemsById = new Map<string, ApiRssItem>();
+    for (const feed of feeds) {
+      for (const item of RssFeed.parse(feed.body, { source: feed.source })) {
+        if (!itemsById.has(item.id)) itemsById.set(item.id, item);
+      }
+    }
+
+    const items = [...itemsById.values()].sort((a, b) => (b.timeMs ?? 0) - (a.timeMs ?? 0));
+
+    const payload: RssResponse = {
+      schemaVersion: SCHEMA_VERSION,
+      source: feeds.map((feed) => feed.source),
+      count: items.length,
+      items,
+    };
+
+    return cachedJson(request, payload, newestDate(items.map((item) => item.timeMs)));
+  } catch (error) {
+    return errorJson(error);
+  }
+}
@@ -0,0 +1,26 @@
+import type { NextRequest } from "next/server";
+import { loadStations } from "@/lib/polisen/data";
+import { cachedJson, errorJson } from "@/lib/polisen/http";
+import { SCHEMA_VERSION, type StationsResponse } from "@/lib/polisen/schema";
+
+/**
+ * GET /api/stations
+ *
+ * Normalized police stations with valid coordinates. See StationsResponse.
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const { items: stations, source, lastModified } = await loadStations();
+
+    const payload: StationsResponse = {
+      schemaVersion: SCHEMA_VERSION,
+      source,
+      count: stations.length,
+      stations,
+    };
+
+    return cachedJson(request, payload, lastModified);
+  } catch (error) {
+    return errorJson(error);
+  }
+}
@@ -0,0 +1,13 @@
+import Link from "next/link";
+
+export default function EventNotFound() {
+  return (
+    <main className="font-sans mx-auto flex min-h-screen max-w-xl flex-col justify-center gap-4 p-8 text-slate-900">
+      <h1 className="text-2xl font-semibold">Händelsen finns inte längre</h1>
+      <p>Polisen visar bara de senaste händelserna, så äldre länkar slutar fungera efter en tid.</p>
+      <Link href="/" className="text-blue-800 hover:underline">
+        Till kartan
+      </Link>
+    </main>
+  );
+}
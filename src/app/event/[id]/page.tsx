@@ -0,0 +1,139 @@
+import type { Metadata } from "next";
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import StaticMiniMap from "@/components/StaticMiniMap";
+import { CrimeSeveritySystem, UrlState, Utils } from "@core/index.js";
+import { loadEvent } from "@/lib/polisen/data";
+import { PRIORITY_LABELS } from "@/lib/polisen/labels";
+import type { ApiEvent, ApiSeverity } from "@/lib/polisen/schema";
+import { UPSTREAM_REVALIDATE_SECONDS } from "@/lib/polisen/upstream";
+
+export const revalidate = UPSTREAM_REVALIDATE_SECONDS;
+
+interface EventPageProps {
+  params: Promise<{ id: string }>;
+  /** `date`: the event's day, to find it once it has left the current feed */
+  searchParams: Promise<{ date?: string | string[] }>;
+}
+
+/** Approximate positions are offset up to ~500 m, so don't zoom in as far */
+function getZoom(event: ApiEvent): number {
+  return event.exactLocation ? 15 : 13;
+}
+
+function getLocation(event: ApiEvent): string {
+  return event.address && event.address !== event.city ? `${event.address}, ${event.city}` : event.city;
+}
+
+/** "Malmö kommun, Skåne län", or just the län for county-wide events */
+function getArea(event: ApiEvent): string | null {
+  if (!event.län) return null;
+  return event.kommun ? `${event.kommun} kommun, ${event.län}` : event.län;
+}
+
+function getDescription(event: ApiEvent): string {
+  const summary = `${event.type} i ${event.city}, ${Utils.formatDate(event.timestamp)}.`;
+  return event.description ? `${summary} ${event.description}` : summary;
+}
+
+/** Link to the map centered on the event with its popup open */
+function getMapHref(event: ApiEvent): string {
+  const { search, hash } = UrlState.serialize({
+    eventId: event.id,
+    view: { zoom: getZoom(event), lat: event.lat, lng: event.lng },
+  });
+  return `/${search}${hash}`;
+}
+
+async function getEventOrNotFound({ params, searchParams }: EventPageProps): Promise<ApiEvent> {
+  const [{ id }, { date }] = await Promise.all([params, searchParams]);
+  const event = await loadEvent(id, typeof date === "string" ? date : null);
+
+  if (!event) notFound();
+  return event;
+}
+
+export async function generateMetadata(props: EventPageProps): Promise<Metadata> {
+  const event = await getEventOrNotFound(props);
+  const title = event.title;
+  const description = getDescription(event);
+  const url = UrlState.getEventPageUrl(event.id, event.timeMs);
+
+  return {
+    title,
+    description,
+    alternates: { canonical: url },
+    openGraph: {
+      type: "article",
+      url,
+      title,
+      description,
+      siteName: "Aktuella brott",
+      locale: "sv_SE",
+      publishedTime: event.timestamp,
+      section: event.type,
+    },
+    twitter: {
+      card: "summary",
+      title,
+      description,
+    },
+  };
+}
+
+export default async function EventPage(props: EventPageProps) {
+  const event = await getEventOrNotFound(props);
+  const severity = CrimeSeveritySystem.getSeverityInfo(event) as ApiSeverity;
+  const location = getLocation(event);
+  const area = getArea(event);
+
+  return (
+    <div className="font-sans min-h-screen bg-slate-50 text-slate-900">
+      <header className="border-b border-slate-200 bg-white px-4 py-3 sm:px-8">
+        <Link href="/" className="text-sm text-blue-800 hover:underline">
+          ← Aktuella brott
+        </Link>
+      </header>
+
+      <main className="mx-auto flex max-w-3xl flex-col gap-6 p-4 sm:p-8">
+        <article className="flex flex-col gap-4 rounded-lg border border-slate-200 bg-white p-4 sm:p-6">
+          <header className="flex flex-col gap-2">
+            <p className="flex items-center gap-2 text-sm text-slate-600">
+              <span className="h-3 w-3 rounded-full" style={{ backgroundColor: severity.color }} aria-hidden="true" />
+              {event.type} · Nivå {severity.level} · {PRIORITY_LABELS[severity.priority]} prioritet
+            </p>
+            <h1 className="text-2xl font-semibold">{event.title}</h1>
+            <p className="text-sm text-slate-600">
+              <time dateTime={event.timestamp}>{Utils.formatDate(event.timestamp)}</time> · {location}
+              {!event.exactLocation && " (ungefärlig plats)"}
+            </p>
+            {area && <p className="text-sm text-slate-600">{area}</p>}
+          </header>
+
+          {event.description && <p>{event.description}</p>}
+
+          <div className="h-64 overflow-hidden rounded-lg border border-slate-200">
+            <StaticMiniMap
+              lat={event.lat}
+              lng={event.lng}
+              zoom={getZoom(event)}
+              color={severity.color}
+              label={`Karta över ${location}`}
+            />
+          </div>
+
+          <footer className="flex flex-wrap gap-4 text-sm">
+            <Link href={getMapHref(event)} className="rounded bg-blue-800 px-3 py-2 font-medium text-white hover:bg-blue-900">
+              Visa på kartan
+            </Link>
+            {event.url && (
+              <a href={event.url} target="_blank" rel="noopener noreferrer" className="px-3 py-2 text-blue-800 hover:underline">
+                Läs mer hos Polisen
+              </a>
+            )}
+          </footer>
+        </article>
+      </main>
+    </div>
+  );
+}
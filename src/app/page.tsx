@@ -1,103 +1,162 @@
-import Image from "next/image";
+import type { Metadata } from "next";
+import Link from "next/link";
+import EventMap from "@/components/EventMap";
+import { CrimeSeveritySystem, EventStats, UrlState, Utils } from "@core/index.js";
+import { loadEvents } from "@/lib/polisen/data";
+import { PRIORITY_LABELS } from "@/lib/polisen/labels";
+import type { ApiEvent, Priority } from "@/lib/polisen/schema";
+import { UPSTREAM_REVALIDATE_SECONDS } from "@/lib/polisen/upstream";
+
+export const revalidate = UPSTREAM_REVALIDATE_SECONDS;
+
+export const metadata: Metadata = {
+  title: "Karta över polisens händelser",
+  description: "Polisens senaste händelser i Sverige på en karta, med allvarlighetsgrad, statistik och händelselista.",
+};
+
+/** Events listed below the map, the map itself shows all of them */
+const LIST_LIMIT = 50;
+
+async function getEvents(): Promise<{ events: ApiEvent[]; error: string | null }> {
+  try {
+    const { items } = await loadEvents();
+    return { events: items, error: null };
+  } catch (error) {
+    console.error("Failed to load events for the map page:", error);
+    return { events: [], error: "Kunde inte hämta händelser från Polisen just nu. Försök igen om en stund." };
+  }
+}
+
+function getSeverityLegend() {
+  return Object.entries(CrimeSeveritySystem.getAllSeverityLevels())
+    .map(([level, infos]) => ({
+      level: Number(level),
+      color: infos[0].color,
+      priority: infos[0].priority as Priority,
+      examples: infos.slice(0, 3).map((info: { description: string }) => info.description).join(", "),
+    }))
+    .sort((a, b) => b.level - a.level);
+}
+
+export default async function Home() {
+  const { events, error } = await getEvents();
+  const stats = EventStats.summarize(events);
+  const counties = EventStats.getAreaCounts(events, "län");
+  const legend = getSeverityLegend();
 
-export default function Home() {
   return (
-    <div className="font-sans grid grid-rows-[20px_1fr_20px] items-center justify-items-center min-h-screen p-8 pb-20 gap-16 sm:p-20">
-      <main className="flex flex-col gap-[32px] row-start-2 items-center sm:items-start">
-        <Image
-          className="dark:invert"
-          src="/next.svg"
-          alt="Next.js logo"
-          width={180}
-          height={38}
-          priority
-        />
-        <ol className="font-mono list-inside list-decimal text-sm/6 text-center sm:text-left">
-          <li className="mb-2 tracking-[-.01em]">
-            Get started by editing{" "}
-            <code className="bg-black/[.05] dark:bg-white/[.06] font-mono font-semibold px-1 py-0.5 rounded">
-              src/app/page.tsx
-            </code>
-            .
-          </li>
-          <li className="tracking-[-.01em]">
-            Save and see your changes instantly.
-          </li>
-        </ol>
+    <div className="font-sans min-h-screen bg-slate-50 text-slate-900">
+      <header className="border-b border-slate-200 bg-white px-4 py-3 sm:px-8">
+        <h1 className="text-xl font-semibold">Aktuella brott</h1>
+        <p className="text-sm text-slate-600">
+          {stats.total} händelser från Polisen · {stats.exactCount} med exakt plats · {stats.approxCount} ungefärliga
+        </p>
+      </header>
+
+      <main className="grid gap-6 p-4 sm:p-8 lg:grid-cols-[1fr_320px]">
+        <section className="h-[60vh] min-h-[400px] overflow-hidden rounded-lg border border-slate-200 bg-white lg:h-[75vh]">
+          <EventMap events={events} />
+        </section>
+
+        <aside className="flex flex-col gap-6">
+          {error && (
+            <p role="alert" className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-800">
+              {error}
+            </p>
+          )}
+
+          <section aria-labelledby="stats-heading" className="rounded-lg border border-slate-200 bg-white p-4">
+            <h2 id="stats-heading" className="mb-3 font-semibold">
+              Statistik
+            </h2>
+            <dl className="grid grid-cols-2 gap-2 text-sm">
+              {(Object.keys(PRIORITY_LABELS) as Priority[]).map((priority) => (
+                <div key={priority} className="flex justify-between rounded bg-slate-100 px-2 py-1">
+                  <dt>{PRIORITY_LABELS[priority]}</dt>
+                  <dd className="font-semibold">{stats.byPriority[priority] || 0}</dd>
+                </div>
+              ))}
+            </dl>
+            {stats.topTypes.length > 0 && (
+              <ul className="mt-3 space-y-1 text-sm">
+                {stats.topTypes.map(({ type, count, color }) => (
+                  <li key={type} className="flex items-center gap-2">
+                    <span className="h-3 w-3 rounded-full" style={{ backgroundColor: color }} aria-hidden="true" />
+                    <span className="flex-1">{type}</span>
+                    <span className="font-semibold">{count}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section aria-labelledby="legend-heading" className="rounded-lg border border-slate-200 bg-white p-4">
+            <h2 id="legend-heading" className="mb-3 font-semibold">
+              Allvarlighetsgrad
+            </h2>
+            <ul className="space-y-1 text-sm">
+              {legend.map(({ level, color, priority, examples }) => (
+                <li key={level} className="flex items-center gap-2">
+                  <span className="h-3 w-3 rounded-full" style={{ backgroundColor: color }} aria-hidden="true" />
+                  <span className="flex-1">
+                    Nivå {level} – {examples}
+                  </span>
+                  <span className="text-slate-500">{PRIORITY_LABELS[priority]}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+
+          {counties.length > 0 && (
+            <section aria-labelledby="counties-heading" className="rounded-lg border border-slate-200 bg-white p-4">
+              <h2 id="counties-heading" className="mb-3 font-semibold">
+                Händelser per län
+              </h2>
+              <ul className="space-y-1 text-sm">
+                {counties.map(({ kod, namn, count }) => (
+                  <li key={kod} className="flex items-center gap-2">
+                    <span className="flex-1">{namn}</span>
+                    <span className="font-semibold">{count}</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+        </aside>
 
-        <div className="flex gap-4 items-center flex-col sm:flex-row">
-          <a
-            className="rounded-full border border-solid border-transparent transition-colors flex items-center justify-center bg-foreground text-background gap-2 hover:bg-[#383838] dark:hover:bg-[#ccc] font-medium text-sm sm:text-base h-10 sm:h-12 px-4 sm:px-5 sm:w-auto"
-            href="https://vercel.com/new?utm_source=create-next-app&utm_medium=appdir-template-tw&utm_campaign=create-next-app"
-            target="_blank"
-            rel="noopener noreferrer"
-          >
-            <Image
-              className="dark:invert"
-              src="/vercel.svg"
-              alt="Vercel logomark"
-              width={20}
-              height={20}
-            />
-            Deploy now
-          </a>
-          <a
-            className="rounded-full border border-solid border-black/[.08] dark:border-white/[.145] transition-colors flex items-center justify-center hover:bg-[#f2f2f2] dark:hover:bg-[#1a1a1a] hover:border-transparent font-medium text-sm sm:text-base h-10 sm:h-12 px-4 sm:px-5 w-full sm:w-auto md:w-[158px]"
-            href="https://nextjs.org/docs?utm_source=create-next-app&utm_medium=appdir-template-tw&utm_campaign=create-next-app"
-            target="_blank"
-            rel="noopener noreferrer"
-          >
-            Read our docs
-          </a>
-        </div>
+        <section aria-labelledby="events-heading" className="lg:col-span-2">
+          <h2 id="events-heading" className="mb-3 font-semibold">
+            Senaste händelserna
+          </h2>
+          {events.length === 0 ? (
+            <p className="text-sm text-slate-600">Inga händelser att visa.</p>
+          ) : (
+            <ol className="divide-y divide-slate-200 rounded-lg border border-slate-200 bg-white">
+              {events.slice(0, LIST_LIMIT).map((event) => (
+                <li key={event.id} className="flex gap-3 p-3">
+                  <span
+                    className="mt-1.5 h-3 w-3 shrink-0 rounded-full"
+                    style={{ backgroundColor: event.severityInfo.color }}
+                    aria-hidden="true"
+                  />
+                  <div className="min-w-0">
+                    <h3 className="font-medium">
+                      <Link href={UrlState.getEventPageUrl(event.id, event.timeMs)} className="hover:underline">
+                        {event.title}
+                      </Link>
+                    </h3>
+                    <p className="text-sm text-slate-600">
+                      {event.type} · {event.city} ·{" "}
+                      <time dateTime={event.timestamp}>{Utils.formatDate(event.timestamp)}</time>
+                    </p>
+                    {event.description && <p className="mt-1 text-sm">{event.description}</p>}
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+        </section>
       </main>
-      <footer className="row-start-3 flex gap-[24px] flex-wrap items-center justify-center">
-        <a
-          className="flex items-center gap-2 hover:underline hover:underline-offset-4"
-          href="https://nextjs.org/learn?utm_source=create-next-app&utm_medium=appdir-template-tw&utm_campaign=create-next-app"
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          <Image
-            aria-hidden
-            src="/file.svg"
-            alt="File icon"
-            width={16}
-            height={16}
-          />
-          Learn
-        </a>
-        <a
-          className="flex items-center gap-2 hover:underline hover:underline-offset-4"
-          href="https://vercel.com/templates?framework=next.js&utm_source=create-next-app&utm_medium=appdir-template-tw&utm_campaign=create-next-app"
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          <Image
-            aria-hidden
-            src="/window.svg"
-            alt="Window icon"
-            width={16}
-            height={16}
-          />
-          Examples
-        </a>
-        <a
-          className="flex items-center gap-2 hover:underline hover:underline-offset-4"
-          href="https://nextjs.org?utm_source=create-next-app&utm_medium=appdir-template-tw&utm_campaign=create-next-app"
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          <Image
-            aria-hidden
-            src="/globe.svg"
-            alt="Globe icon"
-            width={16}
-            height={16}
-          />
-          Go to nextjs.org →
-        </a>
-      </footer>
     </div>
   );
 }
@@ -0,0 +1,79 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { CONFIG, MapLayers, PoliceEvent, UrlState } from "@core/index.js";
+import { loadLeaflet } from "@/lib/leaflet";
+import type { ApiEvent } from "@/lib/polisen/schema";
+
+type MapStatus = "loading" | "ready" | "error";
+
+/**
+ * Leaflet map of the server-rendered events. Markers, clusters and popups
+ * come from the shared MapLayers, like on the static page. A `#map=` viewport
+ * and `?event=` in the URL are restored on load, as on the static page.
+ */
+export default function EventMap({ events }: { events: ApiEvent[] }) {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const [status, setStatus] = useState<MapStatus>("loading");
+
+  useEffect(() => {
+    let cancelled = false;
+    let map: ReturnType<typeof MapLayers.createMap> | null = null;
+
+    loadLeaflet()
+      .then(() => {
+        if (cancelled || !containerRef.current) return;
+
+        const { eventId, view } = UrlState.parse();
+
+        map = MapLayers.createMap(containerRef.current);
+        if (view) map.setView([view.lat, view.lng], view.zoom);
+
+        const cluster = MapLayers.createEventClusterGroup();
+        const markers = events.map((data) => MapLayers.createEventMarker(PoliceEvent.fromRecord(data), map.getZoom()));
+
+        cluster.addLayers(markers);
+        cluster.addTo(map);
+
+        const selected = eventId && markers.find((marker) => marker._policeEventData.id === eventId);
+        if (selected) {
+          cluster.zoomToShowLayer(selected, () => selected.openPopup());
+        }
+
+        map.on("zoomend", () => {
+          const radius = MapLayers.getMarkerRadius(map.getZoom());
+          markers.forEach((marker) => {
+            marker.setRadius(radius + (marker._policeEventData.exactLocation ? 2 : 0));
+          });
+        });
+
+        setStatus("ready");
+      })
+      .catch((error) => {
+        console.error("Map initialization failed:", error);
+        if (!cancelled) setStatus("error");
+      });
+
+    return () => {
+      cancelled = true;
+      map?.remove();
+    };
+  }, [events]);
+
+  return (
+    <>
+      <link rel="stylesheet" href={CONFIG.LIBRARIES.LEAFLET_CSS} precedence="default" />
+      <link rel="stylesheet" href={CONFIG.LIBRARIES.MARKERCLUSTER_CSS} precedence="default" />
+      <link rel="stylesheet" href={CONFIG.LIBRARIES.MARKERCLUSTER_DEFAULT_CSS} precedence="default" />
+
+      <div className="relative h-full w-full">
+        <div ref={containerRef} className="h-full w-full" role="region" aria-label="Karta över polishändelser" />
+        {status !== "ready" && (
+          <p className="absolute inset-0 flex items-center justify-center text-sm text-black/60 dark:text-white/60">
+            {status === "error" ? "Kartan kunde inte laddas" : "Laddar karta…"}
+          </p>
+        )}
+      </div>
+    </>
+  );
+}
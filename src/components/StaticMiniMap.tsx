@@ -0,0 +1,44 @@
+import { buildStaticMap } from "@/lib/static-map";
+
+interface StaticMiniMapProps {
+  lat: number;
+  lng: number;
+  zoom: number;
+  color: string;
+  label: string;
+}
+
+/**
+ * OpenStreetMap tiles with a marker at the point, centered in whatever size
+ * the container has. Needs no JavaScript.
+ */
+export default function StaticMiniMap({ lat, lng, zoom, color, label }: StaticMiniMapProps) {
+  const { tiles, size, pointX, pointY } = buildStaticMap(lat, lng, zoom);
+
+  return (
+    <div role="img" aria-label={label} className="relative h-full w-full overflow-hidden bg-slate-100">
+      <div
+        className="absolute left-1/2 top-1/2"
+        style={{ width: size, height: size, transform: `translate(${-pointX}px, ${-pointY}px)` }}
+      >
+        {tiles.map((tile) => (
+          <div
+            key={tile.url}
+            className="absolute h-64 w-64 bg-cover"
+            style={{ left: tile.left, top: tile.top, backgroundImage: `url(${tile.url})` }}
+          />
+        ))}
+      </div>
+      <span
+        className="absolute left-1/2 top-1/2 h-4 w-4 -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-white shadow"
+        style={{ backgroundColor: color }}
+      />
+      <span className="absolute bottom-0 right-0 bg-white/80 px-1 text-[10px] text-slate-700">
+        ©{" "}
+        <a href="https://www.openstreetmap.org/copyright" className="underline">
+          OpenStreetMap
+        </a>
+      </span>
+    </div>
+  );
+}
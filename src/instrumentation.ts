@@ -0,0 +1,15 @@
+/**
+ * Runs once when the Next.js server starts.
+ *
+ * With PUSH_POLL_INTERVAL (seconds) set, a long-running Node.js server polls
+ * for watch zone alerts itself. Serverless deployments call
+ * /api/push/poll from a scheduler instead.
+ */
+export async function register() {
+  const interval = Number(process.env.PUSH_POLL_INTERVAL);
+
+  if (process.env.NEXT_RUNTIME === "nodejs" && interval > 0) {
+    const { startPushPoller } = await import("./lib/push/poller");
+    startPushPoller(interval * 1000);
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Loads Leaflet and markercluster from the same CDN as index.html, so the
+ * shared MapLayers code finds the `L` global it expects.
+ */
+
+import { CONFIG } from "@core/index.js";
+
+let leafletPromise: Promise<void> | null = null;
+
+function loadScript(src: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const existing = document.querySelector<HTMLScriptElement>(`script[src="${src}"]`);
+    if (existing?.dataset.loaded === "true") {
+      resolve();
+      return;
+    }
+
+    const script = existing ?? document.createElement("script");
+    script.addEventListener("load", () => {
+      script.dataset.loaded = "true";
+      resolve();
+    });
+    script.addEventListener("error", () => reject(new Error(`Kunde inte ladda ${src}`)));
+
+    if (!existing) {
+      script.src = src;
+      script.async = true;
+      document.head.appendChild(script);
+    }
+  });
+}
+
+export function loadLeaflet(): Promise<void> {
+  if (!leafletPromise) {
+    // markercluster extends L, so it has to load after Leaflet
+    leafletPromise = loadScript(CONFIG.LIBRARIES.LEAFLET_JS)
+      .then(() => loadScript(CONFIG.LIBRARIES.MARKERCLUSTER_JS))
+      .catch((error) => {
+        leafletPromise = null;
+        throw error;
+      });
+  }
+
+  return leafletPromise;
+}
@@ -0,0 +1,84 @@
+/**
+ * Normalized Polisen data for the API routes and server-rendered pages.
+ */
+
+import { cache } from "react";
+import { CONFIG, PoliceEvent, PoliceStation } from "@core/index.js";
+import type { ApiEvent, ApiStation } from "./schema";
+import { UpstreamError, fetchUpstreamJson } from "./upstream";
+
+/** Query parameters passed through to the Polisen events API */
+export const EVENT_QUERY_PARAMS = ["DateTime", "locationname", "type"] as const;
+
+export type EventQuery = Partial<Record<(typeof EVENT_QUERY_PARAMS)[number], string>>;
+
+export interface LoadedData<T> {
+  items: T[];
+  source: string;
+  lastModified: Date | null;
+}
+
+export function buildEventsUrl(query: EventQuery = {}): string {
+  const url = new URL(CONFIG.API.EVENTS);
+  for (const name of EVENT_QUERY_PARAMS) {
+    const value = query[name];
+    if (value) url.searchParams.set(name, value);
+  }
+  return url.toString();
+}
+
+/**
+ * Police events with valid coordinates, newest first
+ */
+export async function loadEvents(query: EventQuery = {}): Promise<LoadedData<ApiEvent>> {
+  const source = buildEventsUrl(query);
+  const { body, lastModified } = await fetchUpstreamJson(source);
+
+  if (!Array.isArray(body)) {
+    throw new UpstreamError("Ogiltig data från Polisen API");
+  }
+
+  const items = body
+    .map((raw) => new PoliceEvent(raw))
+    .filter((event) => event.isValidEvent())
+    .map((event) => event.toJSON() as ApiEvent)
+    .sort((a, b) => b.timeMs - a.timeMs);
+
+  return { items, source, lastModified };
+}
+
+/**
+ * Police stations with valid coordinates
+ */
+export async function loadStations(): Promise<LoadedData<ApiStation>> {
+  const source = CONFIG.API.STATIONS;
+  const { body, lastModified } = await fetchUpstreamJson(source);
+
+  if (!Array.isArray(body)) {
+    throw new UpstreamError("Ogiltig data från Polisen API");
+  }
+
+  const items = body
+    .map((raw) => new PoliceStation(raw))
+    .filter((station) => station.isValidStation())
+    .map((station) => station.toJSON() as ApiStation);
+
+  return { items, source, lastModified };
+}
+
+/**
+ * One event by id or fingerprint. Events that have left the current feed are
+ * looked up among the events of `date` (YYYY-MM-DD, the event's day, as in
+ * the links from UrlState.getEventPageUrl); null when neither has it. Cached
+ * per request so metadata and page share the lookup.
+ */
+export const loadEvent = cache(async (id: string, date: string | null = null): Promise<ApiEvent | null> => {
+  const find = (items: ApiEvent[]) => items.find((event) => event.id === id || event.fingerprint === id) ?? null;
+
+  const event = find((await loadEvents()).items);
+  if (event || !date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return event;
+  }
+
+  return find((await loadEvents({ DateTime: date })).items);
+});
@@ -0,0 +1,91 @@
+/**
+ * Conditional JSON responses (ETag / Last-Modified) for the API routes.
+ */
+
+import { createHash } from "node:crypto";
+import { NextResponse } from "next/server";
+import type { ErrorResponse } from "./schema";
+import { UpstreamError } from "./upstream";
+
+const CACHE_CONTROL = "public, max-age=60, stale-while-revalidate=300";
+
+function createEtag(body: string): string {
+  return `"${createHash("sha1").update(body).digest("base64url")}"`;
+}
+
+function matchesEtag(ifNoneMatch: string, etag: string): boolean {
+  if (ifNoneMatch.trim() === "*") return true;
+
+  // Weak comparison: W/"x" matches "x"
+  return ifNoneMatch
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .includes(etag);
+}
+
+function isNotModifiedSince(ifModifiedSince: string, lastModified: Date): boolean {
+  const since = new Date(ifModifiedSince).getTime();
+
+  // HTTP dates have second precision
+  return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+/**
+ * Serialize `payload` and answer 304 when the client already has it.
+ * If-None-Match takes precedence over If-Modified-Since (RFC 9110).
+ */
+export function cachedJson(request: Request, payload: unknown, lastModified: Date | null = null): NextResponse {
+  const body = JSON.stringify(payload);
+  const etag = createEtag(body);
+
+  const headers = new Headers({
+    "Cache-Control": CACHE_CONTROL,
+    ETag: etag,
+  });
+  if (lastModified) {
+    headers.set("Last-Modified", lastModified.toUTCString());
+  }
+
+  const ifNoneMatch = request.headers.get("if-none-match");
+  const ifModifiedSince = request.headers.get("if-modified-since");
+
+  const notModified = ifNoneMatch
+    ? matchesEtag(ifNoneMatch, etag)
+    : Boolean(ifModifiedSince && lastModified && isNotModifiedSince(ifModifiedSince, lastModified));
+
+  if (notModified) {
+    return new NextResponse(null, { status: 304, headers });
+  }
+
+  headers.set("Content-Type", "application/json; charset=utf-8");
+  return new NextResponse(body, { status: 200, headers });
+}
+
+/**
+ * JSON error response for a failed upstream request or unexpected error
+ */
+export function errorJson(error: unknown): NextResponse<ErrorResponse> {
+  const status = error instanceof UpstreamError ? error.status : 500;
+  const message = error instanceof UpstreamError ? error.message : "Internt serverfel";
+
+  if (!(error instanceof UpstreamError)) {
+    console.error("API route failed:", error);
+  }
+
+  return NextResponse.json({ error: { status, message } }, { status, headers: { "Cache-Control": "no-store" } });
+}
+
+/**
+ * Newest of the given timestamps, for Last-Modified when upstream has none
+ */
+export function newestDate(timestamps: Array<number | null | undefined>): Date | null {
+  const newest = Math.max(...timestamps.filter((time): time is number => Number.isFinite(time)));
+  return Number.isFinite(newest) ? new Date(newest) : null;
+}
+
+/**
+ * JSON error response with the given status, e.g. for an invalid request
+ */
+export function messageJson(status: number, message: string): NextResponse<ErrorResponse> {
+  return NextResponse.json({ error: { status, message } }, { status, headers: { "Cache-Control": "no-store" } });
+}
@@ -0,0 +1,12 @@
+/**
+ * Swedish labels for API values shown on the Next.js pages.
+ */
+
+import type { Priority } from "./schema";
+
+export const PRIORITY_LABELS: Record<Priority, string> = {
+  critical: "Kritisk",
+  high: "Hög",
+  medium: "Medel",
+  low: "Låg",
+};
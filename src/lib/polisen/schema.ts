@@ -0,0 +1,110 @@
+/**
+ * JSON schema of the /api/events, /api/stations and /api/rss responses.
+ *
+ * Every response is an envelope with the schema version, the upstream source
+ * and the normalized items. Bump SCHEMA_VERSION on breaking changes.
+ */
+
+export const SCHEMA_VERSION = 1;
+
+export type Priority = "low" | "medium" | "high" | "critical";
+
+export interface ApiSeverity {
+  /** 1 (minor) to 5 (most serious) */
+  level: number;
+  priority: Priority;
+  /** Marker color, CSS hex */
+  color: string;
+  description: string;
+}
+
+/** A police event, as produced by `PoliceEvent#toJSON` */
+export interface ApiEvent {
+  /** Upstream id, or `ev_<hash>` of datetime, name and location */
+  id: string;
+  fingerprint: string;
+  /** Hash of the upstream fields shown, changes when the event is edited */
+  contentHash: string;
+  type: string;
+  title: string;
+  description: string;
+  url: string | null;
+  /** ISO 8601 */
+  timestamp: string;
+  timeMs: number;
+  /** Location name as given by Polisen: a kommun, a län or a place */
+  city: string;
+  address: string;
+  /** Kommun and its SCB code, null for county-wide events */
+  kommun: string | null;
+  kommunkod: string | null;
+  /** Län and its SCB code, null when the location couldn't be placed */
+  län: string | null;
+  länskod: string | null;
+  /** WGS84, offset up to ~500 m when the position is approximate */
+  lat: number;
+  lng: number;
+  exactLocation: boolean;
+  severityInfo: ApiSeverity;
+  keywords: string[];
+  /** Number of persons mentioned, "3+" for "flera personer" */
+  persons: string | null;
+  vehicles: string[] | null;
+  timeOfDay: "morgon" | "dag" | "kväll" | "natt";
+}
+
+/** A police station, as produced by `PoliceStation#toJSON` */
+export interface ApiStation {
+  id: string;
+  name: string;
+  lat: number;
+  lng: number;
+  address: string;
+  phone: string;
+  email: string;
+  website: string | null;
+  services: string[];
+  openingHours: string;
+}
+
+/** An item of the Polisen news feed, as produced by `RssFeed.parse` */
+export interface ApiRssItem {
+  /** `rss_<hash>` of the guid (Atom: id), else of the link or title and date */
+  id: string;
+  guid: string | null;
+  title: string;
+  link: string | null;
+  description: string;
+  categories: string[];
+  /** ISO 8601, null when the feed has no parseable date */
+  pubDate: string | null;
+  timeMs: number | null;
+  location: string;
+  source: string | null;
+}
+
+interface Envelope {
+  schemaVersion: typeof SCHEMA_VERSION;
+  /** Upstream URL(s) the data was fetched from */
+  source: string | string[];
+  count: number;
+}
+
+export interface EventsResponse extends Envelope {
+  events: ApiEvent[];
+}
+
+export interface StationsResponse extends Envelope {
+  stations: ApiStation[];
+}
+
+export interface RssResponse extends Envelope {
+  items: ApiRssItem[];
+}
+
+export interface ErrorResponse {
+  error: {
+    status: number;
+    message: string;
+  };
+}
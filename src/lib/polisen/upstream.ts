@@ -0,0 +1,66 @@
+/**
+ * Server-side fetching from polisen.se.
+ */
+
+const UPSTREAM_TIMEOUT_MS = 10_000;
+
+/** Seconds Next.js may reuse an upstream response before refetching */
+export const UPSTREAM_REVALIDATE_SECONDS = 60;
+
+export class UpstreamError extends Error {
+  constructor(
+    message: string,
+    public readonly status = 502,
+  ) {
+    super(message);
+    this.name = "UpstreamError";
+  }
+}
+
+export interface UpstreamResult<T> {
+  body: T;
+  /** Parsed Last-Modified header of the upstream response, if any */
+  lastModified: Date | null;
+}
+
+async function fetchUpstream(url: string, accept: string): Promise<Response> {
+  let response: Response;
+
+  try {
+    response = await fetch(url, {
+      headers: { Accept: accept, "User-Agent": "AktuellaBrott/1.0" },
+      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS),
+      next: { revalidate: UPSTREAM_REVALIDATE_SECONDS },
+    });
+  } catch (error) {
+    const reason = error instanceof Error ? error.message : String(error);
+    throw new UpstreamError(`Kunde inte nå ${url}: ${reason}`, 504);
+  }
+
+  if (!response.ok) {
+    throw new UpstreamError(`${url} svarade ${response.status} ${response.statusText}`);
+  }
+
+  return response;
+}
+
+function readLastModified(response: Response): Date | null {
+  const header = response.headers.get("last-modified");
+  const date = header ? new Date(header) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+export async function fetchUpstreamJson<T = unknown>(url: string): Promise<UpstreamResult<T>> {
+  const response = await fetchUpstream(url, "application/json");
+
+  try {
+    return { body: (await response.json()) as T, lastModified: readLastModified(response) };
+  } catch {
+    throw new UpstreamError(`Ogiltig JSON från ${url}`);
+  }
+}
+
+export async function fetchUpstreamText(url: string): Promise<UpstreamResult<string>> {
+  const response = await fetchUpstream(url, "application/rss+xml, application/xml, text/xml");
+  return { body: await response.text(), lastModified: readLastModified(response) };
+}
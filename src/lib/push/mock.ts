@@ -0,0 +1,131 @@
+/**
+ * A stand-in push service for trying the alerts locally, without a browser.
+ *
+ * createMockSubscription makes a subscription whose endpoint is
+ * /api/push/mock/<id> and keeps its private key, so the messages the poller
+ * sends there can be decrypted (RFC 8291, aes128gcm) and read back. Everything
+ * lives in memory and is gone when the server restarts.
+ */
+
+import { createDecipheriv, createECDH, hkdfSync, randomBytes, randomUUID } from "node:crypto";
+
+interface MockKeys {
+  /** The server's origin the endpoint was made for, the only host it may point at */
+  origin: string;
+  privateKey: Buffer;
+  publicKey: Buffer;
+  authSecret: Buffer;
+}
+
+export interface MockPushMessage {
+  subscriptionId: string;
+  receivedAt: string;
+  ttl: string | null;
+  /** The decrypted payload, parsed when it is JSON */
+  payload: unknown;
+}
+
+const MAX_MESSAGES = 100;
+
+const shared = globalThis as typeof globalThis & {
+  mockPush?: { keys: Map<string, MockKeys>; messages: MockPushMessage[] };
+};
+const mock = (shared.mockPush ??= { keys: new Map(), messages: [] });
+
+export function isMockEnabled(): boolean {
+  return process.env.NODE_ENV !== "production";
+}
+
+export function createMockSubscription(origin: string): { id: string; endpoint: string; keys: { p256dh: string; auth: string } } {
+  const ecdh = createECDH("prime256v1");
+  ecdh.generateKeys();
+
+  const id = randomUUID();
+  const keys: MockKeys = {
+    origin: new URL(origin).origin,
+    privateKey: ecdh.getPrivateKey(),
+    publicKey: ecdh.getPublicKey(),
+    authSecret: randomBytes(16),
+  };
+  mock.keys.set(id, keys);
+
+  return {
+    id,
+    endpoint: `${origin}/api/push/mock/${id}`,
+    keys: { p256dh: keys.publicKey.toString("base64url"), auth: keys.authSecret.toString("base64url") },
+  };
+}
+
+/**
+ * Whether the endpoint is one of this server's mock subscriptions, on the
+ * origin it was created for, so the poller never posts to another host
+ */
+export function isMockEndpoint(endpoint: string): boolean {
+  if (!isMockEnabled()) return false;
+
+  try {
+    const url = new URL(endpoint);
+    const id = url.pathname.match(/^\/api\/push\/mock\/([^/]+)$/)?.[1];
+    return id !== undefined && mock.keys.get(id)?.origin === url.origin;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decrypt and keep a message sent to a mock subscription; false when the
+ * subscription is unknown, as a real push service would answer 410
+ */
+export function receiveMockPush(subscriptionId: string, body: Buffer, ttl: string | null): boolean {
+  const keys = mock.keys.get(subscriptionId);
+  if (!keys) return false;
+
+  const text = decrypt(body, keys);
+  let payload: unknown = text;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    // Not JSON, keep the text
+  }
+
+  mock.messages = [{ subscriptionId, receivedAt: new Date().toISOString(), ttl, payload }, ...mock.messages]
+    .slice(0, MAX_MESSAGES);
+  return true;
+}
+
+export function getMockPushMessages(): MockPushMessage[] {
+  return mock.messages;
+}
+
+export function clearMockPushMessages(): void {
+  mock.messages = [];
+}
+
+/**
+ * Body: salt (16) | record size (4) | key id length (1) | sender public key
+ * | one encrypted record, whose plaintext ends with 0x02 and zero padding
+ */
+function decrypt(body: Buffer, { privateKey, publicKey, authSecret }: MockKeys): string {
+  const salt = body.subarray(0, 16);
+  const keyIdLength = body[20];
+  const senderKey = body.subarray(21, 21 + keyIdLength);
+  const record = body.subarray(21 + keyIdLength);
+
+  const ecdh = createECDH("prime256v1");
+  ecdh.setPrivateKey(privateKey);
+  const sharedSecret = ecdh.computeSecret(senderKey);
+
+  const derive = (ikm: Buffer, derivationSalt: Buffer, info: Buffer, length: number) =>
+    Buffer.from(hkdfSync("sha256", ikm, derivationSalt, info, length));
+
+  const keyInfo = Buffer.concat([Buffer.from("WebPush: info\0"), publicKey, senderKey]);
+  const ikm = derive(sharedSecret, authSecret, keyInfo, 32);
+  const contentKey = derive(ikm, salt, Buffer.from("Content-Encoding: aes128gcm\0"), 16);
+  const nonce = derive(ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12);
+
+  const decipher = createDecipheriv("aes-128-gcm", contentKey, nonce);
+  decipher.setAuthTag(record.subarray(-16));
+  const padded = Buffer.concat([decipher.update(record.subarray(0, -16)), decipher.final()]);
+
+  return padded.subarray(0, padded.lastIndexOf(2)).toString("utf8");
+}
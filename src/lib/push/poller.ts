@@ -0,0 +1,198 @@
+/**
+ * Watch zone alerts sent from the server as Web Push messages.
+ *
+ * Each poll loads the current Polisen events and runs every subscription's
+ * zones through WatchZones.check, the same matching, digest and "already
+ * announced" logic the browser uses, with the state kept per subscription.
+ * Severity comes from the default rules: custom rules (SeverityRules) stay in
+ * the browser, as their patterns are regular expressions the server would
+ * otherwise run for anyone who subscribes, so a zone's minimum severity can
+ * differ from what the user's map shows.
+ * Subscriptions the push service no longer knows (404/410), and stored ones
+ * whose endpoint isn't a known push service, are dropped.
+ */
+
+import webpush from "web-push";
+import { WatchZones } from "@core/index.js";
+import { loadEvents } from "@/lib/polisen/data";
+import { listSubscriptions, updateSubscriptions, type StoredSubscription, type WatchZoneState } from "./store";
+import { isPushServiceEndpoint } from "./subscriptions";
+import { getVapidDetails, type VapidDetails } from "./vapid";
+
+/** Seconds a push service keeps a message for an offline device */
+const PUSH_TTL_SECONDS = 60 * 60;
+const PUSH_TIMEOUT_MS = 10_000;
+
+/** Payload of a push message, shown by the service worker as is */
+export interface PushMessage {
+  title: string;
+  body: string;
+  tag: string;
+  /** Map URL to open, `/?event=<id>` for a single event */
+  url: string;
+  eventIds: string[];
+  /** Event time, ms */
+  timestamp?: number;
+}
+
+export interface PollResult {
+  subscriptions: number;
+  sent: number;
+  failed: number;
+  removed: number;
+}
+
+/**
+ * Encrypt and send one message. The request is built by web-push but sent
+ * with fetch, as web-push itself only speaks https and so can't reach the
+ * local mock push service. Throws for an endpoint outside the push services.
+ */
+export async function sendPush(
+  subscription: Pick<StoredSubscription, "endpoint" | "keys">,
+  message: PushMessage,
+  vapidDetails: VapidDetails,
+): Promise<Response> {
+  if (!isPushServiceEndpoint(subscription.endpoint)) {
+    throw new Error("Not a push service endpoint");
+  }
+
+  const request = webpush.generateRequestDetails(subscription, JSON.stringify(message), {
+    vapidDetails,
+    TTL: PUSH_TTL_SECONDS,
+    contentEncoding: "aes128gcm",
+  });
+
+  const headers = Object.fromEntries(
+    Object.entries(request.headers).map(([name, value]) => [name, String(value)]),
+  );
+
+  return fetch(request.endpoint, {
+    method: request.method,
+    headers,
+    body: request.body ? new Uint8Array(request.body) : null,
+    signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+  });
+}
+
+/** What a poll did for one subscription, to store afterwards */
+interface PolledSubscription {
+  /** The subscription as it was when the poll read it */
+  subscription: StoredSubscription;
+  state: WatchZoneState;
+  gone: boolean;
+}
+
+/**
+ * Send the notifications for events that arrived since the last poll. A
+ * message that fails to send is not retried; its event counts as announced.
+ *
+ * The pushes go out without holding the store, so subscribing isn't held up
+ * by a slow push service; the new states are merged in afterwards.
+ */
+export async function pollAndNotify({ now = Date.now() } = {}): Promise<PollResult> {
+  const vapidDetails = getVapidDetails();
+  if (!vapidDetails) {
+    throw new Error("Web Push is not configured: set VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT");
+  }
+
+  const { items: events } = await loadEvents();
+  const subscriptions = await listSubscriptions();
+  const result: PollResult = { subscriptions: subscriptions.length, sent: 0, failed: 0, removed: 0 };
+  const polled = new Map<string, PolledSubscription>();
+
+  for (const subscription of subscriptions) {
+    if (!isPushServiceEndpoint(subscription.endpoint)) {
+      polled.set(subscription.endpoint, { subscription, state: subscription.state, gone: true });
+      continue;
+    }
+
+    const { notifications, state } = WatchZones.check(subscription.zones, events, subscription.state, { now });
+    let gone = false;
+
+    for (const message of notifications as PushMessage[]) {
+      try {
+        const response = await sendPush(subscription, message, vapidDetails);
+        if (response.status === 404 || response.status === 410) {
+          gone = true;
+          break;
+        }
+        if (response.ok) {
+          result.sent++;
+        } else {
+          result.failed++;
+          console.warn(`Push to ${new URL(subscription.endpoint).host} failed: ${response.status}`);
+        }
+      } catch (error) {
+        result.failed++;
+        console.warn(`Push to ${new URL(subscription.endpoint).host} failed:`, error);
+      }
+    }
+
+    polled.set(subscription.endpoint, { subscription, state: state as WatchZoneState, gone });
+  }
+
+  return updateSubscriptions(async (current) => {
+    const kept = current.flatMap((stored) => {
+      const entry = polled.get(stored.endpoint);
+      if (!entry) return [stored];
+
+      // Subscribed again while the poll ran: keep it, with what the poll announced
+      const unchanged = stored.updatedAt === entry.subscription.updatedAt;
+      if (entry.gone && unchanged) {
+        result.removed++;
+        return [];
+      }
+
+      return [{ ...stored, state: unchanged ? entry.state : mergeState(stored, entry, now) }];
+    });
+
+    return { subscriptions: kept, result };
+  });
+}
+
+/**
+ * State of a subscription whose zones changed during a poll: the events
+ * announced either way, and for each zone the digest the poll left behind,
+ * or the stored one for zones the poll didn't see
+ */
+function mergeState(stored: StoredSubscription, { subscription, state }: PolledSubscription, now: number): WatchZoneState {
+  const polledZones = new Set(subscription.zones.map((zone) => zone.id));
+  const pick = <T>(key: "pending" | "digestSentAt") => Object.fromEntries(
+    stored.zones
+      .map((zone) => [zone.id, polledZones.has(zone.id) ? state[key][zone.id] : stored.state[key]?.[zone.id]])
+      .filter(([, value]) => value !== undefined),
+  ) as Record<string, T>;
+
+  return WatchZones.prune({
+    notified: { ...stored.state.notified, ...state.notified },
+    pending: pick<unknown[]>("pending"),
+    digestSentAt: pick<number>("digestSentAt"),
+  }, stored.zones, now) as WatchZoneState;
+}
+
+/**
+ * Poll every `intervalMs` for as long as the server runs, for deployments
+ * with a long-running Node.js server; see src/instrumentation.ts
+ */
+export function startPushPoller(intervalMs: number): void {
+  let running = false;
+
+  const poll = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const result = await pollAndNotify();
+      if (result.sent > 0 || result.failed > 0 || result.removed > 0) {
+        console.log(`Push poll: ${result.sent} sent, ${result.failed} failed, ${result.removed} subscriptions removed`);
+      }
+    } catch (error) {
+      console.error("Push poll failed:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log(`Polling for watch zone alerts every ${Math.round(intervalMs / 1000)} s`);
+  setInterval(poll, intervalMs);
+}
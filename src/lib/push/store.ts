@@ -0,0 +1,173 @@
+/**
+ * Push subscriptions with their watch zones, kept in a JSON file.
+ *
+ * The file is PUSH_STORE_PATH, by default `.data/push-subscriptions.json` in
+ * the working directory. Updates are serialized within the process and
+ * written through a temporary file, so a crash never leaves half a file.
+ * That suits a single server; several instances need a shared database.
+ */
+
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+/** A watch zone as stored by the browser, see WatchZones in the core */
+export interface WatchZone {
+  id: string;
+  name: string;
+  locationCenter: { lat: number; lng: number } | null;
+  /** km */
+  locationRadius: number;
+  locationAreas: Array<{ id: string; name: string; geometry: { type: string; coordinates: unknown } }>;
+  types: string[];
+  /** 1-5 */
+  minSeverity: number;
+  digest: boolean;
+  createdAt: number;
+}
+
+/** What WatchZones.check remembers between polls */
+export interface WatchZoneState {
+  /** Announced event ids and when */
+  notified: Record<string, number>;
+  /** Digest zones' matches not yet sent */
+  pending: Record<string, unknown[]>;
+  digestSentAt: Record<string, number>;
+}
+
+export interface StoredSubscription {
+  endpoint: string;
+  keys: { p256dh: string; auth: string };
+  zones: WatchZone[];
+  state: WatchZoneState;
+  createdAt: number;
+  updatedAt: number;
+}
+
+const STORE_VERSION = 1;
+
+/** Subscriptions kept at most, PUSH_MAX_SUBSCRIPTIONS */
+const DEFAULT_MAX_SUBSCRIPTIONS = 5000;
+
+/** Thrown when a new subscription would exceed the maximum */
+export class StoreFullError extends Error {
+  constructor() {
+    super("Push subscription store is full");
+    this.name = "StoreFullError";
+  }
+}
+
+interface StoreFile {
+  version: typeof STORE_VERSION;
+  subscriptions: StoredSubscription[];
+}
+
+// One queue per process, also when several route bundles load this module
+const shared = globalThis as typeof globalThis & { pushStoreQueue?: Promise<unknown> };
+
+function getMaxSubscriptions(): number {
+  const max = Number(process.env.PUSH_MAX_SUBSCRIPTIONS);
+  return Number.isInteger(max) && max > 0 ? max : DEFAULT_MAX_SUBSCRIPTIONS;
+}
+
+function getStorePath(): string {
+  return process.env.PUSH_STORE_PATH ?? path.join(process.cwd(), ".data", "push-subscriptions.json");
+}
+
+async function readStore(): Promise<StoredSubscription[]> {
+  try {
+    const file = JSON.parse(await readFile(getStorePath(), "utf8")) as StoreFile;
+    return Array.isArray(file.subscriptions) ? file.subscriptions : [];
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function writeStore(subscriptions: StoredSubscription[]): Promise<void> {
+  const storePath = getStorePath();
+  const temporaryPath = `${storePath}.${process.pid}.tmp`;
+  const file: StoreFile = { version: STORE_VERSION, subscriptions };
+
+  await mkdir(path.dirname(storePath), { recursive: true });
+  await writeFile(temporaryPath, JSON.stringify(file), "utf8");
+  await rename(temporaryPath, storePath);
+}
+
+/**
+ * Read, change and write the subscriptions as one step. `update` returns the
+ * subscriptions to keep and a result for the caller; returning the list it
+ * was given leaves the file as it is.
+ */
+export function updateSubscriptions<T>(
+  update: (subscriptions: StoredSubscription[]) => Promise<{ subscriptions: StoredSubscription[]; result: T }>,
+): Promise<T> {
+  const run = async () => {
+    const stored = await readStore();
+    const { subscriptions, result } = await update(stored);
+    if (subscriptions !== stored) {
+      await writeStore(subscriptions);
+    }
+    return result;
+  };
+
+  const next = (shared.pushStoreQueue ?? Promise.resolve()).then(run, run);
+  shared.pushStoreQueue = next.catch(() => undefined);
+  return next;
+}
+
+function isUnchanged(previous: StoredSubscription, next: StoredSubscription): boolean {
+  return previous.endpoint === next.endpoint
+    && previous.keys.p256dh === next.keys.p256dh
+    && previous.keys.auth === next.keys.auth
+    && JSON.stringify(previous.zones) === JSON.stringify(next.zones);
+}
+
+/**
+ * The stored subscriptions, read in turn with the updates
+ */
+export function listSubscriptions(): Promise<StoredSubscription[]> {
+  return updateSubscriptions(async (subscriptions) => ({ subscriptions, result: subscriptions }));
+}
+
+/**
+ * Add a subscription, or replace the one with the same endpoint. `build` gets
+ * the stored one, if any, to carry its state over; `replaces` drops the
+ * endpoint a renewed subscription takes over from. Sending the same
+ * subscription and zones again doesn't write the file. Throws StoreFullError
+ * when a new subscription would exceed PUSH_MAX_SUBSCRIPTIONS.
+ */
+export function saveSubscription(
+  endpoint: string,
+  build: (previous: StoredSubscription | null) => StoredSubscription,
+  replaces: string | null = null,
+): Promise<StoredSubscription> {
+  return updateSubscriptions(async (subscriptions) => {
+    const previous = subscriptions.find((item) => item.endpoint === endpoint)
+      ?? subscriptions.find((item) => item.endpoint === replaces)
+      ?? null;
+    const subscription = build(previous);
+    const replaced = replaces !== null && subscriptions.some((item) => item.endpoint === replaces);
+    if (previous && !replaced && isUnchanged(previous, subscription)) {
+      return { subscriptions, result: previous };
+    }
+    if (!previous && subscriptions.length >= getMaxSubscriptions()) {
+      throw new StoreFullError();
+    }
+
+    const others = subscriptions.filter((item) => item.endpoint !== endpoint && item.endpoint !== replaces);
+
+    return { subscriptions: [...others, subscription], result: subscription };
+  });
+}
+
+/**
+ * Remove a subscription; false when there was none with that endpoint
+ */
+export function removeSubscription(endpoint: string): Promise<boolean> {
+  return updateSubscriptions(async (subscriptions) => {
+    const remaining = subscriptions.filter((item) => item.endpoint !== endpoint);
+    return { subscriptions: remaining, result: remaining.length !== subscriptions.length };
+  });
+}
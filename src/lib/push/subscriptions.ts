@@ -0,0 +1,127 @@
+/**
+ * Validating and storing push subscriptions sent by the browsers.
+ */
+
+import { WatchZones } from "@core/index.js";
+import { loadEvents } from "@/lib/polisen/data";
+import { isMockEndpoint } from "./mock";
+import { saveSubscription, type StoredSubscription, type WatchZone, type WatchZoneState } from "./store";
+
+export const MAX_ZONES = 20;
+
+/**
+ * Hosts of the browsers' push services (Chrome, Firefox, Safari, Edge) and
+ * their subdomains. The poller sends to the stored endpoints, so anything
+ * else would let a client make the server request URLs of its choosing.
+ */
+export const PUSH_SERVICE_HOSTS = [
+  "fcm.googleapis.com",
+  "push.services.mozilla.com",
+  "push.apple.com",
+  "notify.windows.com",
+];
+
+/** Thrown for an invalid request body; the message is meant for the client */
+export class SubscriptionError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "SubscriptionError";
+  }
+}
+
+/**
+ * Whether pushes may be sent to the endpoint: https on the default port of a
+ * known push service, or one of the mock service's endpoints in development
+ */
+export function isPushServiceEndpoint(endpoint: string): boolean {
+  if (isMockEndpoint(endpoint)) return true;
+
+  let url: URL;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+
+  return url.protocol === "https:" && url.port === "" && !url.username && !url.password
+    && PUSH_SERVICE_HOSTS.some((host) => url.hostname === host || url.hostname.endsWith(`.${host}`));
+}
+
+/**
+ * The endpoint and keys of a PushSubscription (its toJSON()), whose endpoint
+ * must belong to a known push service
+ */
+export function parseSubscription(value: unknown): Pick<StoredSubscription, "endpoint" | "keys"> {
+  const subscription = value as { endpoint?: unknown; keys?: { p256dh?: unknown; auth?: unknown } } | null;
+  const endpoint = typeof subscription?.endpoint === "string" ? subscription.endpoint : "";
+  const { p256dh, auth } = subscription?.keys ?? {};
+
+  if (!URL.canParse(endpoint)) {
+    throw new SubscriptionError("subscription.endpoint måste vara en URL");
+  }
+  if (!isPushServiceEndpoint(endpoint)) {
+    throw new SubscriptionError("subscription.endpoint måste höra till en känd push-tjänst");
+  }
+  if (typeof p256dh !== "string" || typeof auth !== "string" || !p256dh || !auth) {
+    throw new SubscriptionError("subscription.keys måste innehålla p256dh och auth");
+  }
+
+  return { endpoint, keys: { p256dh, auth } };
+}
+
+/**
+ * Watch zones as built by WatchZones.create, which also checks them
+ */
+export function parseZones(value: unknown): WatchZone[] {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new SubscriptionError("zones måste vara en lista med minst en bevakning");
+  }
+  if (value.length > MAX_ZONES) {
+    throw new SubscriptionError(`Högst ${MAX_ZONES} bevakningar per prenumeration`);
+  }
+
+  return value.map((zone) => {
+    try {
+      return WatchZones.create(zone) as WatchZone;
+    } catch (error) {
+      throw new SubscriptionError(error instanceof Error ? error.message : String(error));
+    }
+  });
+}
+
+/**
+ * Store a subscription with its zones. Zones that are new to the subscription
+ * start out with the current events marked as announced, unless `seed` is
+ * false, so subscribing doesn't send what the user has already seen.
+ */
+export async function subscribe(
+  subscription: Pick<StoredSubscription, "endpoint" | "keys">,
+  zones: WatchZone[],
+  { replaces = null, seed = true }: { replaces?: string | null; seed?: boolean } = {},
+): Promise<StoredSubscription> {
+  let events: unknown[] = [];
+  if (seed) {
+    try {
+      events = (await loadEvents()).items;
+    } catch (error) {
+      console.warn("Could not load events to seed a push subscription:", error);
+    }
+  }
+
+  const now = Date.now();
+
+  return saveSubscription(subscription.endpoint, (previous) => {
+    const known = new Set(previous?.zones.map((zone) => zone.id));
+    const state = zones
+      .filter((zone) => !known.has(zone.id))
+      .reduce((current, zone) => WatchZones.seed(current, zone, events, { now }), previous?.state ?? WatchZones.createState());
+
+    return {
+      ...subscription,
+      zones,
+      state: state as WatchZoneState,
+      createdAt: previous?.createdAt ?? now,
+      updatedAt: now,
+    };
+  }, replaces);
+}
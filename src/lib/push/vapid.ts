@@ -0,0 +1,26 @@
+/**
+ * VAPID keys that identify this server to the browsers' push services.
+ *
+ * Set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (`npx web-push generate-vapid-keys`)
+ * and VAPID_SUBJECT, a mailto: address or https: URL push services can use to
+ * reach the operator; NEXT_PUBLIC_SITE_URL is used when it's not set. Push is
+ * off while any of them is missing.
+ */
+
+export interface VapidDetails {
+  subject: string;
+  publicKey: string;
+  privateKey: string;
+}
+
+export function getVapidDetails(): VapidDetails | null {
+  const publicKey = process.env.VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  const subject = process.env.VAPID_SUBJECT ?? process.env.NEXT_PUBLIC_SITE_URL;
+
+  if (!publicKey || !privateKey || !subject) {
+    return null;
+  }
+
+  return { subject, publicKey, privateKey };
+}
@@ -0,0 +1,64 @@
+/**
+ * Static map tiles around a point, for previews that render without Leaflet.
+ */
+
+import { CONFIG } from "@core/index.js";
+
+const TILE_SIZE = 256;
+const SUBDOMAINS = ["a", "b", "c"];
+
+export interface StaticMapTile {
+  url: string;
+  /** Position within the tile grid, px */
+  left: number;
+  top: number;
+}
+
+export interface StaticMap {
+  tiles: StaticMapTile[];
+  /** Width and height of the tile grid, px */
+  size: number;
+  /** Position of the point within the tile grid, px */
+  pointX: number;
+  pointY: number;
+}
+
+/**
+ * Web Mercator tile grid of `(2 * radius + 1)²` tiles centered on the tile
+ * that contains the point
+ */
+export function buildStaticMap(lat: number, lng: number, zoom: number, radius = 1): StaticMap {
+  const scale = 2 ** zoom;
+  const latRad = (lat * Math.PI) / 180;
+  const x = ((lng + 180) / 360) * scale;
+  const y = ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale;
+
+  const centerX = Math.floor(x);
+  const centerY = Math.floor(y);
+  const tiles: StaticMapTile[] = [];
+
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const tileX = centerX + dx;
+      const tileY = centerY + dy;
+      if (tileY < 0 || tileY >= scale) continue;
+
+      const wrappedX = ((tileX % scale) + scale) % scale;
+      tiles.push({
+        url: CONFIG.MAP.TILE_URL.replace("{s}", SUBDOMAINS[(wrappedX + tileY) % SUBDOMAINS.length])
+          .replace("{z}", String(zoom))
+          .replace("{x}", String(wrappedX))
+          .replace("{y}", String(tileY)),
+        left: (dx + radius) * TILE_SIZE,
+        top: (dy + radius) * TILE_SIZE,
+      });
+    }
+  }
+
+  return {
+    tiles,
+    size: (2 * radius + 1) * TILE_SIZE,
+    pointX: (x - centerX + radius) * TILE_SIZE,
+    pointY: (y - centerY + radius) * TILE_SIZE,
+  };
+}
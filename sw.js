@@ -1,9 +1,19 @@
 // Professional Service Worker for Police Events Map
 // Provides offline functionality, caching, and performance optimization
-
-'use strict';
-
-const CACHE_NAME = 'police-events-professional-v2.0';
+// Registered as a module worker, so it can use the shared core
+
+import {
+  CONFIG,
+  CrimeSeveritySystem,
+  DataStorage,
+  EventPipeline,
+  PoliceEvent,
+  SeverityRules,
+  Utils,
+  WatchZones
+} from './js/core/index.js';
+
+const CACHE_NAME = 'police-events-professional-v3.0';
 const DATA_CACHE_NAME = 'police-events-data-v2.0';
 
 // Static assets to cache
@@ -12,8 +22,42 @@ const STATIC_ASSETS = [
   '/index.html',
   '/offline.html',
   '/js/app.js',
+  '/js/core/index.js',
+  '/js/core/config.js',
+  '/js/core/utils.js',
+  '/js/core/severity-rules.js',
+  '/js/core/severity.js',
+  '/js/core/event-identity.js',
+  '/js/core/gazetteer-data.js',
+  '/js/core/gazetteer.js',
+  '/js/core/police-event.js',
+  '/js/core/police-station.js',
+  '/js/core/event-query.js',
+  '/js/core/geometry.js',
+  '/js/core/overlay-import.js',
+  '/js/core/area-drawing.js',
+  '/js/core/event-export.js',
+  '/js/core/schema-migrations.js',
+  '/js/core/data-storage.js',
+  '/js/core/filters.js',
+  '/js/core/spatial-index.js',
+  '/js/core/event-pipeline.js',
+  '/js/core/watch-zones.js',
+  '/js/core/timeline-playback.js',
+  '/js/core/gif-encoder.js',
+  '/js/core/event-stats.js',
+  '/js/core/area-stats.js',
+  '/js/core/map-layers.js',
+  '/js/core/marker-registry.js',
+  '/js/core/playback-recorder.js',
+  '/js/core/url-state.js',
+  '/js/core/xml-parser.js',
+  '/js/core/rss-feed.js',
+  '/js/core/rss-matcher.js',
   '/js/enhanced-popup.js',
   '/js/data-sync-manager.js',
+  '/js/event-pipeline-client.js',
+  '/js/event-worker.js',
   'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
   'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
   'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
@@ -26,7 +70,9 @@ const STATIC_ASSETS = [
 // API endpoints that should use network-first strategy
 const API_ENDPOINTS = [
   'polisen.se/api/',
-  'allorigins.win/get'
+  '/api/events',
+  '/api/stations',
+  '/api/rss'
 ];
 
 // Cache duration for different types of content (in milliseconds)
@@ -106,13 +152,21 @@ function isApiRequest(url) {
   return API_ENDPOINTS.some(endpoint => url.includes(endpoint));
 }
 
+// Same-origin API routes, which the page falls back from to upstream when
+// they fail (they are missing when index.html is hosted statically)
+function isProxyRequest(url) {
+  const { origin, pathname } = new URL(url);
+  return origin === self.location.origin && Object.values(CONFIG.API.PROXY).includes(pathname);
+}
+
 // Network-first strategy for API data
 async function networkFirstStrategy(request) {
   const cacheName = DATA_CACHE_NAME;
+  let networkResponse = null;
 
   try {
     // Try network first
-    const networkResponse = await fetch(request);
+    networkResponse = await fetch(request);
 
     if (networkResponse && networkResponse.status === 200) {
       // Clone the response for caching
@@ -164,6 +218,11 @@ async function networkFirstStrategy(request) {
       return response;
     }
 
+    // Let the page see why an API route failed, so it can fall back to upstream
+    if (networkResponse && isProxyRequest(request.url)) {
+      return networkResponse;
+    }
+
     // No cache available, return offline fallback
     return createOfflineFallback(request);
   }
@@ -248,10 +307,20 @@ async function cacheFirstStrategy(request) {
 }
 
 // Create appropriate offline fallback responses
-function createOfflineFallback(request) {
-  const url = new URL(request.url);
+async function createOfflineFallback(request) {
+  // API routes fail, so the page tries upstream instead of showing nothing
+  if (isProxyRequest(request.url)) {
+    return new Response(JSON.stringify({ error: 'Offline' }), {
+      status: 503,
+      statusText: 'Service Unavailable (Offline)',
+      headers: {
+        'Content-Type': 'application/json',
+        'sw-cache-status': 'offline-fallback'
+      }
+    });
+  }
 
-  // For API requests, return empty but valid JSON
+  // For other API requests, return empty but valid JSON
   if (isApiRequest(request.url)) {
     return new Response(JSON.stringify([]), {
       status: 200,
@@ -481,6 +550,7 @@ if ('sync' in self.registration) {
       case 'background-sync-police-data':
         event.waitUntil(
           syncPoliceData()
+            .then(() => checkWatchZones())
             .then(() => {
               console.log('[ServiceWorker] Background sync completed successfully');
               // Notify main app that new data is available
@@ -514,32 +584,32 @@ if ('sync' in self.registration) {
 }
 
 async function syncPoliceData() {
-  // Attempt to fetch fresh police data when back online
+  // Attempt to fetch fresh police data when back online, from the API routes
+  // or, where there are none, from upstream
   const apiUrls = [
-    'https://polisen.se/api/events',
-    'https://polisen.se/api/policestations'
+    [CONFIG.API.PROXY.EVENTS, CONFIG.API.EVENTS],
+    [CONFIG.API.PROXY.STATIONS, CONFIG.API.STATIONS]
   ];
 
   const cache = await caches.open(DATA_CACHE_NAME);
 
-  for (const url of apiUrls) {
+  for (const [proxyUrl, upstreamUrl] of apiUrls) {
     try {
-      const response = await fetch(url);
-      if (response.ok) {
-        const responseWithTimestamp = new Response(response.body, {
-          status: response.status,
-          statusText: response.statusText,
-          headers: {
-            ...Object.fromEntries(response.headers),
-            'sw-cache-timestamp': Date.now().toString()
-          }
-        });
+      const response = await Utils.fetchWithFallback(proxyUrl, upstreamUrl);
+      const responseWithTimestamp = new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: {
+          ...Object.fromEntries(response.headers),
+          'sw-cache-timestamp': Date.now().toString()
+        }
+      });
 
-        await cache.put(url, responseWithTimestamp);
-        console.log(`[ServiceWorker] Synced ${url}`);
-      }
+      // Under the URL that answered, where the page's requests find it
+      await cache.put(response.url || upstreamUrl, responseWithTimestamp);
+      console.log(`[ServiceWorker] Synced ${response.url || upstreamUrl}`);
     } catch (error) {
-      console.warn(`[ServiceWorker] Failed to sync ${url}:`, error);
+      console.warn(`[ServiceWorker] Failed to sync ${proxyUrl}:`, error);
     }
   }
 }
@@ -594,6 +664,9 @@ async function performIntelligentSync() {
     // Sync in priority order
     await syncPoliceData();
 
+    // Announce new events in the user's watch zones
+    await checkWatchZones();
+
     // Clear old data to manage storage
     await cleanupExpiredCaches();
 
@@ -604,6 +677,138 @@ async function performIntelligentSync() {
   }
 }
 
+// Periodic background sync, registered by the page while there are watch zones
+self.addEventListener('periodicsync', event => {
+  if (event.tag === WatchZones.SYNC_TAG) {
+    event.waitUntil(
+      performIntelligentSync().catch(error => {
+        console.error('[ServiceWorker] Watch zone sync failed:', error);
+      })
+    );
+  }
+});
+
+// Notify about new events in the watch zones while no page is open; an
+// open page checks its own syncs, and with a push subscription the server
+// sends the alerts. Uses the events syncPoliceData cached.
+async function checkWatchZones() {
+  const zones = await DataStorage.getSetting(WatchZones.SETTINGS_KEY, []);
+  if (zones.length === 0 || Notification.permission !== 'granted') {
+    return;
+  }
+
+  if (await self.registration.pushManager.getSubscription()) {
+    return;
+  }
+
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.length > 0) {
+    return;
+  }
+
+  const cache = await caches.open(DATA_CACHE_NAME);
+  const response = await cache.match(CONFIG.API.PROXY.EVENTS) || await cache.match(CONFIG.API.EVENTS);
+  if (!response) {
+    return;
+  }
+
+  // Classify with the user's own severity rules, as the page does
+  const ruleSet = SeverityRules.migrate(await DataStorage.getSetting(SeverityRules.SETTINGS_KEY));
+  if (ruleSet) {
+    CrimeSeveritySystem.setRuleSet(ruleSet);
+  }
+
+  let records = [];
+  try {
+    records = EventPipeline.parse(await response.text());
+  } catch (error) {
+    console.warn('[ServiceWorker] Cached events are not readable:', error.message);
+  }
+  const events = records.map(record => PoliceEvent.fromRecord(record));
+
+  const state = await DataStorage.getSetting(WatchZones.STATE_KEY);
+  const result = WatchZones.check(zones, events, state);
+  await DataStorage.saveSetting(WatchZones.STATE_KEY, result.state);
+
+  await Promise.all(result.notifications.map(notification =>
+    self.registration.showNotification(notification.title, WatchZones.getNotificationOptions(notification))
+  ));
+  console.log(`[ServiceWorker] Watch zones: ${result.notifications.length} notifications`);
+}
+
+// Watch zone alerts pushed by the server (src/app/api/push)
+self.addEventListener('push', event => {
+  let notification = null;
+  try {
+    notification = event.data?.json();
+  } catch (error) {
+    console.warn('[ServiceWorker] Ignoring push message that is not JSON:', error);
+  }
+
+  if (!notification?.title) {
+    return;
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(notification.title, WatchZones.getNotificationOptions(notification))
+  );
+});
+
+// The push service replaced the subscription; hand the new one to the server
+self.addEventListener('pushsubscriptionchange', event => {
+  event.waitUntil(
+    renewPushSubscription(event.oldSubscription, event.newSubscription).catch(error => {
+      console.error('[ServiceWorker] Failed to renew push subscription:', error);
+    })
+  );
+});
+
+async function renewPushSubscription(oldSubscription, newSubscription) {
+  const zones = await DataStorage.getSetting(WatchZones.SETTINGS_KEY, []);
+  const subscription = newSubscription ||
+    (oldSubscription && await self.registration.pushManager.subscribe(oldSubscription.options));
+
+  if (!subscription || zones.length === 0) {
+    return;
+  }
+
+  const response = await fetch(CONFIG.API.PROXY.PUSH, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ subscription: subscription.toJSON(), zones, replaces: oldSubscription?.endpoint || null })
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+// Open the map, or bring an open one forward, at the notified event.
+// "Läs mer" opens the event's own page instead.
+self.addEventListener('notificationclick', event => {
+  const { url = '/', eventIds = [], timestamp } = event.notification.data || {};
+  event.notification.close();
+
+  if (event.action === 'details' && eventIds.length === 1) {
+    event.waitUntil(self.clients.openWindow(WatchZones.getEventPageUrl(eventIds[0], timestamp)));
+    return;
+  }
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const client = windows.find(candidate => new URL(candidate.url).origin === self.location.origin);
+
+      if (!client) {
+        return self.clients.openWindow(url);
+      }
+      if (eventIds.length === 1) {
+        client.postMessage({ type: 'SHOW_EVENT', payload: { eventId: eventIds[0] } });
+      }
+      return client.focus();
+    })
+  );
+});
+
 // Broadcast updates to all clients
 function broadcastUpdate(type, data = {}) {
   self.clients.matchAll().then(clients => {
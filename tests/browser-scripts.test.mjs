@@ -0,0 +1,41 @@
+/**
+ * The service worker and the page's scripts are loaded by the browser as
+ * modules and never bundled, so a syntax error only shows when the worker
+ * fails to install. Parse each one as a module. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { copyFileSync, mkdtempSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+
+const scripts = [
+  'sw.js',
+  ...readdirSync(join(root, 'js'), { recursive: true })
+    .filter(file => file.endsWith('.js'))
+    .map(file => join('js', file))
+];
+
+// `node --check` parses .js files in this package as CommonJS
+const checkModule = (file) => {
+  const dir = mkdtempSync(join(tmpdir(), 'parse-check-'));
+  try {
+    const copy = join(dir, 'script.mjs');
+    copyFileSync(join(root, file), copy);
+    return spawnSync(process.execPath, ['--check', copy], { encoding: 'utf8' });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+for (const file of scripts) {
+  test(`${file} parses as a module`, () => {
+    const { status, stderr } = checkModule(file);
+    assert.equal(status, 0, stderr);
+  });
+}
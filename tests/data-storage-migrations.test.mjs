@@ -0,0 +1,269 @@
+/**
+ * Upgrades of the IndexedDB schema, from the version 2 databases of the
+ * first static page to the current version. Run with `npm test`.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+
+import { DataStorage } from '../js/core/data-storage.js';
+import { SchemaMigrations } from '../js/core/schema-migrations.js';
+
+const DB_NAME = DataStorage.DB_NAME;
+const MIGRATIONS = DataStorage.MIGRATIONS;
+
+const legacyEvent = {
+  id: 'id_1700000000000_abc',
+  title: 'Stöld',
+  type: 'Stöld',
+  city: 'Malmö',
+  lat: 55.605,
+  lng: 13.0038,
+  timeMs: Date.parse('2023-11-14T22:13:20Z'),
+  rawData: { id: 381234 }
+};
+
+const stableEvent = {
+  id: '381300',
+  title: 'Brand',
+  type: 'Brand',
+  city: 'Kiruna',
+  lat: 67.8558,
+  lng: 20.2253,
+  timeMs: Date.parse('2023-11-15T08:00:00Z')
+};
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+  DataStorage.db?.close();
+  DataStorage.db = null;
+  DataStorage.MIGRATIONS = MIGRATIONS;
+});
+
+/**
+ * Create a database at `version` with `createSchema` and fill its stores
+ */
+function createDatabase(version, createSchema, records = {}) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, version);
+    request.onupgradeneeded = () => createSchema(request.result);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      const storeNames = Object.keys(records);
+      if (storeNames.length === 0) {
+        db.close();
+        resolve();
+        return;
+      }
+
+      const transaction = db.transaction(storeNames, 'readwrite');
+      storeNames.forEach(name => records[name].forEach(record => transaction.objectStore(name).put(record)));
+      transaction.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    };
+  });
+}
+
+// Schema of the first js/app.js
+function createAppSchemaV2(db) {
+  const eventsStore = db.createObjectStore('events', { keyPath: 'id' });
+  eventsStore.createIndex('timestamp', 'timeMs');
+  eventsStore.createIndex('type', 'type');
+  eventsStore.createIndex('city', 'city');
+  eventsStore.createIndex('severity', 'severityLevel');
+  eventsStore.createIndex('coordinates', ['lat', 'lng']);
+  eventsStore.createIndex('exactLocation', 'exactLocation');
+
+  const stationsStore = db.createObjectStore('stations', { keyPath: 'id' });
+  stationsStore.createIndex('name', 'name');
+  stationsStore.createIndex('coordinates', ['lat', 'lng']);
+
+  db.createObjectStore('settings', { keyPath: 'key' });
+}
+
+// Schema of the first index.html
+function createPageSchemaV2(db) {
+  const eventsStore = db.createObjectStore('events', { keyPath: 'id' });
+  eventsStore.createIndex('timestamp', 'timeMs');
+  eventsStore.createIndex('type', 'type');
+  eventsStore.createIndex('city', 'city');
+
+  db.createObjectStore('stations', { keyPath: 'id' });
+
+  const favoritesStore = db.createObjectStore('favorites', { keyPath: 'id' });
+  favoritesStore.createIndex('type', 'type');
+  favoritesStore.createIndex('timestamp', 'savedAt');
+
+  db.createObjectStore('settings', { keyPath: 'key' });
+}
+
+function getAll(storeName) {
+  return new Promise((resolve, reject) => {
+    const request = DataStorage.db.transaction(storeName).objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function indexNames(storeName) {
+  return [...DataStorage.db.transaction(storeName).objectStore(storeName).indexNames].sort();
+}
+
+test('upgrades a version 2 database from the first js/app.js', async () => {
+  await createDatabase(2, createAppSchemaV2, {
+    events: [legacyEvent, stableEvent],
+    stations: [{ id: 's1', name: 'Polisstation Malmö', lat: 55.6, lng: 13 }],
+    settings: [{ key: 'lastSync', value: 1700000000000 }]
+  });
+
+  await DataStorage.initialize();
+
+  assert.equal(DataStorage.db.version, DataStorage.DB_VERSION);
+  assert.deepEqual([...DataStorage.db.objectStoreNames].sort(), [
+    'eventAliases', 'events', 'favorites', 'overlays', 'rssItems', 'settings', 'stations'
+  ]);
+
+  // Stale indexes are gone, the current ones are there
+  assert.deepEqual(indexNames('events'), [
+    'city', 'fingerprint', 'kommun_time', 'lan_time', 'timestamp', 'type', 'type_time'
+  ]);
+  assert.deepEqual(indexNames('stations'), []);
+  assert.deepEqual(indexNames('favorites'), ['timestamp', 'type']);
+
+  // The legacy id is re-keyed to the upstream id and remembered as an alias
+  const events = await getAll('events');
+  assert.deepEqual(events.map(event => event.id).sort(), ['381234', '381300']);
+  assert.deepEqual(await getAll('eventAliases').then(aliases => aliases.map(({ legacyId, id }) => ({ legacyId, id }))), [
+    { legacyId: legacyEvent.id, id: '381234' }
+  ]);
+
+  // Every event got its kommun and län
+  const malmo = events.find(event => event.id === '381234');
+  assert.equal(malmo.kommunkod, '1280');
+  assert.equal(malmo.länskod, '12');
+  assert.ok(malmo.fingerprint);
+  assert.equal(events.find(event => event.id === '381300').kommun, 'Kiruna');
+
+  assert.deepEqual(await getAll('stations').then(stations => stations.map(station => station.id)), ['s1']);
+  assert.deepEqual(await getAll('settings'), [{ key: 'lastSync', value: 1700000000000 }]);
+});
+
+test('keeps favorites of a version 2 database from the first index.html', async () => {
+  await createDatabase(2, createPageSchemaV2, {
+    events: [legacyEvent],
+    favorites: [
+      { id: `event_${legacyEvent.id}`, type: 'event', savedAt: 1, data: { ...legacyEvent } },
+      { id: 'location_1', type: 'location', savedAt: 2, data: { name: 'Hemma', lat: 59.33, lng: 18.07 } }
+    ]
+  });
+
+  await DataStorage.initialize();
+
+  const favorites = await getAll('favorites');
+  assert.deepEqual(favorites.map(favorite => favorite.id).sort(), ['event_381234', 'location_1']);
+  assert.equal(favorites.find(favorite => favorite.type === 'event').data.id, '381234');
+  assert.equal(favorites.find(favorite => favorite.type === 'location').data.name, 'Hemma');
+});
+
+test('reports each step after the stored version, in order', async () => {
+  await createDatabase(2, createPageSchemaV2);
+
+  const progress = [];
+  await DataStorage.initialize({ onProgress: report => progress.push(report) });
+
+  const versions = MIGRATIONS.map(migration => migration.version).filter(version => version > 2);
+  assert.deepEqual(progress.map(report => report.version), versions);
+  assert.deepEqual(progress.map(report => report.step), versions.map((_, index) => index + 1));
+  assert.ok(progress.every(report => report.steps === versions.length && report.description));
+});
+
+test('creates the current schema in a new database', async () => {
+  const progress = [];
+  await DataStorage.initialize({ onProgress: report => progress.push(report.version) });
+
+  assert.deepEqual(progress, MIGRATIONS.map(migration => migration.version));
+  assert.deepEqual(indexNames('events'), [
+    'city', 'fingerprint', 'kommun_time', 'lan_time', 'timestamp', 'type', 'type_time'
+  ]);
+  assert.deepEqual(indexNames('rssItems'), ['savedAt', 'timestamp']);
+});
+
+test('does not run any step for a current database', async () => {
+  await DataStorage.initialize();
+  DataStorage.db.close();
+  DataStorage.db = null;
+
+  const progress = [];
+  await DataStorage.initialize({ onProgress: report => progress.push(report) });
+  assert.deepEqual(progress, []);
+});
+
+test('leaves the database at its old version when a step fails', async () => {
+  await createDatabase(2, createPageSchemaV2, { events: [stableEvent] });
+
+  DataStorage.MIGRATIONS = [
+    ...MIGRATIONS,
+    {
+      version: DataStorage.DB_VERSION + 1,
+      description: 'Fails',
+      upgrade: ({ transaction }) => SchemaMigrations.transformRecords(
+        transaction.objectStore('events'),
+        () => { throw new Error('Broken record'); }
+      )
+    }
+  ];
+  const dbVersion = DataStorage.DB_VERSION;
+  DataStorage.DB_VERSION = dbVersion + 1;
+
+  try {
+    await assert.rejects(DataStorage.initialize(), /Broken record/);
+  } finally {
+    DataStorage.DB_VERSION = dbVersion;
+  }
+
+  // Nothing from the aborted upgrade was kept
+  const stored = await new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME);
+    request.onsuccess = () => {
+      const { version, objectStoreNames } = request.result;
+      request.result.close();
+      resolve({ version, stores: [...objectStoreNames].sort() });
+    };
+    request.onerror = () => reject(request.error);
+  });
+  assert.deepEqual(stored, { version: 2, stores: ['events', 'favorites', 'settings', 'stations'] });
+});
+
+test('rejects duplicate and invalid versions', () => {
+  const upgrade = () => {};
+  assert.throws(() => SchemaMigrations.getSteps([{ version: 2, upgrade }, { version: 2, upgrade }], 0, 2), /Duplicate/);
+  assert.throws(() => SchemaMigrations.getSteps([{ version: 0, upgrade }], 0, 2), /Invalid/);
+  assert.throws(() => SchemaMigrations.getSteps([{ version: 1 }], 0, 2), /no upgrade/);
+});
+
+test('transforms records, reporting progress', async () => {
+  const events = Array.from({ length: 1200 }, (_, index) => ({ id: `e${index}`, n: index }));
+  await createDatabase(1, db => db.createObjectStore('events', { keyPath: 'id' }), { events });
+
+  const reports = [];
+  const changed = await new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 2);
+    request.onupgradeneeded = () => {
+      SchemaMigrations.transformRecords(
+        request.transaction.objectStore('events'),
+        record => record.n % 2 === 0 ? { ...record, even: true } : record.n % 3 === 0 ? null : undefined,
+        processed => reports.push(processed)
+      ).then(resolve, reject);
+    };
+    request.onsuccess = () => request.result.close();
+  });
+
+  assert.equal(changed, 600 + 200);
+  assert.deepEqual(reports, [500, 1000]);
+});
@@ -0,0 +1,73 @@
+/**
+ * CSV export as opened by Excel: encoding, quoting and formula escaping.
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventExport } from '../js/core/event-export.js';
+
+const event = {
+  id: '381234',
+  timeMs: Date.parse('2026-10-19T06:15:00Z'),
+  type: 'Stöld',
+  title: 'Stöld, Malmö',
+  description: 'Cykel stulen vid "Centralen", ingen gripen.',
+  severityInfo: { level: 2, description: 'Stöld' },
+  city: 'Malmö',
+  län: 'Skåne län',
+  länskod: '12',
+  lat: 55.605,
+  lng: 13.0038,
+  exactLocation: false,
+  url: '/aktuellt/handelser/2026/oktober/19/stold-malmo/'
+};
+
+const parseLines = (csv) => csv.slice(1).split('\r\n').filter(Boolean);
+
+test('starts with a byte order mark and ends lines with CRLF', () => {
+  const csv = EventExport.toCSV([event]);
+
+  assert.equal(csv.charCodeAt(0), 0xFEFF);
+  assert.ok(csv.endsWith('\r\n'));
+  assert.equal(parseLines(csv).length, 2);
+});
+
+test('splits the time into date, time and UTC offset columns', () => {
+  const [header, line] = parseLines(EventExport.toCSV([event]));
+
+  assert.ok(header.startsWith('id,date,time,utc_offset,type,title,description,'));
+  assert.ok(line.startsWith('381234,2026-10-19,08:15:00,+02:00,Stöld,"Stöld, Malmö",'));
+});
+
+test('quotes fields with delimiters, quotes and line breaks', () => {
+  assert.equal(EventExport.escapeCSV('Cykel vid "Centralen"', 'description'), '"Cykel vid ""Centralen"""');
+  assert.equal(EventExport.escapeCSV('rad ett\nrad två', 'description'), '"rad ett\nrad två"');
+  assert.equal(EventExport.escapeCSV('Malmö', 'city'), 'Malmö');
+  assert.equal(EventExport.escapeCSV(null, 'lat'), '');
+});
+
+test('escapes free text that Excel would run as a formula', () => {
+  for (const text of ['=HYPERLINK("http://example.com")', '+46', '-1', '@SUM(A1)', '\tflik']) {
+    const escaped = EventExport.escapeCSV(text, 'title');
+    assert.ok(/^"?'/.test(escaped), `${JSON.stringify(text)} -> ${escaped}`);
+  }
+
+  const [, line] = parseLines(EventExport.toCSV([{ ...event, title: '=1+1', city: '@Malmö' }]));
+  assert.match(line, /,'=1\+1,/);
+  assert.match(line, /,'@Malmö,/);
+});
+
+test('leaves numbers and ids as they are', () => {
+  assert.equal(EventExport.escapeCSV(-33.5, 'lat'), '-33.5');
+  assert.equal(EventExport.escapeCSV('-1', 'id'), '-1');
+});
+
+test('names the file after the export time in Swedish time', () => {
+  const { filename, mimeType } = EventExport.export([event], 'csv', { now: new Date('2026-10-19T21:30:00Z') });
+
+  assert.equal(filename, 'aktuella-brott-2026-10-19-2330.csv');
+  assert.equal(mimeType, 'text/csv;charset=utf-8');
+  assert.throws(() => EventExport.export([event], 'xlsx'), /Unknown export format/);
+});
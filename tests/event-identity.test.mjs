@@ -0,0 +1,45 @@
+/**
+ * Stable event ids, for raw Polisen events and for stored records that
+ * predate them. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventIdentity } from '../js/core/event-identity.js';
+import { PoliceEvent } from '../js/core/police-event.js';
+
+const raw = {
+  datetime: '2026-10-19 08:15:00 +02:00',
+  name: '19 oktober 08.15, Stöld, Malmö',
+  type: 'Stöld',
+  location: { name: 'Malmö', gps: '55.605,13.0038' }
+};
+
+test('uses the upstream id when there is one', () => {
+  assert.equal(EventIdentity.forEvent({ ...raw, id: 381234 }), '381234');
+  assert.equal(EventIdentity.forRecord({ rawData: { id: 381234 } }), '381234');
+});
+
+test('gives a stored record the id of the raw event it came from', () => {
+  const id = EventIdentity.forEvent(raw);
+
+  assert.ok(EventIdentity.isFingerprintId(id));
+  assert.equal(EventIdentity.forRecord(new PoliceEvent(raw).toJSON()), id);
+  assert.equal(EventIdentity.forRecord({ rawData: raw }), id);
+});
+
+test('folds records without a location name into the raw event id', () => {
+  const rawWithoutLocation = { ...raw, location: { gps: '55.605,13.0038' } };
+
+  assert.equal(
+    EventIdentity.forRecord(new PoliceEvent(rawWithoutLocation).toJSON()),
+    EventIdentity.forEvent(rawWithoutLocation)
+  );
+});
+
+test('prefers the raw location name over the record city', () => {
+  const record = { ...new PoliceEvent(raw).toJSON(), city: 'Skåne län', rawData: raw };
+
+  assert.equal(EventIdentity.forRecord(record), EventIdentity.forEvent(raw));
+});
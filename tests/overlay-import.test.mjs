@@ -0,0 +1,62 @@
+/**
+ * Overlay files from CSV, as written by Excel and GIS tools.
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OverlayImport } from '../js/core/overlay-import.js';
+
+const pointsOf = (geojson) => geojson.features.map(feature => feature.geometry.coordinates);
+
+test('reads points from latitude and longitude columns', () => {
+  const geojson = OverlayImport.parseCSV('namn,lat,lng\nMalmö C,55.6090,13.0001\n');
+
+  assert.deepEqual(pointsOf(geojson), [[13.0001, 55.609]]);
+  assert.deepEqual(geojson.features[0].properties, { namn: 'Malmö C' });
+});
+
+test('keeps delimiters, quotes and line breaks inside quoted fields', () => {
+  const text = 'name,latitude,longitude,note\r\n' +
+    '"Skola, Rosengård",55.5853,13.0421,"Entré vid ""Ramels väg""\r\nbaksidan"\r\n';
+  const [feature] = OverlayImport.parseCSV(text).features;
+
+  assert.deepEqual(feature.properties, {
+    name: 'Skola, Rosengård',
+    note: 'Entré vid "Ramels väg"\r\nbaksidan'
+  });
+  assert.deepEqual(feature.geometry.coordinates, [13.0421, 55.5853]);
+});
+
+test('accepts decimal commas with semicolons, as Swedish Excel writes them', () => {
+  const text = '\uFEFFNamn;Latitud;Longitud\nKamera 1;55,6050;13,0038\nKamera 2;"59,3293";"18,0686"\n';
+  const geojson = OverlayImport.parseCSV(text);
+
+  assert.deepEqual(pointsOf(geojson), [[13.0038, 55.605], [18.0686, 59.3293]]);
+  assert.deepEqual(geojson.features[0].properties, { Namn: 'Kamera 1' });
+});
+
+test('reads tab separated files', () => {
+  assert.deepEqual(pointsOf(OverlayImport.parseCSV('y\tx\n57.7089\t11.9746')), [[11.9746, 57.7089]]);
+});
+
+test('skips blank rows and rows without coordinates', () => {
+  const geojson = OverlayImport.parseCSV('lat,lng,namn\n55.6,13.0,A\n\n,,B\nokänd,13.1,C\n');
+
+  assert.deepEqual(geojson.features.map(feature => feature.properties.namn), ['A']);
+});
+
+test('rejects files without coordinate columns or in SWEREF 99', () => {
+  assert.throws(() => OverlayImport.parseCSV('namn,adress\nA,Storgatan 1'), /latitud och longitud/);
+  assert.throws(() => OverlayImport.parseCSV('y,x\n6165000,374000'), /inte WGS 84/);
+});
+
+test('picks the parser from the file extension', () => {
+  const result = OverlayImport.parse('lat;lng\n55,6;13,0', 'kameror.csv');
+
+  assert.equal(result.name, 'kameror');
+  assert.equal(result.featureCount, 1);
+  assert.throws(() => OverlayImport.parse('', 'kameror.xlsx'), /GeoJSON .* eller CSV/);
+  assert.throws(() => OverlayImport.parse('lat,lng\n', 'tom.csv'), /inga objekt/);
+});
@@ -0,0 +1,138 @@
+/**
+ * The severity rules engine: validation of user-edited rule sets and
+ * classification of events. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SeverityRules, DEFAULT_SEVERITY_RULES } from '../js/core/severity-rules.js';
+
+const compiledDefaults = SeverityRules.compile(DEFAULT_SEVERITY_RULES);
+
+const withRules = (changes) => SeverityRules.compile({ ...DEFAULT_SEVERITY_RULES, ...changes });
+
+// 2026-10-19 23:30 and 12:00 Swedish time (UTC+2)
+const NIGHT = Date.parse('2026-10-19T21:30:00Z');
+const NOON = Date.parse('2026-10-19T10:00:00Z');
+
+test('accepts the default rule set', () => {
+  assert.deepEqual(SeverityRules.validate(DEFAULT_SEVERITY_RULES), []);
+});
+
+test('rejects rule sets that are not objects', () => {
+  assert.deepEqual(SeverityRules.validate(null), ['Regeluppsättningen måste vara ett JSON-objekt']);
+  assert.deepEqual(SeverityRules.validate([]), ['Regeluppsättningen måste vara ett JSON-objekt']);
+});
+
+test('names the rule or modifier with the problem', () => {
+  const errors = SeverityRules.validate({
+    version: 1,
+    default: { level: 2 },
+    rules: [
+      { id: 'utan-match', level: 3 },
+      { id: 'fel-niva', match: { type: 'Stöld' }, level: 6 },
+      { id: 'fel-falt', match: { keywords: ['kniv'], fields: ['summary'] }, level: 3 },
+      { id: 'fel-regex', match: { pattern: '(' }, level: 3 }
+    ],
+    modifiers: [
+      { id: 'utan-effekt', match: { keywords: ['kniv'] } },
+      { id: 'fel-timmar', match: { keywords: ['kniv'] }, adjust: 1, hours: { from: 22, to: 24 } }
+    ],
+    overrides: { Stöld: { level: 0 } }
+  });
+
+  assert.deepEqual(errors.slice(0, 3), [
+    'rules[0] (utan-match): match saknas',
+    'rules[1] (fel-niva): level måste vara 1-5',
+    'rules[2] (fel-falt): fields får bara innehålla type, title, description'
+  ]);
+  assert.match(errors[3], /^rules\[3\] \(fel-regex\): ogiltigt reguljärt uttryck/);
+  assert.deepEqual(errors.slice(4), [
+    'modifiers[0] (utan-effekt): minLevel eller adjust krävs',
+    'modifiers[1] (fel-timmar): hours.from och hours.to måste vara 0-23',
+    'overrides["Stöld"]: level måste vara 1-5'
+  ]);
+});
+
+test('reports a wrong version, missing rules and a missing default level', () => {
+  assert.deepEqual(SeverityRules.validate({ version: 2 }), [
+    'version måste vara 1',
+    'rules måste vara en lista',
+    'default.level måste vara 1-5'
+  ]);
+});
+
+test('drops stored rule sets that do not validate', (t) => {
+  t.mock.method(console, 'warn', () => {});
+
+  assert.equal(SeverityRules.migrate({ version: 1, rules: 'alla' }), null);
+  assert.equal(SeverityRules.migrate(DEFAULT_SEVERITY_RULES), DEFAULT_SEVERITY_RULES);
+});
+
+test('classifies by the first matching rule', () => {
+  const result = SeverityRules.evaluate(compiledDefaults, { type: 'Misshandel', timeMs: NOON });
+
+  assert.equal(result.level, 4);
+  assert.equal(result.ruleId, 'misshandel');
+  assert.equal(result.description, 'Misshandel');
+  assert.deepEqual(result.modifiers, []);
+});
+
+test('matches compound types by keyword and bare types by name', () => {
+  assert.equal(SeverityRules.evaluate(compiledDefaults, 'Misshandel, grov').ruleId, 'typ-vald');
+  assert.equal(SeverityRules.evaluate(compiledDefaults, 'stöld').ruleId, 'stold');
+});
+
+test('falls back to the default for unknown types', () => {
+  const result = SeverityRules.evaluate(compiledDefaults, 'Sammanfattning natt');
+
+  assert.equal(result.level, DEFAULT_SEVERITY_RULES.default.level);
+  assert.equal(result.ruleId, null);
+  assert.equal(result.description, 'Övrigt');
+});
+
+test('raises the level when a modifier matches the text', () => {
+  const result = SeverityRules.evaluate(compiledDefaults, {
+    type: 'Stöld',
+    title: 'Stöld, Malmö',
+    description: 'Gärningspersonen hotade med kniv.',
+    timeMs: NOON
+  });
+
+  assert.equal(result.level, 3);
+  assert.equal(result.color, DEFAULT_SEVERITY_RULES.levelColors[3]);
+  assert.deepEqual(result.modifiers, ['vapen']);
+});
+
+test('applies hour-limited modifiers only inside the hours, past midnight', () => {
+  const modifiers = DEFAULT_SEVERITY_RULES.modifiers.map(modifier =>
+    modifier.id === 'vald-nattetid' ? { ...modifier, enabled: true } : modifier
+  );
+  const compiled = withRules({ modifiers });
+
+  assert.equal(SeverityRules.evaluate(compiled, { type: 'Rån', timeMs: NIGHT }).level, 4);
+  assert.equal(SeverityRules.evaluate(compiled, { type: 'Rån', timeMs: NOON }).level, 3);
+  assert.equal(SeverityRules.evaluate(compiled, { type: 'Rån', hour: 5 }).level, 4);
+  assert.equal(SeverityRules.evaluate(compiled, 'Rån').level, 3);
+});
+
+test('skips disabled rules', () => {
+  const rules = DEFAULT_SEVERITY_RULES.rules.map(rule => rule.id === 'stold' ? { ...rule, enabled: false } : rule);
+
+  assert.equal(SeverityRules.evaluate(withRules({ rules }), 'Stöld').ruleId, 'typ-egendom');
+});
+
+test('applies user overrides last, by type in any case', () => {
+  const compiled = withRules({ overrides: { 'skadegörelse': { level: 4, color: '#000000' } } });
+  const result = SeverityRules.evaluate(compiled, {
+    type: 'Skadegörelse',
+    description: 'En pistol hittades på platsen.',
+    timeMs: NOON
+  });
+
+  assert.equal(result.level, 4);
+  assert.equal(result.color, '#000000');
+  assert.equal(result.overridden, true);
+  assert.deepEqual(result.modifiers, ['vapen']);
+});
@@ -0,0 +1,51 @@
+/**
+ * Nearest-neighbour and radius queries on the spatial grid, checked
+ * against a scan of every point. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SpatialIndex } from '../js/core/spatial-index.js';
+import { Utils } from '../js/core/utils.js';
+
+const stations = [
+  { name: 'Malmö', lat: 55.6050, lng: 13.0038 },
+  { name: 'Lund', lat: 55.7047, lng: 13.1910 },
+  { name: 'Helsingborg', lat: 56.0465, lng: 12.6945 },
+  { name: 'Göteborg', lat: 57.7089, lng: 11.9746 },
+  { name: 'Stockholm', lat: 59.3293, lng: 18.0686 },
+  { name: 'Kiruna', lat: 67.8558, lng: 20.2253 },
+  { name: 'Utan plats', lat: 0, lng: 0 }
+];
+
+const byDistance = (lat, lng) => stations
+  .filter(station => SpatialIndex.hasLocation(station))
+  .map(station => ({ item: station, distance: Utils.calculateDistance(lat, lng, station.lat, station.lng) }))
+  .sort((a, b) => a.distance - b.distance);
+
+test('leaves out items without coordinates', () => {
+  assert.equal(new SpatialIndex(stations).size, stations.length - 1);
+});
+
+test('finds the same nearest items as a full scan, nearest first', () => {
+  const index = new SpatialIndex(stations, { cellSize: 0.5 });
+
+  for (const [lat, lng] of [[55.59, 13.0], [58.4, 15.6], [69.0, 18.9], [55.0, 24.0]]) {
+    assert.deepEqual(index.nearest(lat, lng, { count: 3 }), byDistance(lat, lng).slice(0, 3));
+  }
+});
+
+test('returns nothing beyond maxDistance', () => {
+  const index = new SpatialIndex(stations);
+
+  assert.deepEqual(index.nearest(55.59, 13.0, { count: 5, maxDistance: 20 }).map(({ item }) => item.name), ['Malmö', 'Lund']);
+  assert.deepEqual(index.nearest(63.0, 15.0, { maxDistance: 50 }), []);
+  assert.deepEqual(new SpatialIndex().nearest(55.59, 13.0), []);
+});
+
+test('finds items within a radius', () => {
+  const names = new SpatialIndex(stations).withinRadius(55.65, 13.1, 60).map(station => station.name);
+
+  assert.deepEqual(names.sort(), ['Helsingborg', 'Lund', 'Malmö']);
+});
@@ -0,0 +1,40 @@
+/**
+ * Filters and views shared through the address bar. Run with `npm test`.
+ */
+
+// Dates in the query string are calendar days in the visitor's time zone
+process.env.TZ = 'Europe/Stockholm';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UrlState } from '../js/core/url-state.js';
+import { EventFilters } from '../js/core/filters.js';
+
+test('reads from and to as local calendar days', () => {
+  const { filters } = UrlState.parse('/?from=2026-10-19&to=2026-10-20');
+
+  assert.equal(filters.dateFrom.getTime(), new Date(2026, 9, 19).getTime());
+  assert.equal(filters.dateTo.getTime(), new Date(2026, 9, 20).getTime());
+});
+
+test('ignores dates that are not on the calendar', () => {
+  assert.equal(UrlState.parseDate('2026-02-30'), null);
+  assert.equal(UrlState.parseDate('2026-10-19T00:00'), null);
+  assert.equal(UrlState.parseDate(null), null);
+});
+
+test('keeps the day when a date range is serialized and read back', () => {
+  const { dateFrom, dateTo } = EventFilters.getTimeRangeDates('today', new Date(2026, 9, 19, 0, 30));
+  const { search } = UrlState.serialize({ filters: { dateFrom, dateTo } });
+
+  assert.equal(search, '?from=2026-10-19&to=2026-10-19');
+  assert.equal(UrlState.parse(search).filters.dateFrom.getTime(), dateFrom.getTime());
+});
+
+test('includes events from early in the morning of the first day', () => {
+  const { dateFrom } = UrlState.parse('/?from=2026-10-19').filters;
+  const event = { timeMs: new Date(2026, 9, 19, 0, 30).getTime(), timestamp: new Date(2026, 9, 19, 0, 30).toISOString() };
+
+  assert.equal(EventFilters.apply([event], { dateFrom }).events.length, 1);
+});
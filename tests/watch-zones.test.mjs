@@ -0,0 +1,93 @@
+/**
+ * Matching synced events against watch zones, and which of them are
+ * announced. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WatchZones } from '../js/core/watch-zones.js';
+import { CONFIG } from '../js/core/config.js';
+
+const NOW = Date.parse('2026-10-19T10:00:00Z');
+const MINUTE = 60 * 1000;
+
+const malmo = WatchZones.create({
+  id: 'malmo',
+  name: 'Malmö',
+  locationCenter: { lat: 55.605, lng: 13.0038 },
+  locationRadius: 5,
+  minSeverity: 3
+}, { now: NOW });
+
+let nextId = 1;
+const createEvent = ({ type = 'Rån', level = 3, lat = 55.6, lng = 13.0, minutesAgo = 10 } = {}) => ({
+  id: String(nextId++),
+  type,
+  title: `${type}, Malmö`,
+  city: 'Malmö',
+  lat,
+  lng,
+  timeMs: NOW - minutesAgo * MINUTE,
+  timestamp: new Date(NOW - minutesAgo * MINUTE).toISOString(),
+  severityInfo: { level }
+});
+
+test('announces events inside the zone at or above its severity', () => {
+  const inside = createEvent();
+  const events = [inside, createEvent({ level: 2 }), createEvent({ lat: 59.33, lng: 18.07 })];
+
+  const { notifications } = WatchZones.check([malmo], events, null, { now: NOW });
+
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].title, 'Malmö: Rån');
+  assert.deepEqual(notifications[0].eventIds, [inside.id]);
+  assert.equal(notifications[0].timestamp, inside.timeMs);
+});
+
+test('announces each event once and skips old events', () => {
+  const event = createEvent();
+  const old = createEvent({ minutesAgo: CONFIG.WATCH_ZONES.MAX_EVENT_AGE / MINUTE + 1 });
+
+  const first = WatchZones.check([malmo], [event, old], null, { now: NOW });
+  const second = WatchZones.check([malmo], [event, old], first.state, { now: NOW + MINUTE });
+
+  assert.equal(first.notifications.length, 1);
+  assert.deepEqual(second.notifications, []);
+});
+
+test('sums up a sync with more matches than MAX_SEPARATE', () => {
+  const events = Array.from({ length: CONFIG.WATCH_ZONES.MAX_SEPARATE + 1 }, (_, index) =>
+    createEvent({ minutesAgo: index + 1 })
+  );
+
+  const { notifications } = WatchZones.check([malmo], events, null, { now: NOW });
+
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].tag, WatchZones.SUMMARY_TAG);
+  assert.equal(notifications[0].eventIds.length, events.length);
+});
+
+test('collects digest zone matches until the digest interval has passed', () => {
+  const zone = { ...malmo, digest: true };
+  const first = WatchZones.check([zone], [createEvent()], null, { now: NOW });
+  const second = WatchZones.check([zone], [createEvent({ type: 'Misshandel', level: 4 })], first.state, {
+    now: NOW + MINUTE
+  });
+  const third = WatchZones.check([zone], [], second.state, {
+    now: NOW + CONFIG.WATCH_ZONES.DIGEST_INTERVAL
+  });
+
+  assert.equal(first.notifications[0].title, 'Malmö: 1 ny händelse');
+  assert.deepEqual(second.notifications, []);
+  assert.equal(third.notifications[0].title, 'Malmö: 1 ny händelse');
+  assert.equal(third.notifications[0].body, '1 × Misshandel');
+  assert.deepEqual(third.state.pending, {});
+});
+
+test('does not announce what a new zone already matched', () => {
+  const event = createEvent();
+  const state = WatchZones.seed(WatchZones.createState(), malmo, [event], { now: NOW });
+
+  assert.deepEqual(WatchZones.check([malmo], [event], state, { now: NOW }).notifications, []);
+});